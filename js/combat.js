@@ -10,18 +10,19 @@
  * ============================================================
  */
 
-import { istWand, WAND_GROESSE, wallGroup } from './maze-generator.js';
+import { istWand, WAND_GROESSE, etagenGruppenUm } from './maze-generator.js';
+import { etageBei } from './maze-floors.js';
 import { getKamera } from './renderer.js';
+import { SCHUSS_COOLDOWN, SCHUSS_REICHWEITE, SCHADEN_KOERPER, SCHADEN_KOPF } from './hit-validation.js';
 
 // ── Kampf-Einstellungen ─────────────────────────────────────
-const SCHUSS_COOLDOWN = 0.2;    // Sekunden zwischen Schüssen
-const SCHUSS_REICHWEITE = 50;   // Maximale Trefferdistanz
+// Cooldown, Reichweite und Trefferschaden stehen in hit-validation.js,
+// damit der Host mit denselben Werten nachrechnet.
 const MUZZLE_FLASH_DAUER = 0.08; // Dauer des Mündungsfeuers in Sekunden
 const STRAHL_DAUER = 0.15;       // Dauer des Laserstrahls in Sekunden
 export const MAX_LEBEN = 100;           // Maximale Lebenspunkte
-export const SCHADEN_KOERPER = 15; // Schaden bei Körpertreffer
-export const SCHADEN_KOPF = 30;   // Schaden bei Headshot
 export const MAX_MUNITION = 20;         // Maximal 20 Schuss pro Spieler
+export const START_MUNITION = 10;       // Munition zu Rundenbeginn
 const EINSCHLAG_OFFSET = 0.5;   // Versatz der Lichtquelle vor der Wand (für bessere Sichtbarkeit)
 
 // ── Zustand ─────────────────────────────────────────────────
@@ -30,7 +31,7 @@ let muzzleFlashAktiv = false;
 let muzzleFlashTimer = 0;
 let muzzleFlashLicht = null;
 let leben = MAX_LEBEN;
-let munition = 10;
+let munition = START_MUNITION;
 let minen = 0; // Start mit 0 Minen
 const MAX_MINEN_INVENTORY = 2;
 const SCHADEN_MINE = 50;
@@ -276,7 +277,10 @@ export function initCombat(scene, kamera) {
  * @param {THREE.Camera} kamera - Die Spieler-Kamera
  * @param {THREE.Scene} scene - Die Spielszene
  * @param {number} aktuelleZeit - Aktuelle Zeit in Sekunden
- * @returns {{treffer: boolean, spielerId: string|null, punkt: THREE.Vector3|null}}
+ * Das Ergebnis ist nur die lokale Vorhersage für Effekte und Hitmarker;
+ * den Schaden bucht der Host anhand von ursprung und richtung.
+ *
+ * @returns {{treffer: boolean, spielerId: string|null, punkt: THREE.Vector3|null, ursprung?: THREE.Vector3, richtung?: THREE.Vector3, risswand?: {x: number, y: number}|null}}
  */
 function schiessen(kamera, scene, aktuelleZeit) {
     // Cooldown prüfen
@@ -328,11 +332,17 @@ function schiessen(kamera, scene, aktuelleZeit) {
     wandRaycaster.near = 0.1;
     wandRaycaster.far = SCHUSS_REICHWEITE;
 
-    // Nur gegen Wände (wallGroup) raycasten -> Extrem schnell!
-    const alleWandTreffer = wallGroup ? wandRaycaster.intersectObject(wallGroup, true) : [];
+    // Nur gegen Wände (Etagen-Gruppen) raycasten -> Extrem schnell!
+    // Eigene Etage plus die darüber/darunter, damit Decken und Böden
+    // den Schuss aufhalten. Fensteröffnungen und offene Türen lassen ihn durch.
+    const alleWandTreffer = wandRaycaster
+        .intersectObjects(etagenGruppenUm(etageBei(kamera.position.y)), true)
+        .filter(t => !t.object.userData.schussDurchlaessig);
 
 
     // Startpunkt: leicht vor der Kamera
+    const ursprung = kamera.position.clone();
+    const schussRichtung = raycaster.ray.direction.clone();
     const strahlStart = kamera.position.clone();
     const richtung = raycaster.ray.direction.clone();
     strahlStart.add(richtung.clone().multiplyScalar(0.3));
@@ -392,13 +402,16 @@ function schiessen(kamera, scene, aktuelleZeit) {
                     headshot: headshot,
                     strahlStart: strahlStart,
                     strahlEnde: hit.point,
-                    hitType: 'BLOOD'
+                    hitType: 'BLOOD',
+                    ursprung: ursprung,
+                    richtung: schussRichtung
                 };
             }
         }
     }
 
     // Wenn kein Spieler-Treffer: Funken an der Wand
+    let risswand = null;
     if (alleWandTreffer.length > 0) {
         const treffer = alleWandTreffer[0];
 
@@ -411,6 +424,9 @@ function schiessen(kamera, scene, aktuelleZeit) {
             normale.applyQuaternion(treffer.object.quaternion);
         }
         erzeugeEinschlag(scene, treffer.point, normale, 'SPARKS');
+
+        // Risswand getroffen -> Rasterfeld melden (Host zählt die Treffer)
+        risswand = treffer.object.userData.risswand || null;
     } else {
         // Gar nichts getroffen -> Laser ins Unendliche (oder bis Reichweite)
         erzeugeStrahl(scene, strahlStart, strahlEnde);
@@ -424,7 +440,10 @@ function schiessen(kamera, scene, aktuelleZeit) {
         punkt: null,
         strahlStart: strahlStart,
         strahlEnde: strahlEnde,
-        hitType: 'SPARKS'
+        hitType: 'SPARKS',
+        risswand: risswand,
+        ursprung: ursprung,
+        richtung: schussRichtung
     };
 }
 
@@ -679,24 +698,37 @@ function setOnTodCallback(callback) {
  * @returns {number} Verbleibende Lebenspunkte
  */
 function empfangeSchaden(schaden) {
-    leben = Math.max(0, leben - schaden);
+    return setzeLeben(leben - schaden);
+}
 
-    // Bildschirm rot blinken lassen (Schadens-Feedback)
-    const overlay = document.getElementById('schaden-overlay');
-    if (overlay) {
-        overlay.style.opacity = '0.5';
-        setTimeout(() => { overlay.style.opacity = '0'; }, 200);
-    }
+/**
+ * Übernimmt einen Lebensstand, z.B. den verbindlichen Wert des Hosts.
+ * Weniger als vorher zeigt Schadens-Feedback; der Tod-Callback kommt
+ * nur beim Übergang auf 0, auch wenn derselbe Stand mehrfach eintrifft.
+ * @param {number} wert - Neue Lebenspunkte
+ * @returns {number} Verbleibende Lebenspunkte
+ */
+function setzeLeben(wert) {
+    const vorher = leben;
+    leben = Math.max(0, Math.min(MAX_LEBEN, wert));
 
-    // Sound abspielen
-    spieleTrefferSound();
+    if (leben < vorher) {
+        // Bildschirm rot blinken lassen (Schadens-Feedback)
+        const overlay = document.getElementById('schaden-overlay');
+        if (overlay) {
+            overlay.style.opacity = '0.5';
+            setTimeout(() => { overlay.style.opacity = '0'; }, 200);
+        }
+
+        // Sound abspielen
+        spieleTrefferSound();
+        console.log(`[Kampf] Schaden erhalten: ${vorher - leben}, Leben: ${leben}`);
+    }
 
     // HUD aktualisieren
     updateLebenAnzeige();
 
-    console.log(`[Kampf] Schaden erhalten: ${schaden}, Leben: ${leben}`);
-
-    if (leben <= 0) {
+    if (vorher > 0 && leben <= 0) {
         console.log('[Kampf] SPIELER BESIEGT!');
         if (onTodCallback) {
             onTodCallback();
@@ -792,6 +824,15 @@ function addMine(menge = 1, mitSound = true) {
     return true;
 }
 
+/**
+ * Übernimmt die Minen im Inventar, z.B. aus dem Spielstand des Hosts.
+ * @param {number} anzahl
+ */
+function setzeMinen(anzahl) {
+    minen = Math.max(0, Math.min(MAX_MINEN_INVENTORY, anzahl));
+    updateMinenAnzeige();
+}
+
 /**
  * Verbraucht eine Mine aus dem Inventar.
  */
@@ -826,6 +867,15 @@ function addMunition(menge, mitSound = true) {
     if (mitSound) spielePickupSound();
 }
 
+/**
+ * Übernimmt einen Munitionsstand, z.B. aus dem Spielstand des Hosts.
+ * @param {number} menge
+ */
+function setzeMunition(menge) {
+    munition = Math.max(0, Math.min(MAX_MUNITION, menge));
+    updateMunitionAnzeige();
+}
+
 /**
  * Heilt den Spieler um einen bestimmten Betrag.
  * @param {number} betrag 
@@ -854,15 +904,16 @@ function healPlayer(betrag) {
  * Setzt Munition zurück (z.B. bei Respawn).
  */
 function resetMunition() {
-    munition = 10;
+    munition = START_MUNITION;
     updateMunitionAnzeige();
 }
 
 export {
     schiessen, updateCombat, registriereZiel,
-    entferneZiel, entferneAlleZiele, empfangeSchaden, healPlayer,
+    entferneZiel, entferneAlleZiele, empfangeSchaden, setzeLeben, healPlayer,
     updateLebenAnzeige, resetLeben, getLeben, addMunition,
-    updateMunitionAnzeige, resetMunition, getMunition,
-    getMinen, hasMine, addMine, nutzeMine, SCHADEN_MINE,
-    triggereSchussVisuals, setOnTodCallback
+    updateMunitionAnzeige, resetMunition, getMunition, setzeMunition,
+    getMinen, hasMine, addMine, nutzeMine, setzeMinen, SCHADEN_MINE,
+    triggereSchussVisuals, setOnTodCallback,
+    SCHADEN_KOERPER, SCHADEN_KOPF
 };
@@ -0,0 +1,242 @@
+/**
+ * ============================================================
+ * TREFFERPRÜFUNG (hit-validation.js)
+ * ============================================================
+ * Der Host entscheidet über Treffer, nicht der Schütze.
+ *
+ * Gäste schicken mit jedem Schuss Ursprung (Augenposition),
+ * Richtung und Zeitstempel. Der Host wiederholt den Strahl gegen
+ * seine eigene Kopie des Rasters und die zuletzt gemeldeten
+ * Spielerpositionen und bucht den Schaden selbst.
+ *
+ * Lag-Ausgleich: Jeder Peer führt für die Mitspieler einen kurzen
+ * Positionsverlauf mit Zeitstempeln in Host-Zeit (position-history.js).
+ * Der Schütze meldet, welchen Zeitpunkt er auf dem Bildschirm hatte
+ * (sichtZeit); der Host spult die Ziele dorthin zurück, höchstens aber
+ * um einen einstellbaren Deckel, damit hohe Latenzen nicht um Ecken treffen.
+ *
+ * Risswand-Treffer eines Gastes zählt der Host nur, wenn die Wand
+ * in Reichweite liegt und vom Schützen aus zu sehen ist.
+ *
+ * Trefferzonen sind Quader im lokalen Raum eines Spielers (Ursprung
+ * an den Füßen, vorne = -z) und umschließen das Spieler-Mesh aus
+ * main.js: Kopf samt Visier, Körper samt Rucksack und Waffe.
+ * DOM-frei wie maze-core.js.
+ * ============================================================
+ */
+
+import { FELD, WAND_GROESSE, WAND_HOEHE, FENSTER_BRUESTUNG, FENSTER_STURZ, feldAnPosition } from './maze-core.js';
+import { ETAGEN_HOEHE } from './maze-floors.js';
+
+// ── Konstanten ──────────────────────────────────────────────
+export const SCHUSS_REICHWEITE = 50;   // Maximale Trefferdistanz
+export const SCHUSS_COOLDOWN = 0.2;    // Sekunden zwischen Schüssen
+export const SCHADEN_KOERPER = 15;     // Schaden bei Körpertreffer
+export const SCHADEN_KOPF = 30;        // Schaden bei Headshot
+const TREFFER_TOLERANZ = 0.15;         // Zuschlag je Seite auf die Trefferzonen
+const MAX_URSPRUNG_ABSTAND = 1.5;      // Ursprung ↔ letzte bekannte Position (waagrecht)
+const MAX_AUGEN_HOEHE = 2.5;           // Ursprung höchstens so weit über den Füßen
+const COOLDOWN_SPIELRAUM = 0.75;       // Anteil des Cooldowns, der mindestens zwischen zwei Schüssen liegen muss
+const SCHRITT = 0.05;                  // Abtastweite des Strahls durchs Raster
+export const STANDARD_RUECKSPULEN = 200; // ms, so weit spult der Host höchstens zurück (Lobby-Vorgabe)
+
+// Felder, die einen Schuss aufhalten (offene Türen nicht, Fenster nur unter
+// der Brüstung und über dem Sturz)
+const SCHUSSFESTE_FELDER = new Set([FELD.WAND, FELD.TUER, FELD.RISSWAND]);
+// Offener Boden der Etage darüber
+const DECKEN_OEFFNUNGEN = new Set([FELD.LOCH, FELD.TREPPE]);
+
+const ZONEN = [
+    { name: 'kopf', schaden: SCHADEN_KOPF, min: { x: -0.2, y: 1.6, z: -0.25 }, max: { x: 0.2, y: 2.0, z: 0.2 } },
+    { name: 'koerper', schaden: SCHADEN_KOERPER, min: { x: -0.4, y: 0, z: -0.55 }, max: { x: 0.4, y: 1.6, z: 0.35 } }
+];
+
+/**
+ * Prüft, ob ein gemeldeter Schuss überhaupt möglich war: gültige
+ * Zahlen, Ursprung nahe der letzten bekannten Position des Schützen
+ * und genug Abstand zum vorigen Schuss. Der Abstand zählt in
+ * Empfangszeit des Hosts, Zeitstempel des Schützen ließen sich fälschen.
+ *
+ * @param {{ursprung: {x, y, z}, richtung: {x, y, z}, zeit: number}} schuss
+ * @param {{x: number, y: number, z: number}} fussPos - Letzte bekannte Fußposition des Schützen
+ * @param {number|null} letzteZeit - Host-Zeit (ms), zu der der vorige anerkannte Schuss ankam
+ * @param {number} jetzt - Host-Zeit (ms) beim Empfang dieses Schusses
+ * @returns {string|null} Grund der Ablehnung oder null
+ */
+export function pruefeSchussPlausibel(schuss, fussPos, letzteZeit, jetzt) {
+    const { ursprung, richtung, zeit } = schuss || {};
+    if (!istVektor(ursprung) || !istVektor(richtung) || !Number.isFinite(zeit)) return 'ungültige Daten';
+    if (Math.hypot(richtung.x, richtung.y, richtung.z) < 1e-6) return 'keine Richtung';
+    if (!fussPos) return 'Schütze nicht im Spiel';
+
+    const hoehe = ursprung.y - fussPos.y;
+    if (Math.hypot(ursprung.x - fussPos.x, ursprung.z - fussPos.z) > MAX_URSPRUNG_ABSTAND ||
+        hoehe < 0 || hoehe > MAX_AUGEN_HOEHE) {
+        return 'Ursprung weit weg vom Schützen';
+    }
+    if (letzteZeit !== null && jetzt - letzteZeit < SCHUSS_COOLDOWN * COOLDOWN_SPIELRAUM * 1000) {
+        return 'zu schnell hintereinander';
+    }
+    return null;
+}
+
+/**
+ * Wiederholt einen Schuss gegen die Trefferzonen der Spieler und
+ * das Raster. Getroffen ist der nächste Spieler vor der ersten Wand.
+ *
+ * @param {{etagen: number[][][]}} welt - Aktuelle Welt des Hosts (Türen, Risswände, Wanderwände)
+ * @param {{ursprung: {x, y, z}, richtung: {x, y, z}}} schuss
+ * @param {{id: string, x: number, y: number, z: number, rotY: number}[]} spieler - Mögliche Ziele (ohne Schützen), Fußpositionen
+ * @returns {{id: string, zone: string, schaden: number, distanz: number, punkt: {x, y, z}}|null}
+ */
+export function wiederholeSchuss(welt, schuss, spieler) {
+    const laenge = Math.hypot(schuss.richtung.x, schuss.richtung.y, schuss.richtung.z);
+    const richtung = { x: schuss.richtung.x / laenge, y: schuss.richtung.y / laenge, z: schuss.richtung.z / laenge };
+    const ursprung = schuss.ursprung;
+
+    let bester = null;
+    for (const s of spieler) {
+        const treffer = zonenTreffer(ursprung, richtung, s);
+        if (treffer && treffer.distanz <= SCHUSS_REICHWEITE && (!bester || treffer.distanz < bester.distanz)) {
+            bester = { id: s.id, ...treffer };
+        }
+    }
+    if (!bester) return null;
+    if (wandAbstand(welt, ursprung, richtung, bester.distanz) < bester.distanz) return null;
+
+    bester.punkt = {
+        x: ursprung.x + richtung.x * bester.distanz,
+        y: ursprung.y + richtung.y * bester.distanz,
+        z: ursprung.z + richtung.z * bester.distanz
+    };
+    return bester;
+}
+
+/**
+ * Zeitpunkt, auf den der Host für einen Schuss zurückspult.
+ * @param {number} sichtZeit - Vom Schützen gemeldet (Host-Zeit in ms)
+ * @param {number} jetzt - Host-Zeit beim Prüfen
+ * @param {number} maxRueckspulen - Deckel in ms (0 = kein Lag-Ausgleich)
+ * @returns {{zeit: number, gewuenscht: number, gedeckelt: boolean}}
+ */
+export function rueckspulZeit(sichtZeit, jetzt, maxRueckspulen) {
+    const gewuenscht = Number.isFinite(sichtZeit) ? Math.max(0, jetzt - sichtZeit) : 0;
+    const erlaubt = Math.min(gewuenscht, Math.max(0, maxRueckspulen));
+    return { zeit: jetzt - erlaubt, gewuenscht, gedeckelt: erlaubt < gewuenscht };
+}
+
+/**
+ * Abstand bis zum ersten Hindernis im Raster entlang des Strahls.
+ * Wände halten bis Wandhöhe auf, darüber Gewölbe und Decke –
+ * außer unter einem Loch oder Treppenschacht der Etage darüber.
+ *
+ * @param {{etagen: number[][][]}} welt
+ * @param {{x, y, z}} ursprung
+ * @param {{x, y, z}} richtung - Normiert
+ * @param {number} maxDistanz
+ * @returns {number} Abstand oder Infinity, wenn bis maxDistanz frei
+ */
+export function wandAbstand(welt, ursprung, richtung, maxDistanz) {
+    for (let t = 0; t <= maxDistanz; t += SCHRITT) {
+        const x = ursprung.x + richtung.x * t;
+        const y = ursprung.y + richtung.y * t;
+        const z = ursprung.z + richtung.z * t;
+        const etage = Math.floor(y / ETAGEN_HOEHE);
+        if (etage < 0 || etage >= welt.etagen.length) return t;
+
+        const feld = feldAnPosition(welt.etagen[etage], x, z);
+        if (SCHUSSFESTE_FELDER.has(feld)) return t;
+        const hoehe = y - etage * ETAGEN_HOEHE;
+        if (feld === FELD.FENSTER && (hoehe < FENSTER_BRUESTUNG || hoehe > FENSTER_STURZ)) return t;
+        if (hoehe > WAND_HOEHE) {
+            const oben = welt.etagen[etage + 1];
+            if (!oben || !DECKEN_OEFFNUNGEN.has(feldAnPosition(oben, x, z))) return t;
+        }
+    }
+    return Infinity;
+}
+
+/**
+ * Konnte ein Gast die gemeldete Risswand treffen? Sie muss in
+ * Schussweite liegen, und der Strahl vom Auge zur Mitte oder zu
+ * einer Seite der Wand darf vorher auf kein anderes Hindernis stoßen.
+ *
+ * @param {{etagen: number[][][]}} welt
+ * @param {{x, y, z}} auge - Augenposition des Schützen (Host-Sicht)
+ * @param {number} x - Rasterspalte der Risswand
+ * @param {number} y - Rasterzeile der Risswand
+ * @returns {string|null} Grund der Ablehnung oder null
+ */
+export function pruefeRisswandTreffer(welt, auge, x, y) {
+    if (!istVektor(auge)) return 'Schütze nicht im Spiel';
+    const raster = welt.etagen[0];
+    if (raster?.[y]?.[x] !== FELD.RISSWAND) return 'keine Risswand';
+
+    // Risswände stehen im Erdgeschoss, gezielt wird auf Augenhöhe
+    const zielHoehe = Math.max(0.1, Math.min(WAND_HOEHE - 0.1, auge.y));
+    const rand = WAND_GROESSE * 0.4;
+    const ziele = [[0, 0], [rand, 0], [-rand, 0], [0, rand], [0, -rand]].map(([dx, dz]) => ({
+        x: x * WAND_GROESSE + dx, y: zielHoehe, z: y * WAND_GROESSE + dz
+    }));
+    let inReichweite = false;
+    for (const ziel of ziele) {
+        const richtung = { x: ziel.x - auge.x, y: ziel.y - auge.y, z: ziel.z - auge.z };
+        const distanz = Math.hypot(richtung.x, richtung.y, richtung.z);
+        if (distanz > SCHUSS_REICHWEITE + WAND_GROESSE) continue;
+        inReichweite = true;
+        richtung.x /= distanz;
+        richtung.y /= distanz;
+        richtung.z /= distanz;
+        const t = wandAbstand(welt, auge, richtung, distanz);
+        if (t === Infinity) continue;
+        const hx = auge.x + richtung.x * t;
+        const hz = auge.z + richtung.z * t;
+        if (Math.floor(hx / WAND_GROESSE + 0.5) === x && Math.floor(hz / WAND_GROESSE + 0.5) === y) return null;
+    }
+    return inReichweite ? 'verdeckt' : 'außer Reichweite';
+}
+
+/**
+ * Erster Schnitt des Strahls mit den Zonen eines Spielers
+ * (Slab-Verfahren im lokalen, um rotY gedrehten Raum).
+ */
+function zonenTreffer(ursprung, richtung, s) {
+    const cos = Math.cos(s.rotY || 0);
+    const sin = Math.sin(s.rotY || 0);
+    const lokal = (v) => ({ x: v.x * cos - v.z * sin, y: v.y, z: v.x * sin + v.z * cos });
+    const o = lokal({ x: ursprung.x - s.x, y: ursprung.y - s.y, z: ursprung.z - s.z });
+    const d = lokal(richtung);
+
+    let bester = null;
+    for (const zone of ZONEN) {
+        const t = strahlQuader(o, d, zone.min, zone.max);
+        if (t !== null && (!bester || t < bester.distanz)) {
+            bester = { zone: zone.name, schaden: zone.schaden, distanz: t };
+        }
+    }
+    return bester;
+}
+
+function strahlQuader(o, d, min, max) {
+    let tNah = 0;
+    let tFern = Infinity;
+    for (const achse of ['x', 'y', 'z']) {
+        const lo = min[achse] - TREFFER_TOLERANZ;
+        const hi = max[achse] + TREFFER_TOLERANZ;
+        if (Math.abs(d[achse]) < 1e-9) {
+            if (o[achse] < lo || o[achse] > hi) return null;
+            continue;
+        }
+        let t1 = (lo - o[achse]) / d[achse];
+        let t2 = (hi - o[achse]) / d[achse];
+        if (t1 > t2) [t1, t2] = [t2, t1];
+        tNah = Math.max(tNah, t1);
+        tFern = Math.min(tFern, t2);
+        if (tNah > tFern) return null;
+    }
+    return tNah;
+}
+
+function istVektor(v) {
+    return !!v && Number.isFinite(v.x) && Number.isFinite(v.y) && Number.isFinite(v.z);
+}
@@ -10,7 +10,9 @@
  * ============================================================
  */
 
-import { istWand, WAND_GROESSE } from './maze-generator.js';
+import { WAND_GROESSE } from './maze-core.js';
+import { istBlockiert, bodenHoehe, STUFEN_HOEHE } from './maze-floors.js';
+import { AUGEN_HOEHE } from './renderer.js';
 import { resetMunition } from './combat.js';
 
 // ── Eingabe-Zustand ─────────────────────────────────────────
@@ -51,6 +53,13 @@ let schussAngefordert = false;
 
 // Spieler-Kollisionsradius
 const SPIELER_RADIUS = 0.4;
+const BEFREIEN_SCHRITT = 0.05;  // Suchraster beim Herausschieben aus einer Wand
+const BEFREIEN_WEITE = 2.0;     // Weiter sucht das Herausschieben nicht (eine Feldbreite)
+
+// Vertikale Bewegung (Treppen, Löcher)
+const SCHWERKRAFT = 20.0;      // Einheiten pro Sekunde²
+let fussHoehe = 0;             // Höhe der Füße über Etage 0
+let fallGeschwindigkeit = 0;
 
 // Auto-Walk Zustand
 let autoWalkAktiv = false;
@@ -86,6 +95,12 @@ export function initInput(canvas) {
                 autoWalkDistanz = 0;
                 console.log('[Input] Auto-Walk ' + (autoWalkAktiv ? 'AN' : 'AUS'));
                 break;
+            case 'F3': {
+                e.preventDefault();
+                const debug = document.getElementById('netz-debug');
+                if (debug) debug.style.display = debug.style.display === 'block' ? 'none' : 'block';
+                break;
+            }
         }
     });
 
@@ -384,35 +399,124 @@ export function wurdeMinePlatziert() {
 
 /**
  * Prüft ob eine Position mit dem Spieler-Radius kollidiert.
- * Testet alle 4 Ecken des Spieler-Bounding-Quadrats.
+ * Testet alle 4 Ecken des Spieler-Bounding-Quadrats auf Höhe
+ * der aktuellen Fußhöhe.
  * 
- * @param {number[][]} labyrinth - Das Labyrinth-Array
+ * @param {{etagen: number[][][], treppen: object[]}} welt - Alle Etagen
  * @param {number} x - X-Position des Spielers
  * @param {number} z - Z-Position des Spielers
  * @returns {boolean} true wenn Kollision vorliegt
  */
-function pruefeKollision(labyrinth, x, z) {
+function pruefeKollision(welt, x, z) {
     // Alle 4 Ecken des Spieler-Radius prüfen
-    return istWand(labyrinth, x + SPIELER_RADIUS, z + SPIELER_RADIUS) ||
-        istWand(labyrinth, x + SPIELER_RADIUS, z - SPIELER_RADIUS) ||
-        istWand(labyrinth, x - SPIELER_RADIUS, z + SPIELER_RADIUS) ||
-        istWand(labyrinth, x - SPIELER_RADIUS, z - SPIELER_RADIUS);
+    return istBlockiert(welt, x + SPIELER_RADIUS, z + SPIELER_RADIUS, fussHoehe) ||
+        istBlockiert(welt, x + SPIELER_RADIUS, z - SPIELER_RADIUS, fussHoehe) ||
+        istBlockiert(welt, x - SPIELER_RADIUS, z + SPIELER_RADIUS, fussHoehe) ||
+        istBlockiert(welt, x - SPIELER_RADIUS, z - SPIELER_RADIUS, fussHoehe);
+}
+
+/**
+ * Aktuelle Fußhöhe des Spielers (0 = Boden von Etage 0).
+ * @returns {number}
+ */
+export function getFussHoehe() {
+    return fussHoehe;
+}
+
+/**
+ * Setzt die Fußhöhe hart (Spawn, Rundenstart).
+ * @param {number} hoehe
+ */
+export function setzeFussHoehe(hoehe) {
+    fussHoehe = hoehe;
+    fallGeschwindigkeit = 0;
 }
 
 /**
  * Bewegt den Spieler mit Kollisionserkennung gegen Wände.
  * Verwendet "Slide Along Walls" – der Spieler gleitet an Wänden entlang.
  * Prüft alle 4 Ecken des Spieler-Radius für robuste Kollision.
+ * Danach folgt die Höhe dem Boden: Stufen und Rampen werden direkt
+ * übernommen, über Löchern fällt der Spieler mit Schwerkraft.
+ * Hat sich eine Wand über dem Spieler geschlossen (Wanderwand), wird
+ * er vorher auf die nächste freie Stelle geschoben.
  * 
  * @param {THREE.Camera} kamera - Die Spieler-Kamera
  * @param {number} deltaZeit - Vergangene Zeit seit letztem Frame (Sekunden)
  * @param {number} gierWinkel - Horizontaler Blickwinkel (Yaw) in Radians
- * @param {number[][]} labyrinth - Das Labyrinth-Array
+ * @param {{etagen: number[][][], treppen: object[]}} welt - Alle Etagen (siehe maze-floors.js)
  */
-export function bewegeSpieler(kamera, deltaZeit, gierWinkel, labyrinth) {
+export function bewegeSpieler(kamera, deltaZeit, gierWinkel, welt) {
     const bewegung = getMovementVector();
 
-    if (bewegung.vorwaerts === 0 && bewegung.seitwaerts === 0) return;
+    befreieAusWand(kamera, welt);
+    if (bewegung.vorwaerts !== 0 || bewegung.seitwaerts !== 0) {
+        bewegeHorizontal(kamera, deltaZeit, gierWinkel, welt, bewegung);
+    }
+    bewegeVertikal(kamera, deltaZeit, welt);
+}
+
+/**
+ * Schiebt den Spieler aus einer Wand heraus, falls er in einer steckt:
+ * in wachsenden Ringen (8 Richtungen) die nächste Stelle ohne Kollision,
+ * die er erreicht, ohne durch eine andere Wand zu rutschen.
+ * @returns {boolean} true wenn der Spieler verschoben wurde
+ */
+function befreieAusWand(kamera, welt) {
+    const { x, z } = kamera.position;
+    if (!pruefeKollision(welt, x, z)) return false;
+
+    for (let weite = BEFREIEN_SCHRITT; weite <= BEFREIEN_WEITE; weite += BEFREIEN_SCHRITT) {
+        for (let r = 0; r < 8; r++) {
+            const winkel = r * Math.PI / 4;
+            const nx = x + Math.cos(winkel) * weite;
+            const nz = z + Math.sin(winkel) * weite;
+            if (!pruefeKollision(welt, nx, nz) && befreiungsWegFrei(welt, x, z, nx, nz)) {
+                kamera.position.x = nx;
+                kamera.position.z = nz;
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+/**
+ * Führt der Weg nur durch das Feld, in dem der Spieler steckt, und
+ * durch freie Felder? (Sonst landete er hinter einer Nachbarwand.)
+ */
+function befreiungsWegFrei(welt, x, z, nx, nz) {
+    const feld = (wx, wz) => `${Math.floor(wx / WAND_GROESSE + 0.5)},${Math.floor(wz / WAND_GROESSE + 0.5)}`;
+    const start = feld(x, z);
+    const schritte = Math.ceil(Math.hypot(nx - x, nz - z) / BEFREIEN_SCHRITT);
+    for (let i = 1; i <= schritte; i++) {
+        const px = x + (nx - x) * i / schritte;
+        const pz = z + (nz - z) * i / schritte;
+        if (feld(px, pz) !== start && istBlockiert(welt, px, pz, fussHoehe)) return false;
+    }
+    return true;
+}
+
+/**
+ * Folgt dem Boden unter dem Spieler oder lässt ihn fallen.
+ */
+function bewegeVertikal(kamera, deltaZeit, welt) {
+    const boden = bodenHoehe(welt, kamera.position.x, kamera.position.z, fussHoehe);
+    if (fussHoehe - boden <= STUFEN_HOEHE * 0.5 && fallGeschwindigkeit === 0) {
+        // Auf dem Boden oder eine Stufe hinunter: direkt folgen
+        fussHoehe = boden;
+    } else {
+        fallGeschwindigkeit += SCHWERKRAFT * deltaZeit;
+        fussHoehe = Math.max(boden, fussHoehe - fallGeschwindigkeit * deltaZeit);
+        if (fussHoehe === boden) fallGeschwindigkeit = 0;
+    }
+    kamera.position.y = fussHoehe + AUGEN_HOEHE;
+}
+
+/**
+ * Horizontale Bewegung mit Gleiten an Wänden.
+ */
+function bewegeHorizontal(kamera, deltaZeit, gierWinkel, welt, bewegung) {
 
     const geschwindigkeit = BEWEGUNGS_SPEED * deltaZeit;
 
@@ -427,12 +531,12 @@ export function bewegeSpieler(kamera, deltaZeit, gierWinkel, labyrinth) {
     const aktZ = kamera.position.z;
 
     // X-Achse prüfen (mit allen 4 Ecken)
-    if (!pruefeKollision(labyrinth, aktX + dx, aktZ)) {
+    if (!pruefeKollision(welt, aktX + dx, aktZ)) {
         kamera.position.x = aktX + dx;
     }
 
     // Z-Achse prüfen (mit aktualisiertem X, falls bewegt)
-    if (!pruefeKollision(labyrinth, kamera.position.x, aktZ + dz)) {
+    if (!pruefeKollision(welt, kamera.position.x, aktZ + dz)) {
         kamera.position.z = aktZ + dz;
     }
 
@@ -0,0 +1,673 @@
+/**
+ * ============================================================
+ * KARTEN-EDITOR (level-editor.js)
+ * ============================================================
+ * Bildschirm neben der Lobby zum Malen eigener Labyrinthe:
+ *   - Wände, Gänge und Sonderfelder (Tür, Fenster, Grube,
+ *     Risswand) auf dem Raster malen
+ *   - Spawns (Host/Gast), Pickup-Punkte, Fackeln und
+ *     minenfreie Zonen setzen
+ *   - Rückgängig/Wiederholen (Strg+Z / Strg+Y)
+ *   - 3D-Vorschau mit buildMazeGeometry/addWallLights
+ *   - Prüfen & Speichern als Kartendatei (map-format.js)
+ *
+ * Bei mehrstöckigen Karten wird nur das Erdgeschoss bearbeitet;
+ * obere Etagen und Treppen bleiben unverändert erhalten.
+ * Teleporter werden angezeigt und durchgereicht; Paare, deren
+ * Pad im Erdgeschoss übermalt wird, fallen weg.
+ *
+ * Gespeichert wird nur, wenn Raster, Spawns und Pickups
+ * zusammenhängen – kaputte Karten lassen sich nicht teilen.
+ * ============================================================
+ */
+
+import { buildMazeGeometry, addWallLights, updateFackeln, WAND_GROESSE } from './maze-generator.js';
+import { generiereZufallsSeed, setSeed, FELD } from './maze-core.js';
+import { FELD_FARBEN } from './maze-tiles.js';
+import { analysiereLabyrinth, berechneDistanzen } from './maze-analysis.js';
+import { erzeugeKarte, pruefeKarte, karteZuRaster, karteZuWelt, karteZuJSON, KARTEN_FORMAT, KARTEN_VERSION } from './map-format.js';
+import { AUGEN_HOEHE } from './renderer.js';
+
+// ── Einstellungen ───────────────────────────────────────────
+const MAX_UNDO = 100;           // Schritte im Rückgängig-Stapel
+const RASTER_PIXEL = 520;       // Maximale Kantenlänge der Zeichenfläche
+const MIN_ZELLEN = 3;           // Kleinste/größte Labyrinthgröße (Zellen)
+const MAX_ZELLEN = 20;
+const VORSCHAU_DREHUNG = 0.3;   // Automatische Drehung der 3D-Vorschau (rad/s)
+
+const PICKUP_FARBEN = { AMMO: '#ffcc00', HEALTH: '#44ff88', MINE: '#ff8844' };
+// Werkzeuge, die den Feldtyp malen
+const MAL_FELDER = {
+    wand: FELD.WAND,
+    gang: FELD.GANG,
+    tuer: FELD.TUER,
+    fenster: FELD.FENSTER,
+    grube: FELD.GRUBE,
+    risswand: FELD.RISSWAND
+};
+const NACHBARN = [
+    { dx: 0, dz: -1 }, { dx: 0, dz: 1 },
+    { dx: -1, dz: 0 }, { dx: 1, dz: 0 }
+];
+
+// ── Editor-Zustand ──────────────────────────────────────────
+let raster = null;              // number[][] (Werte aus FELD)
+let spawns = null;              // {host: {x, y}, gast: {x, y}}
+let pickups = [];               // [{typ, x, y}]
+let fackeln = [];               // [{x, y, dx, dz}]
+let zonen = [];                 // [{x, y}] minenfreie Felder
+let obereEtagen = [];           // Raster-Zeilen ab Etage 1 (werden nur durchgereicht)
+let treppen = [];               // [{x, y, dx, dz, etage}]
+let teleporter = [];            // [{von, nach, einweg}] (werden nur durchgereicht)
+let kartenSeed = 0;             // Für Texturen der Vorschau/im Spiel
+let einstellungen = {};         // Generator-Einstellungen der Vorlage
+let werkzeug = 'wand';
+let undoStapel = [];
+let redoStapel = [];
+let problemFelder = [];         // Markierte Felder nach fehlgeschlagener Prüfung
+
+// Malen mit gedrückter Maus
+let maltGerade = false;
+let zonenModus = true;          // true = Zonen setzen, false = entfernen (pro Strich)
+
+// DOM & Callbacks
+let elemente = {};
+let zellPixel = 24;
+let callbacks = {};
+
+// 3D-Vorschau
+let vorschauRenderer = null;
+let vorschauScene = null;
+let vorschauKamera = null;
+let vorschauAktiv = false;
+let vorschauGier = 0;
+let vorschauZiehen = null;
+
+/**
+ * Verbindet den Editor mit dem DOM. Einmalig beim Start aufrufen.
+ * @param {object} optionen
+ * @param {function(object): void} optionen.onKarteUebernehmen - Karte für Host-Modus übernehmen
+ * @param {function(): void} optionen.onZurueck - Editor schließen
+ */
+export function initEditor(optionen) {
+    callbacks = optionen;
+    elemente = {
+        screen: document.getElementById('editor-screen'),
+        canvas: document.getElementById('editor-raster'),
+        vorschau: document.getElementById('editor-vorschau'),
+        status: document.getElementById('editor-status'),
+        name: document.getElementById('editor-name'),
+        breite: document.getElementById('editor-breite'),
+        hoehe: document.getElementById('editor-hoehe')
+    };
+    if (!elemente.screen || !elemente.canvas) return;
+
+    // Werkzeug-Buttons
+    document.querySelectorAll('#editor-screen [data-werkzeug]').forEach(btn => {
+        btn.addEventListener('click', () => waehleWerkzeug(btn.dataset.werkzeug));
+    });
+
+    document.getElementById('editor-leer-btn').addEventListener('click', () => neueKarte(false));
+    document.getElementById('editor-zufall-btn').addEventListener('click', () => neueKarte(true));
+    document.getElementById('editor-undo-btn').addEventListener('click', rueckgaengig);
+    document.getElementById('editor-redo-btn').addEventListener('click', wiederholen);
+    document.getElementById('editor-vorschau-btn').addEventListener('click', aktualisiereVorschau);
+    document.getElementById('editor-pruefen-btn').addEventListener('click', () => pruefeUndMelde());
+    document.getElementById('editor-speichern-btn').addEventListener('click', speichern);
+    document.getElementById('editor-uebernehmen-btn').addEventListener('click', uebernehmen);
+    document.getElementById('editor-zurueck-btn').addEventListener('click', schliesseEditor);
+
+    // Malen auf dem Raster
+    elemente.canvas.addEventListener('mousedown', (e) => {
+        const feld = feldUnterMaus(e);
+        if (!feld) return;
+        merkeZustand();
+        maltGerade = true;
+        zonenModus = !zonen.some(z => z.x === feld.x && z.y === feld.y);
+        wendeWerkzeugAn(feld, true);
+    });
+    elemente.canvas.addEventListener('mousemove', (e) => {
+        if (!maltGerade) return;
+        const feld = feldUnterMaus(e);
+        if (feld) wendeWerkzeugAn(feld, false);
+    });
+    window.addEventListener('mouseup', () => {
+        // Strich ohne Wirkung (z.B. auf der Außenwand) nicht im Verlauf behalten
+        if (maltGerade && undoStapel[undoStapel.length - 1] === schnappschuss()) undoStapel.pop();
+        maltGerade = false;
+    });
+
+    // Vorschau drehen durch Ziehen
+    if (elemente.vorschau) {
+        elemente.vorschau.addEventListener('mousedown', (e) => { vorschauZiehen = e.clientX; });
+        window.addEventListener('mousemove', (e) => {
+            if (vorschauZiehen === null) return;
+            vorschauGier -= (e.clientX - vorschauZiehen) * 0.01;
+            vorschauZiehen = e.clientX;
+        });
+        window.addEventListener('mouseup', () => { vorschauZiehen = null; });
+    }
+
+    // Tastenkürzel (nur solange der Editor offen ist)
+    window.addEventListener('keydown', (e) => {
+        if (elemente.screen.style.display !== 'flex' || !(e.ctrlKey || e.metaKey)) return;
+        if (e.target.tagName === 'INPUT') return;
+        const taste = e.key.toLowerCase();
+        if (taste === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            rueckgaengig();
+        } else if (taste === 'y' || (taste === 'z' && e.shiftKey)) {
+            e.preventDefault();
+            wiederholen();
+        }
+    });
+
+    console.log('[Editor] Bereit');
+}
+
+/**
+ * Öffnet den Editor, optional mit einer vorhandenen Karte als Vorlage.
+ * @param {object|null} [karte] - Geprüfte Karten-Beschreibung
+ */
+export function oeffneEditor(karte = null) {
+    if (karte) {
+        ladeKarte(karte);
+    } else if (!raster) {
+        ladeKarte(erzeugeKarte(8, 8, generiereZufallsSeed()));
+    }
+    elemente.screen.style.display = 'flex';
+    waehleWerkzeug(werkzeug);
+    zeichne();
+    aktualisiereVorschau();
+    meldeStatus('Linke Maustaste malt. Strg+Z / Strg+Y: Rückgängig / Wiederholen');
+}
+
+/**
+ * Schließt den Editor und stoppt die Vorschau.
+ */
+function schliesseEditor() {
+    elemente.screen.style.display = 'none';
+    vorschauAktiv = false;
+    if (callbacks.onZurueck) callbacks.onZurueck();
+}
+
+// ═══════════════════════════════════════════════════════════
+// KARTE LADEN / ERSTELLEN
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Übernimmt eine Karten-Beschreibung in den Editor-Zustand.
+ */
+function ladeKarte(karte) {
+    raster = karteZuRaster(karte);
+    spawns = structuredClone(karte.spawns);
+    pickups = structuredClone(karte.pickups);
+    fackeln = structuredClone(karte.fackeln);
+    zonen = structuredClone(karte.minenfreieZonen || []);
+    obereEtagen = structuredClone(karte.etagen || []);
+    treppen = structuredClone(karte.treppen || []);
+    teleporter = structuredClone(karte.teleporter || []);
+    kartenSeed = karte.seed;
+    einstellungen = karte.einstellungen || {};
+    undoStapel = [];
+    redoStapel = [];
+    problemFelder = [];
+    if (elemente.name) elemente.name.value = karte.name || '';
+    if (elemente.breite) elemente.breite.value = (raster[0].length - 1) / 2;
+    if (elemente.hoehe) elemente.hoehe.value = (raster.length - 1) / 2;
+    passeZeichenflaecheAn();
+}
+
+/**
+ * Neue Karte in der eingestellten Größe: leer (nur Außenwand) oder zufällig.
+ * @param {boolean} zufaellig
+ */
+function neueKarte(zufaellig) {
+    const breite = leseGroesse(elemente.breite);
+    const hoehe = leseGroesse(elemente.hoehe);
+    merkeZustand();
+    const undo = undoStapel;
+
+    ladeKarte(erzeugeKarte(breite, hoehe, generiereZufallsSeed()));
+    if (!zufaellig) {
+        // Offene Fläche, Spawns in gegenüberliegenden Ecken
+        raster = raster.map((zeile, y) => zeile.map((_, x) =>
+            (x === 0 || y === 0 || x === zeile.length - 1 || y === raster.length - 1) ? 1 : 0));
+        spawns = { host: { x: 1, y: 1 }, gast: { x: raster[0].length - 2, y: raster.length - 2 } };
+        pickups = [];
+        fackeln = [];
+        zonen = [];
+        obereEtagen = [];
+        treppen = [];
+        teleporter = [];
+        einstellungen = {};
+        if (elemente.name) elemente.name.value = '';
+    }
+    undoStapel = undo; // Neu anlegen lässt sich rückgängig machen
+    zeichne();
+    aktualisiereVorschau();
+}
+
+/**
+ * Liest eine Größe aus einem Eingabefeld (begrenzt auf MIN/MAX_ZELLEN).
+ */
+function leseGroesse(input) {
+    const wert = parseInt(input?.value, 10);
+    return Number.isFinite(wert) ? Math.max(MIN_ZELLEN, Math.min(MAX_ZELLEN, wert)) : 8;
+}
+
+/**
+ * Baut die Karten-Beschreibung aus dem Editor-Zustand.
+ * Obere Etagen bearbeitet der Editor nicht, sie bleiben wie geladen.
+ * @returns {object}
+ */
+function baueKarte() {
+    const zusatz = obereEtagen.length > 0 ? { etagen: structuredClone(obereEtagen), treppen: structuredClone(treppen) } : {};
+    return {
+        format: KARTEN_FORMAT,
+        version: KARTEN_VERSION,
+        name: elemente.name?.value.trim() || `Eigene Karte ${kartenSeed}`,
+        seed: kartenSeed,
+        einstellungen,
+        raster: raster.map(zeile => zeile.join('')),
+        spawns: structuredClone(spawns),
+        pickups: structuredClone(pickups),
+        fackeln: structuredClone(fackeln),
+        minenfreieZonen: structuredClone(zonen),
+        teleporter: structuredClone(teleporter),
+        ...zusatz
+    };
+}
+
+// ═══════════════════════════════════════════════════════════
+// WERKZEUGE
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Aktiviert ein Werkzeug und markiert den Button.
+ * @param {string} id - Schlüssel aus MAL_FELDER, 'host', 'gast', 'AMMO', 'HEALTH', 'MINE', 'fackel', 'zone'
+ */
+function waehleWerkzeug(id) {
+    werkzeug = id;
+    document.querySelectorAll('#editor-screen [data-werkzeug]').forEach(btn => {
+        btn.classList.toggle('aktiv', btn.dataset.werkzeug === id);
+    });
+}
+
+/**
+ * Wendet das aktive Werkzeug auf ein Rasterfeld an.
+ * @param {{x: number, y: number}} feld
+ * @param {boolean} ersterKlick - false beim Weitermalen mit gedrückter Maus
+ */
+function wendeWerkzeugAn(feld, ersterKlick) {
+    const { x, y } = feld;
+    const amRand = x === 0 || y === 0 || x === raster[0].length - 1 || y === raster.length - 1;
+    const istGang = raster[y][x] === 0;
+    const gleicheStelle = (p) => p.x === x && p.y === y;
+
+    switch (werkzeug) {
+        case 'wand':
+        case 'gang':
+        case 'tuer':
+        case 'fenster':
+        case 'grube':
+        case 'risswand':
+            if (amRand) return; // Außenwand bleibt immer geschlossen
+            raster[y][x] = MAL_FELDER[werkzeug];
+            break;
+        case 'zone':
+            if (!istGang) return;
+            zonen = zonen.filter(z => !gleicheStelle(z));
+            if (zonenModus) zonen.push({ x, y });
+            break;
+        default:
+            // Einzel-Objekte nur beim ersten Klick, nicht beim Ziehen
+            if (!ersterKlick || !istGang) return;
+            setzeObjekt(feld);
+    }
+
+    bereinige();
+    problemFelder = [];
+    zeichne();
+}
+
+/**
+ * Setzt bzw. entfernt Spawn, Pickup oder Fackel auf einem Gang-Feld.
+ */
+function setzeObjekt(feld) {
+    const { x, y } = feld;
+    const gleicheStelle = (p) => p.x === x && p.y === y;
+
+    if (werkzeug === 'host' || werkzeug === 'gast') {
+        spawns[werkzeug] = { x, y };
+    } else if (PICKUP_FARBEN[werkzeug]) {
+        const vorhanden = pickups.find(gleicheStelle);
+        pickups = pickups.filter(p => !gleicheStelle(p));
+        // Gleicher Typ nochmal = entfernen, sonst ersetzen
+        if (!vorhanden || vorhanden.typ !== werkzeug) {
+            pickups.push({ typ: werkzeug, x, y });
+        }
+    } else if (werkzeug === 'fackel') {
+        if (fackeln.some(gleicheStelle)) {
+            fackeln = fackeln.filter(f => !gleicheStelle(f));
+        } else {
+            const wand = NACHBARN.find(n => raster[y + n.dz][x + n.dx] === 1);
+            if (wand) {
+                fackeln.push({ x, y, dx: wand.dx, dz: wand.dz });
+            } else {
+                meldeStatus('Fackeln brauchen eine angrenzende Wand', true);
+            }
+        }
+    }
+}
+
+/**
+ * Entfernt Objekte, die durch Malen ungültig geworden sind
+ * (auf Wänden, Fackeln ohne Wand, Teleporter mit übermaltem Pad).
+ * Spawns bleiben stehen und werden bei der Prüfung gemeldet.
+ */
+function bereinige() {
+    const aufGang = (p) => raster[p.y][p.x] === 0;
+    pickups = pickups.filter(aufGang);
+    zonen = zonen.filter(aufGang);
+    fackeln = fackeln.filter(f => aufGang(f) && raster[f.y + f.dz][f.x + f.dx] === 1);
+    teleporter = teleporter.filter(t => [t.von, t.nach].every(p => p.etage !== 0 || aufGang(p)));
+}
+
+// ═══════════════════════════════════════════════════════════
+// RÜCKGÄNGIG / WIEDERHOLEN
+// ═══════════════════════════════════════════════════════════
+
+// Vollständiger Karten-Zustand, damit "Neu" rückgängig gemacht werden
+// kann, ohne Raster und Einstellungen zweier Karten zu mischen
+function schnappschuss() {
+    return JSON.stringify({ raster, spawns, pickups, fackeln, zonen, teleporter, obereEtagen, treppen, kartenSeed, einstellungen });
+}
+
+function stelleHer(zustand) {
+    const alterSeed = kartenSeed;
+    ({ raster, spawns, pickups, fackeln, zonen, teleporter, obereEtagen, treppen, kartenSeed, einstellungen } = JSON.parse(zustand));
+    if (elemente.breite) elemente.breite.value = (raster[0].length - 1) / 2;
+    if (elemente.hoehe) elemente.hoehe.value = (raster.length - 1) / 2;
+    passeZeichenflaecheAn();
+    problemFelder = [];
+    zeichne();
+    if (kartenSeed !== alterSeed) aktualisiereVorschau(); // Andere Karte
+}
+
+/**
+ * Legt den aktuellen Zustand auf den Rückgängig-Stapel (vor jeder Änderung).
+ */
+function merkeZustand() {
+    undoStapel.push(schnappschuss());
+    if (undoStapel.length > MAX_UNDO) undoStapel.shift();
+    redoStapel = [];
+}
+
+function rueckgaengig() {
+    if (undoStapel.length === 0) return;
+    redoStapel.push(schnappschuss());
+    stelleHer(undoStapel.pop());
+}
+
+function wiederholen() {
+    if (redoStapel.length === 0) return;
+    undoStapel.push(schnappschuss());
+    stelleHer(redoStapel.pop());
+}
+
+// ═══════════════════════════════════════════════════════════
+// PRÜFEN & SPEICHERN
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Prüft die Karte auf Format und Zusammenhang.
+ * @returns {string[]} Gefundene Probleme (leer = in Ordnung)
+ */
+function pruefeKarteImEditor() {
+    const probleme = [];
+    problemFelder = [];
+
+    try {
+        pruefeKarte(baueKarte());
+    } catch (err) {
+        probleme.push(err.message);
+        return probleme;
+    }
+
+    const welt = (p) => ({ x: p.x * WAND_GROESSE, z: p.y * WAND_GROESSE });
+    const bericht = analysiereLabyrinth(raster, { spawns: [welt(spawns.host), welt(spawns.gast)] });
+    if (!bericht.zusammenhaengend) {
+        probleme.push(`${bericht.komponenten} getrennte Bereiche`);
+    }
+    if (bericht.spawnAbstand < 0) {
+        probleme.push('Spawns sind nicht verbunden');
+        problemFelder.push(spawns.gast);
+    } else if (bericht.spawnAbstand === 0) {
+        probleme.push('Host und Gast spawnen auf demselben Feld');
+        problemFelder.push(spawns.gast);
+    }
+
+    // Jedes Pickup muss vom Host-Spawn erreichbar sein
+    const distanzen = berechneDistanzen(raster, spawns.host);
+    const unerreichbar = pickups.filter(p => distanzen[p.y][p.x] < 0);
+    if (unerreichbar.length > 0) {
+        probleme.push(`${unerreichbar.length} Pickup(s) nicht erreichbar`);
+        problemFelder.push(...unerreichbar);
+    }
+    // Abgeschnittene Gänge ebenfalls markieren
+    if (!bericht.zusammenhaengend) {
+        raster.forEach((zeile, y) => zeile.forEach((feld, x) => {
+            if (feld === 0 && distanzen[y][x] < 0) problemFelder.push({ x, y });
+        }));
+    }
+    return probleme;
+}
+
+/**
+ * Prüft und zeigt das Ergebnis an.
+ * @returns {object|null} Die Karte, falls gültig
+ */
+function pruefeUndMelde() {
+    const probleme = pruefeKarteImEditor();
+    zeichne();
+    if (probleme.length > 0) {
+        meldeStatus(`Nicht spielbar: ${probleme.join(', ')}`, true);
+        return null;
+    }
+    meldeStatus('Karte ist spielbar ✔');
+    return baueKarte();
+}
+
+/**
+ * Speichert die Karte als JSON-Datei (nur wenn die Prüfung besteht).
+ */
+function speichern() {
+    const karte = pruefeUndMelde();
+    if (!karte) return;
+
+    const blob = new Blob([karteZuJSON(karte)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${karte.name.replace(/[^\w\-äöüÄÖÜß]+/g, '_')}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    meldeStatus(`Gespeichert: ${link.download}`);
+    console.log(`[Editor] Karte "${karte.name}" gespeichert`);
+}
+
+/**
+ * Übergibt die Karte an den Host-Modus (wie eine importierte Datei).
+ */
+function uebernehmen() {
+    const karte = pruefeUndMelde();
+    if (!karte) return;
+    if (callbacks.onKarteUebernehmen) callbacks.onKarteUebernehmen(karte);
+    schliesseEditor();
+}
+
+function meldeStatus(text, fehler = false) {
+    if (!elemente.status) return;
+    elemente.status.textContent = text;
+    elemente.status.classList.toggle('fehler', fehler);
+}
+
+// ═══════════════════════════════════════════════════════════
+// 2D-RASTER ZEICHNEN
+// ═══════════════════════════════════════════════════════════
+
+function passeZeichenflaecheAn() {
+    zellPixel = Math.max(8, Math.floor(RASTER_PIXEL / Math.max(raster.length, raster[0].length)));
+    elemente.canvas.width = raster[0].length * zellPixel;
+    elemente.canvas.height = raster.length * zellPixel;
+}
+
+function feldUnterMaus(e) {
+    const rect = elemente.canvas.getBoundingClientRect();
+    const x = Math.floor((e.clientX - rect.left) / rect.width * raster[0].length);
+    const y = Math.floor((e.clientY - rect.top) / rect.height * raster.length);
+    if (y < 0 || y >= raster.length || x < 0 || x >= raster[0].length) return null;
+    return { x, y };
+}
+
+function zeichne() {
+    const ctx = elemente.canvas.getContext('2d');
+    const z = zellPixel;
+    const mitte = (p) => [p.x * z + z / 2, p.y * z + z / 2];
+
+    // Raster
+    for (let y = 0; y < raster.length; y++) {
+        for (let x = 0; x < raster[y].length; x++) {
+            ctx.fillStyle = FELD_FARBEN[raster[y][x]];
+            ctx.fillRect(x * z, y * z, z, z);
+        }
+    }
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.05)';
+    for (let i = 0; i <= raster[0].length; i++) ctx.strokeRect(i * z, 0, 0, raster.length * z);
+    for (let i = 0; i <= raster.length; i++) ctx.strokeRect(0, i * z, raster[0].length * z, 0);
+
+    // Minenfreie Zonen
+    ctx.fillStyle = 'rgba(68, 136, 255, 0.35)';
+    zonen.forEach(f => ctx.fillRect(f.x * z, f.y * z, z, z));
+
+    // Fackeln: kleiner Keil Richtung Wand
+    ctx.fillStyle = '#ffaa44';
+    fackeln.forEach(f => {
+        const [mx, my] = mitte(f);
+        ctx.beginPath();
+        ctx.arc(mx + f.dx * z * 0.35, my + f.dz * z * 0.35, z * 0.12, 0, Math.PI * 2);
+        ctx.fill();
+    });
+
+    // Teleporter im Erdgeschoss: Ring je Pad, Partner gestrichelt verbunden
+    teleporter.forEach(t => {
+        ctx.strokeStyle = t.einweg ? '#ff44ff' : '#00ffff';
+        const pads = [t.von, t.nach].filter(p => p.etage === 0);
+        if (pads.length === 2) {
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.moveTo(...mitte(t.von));
+            ctx.lineTo(...mitte(t.nach));
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+        pads.forEach(p => {
+            const [mx, my] = mitte(p);
+            ctx.beginPath();
+            ctx.arc(mx, my, z * 0.3, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+    });
+
+    // Pickups
+    pickups.forEach(p => {
+        const [mx, my] = mitte(p);
+        ctx.fillStyle = PICKUP_FARBEN[p.typ];
+        ctx.fillRect(mx - z * 0.2, my - z * 0.2, z * 0.4, z * 0.4);
+    });
+
+    // Spawns
+    ctx.font = `bold ${Math.floor(z * 0.5)}px monospace`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    [['host', '#44ff44', 'H'], ['gast', '#ff4444', 'G']].forEach(([rolle, farbe, buchstabe]) => {
+        const [mx, my] = mitte(spawns[rolle]);
+        ctx.fillStyle = farbe;
+        ctx.beginPath();
+        ctx.arc(mx, my, z * 0.38, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = '#000';
+        ctx.fillText(buchstabe, mx, my + 1);
+    });
+
+    // Probleme der letzten Prüfung
+    ctx.strokeStyle = '#ff4444';
+    ctx.lineWidth = 2;
+    problemFelder.forEach(f => ctx.strokeRect(f.x * z + 1, f.y * z + 1, z - 2, z - 2));
+    ctx.lineWidth = 1;
+}
+
+// ═══════════════════════════════════════════════════════════
+// 3D-VORSCHAU
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Baut die 3D-Vorschau neu auf (Kamera auf Augenhöhe am Host-Spawn).
+ */
+function aktualisiereVorschau() {
+    if (!elemente.vorschau) return;
+
+    if (!vorschauRenderer) {
+        vorschauRenderer = new THREE.WebGLRenderer({ canvas: elemente.vorschau, antialias: false });
+        vorschauRenderer.setSize(elemente.vorschau.clientWidth, elemente.vorschau.clientHeight, false);
+        vorschauKamera = new THREE.PerspectiveCamera(75, elemente.vorschau.clientWidth / elemente.vorschau.clientHeight, 0.1, 50);
+    }
+
+    if (vorschauScene) gebeSzeneFrei(vorschauScene);
+    vorschauScene = new THREE.Scene();
+    vorschauScene.background = new THREE.Color(0x05050a);
+    vorschauScene.fog = new THREE.Fog(0x05050a, 1, 15);
+    vorschauScene.add(new THREE.AmbientLight(0x404060, 0.6));
+
+    // Gleiche Bausteine wie im Spiel (Lambert spart Leistung),
+    // Texturen aus dem Karten-Seed wie beim Spielstart
+    setSeed(kartenSeed);
+    const welt = obereEtagen.length > 0 ? karteZuWelt(baueKarte()) : null;
+    buildMazeGeometry(vorschauScene, welt ? welt.etagen[0] : raster, true, welt);
+    addWallLights(vorschauScene, raster, fackeln, welt);
+
+    vorschauKamera.position.set(spawns.host.x * WAND_GROESSE, AUGEN_HOEHE, spawns.host.y * WAND_GROESSE);
+
+    if (!vorschauAktiv) {
+        vorschauAktiv = true;
+        let letzteZeit = performance.now();
+        const schleife = (jetzt) => {
+            if (!vorschauAktiv) return;
+            if (vorschauZiehen === null) vorschauGier += VORSCHAU_DREHUNG * (jetzt - letzteZeit) / 1000;
+            letzteZeit = jetzt;
+            vorschauKamera.rotation.set(0, vorschauGier, 0, 'YXZ');
+            updateFackeln(jetzt / 1000);
+            vorschauRenderer.render(vorschauScene, vorschauKamera);
+            requestAnimationFrame(schleife);
+        };
+        requestAnimationFrame(schleife);
+    }
+}
+
+/**
+ * Gibt Geometrien und Materialien einer alten Vorschau-Szene frei.
+ * Geteilte Fackel-Ressourcen bleiben erhalten (werden wiederverwendet).
+ */
+function gebeSzeneFrei(scene) {
+    const etagenGruppen = scene.children.filter(obj => obj.name.startsWith('wallGroup'));
+    etagenGruppen.forEach(gruppe => gruppe.traverse(obj => {
+        if (obj.isMesh) {
+            obj.geometry?.dispose();
+            const materialien = Array.isArray(obj.material) ? obj.material : [obj.material];
+            materialien.forEach(m => {
+                m?.map?.dispose();
+                m?.dispose();
+            });
+        }
+    }));
+}
@@ -7,28 +7,45 @@
  * 
  * Ablauf:
  *   1. Startbildschirm → Lobby (Raum erstellen/beitreten)
- *   2. Labyrinth mit Seed generieren
+ *   2. Karte erzeugen (Seed) oder laden (Datei/Karten-Code)
  *   3. Three.js initialisieren
- *   4. Auf Gegner warten / Spiel starten
+ *   4. Auf Mitspieler warten / Spiel starten (weitere steigen laufend ein,
+ *      ist der Raum voll, als Zuschauer)
  *   5. Game-Loop
  * ============================================================
  */
 
 import {
-    generateMaze,
     buildMazeGeometry,
-    findeFreiePosition,
     generiereZufallsSeed,
-    istWand,
+    FELD,
     addWallLights,
     updateFackeln,
     WAND_HOEHE,
-    WAND_GROESSE
+    WAND_GROESSE,
+    MAZE_ALGORITHMEN,
+    STANDARD_ALGORITHMUS,
+    RAUM_GROESSEN,
+    SYMMETRIE_MODI,
+    STANDARD_SYMMETRIE
 } from './maze-generator.js';
-import { initInput, getLookDelta, bewegeSpieler, verbrauchSchuss, wurdeMinePlatziert, getMovementVector } from './input-handler.js';
-import { initRenderer, updateKameraRotation, getGierWinkel, updateSpielerLicht, prepareRenderer, renderFrame, getKamera, getScene, getRenderer, AUGEN_HOEHE, erzeugePickupModel, entfernePickupModel, initPickupPools, erzeugeScharfeMineModel } from './renderer.js';
-import { initCombat, warmupCombat, schiessen, updateCombat, registriereZiel, entferneZiel, entferneAlleZiele, empfangeSchaden, healPlayer, updateLebenAnzeige, resetLeben, addMunition, updateMunitionAnzeige, resetMunition, getMunition, MAX_MUNITION, triggereSchussVisuals, getLeben, MAX_LEBEN, addMine, hasMine, nutzeMine, SCHADEN_MINE, setOnTodCallback, getMinen } from './combat.js';
-import { NetworkManager } from './network-manager.js';
+import { setSeed } from './maze-core.js';
+import { erzeugeKarte, pruefeKarte, karteZuWelt, karteZuRaster, kartenSpawnFuerPlatz, kartenPickups, karteZuJSON, kodiereKartenCode, leseKarte, istMinenfreieZone } from './map-format.js';
+import { analysiereSeed } from './maze-analysis.js';
+import { initInput, getLookDelta, bewegeSpieler, verbrauchSchuss, wurdeMinePlatziert, getMovementVector, getFussHoehe, setzeFussHoehe } from './input-handler.js';
+import { initRenderer, updateKameraRotation, getGierWinkel, updateSpielerLicht, prepareRenderer, renderFrame, getKamera, getScene, getRenderer, AUGEN_HOEHE, erzeugePickupModel, entfernePickupModel, initPickupPools, erzeugeScharfeMineModel, erzeugeTeleporterModel } from './renderer.js';
+import { initCombat, warmupCombat, schiessen, updateCombat, registriereZiel, entferneZiel, entferneAlleZiele, empfangeSchaden, setzeLeben, healPlayer, updateLebenAnzeige, resetLeben, addMunition, updateMunitionAnzeige, resetMunition, getMunition, setzeMunition, MAX_MUNITION, START_MUNITION, triggereSchussVisuals, getLeben, MAX_LEBEN, addMine, hasMine, nutzeMine, SCHADEN_MINE, setOnTodCallback, getMinen, setzeMinen } from './combat.js';
+import { setzeFeld, zaehleRisswandTreffer, tuerFelder, updateSonderfelder, starteWandwechsel, wanderwaendeUnterwegs, FELD_FARBEN } from './maze-tiles.js';
+import { etageBei, feldInWelt, istBlockiert, findeFreiePositionInWelt, MAX_ETAGEN, ETAGEN_HOEHE } from './maze-floors.js';
+import { teleporterZiel } from './maze-teleporter.js';
+import { berechneWanderwaende, waehleWanderSchritt, erzeugeWanderZufall, wanderGruppe, WANDER_INTERVALL, WANDER_STREUUNG } from './maze-shifting.js';
+import { NetworkManager, MAX_SPIELER } from './network-manager.js';
+import { TRANSPORTE, STANDARD_TRANSPORT, RELAY_PORT, erzeugeTransport, ladeRaumListe } from './net-transport.js';
+import { erzeugeSimulator, leseSimulatorParameter, simulatorWerte, setzeSimulatorWert, simulatorAktiv, SIM_FELDER } from './net-simulator.js';
+import { NACHRICHTEN_TYPEN, MAX_NAME } from './net-protocol.js';
+import { pruefeSchussPlausibel, wiederholeSchuss, rueckspulZeit, pruefeRisswandTreffer, STANDARD_RUECKSPULEN } from './hit-validation.js';
+import { merkePosition, positionZurZeit, erzeugeSnapshotPuffer, fuegeSnapshotEin, tastePufferAb, INTERPOLATIONS_VERZUG } from './position-history.js';
+import { initEditor, oeffneEditor } from './level-editor.js';
 
 // ── Spiel-Einstellungen ─────────────────────────────────────
 const LABYRINTH_BREITE = 8;   // Zellen (Gesamtraster wird 2*8+1 = 17)
@@ -36,29 +53,76 @@ const LABYRINTH_HOEHE = 8;
 const MAX_PICKUPS_ON_GROUND = 8; // Maximal 8 Munitionspacks (40 Schuss) auf dem Boden
 const MAX_TOTAL_MINES_ON_MAP = 4; // Maximal 4 Minen-Pickups gleichzeitig
 const RESPAWN_INTERVAL = 5;      // Alle 5 Sekunden prüfen
+const MAX_RAEUME = 6;            // Obergrenze für Räume & Arenen pro Labyrinth
+const MAX_SEED_VERSUCHE = 25;    // So oft wird bei unfairen Startbedingungen neu gewürfelt
+const LETZTE_KARTE_KEY = 'labyrinth-letzte-karte'; // localStorage: zuletzt gespielte Karte
+const SPIELER_NAME_KEY = 'labyrinth-spieler-name'; // localStorage: Name in der Raumliste
+const TUER_RADIUS = 3.0;         // Abstand (Welt), ab dem sich Türen öffnen
+const PICKUP_HOEHE = 1.0;        // Höhenunterschied, bis zu dem Pickups/Minen erreichbar sind
+const TELEPORTER_VERZOEGERUNG = 0.5; // Sekunden auf dem Pad, bis der Sprung auslöst
+const TELEPORTER_COOLDOWN = 2.0;     // Sekunden nach einem Sprung, bis wieder teleportiert wird
 
 // ── Spawn-Wahrscheinlichkeiten (unabhängig voneinander) ──
 const SPAWN_CHANCE_MINE = 1;  // 5%  - Selten, strategisch
 const SPAWN_CHANCE_HEALTH = 0.15;  // 15% - Gelegentlich
 // Wenn keines greift → AMMO (Fallback)
+const HEILUNG_PICKUP = 25;         // Lebenspunkte je HEALTH-Pickup
+const MUNITION_PICKUP = 5;         // Schuss je AMMO-Pickup
+const MINEN_MELDE_RADIUS = 2.0;    // Host: so nah muss ein Gast an der gemeldeten Mine sein
+const MINEN_ABLAGE = 1.5;          // Eine Mine landet so weit vor bzw. hinter dem Spieler
+const MINEN_ABLAGE_SPIELRAUM = 1.0; // Host: Zuschlag auf MINEN_ABLAGE (Positionen laufen nach)
+const SNAPSHOT_SPERRE = 2000;      // ms zwischen zwei Abgleich-Anfragen eines Gasts
 
 // ── Globaler Spielzustand ───────────────────────────────────
 let labyrinth = null;
+let welt = null;           // Alle Etagen (welt.etagen[0] === labyrinth)
 let netzwerk = null;
-let gegnerMesh = null;
 let uhr = null; // THREE.Clock für DeltaZeit
 let spielGestartet = false;
 let spielSeed = 0;
+let rundenNummer = 0;      // Runden der Partie (Gast übernimmt sie aus dem Spielstand des Hosts)
+let labyrinthEinstellungen = { algorithmus: STANDARD_ALGORITHMUS }; // Generator-Einstellungen (Host)
+let aktiveKarte = null;    // Beschreibung der laufenden Runde (reist zum Gast)
+let geladeneKarte = null;  // Importierte Karte, ersetzt den Zufalls-Seed (nur Host)
 let letzterRespawnZeit = 0;
-let rundeAktiv = true; // false wenn jemand besiegt wurde
+let rundeAktiv = true; // false sobald die Runde entschieden ist (höchstens einer übrig)
 let pickups = []; // Liste der verfügbaren Pickups (früher munitionPickups)
 let aktiveMinen = []; // Liste der scharfen Minen: {id, pos, model, ownerId}
 let neustartTimer = null; // Globaler Timer für Neustart-Countdown
 let minenRadarTimer = 0; // Timer für Minen-Hilfe auf Minimap
-let gegnerMinenInventar = 0; // Minen im Gegner-Inventar (Host zählt mit)
-
-// Radar-Ping System (Gegner auf Minimap)
-let gegnerRadarPos = null;      // Die zuletzt "gepinnte" Position
+let wartenderSnapshot = null; // Spielstand, der vor dem eigenen Spielstart ankam (Gast)
+let letzteSnapshotAnfrage = -Infinity; // performance.now() der letzten Abgleich-Anfrage (Gast)
+
+// ── Mitspieler ──────────────────────────────────────────────
+// Peer-ID → {mesh, punkte, minenInventar & munition (alle zählen mit), sprung, radarPos, lebt,
+//            leben (Host bucht, alle spiegeln), pos (letzte gemeldete Fußposition), letzterSchuss (Host),
+//            verlauf (Positionen der letzten Sekunde in Host-Zeit, für den Lag-Ausgleich),
+//            puffer (Snapshots in Sendezeit, daraus wird das Mesh jeden Frame gesetzt)}
+const mitspieler = new Map();
+const eigenerVerlauf = [];       // Host: eigene Positionen als Ziel für zurückgespulte Schüsse
+let maxRueckspulen = STANDARD_RUECKSPULEN; // Host: Deckel für den Lag-Ausgleich in ms (Lobby, Nachfolger: Spielerliste)
+const SPIELER_FARBEN = [0xff3333, 0x3399ff, 0xffcc33, 0xcc44ff, 0x33ffcc, 0xff8833, 0xff66cc, 0xaaaaaa]; // Je Startplatz
+
+// Zuschauer (Raum war voll): keine eigene Spielfigur, Kamera fliegt frei oder folgt einem Spieler
+let zuschauerModus = false;
+let zuschauerZiel = null;        // Peer-ID des verfolgten Spielers (null = freier Flug)
+const ZUSCHAUER_SPEED = 8.0;     // Einheiten pro Sekunde im freien Flug
+const VERFOLGER_ABSTAND = 3.5;   // Kamera hinter dem verfolgten Spieler (Wände holen sie näher)
+const VERFOLGER_HOEHE = 2.4;     // Kamera über seinen Füßen (Decke liegt bei 4.0)
+
+// Teleporter
+let teleporterModelle = [];      // Pad-Modelle der laufenden Runde
+let teleporterAufPadSeit = null; // Spielzeit, seit der wir auf einem Eingang stehen
+let teleporterGesperrt = false;  // Nach Ankunft erst weiter, wenn das Pad verlassen wurde
+let teleporterBereitAb = 0;      // Spielzeit, ab der wieder teleportiert wird
+
+// Wandernde Wände (Takt nur beim Host)
+let wanderwaende = [];           // Plan der Runde (leer = Modus aus)
+let wanderZufall = null;         // Seeded PRNG für Takt und Auswahl
+let naechsterWandwechsel = null; // Spielzeit des nächsten Wechsels (null = beim nächsten Frame planen)
+let wanderStand = [];            // Je Wanderwand: seit Rundenstart umgesetzt? (für Beitritte)
+
+// Radar-Ping System (Gegner auf Minimap, Position je Mitspieler in radarPos)
 let letzterRadarPingZeit = 0;   // Zeit des letzten Pings
 const RADAR_INTERVALL = 5.0;    // Alle 5 Sekunden ein Update
 
@@ -69,8 +133,7 @@ let letztesPickupUpdate = 0;
 const PICKUP_FPS = 10;  // 10 Mal pro Sekunde prüfen reicht
 
 // ── Score-System ────────────────────────────────────────────
-let eigenePunkte = 0;
-let gegnerPunkte = 0;
+let eigenePunkte = 0; // Gewonnene Runden, die der Mitspieler stehen in mitspieler
 
 // ── Minimap ─────────────────────────────────────────────────
 const MINIMAP_ZELLGROESSE = 5;
@@ -78,9 +141,12 @@ let minimapCanvas = null;
 let minimapCtx = null;
 let minimapBackgroundCanvas = null; // NEU: Cache für statischen Hintergrund
 let minimapBackgroundCtx = null;
+let minimapEtage = 0;               // Etage, die gerade im Cache steht
 
 // Pool für häufig genutzte Objekte (Performance)
 const bodenPosTemp = new THREE.Vector3();
+const flugVorneTemp = new THREE.Vector3();
+const flugRechtsTemp = new THREE.Vector3();
 
 /**
  * Initialisiert die Grundsysteme (Three.js etc.) OHNE Labyrinth.
@@ -100,11 +166,14 @@ function initSzene() {
 
 /**
  * Baut das Labyrinth auf und startet das Spiel.
- * @param {number} seed - Der Labyrinth-Seed
+ * @param {object} karte - Geprüfte Karten-Beschreibung (map-format.js)
  * @param {boolean} istHost - Ob dieser Spieler der Host ist
  */
-function starteSpielMitSeed(seed, istHost) {
-    spielSeed = seed;
+function starteSpielMitKarte(karte, istHost) {
+    aktiveKarte = karte;
+    spielSeed = karte.seed;
+    rundenNummer++;
+    speichereLetzteKarte(karte);
     const scene = getScene();
     const kamera = getKamera();
 
@@ -115,27 +184,47 @@ function starteSpielMitSeed(seed, istHost) {
     pickups = [];
 
     const useLambert = document.getElementById('high-perf-mode')?.checked || false;
-    labyrinth = generateMaze(LABYRINTH_BREITE, LABYRINTH_HOEHE, seed);
-    buildMazeGeometry(scene, labyrinth, useLambert);
+    welt = karteZuWelt(karte);
+    labyrinth = welt.etagen[0];
+    // Wanderwände: beide Seiten wählen sie gleich aus Raster und Seed
+    wanderwaende = karte.einstellungen?.wanderwaende
+        ? berechneWanderwaende(labyrinth, karte.seed, karte.einstellungen.symmetrie, belegteFelder(karte))
+        : [];
+    wanderZufall = erzeugeWanderZufall(karte.seed);
+    naechsterWandwechsel = null;
+    wanderStand = wanderwaende.map(() => false);
+
+    // Texturen aus dem Karten-Seed, damit beide Spieler die gleichen Wände sehen
+    setSeed(karte.seed);
+    buildMazeGeometry(scene, labyrinth, useLambert, welt, wanderwaende);
 
     // Wandbeleuchtung hinzufügen
-    addWallLights(scene, labyrinth);
+    addWallLights(scene, labyrinth, karte.fackeln, welt);
 
     // Munitionspacks spawnen
-    spawnInitialPickups(seed);
+    spawnInitialPickups(karte);
+
+    // Teleporter-Pads aufstellen
+    baueTeleporter(scene, karte);
 
     // Shader Pre-compilation (verhindert Ruckler beim Loslaufen)
     prepareRenderer(scene, kamera);
 
-    // Spieler spawnen – Dynamisch basierend auf Seed
-    const startShift = seed % 1000;
-    const hostIndex = startShift;
-    const guestIndex = startShift + Math.floor(LABYRINTH_BREITE * LABYRINTH_HOEHE * 0.4);
-
-    const spawnIndex = istHost ? hostIndex : guestIndex;
-    const spawnPos = findeFreiePosition(labyrinth, spawnIndex);
-    kamera.position.set(spawnPos.x, AUGEN_HOEHE, spawnPos.z);
-    console.log(`[Spiel] Spieler gespawnt bei: (${spawnPos.x.toFixed(1)}, ${spawnPos.z.toFixed(1)})`);
+    // Spieler spawnen – Host und erster Gast auf den Spawns der Karte, weitere verteilt
+    // (nach einem Hostwechsel behält der neue Host seinen Platz). Zuschauer spawnen nicht.
+    zuschauerModus = netzwerk.istZuschauer();
+    document.body.classList.toggle('zuschauer', zuschauerModus);
+    if (zuschauerModus) {
+        starteZuschauerAnsicht(karte);
+    } else {
+        const eigenerPlatz = netzwerk.platzVon();
+        const platz = eigenerPlatz >= 0 ? eigenerPlatz : (istHost ? 0 : 1);
+        const spawnPos = kartenSpawnFuerPlatz(karte, platz);
+        setzeFussHoehe(0); // Spawns liegen immer im Erdgeschoss
+        kamera.position.set(spawnPos.x, AUGEN_HOEHE, spawnPos.z);
+        console.log(`[Spiel] Spieler gespawnt auf Platz ${platz} bei: (${spawnPos.x.toFixed(1)}, ${spawnPos.z.toFixed(1)})`);
+    }
+    updateZuschauerAnzeige();
 
     // Munition zurücksetzen
     resetMunition();
@@ -153,7 +242,7 @@ function starteSpielMitSeed(seed, istHost) {
     // UI-Rolle setzen
     const roleEl = document.getElementById('role-indicator');
     if (roleEl) {
-        roleEl.textContent = istHost ? 'HOST' : 'GAST';
+        roleEl.textContent = zuschauerModus ? 'ZUSCHAUER' : (istHost ? 'HOST' : 'GAST');
     }
 
     // Touch-Steuerung auf Mobile anzeigen
@@ -164,13 +253,16 @@ function starteSpielMitSeed(seed, istHost) {
     // Hinweis: PointerLock wird erst durch User-Interaktion (Klick) aktiviert
     // um WrongDocumentError zu vermeiden.
 
-    // Positions-Updates starten
-    netzwerk.startePositionsUpdates();
+    // Positions-Updates starten (Zuschauer senden keine)
+    if (!zuschauerModus) {
+        netzwerk.startePositionsUpdates();
 
-    // Initiale Position sofort einmal erzwingen
-    const bodenPos = new THREE.Vector3(kamera.position.x, 0, kamera.position.z);
-    netzwerk.sendPlayerPosition(bodenPos, kamera.rotation);
-    netzwerk.pusheAktuellePosition();
+        // Initiale Position sofort einmal erzwingen (als Sprung, der Gegner gleitet nicht zum Spawn)
+        const bodenPos = new THREE.Vector3(kamera.position.x, getFussHoehe(), kamera.position.z);
+        netzwerk.meldeSprung();
+        netzwerk.sendPlayerPosition(bodenPos, kamera.rotation);
+        netzwerk.pusheAktuellePosition();
+    }
 
     spielGestartet = true;
 
@@ -181,23 +273,28 @@ function starteSpielMitSeed(seed, istHost) {
 }
 
 /**
- * Erstellt das Gegner-Mesh wenn ein Spieler beitritt.
+ * Nimmt einen Mitspieler auf und erstellt sein Mesh (Farbe nach Startplatz).
+ * Ist er schon bekannt, wird nur das Mesh ersetzt, die Punkte bleiben.
+ * @param {string} id - Peer-ID
  */
-function erstelleGegnerMesh() {
+function erstelleSpielerMesh(id) {
     const scene = getScene();
+    const alt = mitspieler.get(id);
 
-    if (gegnerMesh) {
-        scene.remove(gegnerMesh);
+    if (alt) {
+        scene.remove(alt.mesh);
+        entferneZiel(alt.mesh);
     }
 
-    // Körper (rot)
+    // Körper (Spielerfarbe)
+    const platz = Math.max(0, netzwerk.platzVon(id));
     const koerperGeometrie = new THREE.BoxGeometry(0.6, 1.6, 0.4);
     koerperGeometrie.translate(0, 0.8, 0); // Ursprung an die Füße verschieben
-    const koerperMaterial = new THREE.MeshLambertMaterial({ color: 0xff3333 });
+    const koerperMaterial = new THREE.MeshLambertMaterial({ color: SPIELER_FARBEN[platz % SPIELER_FARBEN.length] });
     const koerper = new THREE.Mesh(koerperGeometrie, koerperMaterial);
     koerper.name = 'body'; // Für Treffererkennung
-    gegnerMesh = new THREE.Group(); // Verwende Group statt Mesh für komplexe Ziele
-    gegnerMesh.add(koerper);
+    const mesh = new THREE.Group(); // Verwende Group statt Mesh für komplexe Ziele
+    mesh.add(koerper);
 
     // Kopf
     const kopfGeometrie = new THREE.BoxGeometry(0.4, 0.4, 0.4);
@@ -205,21 +302,21 @@ function erstelleGegnerMesh() {
     const kopf = new THREE.Mesh(kopfGeometrie, kopfMaterial);
     kopf.name = 'head'; // Für Headshots (doppelter Schaden)
     kopf.position.y = 1.8; // Kopf oben auf den Körper setzen
-    gegnerMesh.add(kopf);
+    mesh.add(kopf);
 
     // NEU: Visier (vorne am Kopf)
     const visierGeometrie = new THREE.BoxGeometry(0.3, 0.05, 0.05);
     const visierMaterial = new THREE.MeshBasicMaterial({ color: 0x00ffff }); // Leuchtendes Cyan
     const visier = new THREE.Mesh(visierGeometrie, visierMaterial);
     visier.position.set(0, 1.85, -0.2); // Vorne am Kopf positionieren
-    gegnerMesh.add(visier);
+    mesh.add(visier);
 
     // NEU: Rucksack (hinten am Körper)
     const rucksackGeometrie = new THREE.BoxGeometry(0.4, 0.8, 0.15);
     const rucksackMaterial = new THREE.MeshLambertMaterial({ color: 0x444444 });
     const rucksack = new THREE.Mesh(rucksackGeometrie, rucksackMaterial);
     rucksack.position.set(0, 1.1, 0.25); // Hinten am Körper positionieren
-    gegnerMesh.add(rucksack);
+    mesh.add(rucksack);
 
     // NEU: Waffe (rechts am Körper, nach vorne zeigend)
     const waffeGeometrie = new THREE.BoxGeometry(0.1, 0.1, 0.5);
@@ -227,42 +324,46 @@ function erstelleGegnerMesh() {
     const waffe = new THREE.Mesh(waffeGeometrie, waffeMaterial);
     waffe.name = 'weapon'; // Name hinzugefügt für einfache Suche
     waffe.position.set(0.35, 1.1, -0.3); // Rechts vorne positionieren
-    gegnerMesh.add(waffe);
+    mesh.add(waffe);
 
     // Startposition (wird durch Netzwerk sofort überschrieben)
-    gegnerMesh.position.set(0, 0, 0);
-    gegnerMesh.visible = false;
+    mesh.position.set(0, 0, 0);
+    mesh.visible = false;
 
     // Als Ziel für Raycasting registrieren
-    gegnerMesh.userData.spielerId = 'gegner'; // Wichtig für Trefferauswertung!
-    registriereZiel(gegnerMesh);
-    scene.add(gegnerMesh);
+    mesh.userData.spielerId = id; // Wichtig für Trefferauswertung!
+    registriereZiel(mesh);
+    scene.add(mesh);
+
+    mitspieler.set(id, {
+        mesh: mesh,
+        punkte: alt ? alt.punkte : 0,
+        minenInventar: alt ? alt.minenInventar : 0,
+        munition: START_MUNITION,
+        sprung: null,   // Letzter Sprungzähler (Spawn/Teleporter → sofort umsetzen)
+        radarPos: null, // Die zuletzt "gepinnte" Position
+        lebt: true,
+        leben: MAX_LEBEN,
+        pos: null,           // Ungeglättet, für die Trefferprüfung des Hosts
+        letzterSchuss: null, // Zeitstempel des letzten anerkannten Schusses
+        verlauf: [],
+        puffer: erzeugeSnapshotPuffer()
+    });
+    updateScoreAnzeige();
 
-    console.log('[Spiel] Gegner-Mesh erstellt');
+    console.log(`[Spiel] Mesh für Mitspieler ${id} erstellt (Platz ${platz})`);
 }
 
 /**
- * Spawnt initiale Pickups im Labyrinth basierend auf dem Seed.
- * @param {number} seed 
+ * Spawnt die Start-Pickups der Karte.
+ * @param {object} karte - Karten-Beschreibung
  */
-function spawnInitialPickups(seed) {
-    // Einfacher Zufallsgenerator basierend auf Seed
-    let random = seed;
-    const seededRandom = () => {
-        random = (random * 16807) % 2147483647;
-        return (random - 1) / 2147483646;
-    };
-
-    const anzahl = 8;
-    for (let i = 0; i < anzahl; i++) {
-        // Mix aus Items für den Start: 5x Ammo, 2x Health, 1x Mine
-        let typ = 'AMMO';
-        if (i === 5 || i === 6) typ = 'HEALTH';
-        if (i === 7) typ = 'MINE';
-
-        spawnEinzelnesPickup(typ, seededRandom, `pickup_init_${i}`, false);
+function spawnInitialPickups(karte) {
+    const startPickups = kartenPickups(karte);
+    for (const p of startPickups) {
+        spawnEinzelnesPickup(p.typ, Math.random, p.id, false, p.pos);
     }
-    console.log(`[Spiel] ${anzahl} Initial-Pickups gespawnt. Array-Länge: ${pickups.length}`);
+    console.log(`[Spiel] ${startPickups.length} Initial-Pickups gespawnt. Array-Länge: ${pickups.length}`);
 }
 
 /**
@@ -271,19 +372,20 @@ function spawnInitialPickups(seed) {
  * @param {function} randomFunc - Optionale Zufallsfunktion
  * @param {string} vorgabeId - Optionale ID
  * @param {boolean} sollSenden - Ob der Gast via Netzwerk informiert werden soll
+ * @param {{x: number, y?: number, z: number}|null} vorgabePos - Optionale feste Position (überspringt Zufall, y = Fußhöhe)
  */
-function spawnEinzelnesPickup(typ = 'AMMO', randomFunc = Math.random, vorgabeId = null, sollSenden = true) {
+function spawnEinzelnesPickup(typ = 'AMMO', randomFunc = Math.random, vorgabeId = null, sollSenden = true, vorgabePos = null) {
     const scene = getScene();
     if (!scene) return null;
 
-    const randIdx = Math.floor(randomFunc() * LABYRINTH_BREITE * LABYRINTH_HOEHE);
-    const pos = findeFreiePosition(labyrinth, randIdx);
+    // Zufällige Position auf irgendeiner Etage
+    const pos = vorgabePos || findeFreiePositionInWelt(welt, Math.floor(randomFunc() * LABYRINTH_BREITE * LABYRINTH_HOEHE * welt.etagen.length));
 
     // Eindeutige ID generieren
     const id = vorgabeId || `pickup_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
 
     const model = erzeugePickupModel(typ);
-    model.position.set(pos.x, 0.5, pos.z);
+    model.position.set(pos.x, (pos.y || 0) + 0.5, pos.z);
     // scene.add(model) entfällt, da bereits im Pool-Init geschehen
 
     // DEBUG: Modell-Status prüfen
@@ -315,7 +417,7 @@ export function spawnNetzwerkPickup(id, pos, typ = 'AMMO') {
     if (!scene) return;
 
     const model = erzeugePickupModel(typ);
-    model.position.set(pos.x, 0.5, pos.z);
+    model.position.set(pos.x, (pos.y || 0) + 0.5, pos.z);
     // scene.add(model) entfällt
 
     pickups.push({
@@ -331,7 +433,7 @@ export function spawnNetzwerkPickup(id, pos, typ = 'AMMO') {
  * Prüft auf Kollisionen mit Pickups.
  */
 function updatePickups() {
-    if (!spielGestartet || !rundeAktiv) return;
+    if (!spielGestartet || !rundeAktiv || zuschauerModus || getLeben() <= 0) return;
 
     const kamera = getKamera();
     const spielerPos = kamera.position;
@@ -341,9 +443,10 @@ function updatePickups() {
         const dx = spielerPos.x - p.pos.x;
         const dz = spielerPos.z - p.pos.z;
         const distSq = dx * dx + dz * dz;
+        const dy = getFussHoehe() - (p.pos.y || 0);
 
-        // Einsammel-Radius: 0.6 Einheiten (quadriert = 0.36)
-        if (distSq < 0.36) {
+        // Einsammel-Radius: 0.6 Einheiten (quadriert = 0.36), nur auf derselben Etage
+        if (distSq < 0.36 && Math.abs(dy) < PICKUP_HOEHE) {
             if (wendePickupEffektAn(p.typ)) {
                 console.log(`[Spiel] Pickup eingesammelt: ${p.typ} (${p.id})`);
 
@@ -364,13 +467,13 @@ function wendePickupEffektAn(typ) {
     switch (typ) {
         case 'AMMO':
             if (getMunition() < MAX_MUNITION) {
-                addMunition(5);
+                addMunition(MUNITION_PICKUP);
                 return true;
             }
             return false;
         case 'HEALTH':
             if (getLeben() < MAX_LEBEN) {
-                healPlayer(25);
+                healPlayer(HEILUNG_PICKUP);
                 return true;
             }
             return false;
@@ -397,16 +500,23 @@ export function entfernePickup(id) {
 }
 
 /**
- * Entfernt das Gegner-Mesh wenn ein Spieler das Spiel verlässt.
+ * Entfernt einen Mitspieler samt Mesh, wenn er das Spiel verlässt.
+ * Die Runde läuft für alle anderen weiter.
+ * @param {string} id - Peer-ID
  */
-function entferneGegnerMesh() {
-    if (gegnerMesh) {
-        const scene = getScene();
-        scene.remove(gegnerMesh);
-        entferneZiel('gegner');
-        gegnerMesh = null;
-        console.log('[Spiel] Gegner-Mesh entfernt');
-    }
+function entferneSpieler(id) {
+    const eintrag = mitspieler.get(id);
+    if (!eintrag) return;
+
+    const scene = getScene();
+    scene.remove(eintrag.mesh);
+    entferneZiel(eintrag.mesh);
+    mitspieler.delete(id);
+    updateScoreAnzeige();
+    console.log(`[Spiel] Mitspieler ${id} entfernt`);
+
+    // Wer auf das Rundenende wartet, soll nicht an einem Abgang hängen bleiben
+    pruefeRundenende();
 }
 
 // ═══════════════════════════════════════════════════════════
@@ -424,6 +534,144 @@ function initVersionUI() {
     }
 }
 
+/**
+ * Kopiert Text in die Zwischenablage (mit Fallback für nicht-HTTPS Umgebungen).
+ * @param {string} text
+ * @returns {Promise<boolean>} true wenn kopiert wurde
+ */
+async function kopiereInZwischenablage(text) {
+    if (navigator.clipboard && window.isSecureContext) {
+        await navigator.clipboard.writeText(text);
+        console.log('[Netzwerk] Code via Clipboard-API kopiert');
+        return true;
+    }
+
+    // FALLBACK: Veraltete Methode für file:// oder http:// ohne SSL
+    const textArea = document.createElement("textarea");
+    textArea.value = text;
+    textArea.style.position = "fixed"; // Versteckt ausführen
+    textArea.style.left = "-9999px";
+    textArea.style.top = "0";
+    document.body.appendChild(textArea);
+    textArea.focus();
+    textArea.select();
+    const erfolgreich = document.execCommand('copy');
+    document.body.removeChild(textArea);
+
+    if (erfolgreich) {
+        console.log('[Netzwerk] Code via Fallback kopiert');
+    }
+    return erfolgreich;
+}
+
+/**
+ * Import/Export von Karten auf dem Startbildschirm.
+ * Geladen wird per Datei oder eingefügtem Karten-Code/JSON; exportiert
+ * wird die geladene Karte, sonst die zuletzt gespielte.
+ */
+function initKartenVerwaltung() {
+    const codeInput = document.getElementById('karten-code-input');
+    const ladenButton = document.getElementById('karten-code-laden-btn');
+    const dateiButton = document.getElementById('karte-datei-btn');
+    const dateiInput = document.getElementById('karte-datei-input');
+    const exportButton = document.getElementById('karte-export-btn');
+    const kopierenButton = document.getElementById('karten-code-kopieren-btn');
+    const verwerfenButton = document.getElementById('karte-verwerfen-btn');
+    const status = document.getElementById('karten-status');
+    if (!status) return;
+
+    const zeigeStatus = (text, fehler = false) => {
+        status.textContent = text;
+        status.classList.toggle('fehler', fehler);
+    };
+
+    const uebernehme = (text) => {
+        try {
+            geladeneKarte = leseKarte(text);
+            zeigeStatus(`Geladen: ${geladeneKarte.name}`);
+            console.log(`[Karte] "${geladeneKarte.name}" geladen (Seed ${geladeneKarte.seed})`);
+        } catch (err) {
+            zeigeStatus(err.message, true);
+            console.warn('[Karte] Import fehlgeschlagen:', err.message);
+        }
+    };
+
+    // Geladene Karte, sonst zuletzt gespielte Karte
+    const exportKarte = () => {
+        if (geladeneKarte) return geladeneKarte;
+        try {
+            const gespeichert = localStorage.getItem(LETZTE_KARTE_KEY);
+            return gespeichert ? pruefeKarte(JSON.parse(gespeichert)) : null;
+        } catch (err) {
+            return null;
+        }
+    };
+
+    ladenButton.addEventListener('click', () => uebernehme(codeInput.value));
+    codeInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') uebernehme(codeInput.value);
+    });
+
+    dateiButton.addEventListener('click', () => dateiInput.click());
+    dateiInput.addEventListener('change', async () => {
+        const datei = dateiInput.files[0];
+        if (datei) uebernehme(await datei.text());
+        dateiInput.value = '';
+    });
+
+    exportButton.addEventListener('click', () => {
+        const karte = exportKarte();
+        if (!karte) {
+            zeigeStatus('Noch keine Karte gespielt', true);
+            return;
+        }
+        const blob = new Blob([karteZuJSON(karte)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `labyrinth-${karte.seed}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        zeigeStatus(`Exportiert: ${karte.name}`);
+    });
+
+    kopierenButton.addEventListener('click', async () => {
+        const karte = exportKarte();
+        if (!karte) {
+            zeigeStatus('Noch keine Karte gespielt', true);
+            return;
+        }
+        const code = kodiereKartenCode(karte);
+        codeInput.value = code;
+        try {
+            const kopiert = await kopiereInZwischenablage(code);
+            zeigeStatus(kopiert ? 'Karten-Code kopiert!' : 'Karten-Code oben (bitte manuell kopieren)');
+        } catch (err) {
+            zeigeStatus('Karten-Code oben (Fehler beim Kopieren)');
+        }
+    });
+
+    verwerfenButton.addEventListener('click', () => {
+        geladeneKarte = null;
+        codeInput.value = '';
+        zeigeStatus('Keine Karte geladen (Zufall)');
+    });
+}
+
+/**
+ * Zeigt in der Lobby an, ob eine geladene Karte den Generator ersetzt.
+ */
+function zeigeKartenWahlInLobby() {
+    const lobbyStatus = document.getElementById('lobby-status');
+    // Geladene Karte ersetzt die Generator-Einstellungen
+    document.querySelectorAll('.lobby-einstellung .lobby-select').forEach(el => {
+        el.disabled = !!geladeneKarte;
+    });
+    if (geladeneKarte && lobbyStatus) {
+        lobbyStatus.textContent = `Geladene Karte: ${geladeneKarte.name}`;
+        lobbyStatus.className = 'lobby-status';
+    }
+}
+
 /**
  * Initialisiert die gesamte Lobby-UI und Event-Handler.
  */
@@ -441,6 +689,112 @@ function initLobby() {
 
     // Netzwerk-Manager erstellen
     netzwerk = new NetworkManager();
+    initNetzSimulator();
+
+    // Karten laden/speichern (Startbildschirm)
+    initKartenVerwaltung();
+
+    // Karten-Editor neben der Lobby
+    initEditor({
+        onKarteUebernehmen: (karte) => {
+            geladeneKarte = karte;
+            console.log(`[Karte] "${karte.name}" aus dem Editor übernommen`);
+        },
+        onZurueck: () => {
+            lobbyScreen.style.display = 'flex';
+            zeigeKartenWahlInLobby();
+        }
+    });
+    document.getElementById('editor-oeffnen-btn')?.addEventListener('click', () => {
+        lobbyScreen.style.display = 'none';
+        oeffneEditor(geladeneKarte);
+    });
+
+    // Algorithmus-Auswahl aus der Registry befüllen
+    const algoAuswahl = document.getElementById('algorithmus-auswahl');
+    if (algoAuswahl) {
+        Object.entries(MAZE_ALGORITHMEN).forEach(([id, algo]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = algo.name;
+            option.selected = id === STANDARD_ALGORITHMUS;
+            algoAuswahl.appendChild(option);
+        });
+    }
+
+    // Raumgrößen-Auswahl befüllen
+    const groesseAuswahl = document.getElementById('raum-groesse-auswahl');
+    if (groesseAuswahl) {
+        Object.entries(RAUM_GROESSEN).forEach(([id, groesse]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = `${groesse.name} (${groesse.min}-${groesse.max})`;
+            option.selected = id === 'mittel';
+            groesseAuswahl.appendChild(option);
+        });
+    }
+
+    // Symmetrie-Auswahl befüllen
+    const symmetrieAuswahl = document.getElementById('symmetrie-auswahl');
+    if (symmetrieAuswahl) {
+        Object.entries(SYMMETRIE_MODI).forEach(([id, modus]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = modus.name;
+            option.selected = id === STANDARD_SYMMETRIE;
+            symmetrieAuswahl.appendChild(option);
+        });
+    }
+
+    // Spielerzahl befüllen (wer danach kommt, schaut zu)
+    const maxSpielerAuswahl = document.getElementById('max-spieler-auswahl');
+    if (maxSpielerAuswahl) {
+        for (let anzahl = 2; anzahl <= MAX_SPIELER; anzahl++) {
+            const option = document.createElement('option');
+            option.value = anzahl;
+            option.textContent = anzahl;
+            option.selected = anzahl === MAX_SPIELER;
+            maxSpielerAuswahl.appendChild(option);
+        }
+    }
+
+    // Verbindungsweg befüllen, Vorgabe auch per URL (?transport=websocket&server=ws://…)
+    const transportAuswahl = document.getElementById('transport-auswahl');
+    const serverInput = document.getElementById('relay-server-input');
+    const listenBereich = document.getElementById('raum-liste-bereich');
+    if (transportAuswahl) {
+        const parameter = new URLSearchParams(location.search);
+        const gewuenscht = Object.hasOwn(TRANSPORTE, parameter.get('transport')) ? parameter.get('transport') : STANDARD_TRANSPORT;
+        Object.entries(TRANSPORTE).forEach(([id, transport]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = transport.name;
+            option.selected = id === gewuenscht;
+            transportAuswahl.appendChild(option);
+        });
+        if (serverInput) {
+            serverInput.value = parameter.get('server') || '';
+            serverInput.placeholder = `ws://${location.hostname || 'localhost'}:${RELAY_PORT}`;
+            // Server-Adresse und Raumliste gibt es nur beim LAN-Server
+            const zeigeServer = () => {
+                const lan = transportAuswahl.value === 'websocket';
+                serverInput.style.display = lan ? 'block' : 'none';
+                if (listenBereich) listenBereich.style.display = lan ? 'block' : 'none';
+            };
+            transportAuswahl.addEventListener('change', zeigeServer);
+            zeigeServer();
+        }
+    }
+
+    // Name für die Raumliste merken
+    const nameInput = document.getElementById('spieler-name-input');
+    if (nameInput) {
+        nameInput.value = localStorage.getItem(SPIELER_NAME_KEY) || '';
+        nameInput.addEventListener('change', () => localStorage.setItem(SPIELER_NAME_KEY, nameInput.value.trim()));
+    }
+    document.getElementById('raum-liste-btn')?.addEventListener('click', () => {
+        zeigeRaumListe(codeInput, beitretenButton, lobbyStatus);
+    });
 
     // ── Fullscreen-Toggle Logik ─────────────────────────────
     const fsToggle = document.getElementById('fullscreen-toggle');
@@ -468,6 +822,7 @@ function initLobby() {
     startButton.addEventListener('click', () => {
         startScreen.style.display = 'none';
         lobbyScreen.style.display = 'flex';
+        zeigeKartenWahlInLobby();
         // Falls Toggle aktiviert, Fullscreen anfordern (falls nicht schon aktiv)
         if (document.getElementById('fullscreen-toggle').checked) {
             requestFullscreen();
@@ -486,18 +841,18 @@ function initLobby() {
             netzwerk.verbunden = false;
             // Dummy-Funktionen um Abstürze zu vermeiden
             netzwerk.sende = () => { };
-            netzwerk.sendHit = () => { };
             netzwerk.sendPlayerPosition = () => { };
             netzwerk.startePositionsUpdates = () => { };
-            netzwerk.sendeSeed = () => { };
+            netzwerk.sendeKarte = () => { };
 
-            spielSeed = generiereZufallsSeed();
+            labyrinthEinstellungen = leseLabyrinthEinstellungen();
+            const karte = naechsteKarte();
 
             // Szene initialisieren
             initSzene();
 
             // Spiel direkt starten
-            starteSpielMitSeed(spielSeed, true);
+            starteSpielMitKarte(karte, true);
             // Falls Toggle aktiviert, Fullscreen anfordern
             if (document.getElementById('fullscreen-toggle').checked) {
                 requestFullscreen();
@@ -514,35 +869,20 @@ function initLobby() {
         lobbyStatus.textContent = 'Raum wird erstellt...';
 
         try {
+            netzwerk.transport = leseTransport();
+            netzwerk.passwort = lesePasswort();
+            netzwerk.maxSpieler = leseMaxSpieler();
+            netzwerk.aushang = leseAushang();
             const code = await netzwerk.erstelleRaum();
             codeAnzeige.style.display = 'block';
             codeText.textContent = code;
 
             // In Zwischenablage kopieren (mit Fallback für nicht-HTTPS Umgebungen)
             try {
-                if (navigator.clipboard && window.isSecureContext) {
-                    await navigator.clipboard.writeText(code);
+                if (await kopiereInZwischenablage(code)) {
                     lobbyStatus.textContent = 'Raum erstellt & Code kopiert! 🎉';
-                    console.log('[Netzwerk] Code via Clipboard-API kopiert');
                 } else {
-                    // FALLBACK: Veraltete Methode für file:// oder http:// ohne SSL
-                    const textArea = document.createElement("textarea");
-                    textArea.value = code;
-                    textArea.style.position = "fixed"; // Versteckt ausführen
-                    textArea.style.left = "-9999px";
-                    textArea.style.top = "0";
-                    document.body.appendChild(textArea);
-                    textArea.focus();
-                    textArea.select();
-                    const erfolgreich = document.execCommand('copy');
-                    document.body.removeChild(textArea);
-
-                    if (erfolgreich) {
-                        lobbyStatus.textContent = 'Raum erstellt & Code kopiert! 🎉';
-                        console.log('[Netzwerk] Code via Fallback kopiert');
-                    } else {
-                        lobbyStatus.textContent = 'Raum erstellt! (Bitte manuell kopieren)';
-                    }
+                    lobbyStatus.textContent = 'Raum erstellt! (Bitte manuell kopieren)';
                 }
             } catch (clipErr) {
                 console.warn('[Netzwerk] Clipboard-Fehler:', clipErr);
@@ -551,36 +891,62 @@ function initLobby() {
 
             lobbyStatus.className = 'lobby-status verbunden';
 
-            // Seed generieren
-            spielSeed = generiereZufallsSeed();
+            // Karte vorbereiten (geladen oder fairer Zufalls-Seed)
+            labyrinthEinstellungen = leseLabyrinthEinstellungen();
+            const karte = naechsteKarte();
+            maxRueckspulen = leseRueckspulEinstellung();
+            netzwerk.regeln = { rueckspulen: maxRueckspulen };
 
             // Szene schon mal initialisieren
             initSzene();
 
-            // Wenn Gegner verbindet
+            // Wenn ein Spieler verbindet: der erste startet das Spiel,
+            // alle weiteren steigen in die laufende Runde ein
+            let startGeplant = false;
             netzwerk.onSpielerVerbunden = (peerId) => {
+                erstelleSpielerMesh(peerId);
+
+                // Komplette Karte an den neuen Gast senden
+                netzwerk.sendeKarte(aktiveKarte || karte, peerId);
+                if (spielGestartet) {
+                    netzwerk.sendeSnapshot(sammleSnapshot(), peerId);
+                    console.log(`[Netzwerk] Spieler ${peerId} steigt in die laufende Runde ein`);
+                    return;
+                }
+                if (startGeplant) return;
+                startGeplant = true;
+
                 lobbyStatus.textContent = 'Spieler verbunden! Spiel startet...';
                 lobbyStatus.className = 'lobby-status verbunden';
 
-                // Seed an Guest senden
-                netzwerk.sendeSeed(spielSeed);
-
-                // Gegner-Mesh erstellen
-                erstelleGegnerMesh();
-
                 // Netzwerk-Callbacks einrichten
                 richteNetzwerkCallbacks();
 
                 // Kurz warten dann Spiel starten
                 setTimeout(() => {
-                    starteSpielMitSeed(spielSeed, true);
+                    starteSpielMitKarte(karte, true);
                     netzwerk.sende('start', {});
                 }, 500);
             };
 
-            // Wenn Gegner disconnectet
-            netzwerk.onSpielerGetrennt = () => {
-                entferneGegnerMesh();
+            // Abgebrochener Gast ist zurück: der Spielstand holt nach, was er in
+            // der Lücke verpasst hat. Die Karte nicht, sie würde seine Runde neu
+            // starten (eine neue Runde erkennt er am Seed und fordert sie an)
+            netzwerk.onSpielerWiederVerbunden = (peerId) => {
+                if (spielGestartet) netzwerk.sendeSnapshot(sammleSnapshot(), peerId);
+                console.log(`[Netzwerk] Spieler ${peerId} setzt die Runde fort`);
+            };
+
+            // Raum voll: Zuschauer bekommen Karte und Spielstand wie ein Beitritt
+            netzwerk.onZuschauerVerbunden = (peerId) => {
+                netzwerk.sendeKarte(aktiveKarte || karte, peerId);
+                if (spielGestartet) netzwerk.sendeSnapshot(sammleSnapshot(), peerId);
+                console.log(`[Netzwerk] ${peerId} schaut zu`);
+            };
+
+            // Wenn ein Spieler disconnectet (erst nach der Gnadenfrist)
+            netzwerk.onSpielerGetrennt = (peerId) => {
+                entferneSpieler(peerId);
             };
 
         } catch (err) {
@@ -603,24 +969,88 @@ function initLobby() {
         erstellenButton.disabled = true;
         beitretenButton.disabled = true;
         lobbyStatus.textContent = 'Verbinde mit Raum ' + code + '...';
+        netzwerk.transport = leseTransport();
+        netzwerk.passwort = lesePasswort();
 
         // Szene initialisieren
         initSzene();
 
-        // Seed-Callback: Wenn Host den Seed sendet, Spiel starten
-        netzwerk.onSeedEmpfangen = (seed) => {
-            spielSeed = seed;
-            erstelleGegnerMesh();
+        // Karten-Callback: Wenn Host die Karte sendet, Spiel starten
+        netzwerk.onKarteEmpfangen = (daten) => {
+            let karte;
+            try {
+                karte = pruefeKarte(daten);
+            } catch (err) {
+                console.error('[Netzwerk] Karte vom Host abgelehnt:', err.message);
+                lobbyStatus.textContent = 'Fehler: ' + err.message;
+                lobbyStatus.className = 'lobby-status fehler';
+                return;
+            }
             richteNetzwerkCallbacks();
 
             setTimeout(() => {
-                starteSpielMitSeed(seed, false);
+                starteSpielMitKarte(karte, false);
+                // Beitritt in eine laufende Runde: Spielstand des Hosts übernehmen
+                if (wartenderSnapshot) {
+                    wendeSnapshotAn(wartenderSnapshot);
+                    wartenderSnapshot = null;
+                }
             }, 300);
         };
 
-        // Wenn Host disconnectet
-        netzwerk.onSpielerGetrennt = () => {
-            entferneGegnerMesh();
+        // Mitspieler (samt Host) meldet die Spielerliste des Hosts
+        netzwerk.onSpielerVerbunden = (peerId) => {
+            erstelleSpielerMesh(peerId);
+        };
+
+        // Wenn ein Mitspieler geht (oder der Host, dann alle)
+        netzwerk.onSpielerGetrennt = (peerId) => {
+            entferneSpieler(peerId);
+        };
+
+        // Der Host ist weg und wir sind sein Nachfolger
+        netzwerk.onHostUebernommen = uebernehmeHostRolle;
+
+        // Zurück, bevor die erste Karte ankam: der Host schickt nur den Spielstand
+        netzwerk.onSnapshotEmpfangen = (daten) => {
+            wartenderSnapshot = daten;
+            netzwerk.fordereSnapshotAn('Karte fehlt', true);
+        };
+
+        // Alle Plätze belegt: zuschauen, bis der Host einen Platz gibt
+        netzwerk.onRolleGeaendert = (istZuschauer) => {
+            if (istZuschauer && !spielGestartet) {
+                lobbyStatus.textContent = 'Alle Plätze belegt – du schaust zu!';
+                lobbyStatus.className = 'lobby-status verbunden';
+            }
+            updateZuschauerAnzeige();
+        };
+
+        netzwerk.onRaumVoll = () => {
+            netzwerk.disconnect();
+            lobbyStatus.textContent = 'Raum ist voll!';
+            lobbyStatus.className = 'lobby-status fehler';
+            erstellenButton.disabled = false;
+            beitretenButton.disabled = false;
+        };
+
+        // Host spielt einen anderen Stand (z.B. alte Version im Cache)
+        netzwerk.onVersionAbgelehnt = (daten) => {
+            netzwerk.disconnect();
+            lobbyStatus.textContent = `Version passt nicht: Host v${daten.spiel} (Protokoll ${daten.protokoll}), du v${netzwerk.spielVersion} – bitte beide neu laden!`;
+            lobbyStatus.className = 'lobby-status fehler';
+            erstellenButton.disabled = false;
+            beitretenButton.disabled = false;
+        };
+
+        // Raum mit Passwort: keines oder das falsche genannt
+        netzwerk.onPasswortAbgelehnt = (daten) => {
+            netzwerk.disconnect();
+            lobbyStatus.textContent = `${daten.grund}!`;
+            lobbyStatus.className = 'lobby-status fehler';
+            erstellenButton.disabled = false;
+            beitretenButton.disabled = false;
+            document.getElementById('raum-passwort-input')?.focus();
         };
 
         try {
@@ -648,73 +1078,364 @@ function initLobby() {
     });
 }
 
+/**
+ * Liest die Generator-Einstellungen aus der Lobby (nur Host relevant).
+ * @returns {{algorithmus: string, raeume: {anzahl: number, groesse: string}, symmetrie: string, etagen: number, teleporter: boolean, wanderwaende: boolean}}
+ */
+function leseLabyrinthEinstellungen() {
+    const algoAuswahl = document.getElementById('algorithmus-auswahl');
+    const anzahlInput = document.getElementById('raum-anzahl-input');
+    const groesseAuswahl = document.getElementById('raum-groesse-auswahl');
+    const symmetrieAuswahl = document.getElementById('symmetrie-auswahl');
+    const etagenAuswahl = document.getElementById('etagen-auswahl');
+    const teleporterAuswahl = document.getElementById('teleporter-auswahl');
+    const wanderAuswahl = document.getElementById('wanderwaende-auswahl');
+    const raumAnzahl = parseInt(anzahlInput?.value, 10);
+    const etagen = parseInt(etagenAuswahl?.value, 10);
+    return {
+        algorithmus: algoAuswahl?.value || STANDARD_ALGORITHMUS,
+        raeume: {
+            anzahl: Number.isFinite(raumAnzahl) ? Math.max(0, Math.min(MAX_RAEUME, raumAnzahl)) : 0,
+            groesse: groesseAuswahl?.value || 'mittel'
+        },
+        symmetrie: symmetrieAuswahl?.value || STANDARD_SYMMETRIE,
+        etagen: Number.isFinite(etagen) ? Math.max(1, Math.min(MAX_ETAGEN, etagen)) : 1,
+        teleporter: teleporterAuswahl?.value !== 'aus',
+        wanderwaende: wanderAuswahl?.value === 'an'
+    };
+}
+
+/**
+ * Netzwerk-Simulator aus der URL übernehmen und das Debug-Panel der
+ * Lobby anbinden (Werte für alle Nachrichten oder einen Typ).
+ */
+function initNetzSimulator() {
+    const einstellungen = leseSimulatorParameter(location.search);
+    netzwerk.simulator = erzeugeSimulator(einstellungen || undefined);
+    if (einstellungen) console.log('[Netzwerk] Simulator aktiv (URL)');
+
+    const panel = document.getElementById('netz-sim');
+    const typAuswahl = document.getElementById('netz-sim-typ');
+    if (!panel || !typAuswahl) return;
+    panel.open = simulatorAktiv(netzwerk.simulator);
+
+    [['', 'Alle Nachrichten'], ...NACHRICHTEN_TYPEN.map(typ => [typ, typ])].forEach(([wert, text]) => {
+        const option = document.createElement('option');
+        option.value = wert;
+        option.textContent = text;
+        typAuswahl.appendChild(option);
+    });
+
+    const felder = panel.querySelectorAll('input[data-sim]');
+    const zeigeWerte = () => {
+        const werte = simulatorWerte(netzwerk.simulator, typAuswahl.value || null);
+        felder.forEach(input => {
+            input.value = werte[input.dataset.sim];
+        });
+    };
+    felder.forEach(input => {
+        if (!SIM_FELDER.includes(input.dataset.sim)) return;
+        input.addEventListener('change', () => {
+            setzeSimulatorWert(netzwerk.simulator, typAuswahl.value || null, input.dataset.sim, parseFloat(input.value));
+            zeigeWerte();
+        });
+    });
+    typAuswahl.addEventListener('change', zeigeWerte);
+    zeigeWerte();
+}
+
+/**
+ * Liest den gewählten Verbindungsweg aus der Lobby.
+ * @returns {object} Transport für den NetworkManager (net-transport.js)
+ */
+function leseTransport() {
+    const art = document.getElementById('transport-auswahl')?.value || STANDARD_TRANSPORT;
+    const server = document.getElementById('relay-server-input')?.value.trim();
+    return erzeugeTransport(art, { server: server || undefined });
+}
+
+/**
+ * Liest das Raum-Passwort aus der Lobby (Host verlangt es, Gast nennt es).
+ * @returns {string} '' = ohne Passwort
+ */
+function lesePasswort() {
+    return document.getElementById('raum-passwort-input')?.value || '';
+}
+
+/**
+ * Eintrag für die Raumliste des LAN-Servers (nur Host): Name und
+ * Kurzbeschreibung der Karten-Einstellungen.
+ * @returns {{name: string, karte: string}|null} null = privater Raum
+ */
+function leseAushang() {
+    if (document.getElementById('sichtbarkeit-auswahl')?.value !== 'oeffentlich') return null;
+    const name = document.getElementById('spieler-name-input')?.value.trim() || 'Host';
+    const e = leseLabyrinthEinstellungen();
+    const karte = geladeneKarte ? geladeneKarte.name : [
+        MAZE_ALGORITHMEN[e.algorithmus]?.name || e.algorithmus,
+        e.raeume.anzahl > 0 && `${e.raeume.anzahl} Räume`,
+        e.etagen > 1 && `${e.etagen} Etagen`,
+        e.wanderwaende && 'Wanderwände'
+    ].filter(Boolean).join(' · ');
+    return { name: name.slice(0, MAX_NAME), karte: karte.slice(0, 64) };
+}
+
+/**
+ * Holt die öffentlichen Räume vom LAN-Server und zeigt sie in der
+ * Lobby. Ein Klick trägt den Code ein und tritt bei (in volle Räume
+ * als Zuschauer); verlangt der Raum ein Passwort und ist keines
+ * eingetragen, wird erst danach gefragt.
+ * @param {HTMLInputElement} codeInput
+ * @param {HTMLButtonElement} beitretenButton
+ * @param {HTMLElement} lobbyStatus
+ */
+async function zeigeRaumListe(codeInput, beitretenButton, lobbyStatus) {
+    const listeEl = document.getElementById('raum-liste');
+    if (!listeEl) return;
+    listeEl.textContent = 'Suche Räume...';
+
+    let raeume;
+    try {
+        const server = document.getElementById('relay-server-input')?.value.trim();
+        raeume = await ladeRaumListe(server || undefined);
+    } catch (err) {
+        console.warn('[Netzwerk] Raumliste nicht erreichbar:', err);
+        listeEl.textContent = 'LAN-Server nicht erreichbar';
+        return;
+    }
+    if (raeume.length === 0) {
+        listeEl.textContent = 'Keine offenen Räume';
+        return;
+    }
+
+    listeEl.replaceChildren(...raeume.map(raum => {
+        const eintrag = document.createElement('button');
+        eintrag.className = 'raum-eintrag';
+        const voll = raum.spieler >= raum.max ? ' 👁' : '';
+        eintrag.textContent = `${raum.passwort ? '🔒 ' : ''}${raum.code} · ${raum.name} · ${raum.spieler}/${raum.max}${voll} · ${raum.ping} ms\n${raum.karte}`;
+        eintrag.addEventListener('click', () => {
+            codeInput.value = raum.code;
+            const passwortInput = document.getElementById('raum-passwort-input');
+            if (raum.passwort && passwortInput && !passwortInput.value) {
+                lobbyStatus.textContent = `Raum ${raum.code} braucht ein Passwort`;
+                lobbyStatus.className = 'lobby-status';
+                passwortInput.focus();
+                return;
+            }
+            beitretenButton.click();
+        });
+        return eintrag;
+    }));
+}
+
+/**
+ * Liest die Spielerzahl aus der Lobby (nur Host), wer danach kommt, schaut zu.
+ * @returns {number} 2 bis MAX_SPIELER
+ */
+function leseMaxSpieler() {
+    const wert = parseInt(document.getElementById('max-spieler-auswahl')?.value, 10);
+    return Number.isFinite(wert) ? Math.max(2, Math.min(MAX_SPIELER, wert)) : MAX_SPIELER;
+}
+
+/**
+ * Liest den Deckel für den Lag-Ausgleich aus der Lobby (nur Host).
+ * @returns {number} Millisekunden, 0 = kein Zurückspulen
+ */
+function leseRueckspulEinstellung() {
+    const wert = parseInt(document.getElementById('rueckspulen-auswahl')?.value, 10);
+    return Number.isFinite(wert) ? Math.max(0, wert) : STANDARD_RUECKSPULEN;
+}
+
+/**
+ * Würfelt Seeds, bis Labyrinth, Spawns und Start-Pickups fair sind (nur Host).
+ * Findet sich nach MAX_SEED_VERSUCHE kein fairer Seed, wird der mit dem
+ * größten Spawn-Abstand genommen.
+ * @returns {number}
+ */
+function generiereFairenSeed() {
+    let bester = null;
+    const gruende = new Map(); // Art des Grundes → Anzahl verworfener Seeds
+    for (let versuch = 1; versuch <= MAX_SEED_VERSUCHE; versuch++) {
+        const seed = generiereZufallsSeed();
+        const { bericht, bewertung } = analysiereSeed(LABYRINTH_BREITE, LABYRINTH_HOEHE, seed, labyrinthEinstellungen);
+
+        if (bewertung.fair) {
+            console.log(`[Fairness] Seed ${seed} akzeptiert (Versuch ${versuch}${beschreibeVerworfene(gruende)}): Spawn-Abstand ${bericht.spawnAbstand}, Pickups ${bericht.pickupAbstaende.join('/')}, Sackgassen ${bericht.sackgassen}, Schleifen ${bericht.schleifen}`);
+            return seed;
+        }
+
+        bewertung.gruende.forEach(g => {
+            const art = g.replace(/\d+/g, 'N');
+            gruende.set(art, (gruende.get(art) || 0) + 1);
+        });
+        if (!bester || bericht.spawnAbstand > bester.spawnAbstand) {
+            bester = { seed, spawnAbstand: bericht.spawnAbstand };
+        }
+    }
+
+    console.warn(`[Fairness] Kein fairer Seed nach ${MAX_SEED_VERSUCHE} Versuchen${beschreibeVerworfene(gruende)}, nutze ${bester.seed}`);
+    return bester.seed;
+}
+
+/**
+ * Fasst die Gründe verworfener Seeds für das Log zusammen.
+ * @param {Map<string, number>} gruende
+ * @returns {string} z.B. ", verworfen: 3x Spawns nur N Felder voneinander entfernt" oder leer
+ */
+function beschreibeVerworfene(gruende) {
+    if (gruende.size === 0) return '';
+    return ', verworfen: ' + [...gruende].map(([art, n]) => `${n}x ${art}`).join(', ');
+}
+
+/**
+ * Karte für die nächste Runde (nur Host): die geladene Karte,
+ * sonst eine neue aus einem fairen Zufalls-Seed.
+ * @returns {object} Karten-Beschreibung
+ */
+function naechsteKarte() {
+    if (geladeneKarte) {
+        console.log(`[Spiel] Nutze geladene Karte "${geladeneKarte.name}"`);
+        return geladeneKarte;
+    }
+    return erzeugeKarte(LABYRINTH_BREITE, LABYRINTH_HOEHE, generiereFairenSeed(), labyrinthEinstellungen);
+}
+
+/**
+ * Merkt sich die zuletzt gespielte Karte für den Export vom Startbildschirm.
+ * @param {object} karte
+ */
+function speichereLetzteKarte(karte) {
+    try {
+        localStorage.setItem(LETZTE_KARTE_KEY, JSON.stringify(karte));
+    } catch (err) {
+        console.warn('[Karte] Letzte Karte konnte nicht gespeichert werden:', err);
+    }
+}
+
+/**
+ * Setzt die Mitspieler-Meshes auf ihren Stand von vor INTERPOLATIONS_VERZUG
+ * (Snapshot-Puffer, jeden Frame statt bei jedem Paket).
+ */
+function updateMitspielerAnzeige() {
+    const jetzt = performance.now();
+    for (const eintrag of mitspieler.values()) {
+        if (!eintrag.lebt || !eintrag.mesh.visible) continue;
+        const pos = tastePufferAb(eintrag.puffer, jetzt);
+        if (!pos) continue;
+        eintrag.mesh.position.set(pos.x, pos.y, pos.z);
+        eintrag.mesh.rotation.y = pos.rotY;
+    }
+}
+
 /**
  * Richtet die Netzwerk-Callbacks für das Spiel ein.
  */
 function richteNetzwerkCallbacks() {
-    // Gegner-Position empfangen
-    netzwerk.onUpdateEnemyPosition((daten) => {
-        if (gegnerMesh) {
-            const zielPos = new THREE.Vector3(daten.x, daten.y, daten.z);
-
-            // Wenn der Gegner noch unsichtbar ist oder sehr weit weg (Teleport/Start), 
-            // setzen wir ihn SOFORT an die Position statt zu gleiten (lerp).
-            const distanz = gegnerMesh.position.distanceTo(zielPos);
-
-            if (!gegnerMesh.visible || distanz > 3.0) {
-                gegnerMesh.position.copy(zielPos);
-                console.log(`[Netzwerk] Gegner-Teleport nach (${daten.x}, ${daten.z})`);
-            } else {
-                // Sanfte Interpolation für normale Bewegung
-                gegnerMesh.position.lerp(zielPos, 0.3);
-            }
+    // Host: Minen eines Gasts nur verteilen, wenn er sie legen konnte
+    netzwerk.pruefeNachricht = (typ, daten, von) => {
+        if (typ !== 'mine_placed') return null;
+        const grund = pruefeMineVon(von, daten);
+        if (grund) netzwerk.sendeSnapshot(sammleSnapshot(), von); // Seine Mine wieder einsammeln
+        return grund;
+    };
+
+    // Mitspieler-Positionen empfangen
+    netzwerk.onUpdateEnemyPosition((daten, von) => {
+        const eintrag = mitspieler.get(von);
+        if (!eintrag || !eintrag.lebt) return; // Besiegte bleiben bis zur nächsten Runde weg
 
-            gegnerMesh.rotation.y = daten.rotY || 0;
-            gegnerMesh.visible = true;
+        // Doppelte und überholte Pakete verwerfen, das Mesh setzt updateMitspielerAnzeige
+        if (!fuegeSnapshotEin(eintrag.puffer, daten, performance.now())) return;
+
+        // Sprünge (Spawn/Teleporter) werden im Puffer nicht gemittelt, der Mitspieler
+        // springt, sobald die Anzeige den Snapshot erreicht.
+        // Der Sprungzähler kommt vom Mitspieler selbst, die Sprungweite spielt keine Rolle.
+        if (eintrag.sprung !== null && daten.sprung !== eintrag.sprung) {
+            console.log(`[Netzwerk] Teleport von ${von} nach (${daten.x}, ${daten.z})`);
+        }
+
+        eintrag.sprung = daten.sprung;
+        eintrag.pos = { x: daten.x, y: daten.y, z: daten.z, rotY: daten.rotY || 0 };
+        merkePosition(eintrag.verlauf, daten.zeit, { ...eintrag.pos, sprung: daten.sprung });
+        if (!eintrag.mesh.visible) {
+            eintrag.mesh.visible = true;
+            updateMitspielerAnzeige();
         }
     });
 
     // Minen-Aktionen empfangen
-    netzwerk.onMineEvent((typ, daten) => {
+    netzwerk.onMineEvent((typ, daten, von) => {
         if (typ === 'mine_placed') {
             const { id, pos } = daten;
-            // Gegner hat Mine gelegt -> bei uns spawnen (als 'gegner'-Mine)
+            // Mitspieler hat Mine gelegt -> bei uns spawnen (mit ihm als Besitzer)
             // pos ist ein einfaches Objekt {x,y,z}, wir brauchen Vector3
             const vecPos = new THREE.Vector3(pos.x, pos.y, pos.z);
-            platziereMine(id, vecPos, 'gegner');
-            gegnerMinenInventar = Math.max(0, gegnerMinenInventar - 1);
-            console.log(`[Netzwerk] Gegner-Mine platziert: ${id}. Gegner-Inventar: ${gegnerMinenInventar}`);
+            platziereMine(id, vecPos, von);
+            const eintrag = mitspieler.get(von);
+            if (eintrag) eintrag.minenInventar = Math.max(0, eintrag.minenInventar - 1);
+            console.log(`[Netzwerk] Mine von ${von} platziert: ${id}. Inventar: ${eintrag?.minenInventar}`);
         } else if (typ === 'mine_exploded') {
+            if (!aktiveMinen.some(m => m.id === daten.id)) {
+                fordereAbgleichAn(`unbekannte Mine ${daten.id}`);
+                return;
+            }
+            if (netzwerk.istHost) bucheMinenschaden(daten.id, von);
             entferneMine(daten.id, true); // Mit Effekt
             console.log('[Netzwerk] Mine explodiert:', daten.id);
         }
     });
 
     // Zentraler Tod-Callback: Wird bei JEDEM Schaden automatisch ausgelöst,
-    // egal ob durch Schuss, Mine oder zukünftige Items
+    // egal ob durch Schuss, Mine oder zukünftige Items.
+    // Den anderen meldet der Host die Niederlage ('besiegt').
     setOnTodCallback(() => {
-        netzwerk.sende('besiegt', {});
-        zeigeErgebnis('NIEDERLAGE', '💀 Du wurdest besiegt!');
+        zeigeErgebnis('NIEDERLAGE', '💀 Du wurdest besiegt!', false);
+        pruefeRundenende();
     });
 
-    // Treffer empfangen
-    netzwerk.onReceiveHit((daten) => {
-        empfangeSchaden(daten.schaden);
+    // Verbindliche Lebenspunkte vom Host (Schaden, Heilung)
+    netzwerk.onLebenEmpfangen = (daten) => {
+        if (netzwerk.istHost) return;
+        uebernehmeLeben(daten);
         // Tod wird automatisch durch setOnTodCallback behandelt!
-    });
+    };
 
-    netzwerk.onBesiegtEmpfangen = () => {
-        zeigeErgebnis('SIEG', '🏆 Du hast gewonnen!');
+    // Ein Spieler ist raus (entscheidet der Host)
+    netzwerk.onBesiegtEmpfangen = (daten) => {
+        if (netzwerk.istHost || !daten?.ziel) return;
+        if (daten.ziel === netzwerk.spielerId) {
+            if (getLeben() > 0) setzeLeben(0);
+        } else {
+            markiereBesiegt(daten.ziel);
+        }
+    };
+
+    // Sturz eines Gasts in eine Grube (nur Host)
+    netzwerk.onSturzGemeldet = (daten, von) => {
+        if (!netzwerk.istHost || !rundeAktiv) return;
+        aendereLeben(von, -MAX_LEBEN, { ursache: 'grube' });
     };
 
     // Munition-Pickup Synchronisation
-    netzwerk.onPickupCollected = (pickupId) => {
-        console.log(`[Netzwerk] Pickup eingesammelt durch Gegner: ${pickupId}`);
-        // Wenn Gegner eine Mine einsammelt -> mitzählen
+    netzwerk.onPickupCollected = (pickupId, von) => {
+        console.log(`[Netzwerk] Pickup eingesammelt durch ${von}: ${pickupId}`);
+        // Wenn ein Mitspieler eine Mine einsammelt -> mitzählen
         const pickup = pickups.find(p => p.id === pickupId);
-        if (pickup && pickup.typ === 'MINE') {
-            gegnerMinenInventar++;
-            console.log(`[Minen] Gegner hat Mine eingesammelt. Gegner-Inventar: ${gegnerMinenInventar}`);
+        const eintrag = mitspieler.get(von);
+        if (!pickup) {
+            fordereAbgleichAn(`unbekanntes Pickup ${pickupId}`);
+            return;
+        }
+        if (pickup.typ === 'MINE' && eintrag) {
+            eintrag.minenInventar++;
+            console.log(`[Minen] ${von} hat Mine eingesammelt. Inventar: ${eintrag.minenInventar}`);
+        }
+        if (pickup.typ === 'AMMO' && eintrag) {
+            eintrag.munition = Math.min(MAX_MUNITION, eintrag.munition + MUNITION_PICKUP);
+        }
+        // Heilung bucht der Host, der Gast hat sie schon angezeigt
+        if (pickup.typ === 'HEALTH' && netzwerk.istHost) {
+            aendereLeben(von, HEILUNG_PICKUP, { ursache: 'heilung' });
         }
         entfernePickup(pickupId);
     };
@@ -724,14 +1445,18 @@ function richteNetzwerkCallbacks() {
         spawnNetzwerkPickup(id, pos, typ);
     };
 
-    // Schüsse empfangen
-    netzwerk.onSchussEmpfangen = (start, ende, hitType) => {
+    // Schüsse empfangen: Effekte bei allen, Trefferprüfung beim Host
+    netzwerk.onSchussEmpfangen = (daten, von) => {
+        if (netzwerk.istHost) pruefeSchussVon(von, daten);
+
         const scene = getScene();
-        let muzzlePos = start;
+        let muzzlePos = daten.start;
 
-        // Wenn der Gegner existiert, holen wir die Position direkt von seiner Waffe
-        if (gegnerMesh) {
-            const waffe = gegnerMesh.children.find(c => c.name === 'weapon');
+        // Wenn der Schütze existiert, holen wir die Position direkt von seiner Waffe
+        const schuetze = mitspieler.get(von);
+        if (schuetze) {
+            schuetze.munition = Math.max(0, schuetze.munition - 1);
+            const waffe = schuetze.mesh.children.find(c => c.name === 'weapon');
             if (waffe) {
                 const tempPos = new THREE.Vector3(0, 0, -0.25);
                 waffe.localToWorld(tempPos);
@@ -739,70 +1464,171 @@ function richteNetzwerkCallbacks() {
             }
         }
 
-        triggereSchussVisuals(scene, muzzlePos, ende, hitType || 'SPARKS');
+        triggereSchussVisuals(scene, muzzlePos, daten.ende, daten.hitType || 'SPARKS');
     };
 
-    // WICHTIG: Neuen Seed für Runden-Neustart empfangen (nur Gast)
-    netzwerk.onSeedEmpfangen = (seed) => {
-        console.log('[Netzwerk] Neuer Seed empfangen, starte neue Runde!');
+    // Sonderfelder: Host verteilt Türen/Risswände, Gast meldet Risswand-Treffer
+    netzwerk.onFeldEmpfangen = (daten) => {
+        if (!labyrinth || !Number.isInteger(daten?.x) || !Number.isInteger(daten?.y)) return;
+        aendereFeld(daten.x, daten.y, daten.typ);
+    };
+    netzwerk.onRisswandTreffer = (daten, von) => {
+        if (!netzwerk.istHost || !labyrinth || !welt || !rundeAktiv) return;
+        const fuss = hostSichtAuf(von);
+        const grund = pruefeRisswandTreffer(welt, fuss && { x: fuss.x, y: fuss.y + AUGEN_HOEHE, z: fuss.z }, daten.x, daten.y);
+        if (grund) {
+            console.warn(`[Kampf] Risswand-Treffer von ${von} verworfen: ${grund}`);
+            return;
+        }
+        if (zaehleRisswandTreffer(daten.x, daten.y)) aendereFeld(daten.x, daten.y, FELD.GANG);
+    };
+    netzwerk.onWandwechsel = (daten) => {
+        if (netzwerk.istHost || !labyrinth || !Number.isInteger(daten?.index)) return;
+        wechsleWand(daten.index);
+    };
+
+    // Vollständiger Spielstand (nur Gast): beim Beitritt direkt nach der Karte,
+    // sonst als Antwort auf eine Abgleich-Anfrage
+    netzwerk.onSnapshotEmpfangen = (daten) => {
+        if (netzwerk.istHost) return;
+        if (!spielGestartet) {
+            wartenderSnapshot = daten;
+            return;
+        }
+        wendeSnapshotAn(daten);
+    };
+
+    // Ein Gast hat eine Abweichung bemerkt (nur Host)
+    netzwerk.onSnapshotAngefordert = (daten, von) => {
+        if (!netzwerk.istHost || !spielGestartet) return;
+        console.log(`[Netzwerk] ${von} fordert den Spielstand an (${daten?.grund})`);
+        if (daten?.mitKarte) netzwerk.sendeKarte(aktiveKarte, von);
+        netzwerk.sendeSnapshot(sammleSnapshot(), von);
+    };
+
+    // Zuschauer kommen und gehen (der Host bietet ihnen zwischen den Runden Plätze an)
+    netzwerk.onZuschauerAenderung = () => {
+        zeigeZuschauerPlaetze();
+    };
+
+    // WICHTIG: Neue Karte für Runden-Neustart empfangen (nur Gast)
+    netzwerk.onKarteEmpfangen = (daten) => {
+        try {
+            aktiveKarte = pruefeKarte(daten);
+        } catch (err) {
+            console.error('[Netzwerk] Karte vom Host abgelehnt:', err.message);
+            return;
+        }
+        console.log('[Netzwerk] Neue Karte empfangen, starte neue Runde!');
         stoppeNeustartTimer();
-        spielSeed = seed;
         starteNeueRunde();
     };
 }
 
 /**
- * Zeigt das Sieg-/Niederlage-Overlay und startet nach 4 Sekunden neu.
- * @param {string} titel - 'SIEG' oder 'NIEDERLAGE'
- * @param {string} nachricht - Beschreibungstext
+ * Entscheidet die Runde, sobald jemand besiegt wurde und höchstens
+ * ein Spieler übrig ist. Der Letzte bekommt den Punkt. Alle werten
+ * dieselben Meldungen aus und kommen so zum selben Ergebnis
+ * (Zuschauer zählen nicht mit, sie sehen nur, wer gewonnen hat).
  */
-function zeigeErgebnis(titel, nachricht) {
-    rundeAktiv = false;
-    const overlay = document.getElementById('ergebnis-overlay');
-    const titelEl = document.getElementById('ergebnis-titel');
-    const textEl = document.getElementById('ergebnis-text');
-    const countdownEl = document.getElementById('ergebnis-countdown');
+function pruefeRundenende() {
+    if (!rundeAktiv || !spielGestartet) return;
+
+    const andere = [...mitspieler.values()];
+    const ichSpiele = !zuschauerModus;
+    const ichLebe = ichSpiele && getLeben() > 0;
+    const lebende = andere.filter(s => s.lebt).length + (ichLebe ? 1 : 0);
+    const besiegte = andere.filter(s => !s.lebt).length + (ichSpiele && !ichLebe ? 1 : 0);
+    if (besiegte === 0 || lebende > 1) return;
 
-    // Punkte aktualisieren
-    if (titel === 'SIEG') {
+    if (ichLebe) {
         eigenePunkte++;
+        zeigeErgebnis('SIEG', '🏆 Du hast gewonnen!');
     } else {
-        gegnerPunkte++;
+        const [siegerId, sieger] = [...mitspieler].find(([, s]) => s.lebt) || [];
+        if (sieger) sieger.punkte++;
+        if (zuschauerModus) {
+            zeigeErgebnis('RUNDE VORBEI', sieger ? `🏆 Spieler ${netzwerk.platzVon(siegerId) + 1} hat gewonnen!` : '💀 Niemand hat überlebt!');
+        } else {
+            zeigeErgebnis('NIEDERLAGE', sieger || andere.length === 0 ? '💀 Du wurdest besiegt!' : '💀 Niemand hat überlebt!');
+        }
     }
     updateScoreAnzeige();
+}
 
-    if (overlay && titelEl && textEl) {
-        titelEl.textContent = titel;
-        titelEl.className = 'ergebnis-titel ' + (titel === 'SIEG' ? 'sieg' : 'niederlage');
-        textEl.textContent = nachricht;
-        overlay.style.display = 'flex';
+/**
+ * Zeigt das Sieg-/Niederlage-Overlay. Ist die Runde entschieden,
+ * startet sie nach 4 Sekunden neu (Gäste warten dabei auf die Karte
+ * des Hosts, der Host kann Zuschauern Plätze geben), sonst wartet der
+ * Besiegte auf das Rundenende.
+ * @param {string} titel - 'SIEG', 'NIEDERLAGE' oder 'RUNDE VORBEI' (Zuschauer)
+ * @param {string} nachricht - Beschreibungstext
+ * @param {boolean} [rundeVorbei] - false: nur selbst besiegt, die anderen spielen weiter
+ */
+function zeigeErgebnis(titel, nachricht, rundeVorbei = true) {
+    if (rundeVorbei) rundeAktiv = false;
+    const overlay = document.getElementById('ergebnis-overlay');
+    const titelEl = document.getElementById('ergebnis-titel');
+    const textEl = document.getElementById('ergebnis-text');
+    const countdownEl = document.getElementById('ergebnis-countdown');
+
+    if (overlay && titelEl && textEl) {
+        titelEl.textContent = titel;
+        titelEl.className = 'ergebnis-titel ' + ({ SIEG: 'sieg', NIEDERLAGE: 'niederlage' }[titel] || '');
+        textEl.textContent = nachricht;
+        overlay.style.display = 'flex';
+
+        if (neustartTimer) clearInterval(neustartTimer);
+        neustartTimer = null;
+        zeigeZuschauerPlaetze();
+
+        if (!rundeVorbei) {
+            countdownEl.textContent = 'Warte auf das Rundenende...';
+            return;
+        }
 
         // Countdown für Neustart
         let countdown = 4;
         countdownEl.textContent = `Neue Runde in ${countdown}...`;
 
-        if (neustartTimer) clearInterval(neustartTimer);
-
         neustartTimer = setInterval(() => {
             countdown--;
             countdownEl.textContent = `Neue Runde in ${countdown}...`;
             if (countdown <= 0) {
-                stoppeNeustartTimer();
-                starteNeueRunde();
+                clearInterval(neustartTimer);
+                neustartTimer = null;
+                // Gäste starten mit der neuen Karte des Hosts (onKarteEmpfangen)
+                if (netzwerk.istHost) {
+                    starteNeueRunde();
+                } else {
+                    countdownEl.textContent = 'Warte auf den Host...';
+                }
             }
         }, 1000);
     }
 }
 
 /**
- * Aktualisiert die Score-Anzeige im HUD.
+ * Aktualisiert die Score-Anzeige im HUD: eigene Punkte, dann die der
+ * Mitspieler in ihrer Farbe (nach Startplatz sortiert).
  */
 function updateScoreAnzeige() {
     const eigenEl = document.getElementById('score-eigen');
     const gegnerEl = document.getElementById('score-gegner');
+    const liste = [...mitspieler].sort(([a], [b]) => netzwerk.platzVon(a) - netzwerk.platzVon(b));
     if (eigenEl) eigenEl.textContent = eigenePunkte;
-    if (gegnerEl) gegnerEl.textContent = gegnerPunkte;
-    console.log(`[Score] Stand: ${eigenePunkte} : ${gegnerPunkte}`);
+    if (gegnerEl) {
+        gegnerEl.replaceChildren(...liste.map(([id, eintrag]) => {
+            const el = document.createElement('span');
+            const farbe = SPIELER_FARBEN[Math.max(0, netzwerk.platzVon(id)) % SPIELER_FARBEN.length];
+            el.textContent = eintrag.punkte;
+            el.style.color = '#' + farbe.toString(16).padStart(6, '0');
+            el.style.opacity = eintrag.lebt ? '1' : '0.4';
+            return el;
+        }));
+        if (liste.length === 0) gegnerEl.textContent = '0';
+    }
+    console.log(`[Score] Stand: ${eigenePunkte} : ${liste.map(([, e]) => e.punkte).join(' / ') || 0}`);
 }
 
 /**
@@ -837,40 +1663,46 @@ function starteNeueRunde() {
     });
     pickups = [];
 
-    // Gegner-Mesh wiederherstellen
-    if (gegnerMesh) {
-        scene.add(gegnerMesh);
-        gegnerMesh.visible = false;
-        // Wichtig: Gegner wieder als Ziel registrieren!
-        registriereZiel(gegnerMesh);
+    // Mitspieler-Meshes wiederherstellen (alle wieder im Spiel)
+    for (const eintrag of mitspieler.values()) {
+        scene.add(eintrag.mesh);
+        eintrag.mesh.position.set(0, 0, 0);
+        eintrag.mesh.visible = false;
+        eintrag.radarPos = null;
+        eintrag.lebt = true;
+        eintrag.leben = MAX_LEBEN;
+        eintrag.pos = null;
+        eintrag.letzterSchuss = null;
+        eintrag.munition = START_MUNITION;
+        eintrag.verlauf = [];
+        eintrag.puffer.verlauf = [];
+        // Wichtig: Mitspieler wieder als Ziel registrieren!
+        registriereZiel(eintrag.mesh);
     }
 
+    eigenerVerlauf.length = 0;
+
     // Leben & Munition zurücksetzen
     resetLeben();
     resetMunition();
     updateMunitionAnzeige();
 
     // Radar-Zustand resetten
-    gegnerRadarPos = null;
     letzterRadarPingZeit = performance.now() / 1000;
 
-    if (gegnerMesh) {
-        gegnerMesh.position.set(0, 0, 0);
-        gegnerMesh.visible = false;
-    }
-
     rundeAktiv = true;
+    updateScoreAnzeige();
 
-    // Neuen Seed generieren (Host) oder empfangen (Guest)
-    // Host generiert neuen Seed und verteilt ihn
+    // Neue Karte vorbereiten (Host) oder empfangen (Guest)
+    // Host erzeugt die Karte und verteilt sie komplett
     if (netzwerk.istHost) {
-        spielSeed = generiereZufallsSeed();
-        console.log('[Spiel] Host generiert neuen Seed:', spielSeed);
-        netzwerk.sendeSeed(spielSeed);
+        aktiveKarte = naechsteKarte();
+        console.log('[Spiel] Host startet Karte:', aktiveKarte.name);
+        netzwerk.sendeKarte(aktiveKarte);
     }
 
-    // WICHTIG: Beide bauen das Labyrinth mit dem (neuen) spielSeed auf
-    starteSpielMitSeed(spielSeed, netzwerk.istHost);
+    // WICHTIG: Beide bauen das Labyrinth aus der (neuen) aktiveKarte auf
+    starteSpielMitKarte(aktiveKarte, netzwerk.istHost);
 
     // Grafik-Status aktualisieren
     updateGrafikStatus();
@@ -878,6 +1710,718 @@ function starteNeueRunde() {
     console.log('[Spiel] 🔄 Neue Runde gestartet!');
 }
 
+/**
+ * Übernimmt die Aufgaben des weggefallenen Hosts (Gast → Host, siehe
+ * NetworkManager._werdeHost): Pickup-Spawner, Wanderwand-Takt,
+ * Trefferprüfung und Rundensteuerung laufen ab jetzt hier, mit dem
+ * zuletzt gespiegelten Stand (Leben, Munition, Minen-Inventar der
+ * Mitspieler) und dem Lag-Ausgleich des Raums aus der Spielerliste.
+ * Neue Runden entstehen mit den Einstellungen der laufenden Karte.
+ * Zurückkehrende Gäste bekommen den Spielstand.
+ * @param {string} alterHost - Peer-ID des alten Hosts
+ */
+function uebernehmeHostRolle(alterHost) {
+    console.log(`[Spiel] 👑 Übernehme die Host-Rolle von ${alterHost}`);
+    labyrinthEinstellungen = aktiveKarte?.einstellungen || labyrinthEinstellungen;
+    if (netzwerk.regeln) maxRueckspulen = Math.max(0, netzwerk.regeln.rueckspulen);
+
+    // Die Wanderwände planen ihren Takt neu
+    naechsterWandwechsel = null;
+
+    // Verläufe für den Lag-Ausgleich liefen in der Uhr des alten Hosts
+    eigenerVerlauf.length = 0;
+    for (const eintrag of mitspieler.values()) {
+        eintrag.verlauf = [];
+        eintrag.letzterSchuss = null;
+    }
+
+    const roleEl = document.getElementById('role-indicator');
+    if (roleEl) roleEl.textContent = 'HOST';
+
+    // Neue Gäste steigen in die laufende Runde ein, zurückkehrende haben
+    // die Karte schon und gleichen nur den Stand ab (andere Runde: wendeSnapshotAn)
+    netzwerk.onSpielerVerbunden = (peerId) => {
+        erstelleSpielerMesh(peerId);
+        if (!aktiveKarte) return;
+        netzwerk.sendeKarte(aktiveKarte, peerId);
+        if (spielGestartet) netzwerk.sendeSnapshot(sammleSnapshot(), peerId);
+    };
+    netzwerk.onSpielerWiederVerbunden = (peerId) => {
+        if (spielGestartet) netzwerk.sendeSnapshot(sammleSnapshot(), peerId);
+        console.log(`[Netzwerk] Spieler ${peerId} spielt beim neuen Host weiter`);
+    };
+    netzwerk.onZuschauerVerbunden = (peerId) => {
+        if (!aktiveKarte) return;
+        netzwerk.sendeKarte(aktiveKarte, peerId);
+        if (spielGestartet) netzwerk.sendeSnapshot(sammleSnapshot(), peerId);
+    };
+
+    // Die Runde war schon entschieden und wir warteten auf die Karte des alten Hosts
+    if (spielGestartet && !rundeAktiv && !neustartTimer) starteNeueRunde();
+}
+
+// ═══════════════════════════════════════════════════════════
+// TREFFER & LEBEN (Host entscheidet)
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Fußposition und Blickrichtung eines Spielers aus Sicht des Hosts:
+ * die eigene Kamera bzw. die letzte gemeldete Position eines Mitspielers,
+ * mit Zeitpunkt aus dem Positionsverlauf zurückgespult.
+ * @param {string} id - Peer-ID
+ * @param {number} [zeit] - Host-Zeit in ms (ohne: aktueller Stand)
+ * @returns {{id: string, x: number, y: number, z: number, rotY: number}|null} null, wenn nicht (mehr) im Spiel
+ */
+function hostSichtAuf(id, zeit) {
+    if (id === netzwerk.spielerId) {
+        if (getLeben() <= 0) return null;
+        const damals = zeit !== undefined && positionZurZeit(eigenerVerlauf, zeit);
+        if (damals) return { id, x: damals.x, y: damals.y, z: damals.z, rotY: damals.rotY };
+        const kamera = getKamera();
+        return { id, x: kamera.position.x, y: getFussHoehe(), z: kamera.position.z, rotY: kamera.rotation.y };
+    }
+    const eintrag = mitspieler.get(id);
+    if (!eintrag || !eintrag.lebt || !eintrag.pos) return null;
+    const damals = zeit !== undefined && positionZurZeit(eintrag.verlauf, zeit);
+    if (damals) return { id, x: damals.x, y: damals.y, z: damals.z, rotY: damals.rotY };
+    return { id, ...eintrag.pos };
+}
+
+/**
+ * Prüft einen Schuss nach und bucht den Schaden (nur Host).
+ * Die Ziele stehen dabei dort, wo der Schütze sie gesehen hat
+ * (sichtZeit), höchstens maxRueckspulen zurück.
+ * @param {string} schuetzeId - Peer-ID des Schützen (auch der Host selbst)
+ * @param {{ursprung: object, richtung: object, zeit: number, sichtZeit: number}} schuss - Aus sendeSchuss
+ */
+function pruefeSchussVon(schuetzeId, schuss) {
+    if (!rundeAktiv || !welt) return;
+
+    const eintrag = mitspieler.get(schuetzeId);
+    const jetzt = netzwerk.hostZeit();
+    const grund = eintrag && eintrag.munition <= 0
+        ? 'keine Munition'
+        : pruefeSchussPlausibel(schuss, hostSichtAuf(schuetzeId), eintrag ? eintrag.letzterSchuss : null, jetzt);
+    if (grund) {
+        console.warn(`[Kampf] Schuss von ${schuetzeId} verworfen: ${grund}`);
+        return;
+    }
+    if (eintrag) eintrag.letzterSchuss = jetzt;
+
+    const rueckspulen = rueckspulZeit(schuss.sichtZeit, jetzt, maxRueckspulen);
+    const ziele = [netzwerk.spielerId, ...mitspieler.keys()]
+        .filter(id => id !== schuetzeId)
+        .map(id => hostSichtAuf(id, rueckspulen.zeit))
+        .filter(Boolean);
+    const treffer = wiederholeSchuss(welt, schuss, ziele);
+
+    const deckel = rueckspulen.gedeckelt ? ` (gewünscht ${rueckspulen.gewuenscht.toFixed(0)} ms, Deckel ${maxRueckspulen} ms)` : '';
+    let ergebnis = 'kein Treffer';
+    if (treffer) {
+        const damals = ziele.find(z => z.id === treffer.id);
+        const aktuell = hostSichtAuf(treffer.id);
+        const versatz = Math.hypot(aktuell.x - damals.x, aktuell.y - damals.y, aktuell.z - damals.z);
+        ergebnis = `${treffer.zone} bei ${treffer.id} (seither ${versatz.toFixed(2)} bewegt)`;
+    }
+    console.log(`[Kampf] Schuss von ${schuetzeId}: ${(jetzt - rueckspulen.zeit).toFixed(0)} ms zurückgespult${deckel} → ${ergebnis}`);
+    if (!treffer) return;
+
+    aendereLeben(treffer.id, -treffer.schaden, { ursache: 'schuss', schuetze: schuetzeId, kopf: treffer.zone === 'kopf' });
+}
+
+/**
+ * Konnte ein Gast die gemeldete Mine legen (nur Host)? Er braucht eine
+ * im Inventar, und sie muss vor oder hinter ihm an einer erlaubten
+ * Stelle liegen.
+ * @param {string} von - Peer-ID des Gasts
+ * @param {{id: string, pos: {x, y, z}}} daten - Aus 'mine_placed'
+ * @returns {string|null} Grund der Ablehnung oder null
+ */
+function pruefeMineVon(von, daten) {
+    const eintrag = mitspieler.get(von);
+    const leger = hostSichtAuf(von);
+    if (!rundeAktiv || !welt || !eintrag || !leger) return 'Leger nicht im Spiel';
+    if (eintrag.minenInventar <= 0) return 'keine Mine im Inventar';
+    const fuss = daten.pos.y - 0.1;
+    if (Math.hypot(daten.pos.x - leger.x, daten.pos.z - leger.z) > MINEN_ABLAGE + MINEN_ABLAGE_SPIELRAUM ||
+        Math.abs(fuss - leger.y) > ETAGEN_HOEHE / 2) {
+        return 'zu weit vom Leger entfernt';
+    }
+    return minenPlatzProblem(daten.pos, fuss);
+}
+
+/**
+ * Darf an dieser Stelle eine Mine liegen? (Eigene Ablage und Prüfung des Hosts.)
+ * @param {{x: number, z: number}} pos
+ * @param {number} fuss - Fußhöhe des Legers
+ * @returns {string|null} Grund dagegen oder null
+ */
+function minenPlatzProblem(pos, fuss) {
+    const feld = feldInWelt(welt, pos.x, pos.z, fuss);
+    if (istMinenfreieZone(aktiveKarte, pos.x, pos.z) && etageBei(fuss) === 0) return 'Minenfreie Zone';
+    if (feld === FELD.GRUBE) return 'Grube';
+    if (feld === FELD.LOCH || feld === FELD.TREPPE) return 'Kein fester Boden';
+    if (istBlockiert(welt, pos.x, pos.z, fuss)) return 'Wand im Weg';
+    return null;
+}
+
+/**
+ * Bucht den Schaden einer ausgelösten Mine (nur Host). Die Mine muss
+ * noch liegen und der Auslöser in ihrer Nähe stehen.
+ * @param {string} mineId
+ * @param {string} ausloeserId - Peer-ID des Spielers, der draufgetreten ist
+ */
+function bucheMinenschaden(mineId, ausloeserId) {
+    const mine = aktiveMinen.find(m => m.id === mineId);
+    const ausloeser = hostSichtAuf(ausloeserId);
+    if (!mine || !ausloeser) return;
+    if (Math.hypot(ausloeser.x - mine.pos.x, ausloeser.z - mine.pos.z) > MINEN_MELDE_RADIUS) {
+        console.warn(`[Kampf] Mine ${mineId} von ${ausloeserId} zu weit entfernt gemeldet`);
+        return;
+    }
+    aendereLeben(ausloeserId, -SCHADEN_MINE, { ursache: 'mine', schuetze: mine.ownerId });
+}
+
+/**
+ * Ändert die Lebenspunkte eines Spielers verbindlich und verteilt
+ * den neuen Stand (nur Host). Bei 0 folgt die Niederlage für alle.
+ * @param {string} id - Peer-ID (auch der Host selbst)
+ * @param {number} aenderung - Negativ für Schaden, positiv für Heilung
+ * @param {{ursache: string, schuetze?: string, kopf?: boolean}} info
+ */
+function aendereLeben(id, aenderung, info) {
+    const eigen = id === netzwerk.spielerId;
+    const eintrag = mitspieler.get(id);
+    const vorher = eigen ? getLeben() : (eintrag?.lebt ? eintrag.leben : 0);
+    if (vorher <= 0) return;
+
+    const leben = Math.max(0, Math.min(MAX_LEBEN, vorher + aenderung));
+    const daten = { ziel: id, leben, schaden: Math.max(0, vorher - leben), ...info };
+    netzwerk.sendeLeben(daten);
+    uebernehmeLeben(daten);
+    console.log(`[Kampf] ${id}: ${vorher} → ${leben} Leben (${info.ursache})`);
+
+    if (leben === 0) {
+        netzwerk.sendeBesiegt(id);
+        if (!eigen) markiereBesiegt(id);
+    }
+}
+
+/**
+ * Übernimmt einen Lebensstand des Hosts: eigener Wert oder Spiegel
+ * beim Mitspieler.
+ * @param {{ziel: string, leben: number}} daten
+ */
+function uebernehmeLeben(daten) {
+    if (daten.ziel === netzwerk.spielerId) {
+        setzeLeben(daten.leben);
+        return;
+    }
+    const eintrag = mitspieler.get(daten.ziel);
+    if (eintrag) eintrag.leben = daten.leben;
+}
+
+/**
+ * Ein Mitspieler ist raus: bis zur nächsten Runde unsichtbar und kein Ziel mehr.
+ * @param {string} id - Peer-ID
+ */
+function markiereBesiegt(id) {
+    const eintrag = mitspieler.get(id);
+    if (!eintrag || !eintrag.lebt) return;
+    eintrag.lebt = false;
+    eintrag.leben = 0;
+    eintrag.mesh.visible = false;
+    entferneZiel(eintrag.mesh);
+    updateScoreAnzeige();
+    pruefeRundenende();
+}
+
+// ═══════════════════════════════════════════════════════════
+// SPIELSTAND (Beitritt, Neuverbindung, Abgleich)
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Vollständiger Spielstand der laufenden Runde (nur Host). Die Karte
+ * selbst reist getrennt; Felder und Wanderwände stehen nur, soweit
+ * sie sich seit dem Rundenstart geändert haben.
+ * @returns {{seed: number, runde: number, rundeAktiv: boolean, felder: {x: number, y: number, typ: number}[], waende: number[], pickups: object[], minen: object[], spieler: Object<string, {punkte: number, leben: number, munition: number, minenInventar: number}>}}
+ */
+function sammleSnapshot() {
+    const ursprung = karteZuRaster(aktiveKarte);
+    const wanderPlaetze = new Set(wanderwaende.flatMap(w => w.plaetze).map(p => `${p.x},${p.y}`));
+    const felder = [];
+    for (let y = 0; y < labyrinth.length; y++) {
+        for (let x = 0; x < labyrinth[y].length; x++) {
+            if (labyrinth[y][x] !== ursprung[y][x] && !wanderPlaetze.has(`${x},${y}`)) {
+                felder.push({ x, y, typ: labyrinth[y][x] });
+            }
+        }
+    }
+
+    // Gegenstücke wandern mit ihrem Original
+    const waende = wanderStand
+        .map((umgesetzt, i) => (umgesetzt && istWanderOriginal(i) ? i : -1))
+        .filter(i => i !== -1);
+
+    const spieler = {
+        [netzwerk.spielerId]: { punkte: eigenePunkte, leben: getLeben(), munition: getMunition(), minenInventar: getMinen() }
+    };
+    for (const [id, eintrag] of mitspieler) {
+        spieler[id] = {
+            punkte: eintrag.punkte,
+            leben: eintrag.lebt ? eintrag.leben : 0,
+            munition: eintrag.munition,
+            minenInventar: eintrag.minenInventar
+        };
+    }
+
+    return {
+        seed: aktiveKarte.seed,
+        runde: rundenNummer,
+        rundeAktiv,
+        felder,
+        waende,
+        pickups: pickups.map(p => ({ id: p.id, pos: p.pos, typ: p.typ })),
+        minen: aktiveMinen.map(m => ({ id: m.id, pos: { x: m.pos.x, y: m.pos.y, z: m.pos.z }, ownerId: m.ownerId })),
+        spieler
+    };
+}
+
+/**
+ * Übernimmt den Spielstand des Hosts (nur Gast). Geht auch mitten in
+ * der Runde: es wird nur umgesetzt, was vom Stand des Hosts abweicht.
+ * Läuft beim Gast eine andere Karte, fordert er sie samt Stand neu an.
+ * @param {object} snapshot - Aus sammleSnapshot
+ */
+function wendeSnapshotAn(snapshot) {
+    if (snapshot.seed !== spielSeed) {
+        fordereAbgleichAn(`andere Karte (Seed ${snapshot.seed})`, true);
+        return;
+    }
+    if (Number.isInteger(snapshot.runde)) rundenNummer = snapshot.runde;
+
+    // Pickups: die tatsächlich liegenden ersetzen alle bisherigen
+    pickups.forEach(p => entfernePickupModel(p.model));
+    pickups = [];
+    (snapshot.pickups || []).forEach(p => spawnNetzwerkPickup(p.id, p.pos, p.typ));
+
+    // Minen: überzählige entfernen, fehlende legen
+    const minen = snapshot.minen || [];
+    aktiveMinen.filter(m => !minen.some(s => s.id === m.id)).forEach(m => entferneMine(m.id));
+    for (const m of minen) {
+        if (!aktiveMinen.some(a => a.id === m.id)) platziereMine(m.id, new THREE.Vector3(m.pos.x, m.pos.y, m.pos.z), m.ownerId);
+    }
+
+    // Felder: was nicht im Snapshot steht, ist wie in der Karte
+    const ursprung = karteZuRaster(aktiveKarte);
+    const wanderPlaetze = new Set(wanderwaende.flatMap(w => w.plaetze).map(p => `${p.x},${p.y}`));
+    const felder = new Map((snapshot.felder || []).map(f => [`${f.x},${f.y}`, f.typ]));
+    for (let y = 0; y < labyrinth.length; y++) {
+        for (let x = 0; x < labyrinth[y].length; x++) {
+            const schluessel = `${x},${y}`;
+            if (wanderPlaetze.has(schluessel)) continue;
+            const typ = felder.get(schluessel) ?? ursprung[y][x];
+            if (labyrinth[y][x] !== typ) aendereFeld(x, y, typ);
+        }
+    }
+
+    // Wanderwände: nur die umsetzen, die anders stehen
+    const umgesetzt = new Set(snapshot.waende || []);
+    wanderwaende.forEach((_, i) => {
+        if (istWanderOriginal(i) && wanderStand[i] !== umgesetzt.has(i)) wechsleWand(i);
+    });
+
+    // Schon entschieden: auf die nächste Karte des Hosts warten
+    if (snapshot.rundeAktiv === false) rundeAktiv = false;
+
+    // Mitspieler: Punkte, Inventar, Leben (besiegt oder wieder im Spiel)
+    const spieler = snapshot.spieler || {};
+    for (const [id, eintrag] of mitspieler) {
+        const stand = spieler[id];
+        if (!stand) continue;
+        eintrag.punkte = stand.punkte;
+        eintrag.munition = stand.munition;
+        eintrag.minenInventar = stand.minenInventar;
+        if (stand.leben > 0) {
+            eintrag.leben = stand.leben;
+            if (!eintrag.lebt) {
+                eintrag.lebt = true;
+                eintrag.mesh.visible = !!eintrag.pos;
+                registriereZiel(eintrag.mesh);
+            }
+        } else if (eintrag.lebt) {
+            eintrag.lebt = false;
+            eintrag.leben = 0;
+            eintrag.mesh.visible = false;
+            entferneZiel(eintrag.mesh);
+        }
+    }
+
+    // Eigener Stand zuletzt: ein Tod hier prüft das Rundenende schon mit dem neuen Stand
+    const eigen = spieler[netzwerk.spielerId];
+    if (eigen) {
+        eigenePunkte = eigen.punkte;
+        setzeMunition(eigen.munition);
+        setzeMinen(eigen.minenInventar);
+        if (eigen.leben > 0 && getLeben() <= 0) stoppeNeustartTimer(); // Doch noch im Spiel
+        setzeLeben(eigen.leben);
+    }
+
+    updateScoreAnzeige();
+    console.log(`[Netzwerk] Spielstand übernommen (Runde ${rundenNummer}): ${pickups.length} Pickups, ${minen.length} Minen, ${felder.size} Felder, ${umgesetzt.size} Wanderwände`);
+}
+
+/**
+ * Bittet den Host um den vollständigen Spielstand, wenn etwas nicht
+ * zusammenpasst (nur Gast, höchstens alle SNAPSHOT_SPERRE ms).
+ * @param {string} grund - Was aufgefallen ist
+ * @param {boolean} [mitKarte] - Auch die Karte neu anfordern
+ */
+function fordereAbgleichAn(grund, mitKarte = false) {
+    if (netzwerk.istHost) return;
+    const jetzt = performance.now();
+    if (jetzt - letzteSnapshotAnfrage < SNAPSHOT_SPERRE) return;
+    letzteSnapshotAnfrage = jetzt;
+    console.warn(`[Netzwerk] Abweichung vom Host (${grund}), fordere Spielstand an`);
+    netzwerk.fordereSnapshotAn(grund, mitKarte);
+}
+
+/**
+ * Ob eine Wanderwand ihre Gruppe im Spielstand vertritt (Gegenstücke
+ * wandern mit ihrem Original mit).
+ * @param {number} i - Index in wanderwaende
+ * @returns {boolean}
+ */
+function istWanderOriginal(i) {
+    return wanderwaende[i].partner === -1 || wanderwaende[i].partner > i;
+}
+
+// ═══════════════════════════════════════════════════════════
+// SONDERFELDER
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Wendet eine Feldänderung an (Tür auf/zu, Risswand zerbrochen)
+ * und aktualisiert die Minimap. Der Host verteilt sie an den Gast.
+ * @param {number} x - Rasterspalte
+ * @param {number} y - Rasterzeile
+ * @param {number} typ - Neuer Feldtyp (FELD)
+ */
+function aendereFeld(x, y, typ) {
+    if (!setzeFeld(labyrinth, x, y, typ)) return;
+    if (minimapEtage === 0) zeichneMinimapFeld(x, y);
+    if (netzwerk.istHost) netzwerk.sendeFeld(x, y, typ);
+}
+
+/**
+ * Türen öffnen/schließen (nur Host, nach Nähe aller Spieler im
+ * Erdgeschoss) und Sturz in eine Grube prüfen.
+ * @param {number} deltaZeit
+ * @param {THREE.Camera} kamera
+ */
+function updateSonderfelderLogik(deltaZeit, kamera) {
+    const geaendert = updateSonderfelder(deltaZeit, labyrinth);
+    if (minimapEtage === 0) geaendert.forEach(f => zeichneMinimapFeld(f.x, f.y));
+
+    if (netzwerk.istHost) {
+        // Sonderfelder gibt es nur im Erdgeschoss
+        const positionen = [];
+        if (getLeben() > 0 && etageBei(getFussHoehe()) === 0) positionen.push(kamera.position);
+        for (const { mesh } of mitspieler.values()) {
+            if (mesh.visible && etageBei(mesh.position.y) === 0) positionen.push(mesh.position);
+        }
+        for (const tuer of tuerFelder()) {
+            const tx = tuer.x * WAND_GROESSE;
+            const tz = tuer.y * WAND_GROESSE;
+            const nah = positionen.some(pos => Math.hypot(pos.x - tx, pos.z - tz) < TUER_RADIUS);
+            if (nah !== tuer.offen) {
+                aendereFeld(tuer.x, tuer.y, nah ? FELD.TUER_OFFEN : FELD.TUER);
+            }
+        }
+    }
+
+    // Grube: Tod wird automatisch durch setOnTodCallback behandelt.
+    // Der Gast stürzt sofort und meldet es, der Host bucht es.
+    if (rundeAktiv && !zuschauerModus && getLeben() > 0 && feldInWelt(welt, kamera.position.x, kamera.position.z, getFussHoehe()) === FELD.GRUBE) {
+        console.log('[Spiel] In eine Grube gestürzt!');
+        if (netzwerk.istHost) {
+            aendereLeben(netzwerk.spielerId, -MAX_LEBEN, { ursache: 'grube' });
+        } else {
+            empfangeSchaden(MAX_LEBEN);
+            netzwerk.sendeSturz();
+        }
+    }
+}
+
+// ═══════════════════════════════════════════════════════════
+// WANDERNDE WÄNDE
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Felder, auf denen keine Wanderwand stehen darf: Spawns, Pickups,
+ * Teleporter im Erdgeschoss und Fackeln samt ihrer Wand.
+ * @param {object} karte
+ * @returns {{x: number, y: number}[]}
+ */
+function belegteFelder(karte) {
+    const pads = (karte.teleporter || []).flatMap(t => [t.von, t.nach]).filter(p => p.etage === 0);
+    const fackeln = karte.fackeln.flatMap(f => [f, { x: f.x + f.dx, y: f.y + f.dz }]);
+    return [karte.spawns.host, karte.spawns.gast, ...karte.pickups, ...pads, ...fackeln];
+}
+
+/**
+ * Host: schickt im (seeded, gestreuten) Takt eine Wanderwand los
+ * und verteilt den Wechsel an den Gast.
+ * @param {number} aktuelleZeit
+ */
+function updateWanderwaende(aktuelleZeit) {
+    if (!netzwerk.istHost || wanderwaende.length === 0 || !rundeAktiv) return;
+
+    const takt = () => WANDER_INTERVALL + (wanderZufall() * 2 - 1) * WANDER_STREUUNG;
+    if (naechsterWandwechsel === null) naechsterWandwechsel = aktuelleZeit + takt();
+    if (aktuelleZeit < naechsterWandwechsel) return;
+    naechsterWandwechsel = aktuelleZeit + takt();
+
+    const index = waehleWanderSchritt(labyrinth, wanderwaende, wanderZufall, wanderwaendeUnterwegs());
+    if (index === -1) return;
+    wechsleWand(index);
+    netzwerk.sendeWandwechsel(index);
+}
+
+/**
+ * Startet einen Wandwechsel (Host selbst oder vom Host empfangen).
+ * Wer bei der Ankunft der Wand in ihrem Zielfeld steht, wird von
+ * bewegeSpieler herausgeschoben.
+ * @param {number} index
+ */
+function wechsleWand(index) {
+    const unterwegs = wanderwaendeUnterwegs();
+    const losgeschickt = starteWandwechsel(labyrinth, index);
+    if (losgeschickt.length > 0) {
+        wanderGruppe(wanderwaende, index).forEach(i => {
+            if (!unterwegs.has(i)) wanderStand[i] = !wanderStand[i];
+        });
+        console.log(`[Spiel] Wanderwand ${index} setzt sich in Bewegung`);
+    }
+}
+
+// ═══════════════════════════════════════════════════════════
+// TELEPORTER
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Stellt die Pads der Karte auf (ersetzt die der vorigen Runde).
+ * Ausgänge von Einweg-Portalen leuchten nicht im Feld.
+ * @param {THREE.Scene} scene
+ * @param {object} karte
+ */
+function baueTeleporter(scene, karte) {
+    teleporterModelle.forEach(model => scene.remove(model));
+    teleporterModelle = [];
+    teleporterAufPadSeit = null;
+    teleporterGesperrt = false;
+    teleporterBereitAb = 0;
+
+    (karte.teleporter || []).forEach(t => {
+        [[t.von, true], [t.nach, !t.einweg]].forEach(([pad, eingang]) => {
+            const model = erzeugeTeleporterModel(t.einweg, eingang);
+            model.position.set(pad.x * WAND_GROESSE, pad.etage * ETAGEN_HOEHE + 0.05, pad.y * WAND_GROESSE);
+            scene.add(model);
+            teleporterModelle.push(model);
+        });
+    });
+    if (teleporterModelle.length > 0) {
+        console.log(`[Spiel] ${karte.teleporter.length} Teleporter aufgestellt`);
+    }
+}
+
+/**
+ * Lässt die Eingänge pulsieren und teleportiert den Spieler, wenn er
+ * lange genug auf einem Eingang steht. Nach der Ankunft muss das Pad
+ * erst verlassen werden, sonst ginge es sofort zurück.
+ * @param {number} aktuelleZeit
+ * @param {THREE.Camera} kamera
+ */
+function updateTeleporter(aktuelleZeit, kamera) {
+    const puls = 0.45 + 0.25 * Math.sin(aktuelleZeit * 4);
+    teleporterModelle.forEach(model => {
+        const feld = model.getObjectByName('teleporterFeld');
+        if (feld) feld.material.opacity = puls;
+    });
+
+    if (!rundeAktiv || zuschauerModus || getLeben() <= 0 || teleporterModelle.length === 0) return;
+
+    const x = Math.floor(kamera.position.x / WAND_GROESSE + 0.5);
+    const y = Math.floor(kamera.position.z / WAND_GROESSE + 0.5);
+    const ziel = teleporterZiel(aktiveKarte.teleporter, x, y, etageBei(getFussHoehe()));
+    if (!ziel) {
+        teleporterAufPadSeit = null;
+        teleporterGesperrt = false;
+        return;
+    }
+    if (teleporterGesperrt || aktuelleZeit < teleporterBereitAb) return;
+
+    if (teleporterAufPadSeit === null) teleporterAufPadSeit = aktuelleZeit;
+    if (aktuelleZeit - teleporterAufPadSeit < TELEPORTER_VERZOEGERUNG) return;
+
+    kamera.position.x = ziel.x * WAND_GROESSE;
+    kamera.position.z = ziel.y * WAND_GROESSE;
+    setzeFussHoehe(ziel.etage * ETAGEN_HOEHE);
+    kamera.position.y = getFussHoehe() + AUGEN_HOEHE;
+    teleporterAufPadSeit = null;
+    teleporterGesperrt = true;
+    teleporterBereitAb = aktuelleZeit + TELEPORTER_COOLDOWN;
+    console.log(`[Spiel] Teleportiert nach (${ziel.x}, ${ziel.y}), Etage ${ziel.etage}`);
+
+    // Sofort melden, damit der Gegner uns nicht an der alten Stelle sieht
+    bodenPosTemp.set(kamera.position.x, getFussHoehe(), kamera.position.z);
+    netzwerk.meldeSprung();
+    netzwerk.sendPlayerPosition(bodenPosTemp, kamera.rotation);
+    netzwerk.pusheAktuellePosition();
+}
+
+// ═══════════════════════════════════════════════════════════
+// ZUSCHAUER
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Spieler, denen ein Zuschauer folgen kann (im Spiel, nach Startplatz).
+ * @returns {string[]} Peer-IDs
+ */
+function verfolgbareSpieler() {
+    return [...mitspieler]
+        .filter(([, eintrag]) => eintrag.lebt)
+        .map(([id]) => id)
+        .sort((a, b) => netzwerk.platzVon(a) - netzwerk.platzVon(b));
+}
+
+/**
+ * Zuschauer zum Rundenstart: die Kamera steht auf dem ersten Spawn
+ * und folgt dem ersten Spieler, sobald seine Position ankommt.
+ * @param {object} karte
+ */
+function starteZuschauerAnsicht(karte) {
+    const start = kartenSpawnFuerPlatz(karte, 0);
+    setzeFussHoehe(0);
+    getKamera().position.set(start.x, AUGEN_HOEHE, start.z);
+    zuschauerZiel = verfolgbareSpieler()[0] || null;
+    console.log('[Spiel] 👁 Alle Plätze belegt, schaue zu');
+}
+
+/**
+ * Schaltet weiter: freier Flug → Spieler 1 → Spieler 2 → … → freier Flug.
+ */
+function naechsteZuschauerAnsicht() {
+    const ansichten = [null, ...verfolgbareSpieler()];
+    zuschauerZiel = ansichten[(ansichten.indexOf(zuschauerZiel) + 1) % ansichten.length];
+    updateZuschauerAnzeige();
+}
+
+/**
+ * Bewegt die Kamera eines Zuschauers. Verfolgt er einen Spieler, steht
+ * sie hinter ihm (die Maus dreht um ihn herum, Wände holen sie näher
+ * heran), sonst fliegt sie ohne Kollision in Blickrichtung. Ein Klick
+ * schaltet die Ansicht weiter; wer besiegt wird oder geht, wird nicht
+ * mehr verfolgt.
+ * @param {THREE.Camera} kamera
+ * @param {number} deltaZeit
+ */
+function bewegeZuschauer(kamera, deltaZeit) {
+    if (verbrauchSchuss()) naechsteZuschauerAnsicht();
+
+    const ziel = zuschauerZiel && mitspieler.get(zuschauerZiel);
+    if (zuschauerZiel && !ziel?.lebt) {
+        zuschauerZiel = null;
+        updateZuschauerAnzeige();
+    }
+
+    if (ziel?.lebt) {
+        if (!ziel.mesh.visible) return; // Noch keine Position
+        const pos = ziel.mesh.position;
+        const gier = getGierWinkel();
+        const dx = Math.sin(gier);
+        const dz = Math.cos(gier);
+        let abstand = 0.5;
+        while (abstand < VERFOLGER_ABSTAND && !istBlockiert(welt, pos.x + dx * (abstand + 0.25), pos.z + dz * (abstand + 0.25), pos.y)) {
+            abstand += 0.25;
+        }
+        kamera.position.set(pos.x + dx * abstand, pos.y + VERFOLGER_HOEHE, pos.z + dz * abstand);
+        kamera.lookAt(pos.x, pos.y + 1.6, pos.z);
+        return;
+    }
+
+    const bewegung = getMovementVector();
+    if (bewegung.vorwaerts === 0 && bewegung.seitwaerts === 0) return;
+    kamera.getWorldDirection(flugVorneTemp);
+    flugRechtsTemp.crossVectors(flugVorneTemp, kamera.up).normalize();
+    const schritt = ZUSCHAUER_SPEED * deltaZeit;
+    kamera.position.addScaledVector(flugVorneTemp, bewegung.vorwaerts * schritt);
+    kamera.position.addScaledVector(flugRechtsTemp, bewegung.seitwaerts * schritt);
+}
+
+/**
+ * Fußhöhe, deren Etage die Übersicht eines Zuschauers zeigt: die des
+ * verfolgten Spielers bzw. unter der frei fliegenden Kamera.
+ * @param {THREE.Camera} kamera
+ * @returns {number}
+ */
+function zuschauerSichtHoehe(kamera) {
+    const ziel = zuschauerZiel && mitspieler.get(zuschauerZiel);
+    return ziel?.mesh.visible ? ziel.mesh.position.y : kamera.position.y - AUGEN_HOEHE;
+}
+
+/**
+ * Zeigt Ansicht und Bedienung des Zuschauers im HUD.
+ */
+function updateZuschauerAnzeige() {
+    const el = document.getElementById('zuschauer-anzeige');
+    if (!el) return;
+    if (!zuschauerModus) {
+        el.textContent = '';
+        return;
+    }
+    if (!netzwerk.istZuschauer()) {
+        el.textContent = '👁 DU SPIELST AB DER NÄCHSTEN RUNDE MIT';
+        el.style.color = '';
+        return;
+    }
+    const platz = zuschauerZiel ? netzwerk.platzVon(zuschauerZiel) : -1;
+    const farbe = SPIELER_FARBEN[Math.max(0, platz) % SPIELER_FARBEN.length];
+    el.textContent = `👁 ${platz >= 0 ? `FOLGE SPIELER ${platz + 1}` : 'FREIER FLUG'} · KLICK: WEITER`;
+    el.style.color = platz >= 0 ? '#' + farbe.toString(16).padStart(6, '0') : '';
+}
+
+/**
+ * Host: Zuschauer im Ergebnis-Overlay. Zwischen den Runden kann jeder
+ * einen freien Platz bekommen und spielt ab der nächsten Karte mit.
+ */
+function zeigeZuschauerPlaetze() {
+    const el = document.getElementById('zuschauer-plaetze');
+    if (!el) return;
+    const zuschauer = netzwerk.istHost && !rundeAktiv ? [...netzwerk.zuschauer] : [];
+    if (zuschauer.length === 0) {
+        el.replaceChildren();
+        return;
+    }
+
+    const frei = netzwerk.plaetze.size < netzwerk.maxSpieler;
+    const hinweis = document.createElement('div');
+    hinweis.textContent = frei
+        ? `${zuschauer.length} Zuschauer (Maus mit ESC freigeben)`
+        : `${zuschauer.length} Zuschauer – alle ${netzwerk.maxSpieler} Plätze belegt`;
+    el.replaceChildren(hinweis, ...zuschauer.map((id, i) => {
+        const button = document.createElement('button');
+        button.className = 'karten-btn';
+        button.textContent = `▶ ZUSCHAUER ${i + 1} MITSPIELEN LASSEN`;
+        button.disabled = !frei;
+        button.addEventListener('click', () => {
+            // Die Liste zeichnet onZuschauerAenderung neu
+            if (!rundeAktiv && netzwerk.machZumSpieler(id)) erstelleSpielerMesh(id);
+        });
+        return button;
+    }));
+}
+
 // ═══════════════════════════════════════════════════════════
 // GAME LOOP
 // ═══════════════════════════════════════════════════════════
@@ -922,8 +2466,12 @@ function gameLoop() {
     updateKameraRotation(lookDelta);
     p = messpunkt("Eingabe/Rotation", p);
 
-    // ── 2. Spieler bewegen (Kollision) ──────────────────
-    bewegeSpieler(kamera, deltaZeit, getGierWinkel(), labyrinth);
+    // ── 2. Spieler bewegen (Kollision) bzw. Zuschauer-Kamera ──
+    if (zuschauerModus) {
+        bewegeZuschauer(kamera, deltaZeit);
+    } else {
+        bewegeSpieler(kamera, deltaZeit, getGierWinkel(), welt);
+    }
     p = messpunkt("Bewegung/Kollision", p);
 
     // ── Pickups prüfen (Gedrosselt) ──────────────
@@ -933,18 +2481,28 @@ function gameLoop() {
         p = messpunkt("Pickups", p);
     }
 
+    // Besiegte schauen bis zum Rundenende nur noch zu, Zuschauer immer
+    const handlungsfaehig = rundeAktiv && !zuschauerModus && getLeben() > 0;
+
     // ── 3. Schuss prüfen ────────────────────────────────────
-    if (rundeAktiv && verbrauchSchuss()) {
+    if (handlungsfaehig && verbrauchSchuss()) {
         const ergebnis = schiessen(kamera, scene, aktuelleZeit);
 
-        // Schuss ans Netzwerk senden (Visuals für den Gegner)
+        // Schuss ans Netzwerk senden (Visuals für die Mitspieler, Trefferprüfung beim Host).
+        // Der lokale Treffer ist nur Vorhersage, den Schaden bucht der Host.
         if (netzwerk.verbunden && ergebnis.strahlStart && ergebnis.strahlEnde) {
-            netzwerk.sendeSchuss(ergebnis.strahlStart, ergebnis.strahlEnde, ergebnis.hitType);
+            const schuss = netzwerk.sendeSchuss(ergebnis.strahlStart, ergebnis.strahlEnde, ergebnis.hitType, ergebnis.ursprung, ergebnis.richtung, INTERPOLATIONS_VERZUG);
+            if (netzwerk.istHost) pruefeSchussVon(netzwerk.spielerId, schuss);
         }
 
-        if (ergebnis.treffer) {
-            // Schaden senden, den wir in combat.js berechnet haben (Headshot-Support)
-            netzwerk.sendHit(ergebnis.spielerId, ergebnis.schaden, ergebnis.hitType);
+        // Risswand getroffen: Host zählt selbst, Gast meldet es dem Host
+        if (ergebnis.risswand) {
+            const { x, y } = ergebnis.risswand;
+            if (netzwerk.istHost) {
+                if (zaehleRisswandTreffer(x, y)) aendereFeld(x, y, FELD.GANG);
+            } else {
+                netzwerk.sendeRisswandTreffer(x, y);
+            }
         }
         p = messpunkt("Schiessen", p);
     }
@@ -952,11 +2510,15 @@ function gameLoop() {
     // ── 4. Kampf-System & Effekte ───────────────────────
     updateCombat(deltaZeit, kamera);
     updateFackeln(aktuelleZeit);
+    updateSonderfelderLogik(deltaZeit, kamera);
+    updateWanderwaende(aktuelleZeit);
+    updateTeleporter(aktuelleZeit, kamera);
+    updateMitspielerAnzeige();
     p = messpunkt("Combat/FX-Update", p);
 
     // ── 4b. Minen-Logik (Platzieren & Auslösen) ──────────
     // A) Platzieren oder Radar aktivieren
-    if (wurdeMinePlatziert() && rundeAktiv) {
+    if (wurdeMinePlatziert() && handlungsfaehig) {
         if (hasMine()) {
             const moveVec = getMovementVector();
             const lookDir = new THREE.Vector3();
@@ -983,18 +2545,20 @@ function gameLoop() {
                 offset.copy(lookDir);
             }
 
-            const dropPos = kamera.position.clone().add(offset.multiplyScalar(1.5));
-            dropPos.y = 0.1; // Bodenhöhe
+            const fuss = getFussHoehe();
+            const dropPos = kamera.position.clone().add(offset.multiplyScalar(MINEN_ABLAGE));
+            dropPos.y = fuss + 0.1; // Bodenhöhe der eigenen Etage
 
-            // Check: Nicht in Wand platzieren
-            if (!istWand(labyrinth, dropPos.x, dropPos.z)) {
+            // Check: Nicht in Wand/Grube/Loch und nicht in minenfreier Zone platzieren
+            const problem = minenPlatzProblem(dropPos, fuss);
+            if (problem) {
+                console.log(`[Spiel] Platzieren fehlgeschlagen: ${problem}`);
+            } else {
                 const mineId = `mine_${netzwerk.spielerId}_${Date.now()}`;
                 platziereMine(mineId, dropPos, netzwerk.spielerId);
                 nutzeMine();
                 netzwerk.sende('mine_placed', { id: mineId, pos: dropPos });
                 console.log('[Spiel] Mine platziert!');
-            } else {
-                console.log('[Spiel] Platzieren fehlgeschlagen: Wand im Weg');
             }
         } else {
             // Keine Mine im Inventar -> Radar aktivieren
@@ -1020,19 +2584,20 @@ function gameLoop() {
             }
         }
 
-        // Trigger-Check (nur wenn Runde aktiv)
-        if (rundeAktiv) {
-            // Nur X/Z Distanz prüfen (Höhe ignorieren!)
+        // Trigger-Check (nur wenn wir noch im Spiel sind)
+        if (handlungsfaehig) {
+            // X/Z Distanz prüfen, Höhe nur grob (Mine muss auf der eigenen Etage liegen)
             const dx = spielerPos.x - mine.pos.x;
             const dz = spielerPos.z - mine.pos.z;
             const distSq2D = dx * dx + dz * dz;
+            const dy = getFussHoehe() - mine.pos.y;
 
             // 0.8 Radius -> 0.64 squared
-            if (distSq2D < 0.64) {
+            if (distSq2D < 0.64 && Math.abs(dy) < PICKUP_HOEHE) {
                 console.log(`[Spiel] BOOM! Mine ${mine.id} ausgelöst! Dist: ${Math.sqrt(distSq2D).toFixed(2)}`);
 
-                // Schaden an Spieler (Tod wird automatisch durch setOnTodCallback behandelt)
-                empfangeSchaden(SCHADEN_MINE);
+                // Schaden bucht der Host (Tod wird automatisch durch setOnTodCallback behandelt)
+                if (netzwerk.istHost) bucheMinenschaden(mine.id, netzwerk.spielerId);
 
                 // Entfernen & Effekt
                 entferneMine(mine.id, true);
@@ -1061,9 +2626,10 @@ function gameLoop() {
                 const minenPickups = pickups.filter(p => p.typ === 'MINE').length;
                 const minenInventar = getMinen();
                 const minenAusgelegt = aktiveMinen.length;
-                const minenGesamt = minenPickups + minenInventar + minenAusgelegt + gegnerMinenInventar;
+                const minenMitspieler = [...mitspieler.values()].reduce((summe, s) => summe + s.minenInventar, 0);
+                const minenGesamt = minenPickups + minenInventar + minenAusgelegt + minenMitspieler;
 
-                console.log(`[Spawn] Minen-Check: Pickups=${minenPickups}, Inventar=${minenInventar}, Gegner=${gegnerMinenInventar}, Ausgelegt=${minenAusgelegt}, GESAMT=${minenGesamt}/${MAX_TOTAL_MINES_ON_MAP}`);
+                console.log(`[Spawn] Minen-Check: Pickups=${minenPickups}, Inventar=${minenInventar}, Mitspieler=${minenMitspieler}, Ausgelegt=${minenAusgelegt}, GESAMT=${minenGesamt}/${MAX_TOTAL_MINES_ON_MAP}`);
 
                 // Jedes Item hat einen eigenen, unabhängigen Würfel
                 if (Math.random() < SPAWN_CHANCE_MINE && minenGesamt < MAX_TOTAL_MINES_ON_MAP) {
@@ -1079,11 +2645,16 @@ function gameLoop() {
         }
     }
 
-    // ── Netzwerk: Position senden ────────────────────────
-    // Wir senden die Bodenposition (Y=0), nicht die Kamerahöhe!
+    // ── Netzwerk: Position senden (nicht als Zuschauer) ──
+    // Wir senden die Fußhöhe (Etage/Treppe), nicht die Kamerahöhe!
     // Nutze Temp-Objekt um Allokation zu vermeiden
-    bodenPosTemp.set(kamera.position.x, 0, kamera.position.z);
-    netzwerk.sendPlayerPosition(bodenPosTemp, kamera.rotation);
+    if (!zuschauerModus) {
+        bodenPosTemp.set(kamera.position.x, getFussHoehe(), kamera.position.z);
+        netzwerk.sendPlayerPosition(bodenPosTemp, kamera.rotation);
+        if (netzwerk.istHost && netzwerk.verbunden) {
+            merkePosition(eigenerVerlauf, netzwerk.hostZeit(), { x: bodenPosTemp.x, y: bodenPosTemp.y, z: bodenPosTemp.z, rotY: kamera.rotation.y, sprung: netzwerk.sprungZaehler() });
+        }
+    }
     p = messpunkt("Netzwerk-Send", p);
 
 
@@ -1125,14 +2696,39 @@ function initMinimap() {
     minimapBackgroundCanvas.height = h;
     minimapBackgroundCtx = minimapBackgroundCanvas.getContext('2d');
 
-    // Einmalig das Labyrinth in den Cache zeichnen
-    for (let y = 0; y < labyrinth.length; y++) {
-        for (let x = 0; x < labyrinth[y].length; x++) {
-            minimapBackgroundCtx.fillStyle = labyrinth[y][x] === 1 ? '#555' : '#222';
-            minimapBackgroundCtx.fillRect(x * MINIMAP_ZELLGROESSE, y * MINIMAP_ZELLGROESSE, MINIMAP_ZELLGROESSE, MINIMAP_ZELLGROESSE);
+    // Einmalig das Labyrinth (Erdgeschoss) in den Cache zeichnen
+    zeichneMinimapEtage(0);
+}
+
+/**
+ * Zeichnet eine Etage komplett in den Hintergrund-Cache.
+ * Wird beim Etagenwechsel des Spielers erneut aufgerufen.
+ * @param {number} etage
+ */
+function zeichneMinimapEtage(etage) {
+    minimapEtage = etage;
+    const raster = welt.etagen[etage];
+    for (let y = 0; y < raster.length; y++) {
+        for (let x = 0; x < raster[y].length; x++) {
+            zeichneMinimapFeld(x, y);
         }
     }
-    console.log('[Minimap] Hintergrund-Cache erstellt');
+    console.log(`[Minimap] Hintergrund-Cache erstellt (Etage ${etage})`);
+}
+
+/**
+ * Zeichnet ein Feld der aktuellen Minimap-Etage in den Hintergrund-Cache
+ * (auch nach Feldänderungen). Minenfreie Zonen werden leicht bläulich markiert.
+ */
+function zeichneMinimapFeld(x, y) {
+    if (!minimapBackgroundCtx) return;
+    const z = MINIMAP_ZELLGROESSE;
+    minimapBackgroundCtx.fillStyle = FELD_FARBEN[welt.etagen[minimapEtage][y][x]] || FELD_FARBEN[FELD.GANG];
+    minimapBackgroundCtx.fillRect(x * z, y * z, z, z);
+    if (minimapEtage === 0 && aktiveKarte?.minenfreieZonen?.some(zone => zone.x === x && zone.y === y)) {
+        minimapBackgroundCtx.fillStyle = 'rgba(68, 136, 255, 0.35)';
+        minimapBackgroundCtx.fillRect(x * z, y * z, z, z);
+    }
 }
 
 function zeichneMinimap(kamera) {
@@ -1140,90 +2736,117 @@ function zeichneMinimap(kamera) {
     const ctx = minimapCtx;
     const z = MINIMAP_ZELLGROESSE;
 
+    // Etagenwechsel: Cache mit dem Raster der neuen Etage neu zeichnen
+    const hoehe = zuschauerModus ? zuschauerSichtHoehe(kamera) : getFussHoehe();
+    const etage = Math.max(0, Math.min(etageBei(hoehe), welt.etagen.length - 1));
+    if (etage !== minimapEtage) {
+        zeichneMinimapEtage(etage);
+    }
+
     // 1. Hintergrund aus Cache kopieren (Konstante Zeit, sehr schnell!)
     ctx.drawImage(minimapBackgroundCanvas, 0, 0);
 
-    // Spieler (grün)
+    if (welt.etagen.length > 1) {
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '10px monospace';
+        ctx.fillText(`E${etage + 1}/${welt.etagen.length}`, 3, 11);
+    }
+
+    zeichneMinimapTeleporter(ctx, etage);
+
+    // Spieler (grün, als Zuschauer die Kamera in Weiß)
+    const eigeneFarbe = zuschauerModus ? '#ffffff' : '#44ff44';
     const sX = (kamera.position.x / WAND_GROESSE + 0.5);
     const sZ = (kamera.position.z / WAND_GROESSE + 0.5);
-    ctx.fillStyle = '#44ff44';
+    ctx.fillStyle = eigeneFarbe;
     ctx.beginPath();
     ctx.arc(sX * z, sZ * z, 3, 0, Math.PI * 2);
     ctx.fill();
 
     // Blickrichtung
     const gier = getGierWinkel();
-    ctx.strokeStyle = '#44ff44';
+    ctx.strokeStyle = eigeneFarbe;
     ctx.lineWidth = 1;
     ctx.beginPath();
     ctx.moveTo(sX * z, sZ * z);
     ctx.lineTo((sX - Math.sin(gier) * 2) * z, (sZ - Math.cos(gier) * 2) * z);
     ctx.stroke();
 
-    // Gegner (rot, Radar-Ping System)
-    if (gegnerMesh && gegnerMesh.visible) {
-        // Zeit prüfen für neuen Ping
-        const aktuelleZeit = performance.now() / 1000;
-
-        // Fix: Radar-Ping nur wenn genug Zeit seit letztem Ping vergangen ist
-        // Verhindert Sofort-Ping bei !gegnerRadarPos direkt nach Rundenstart
-        const zeitSeitLetztemPing = aktuelleZeit - letzterRadarPingZeit;
-
-        if (!gegnerRadarPos || zeitSeitLetztemPing >= RADAR_INTERVALL) {
-            // Nur pingen, wenn wir nicht gerade erst die Runde gestartet haben (Sicherheitsmarge 0.5s)
-            if (zeitSeitLetztemPing > 0.5) {
-                gegnerRadarPos = {
-                    x: gegnerMesh.position.x,
-                    z: gegnerMesh.position.z
-                };
-                letzterRadarPingZeit = aktuelleZeit;
-            }
+    // Zuschauer sehen alle Spieler laufend statt per Radar
+    if (zuschauerModus) {
+        zeichneUebersichtSpieler(ctx, etage);
+        return;
+    }
+
+    // Mitspieler (in ihrer Farbe, Radar-Ping System – alle werden gemeinsam gepingt)
+    const aktuelleZeit = performance.now() / 1000;
+
+    // Fix: Radar-Ping nur wenn genug Zeit seit letztem Ping vergangen ist
+    // Verhindert Sofort-Ping bei fehlender radarPos direkt nach Rundenstart
+    const zeitSeitLetztemPing = aktuelleZeit - letzterRadarPingZeit;
+    const sichtbare = [...mitspieler].filter(([, eintrag]) => eintrag.mesh.visible);
+    const pingFaellig = zeitSeitLetztemPing >= RADAR_INTERVALL || sichtbare.some(([, eintrag]) => !eintrag.radarPos);
+
+    // Nur pingen, wenn wir nicht gerade erst die Runde gestartet haben (Sicherheitsmarge 0.5s)
+    if (sichtbare.length > 0 && pingFaellig && zeitSeitLetztemPing > 0.5) {
+        for (const [, eintrag] of sichtbare) {
+            eintrag.radarPos = {
+                x: eintrag.mesh.position.x,
+                z: eintrag.mesh.position.z,
+                etage: etageBei(eintrag.mesh.position.y)
+            };
         }
+        letzterRadarPingZeit = aktuelleZeit;
+    }
 
-        // Radar-Punkt zeichnen (nur wenn bereits ein Ping vorliegt)
-        if (gegnerRadarPos) {
-            const gX = (gegnerRadarPos.x / WAND_GROESSE + 0.5);
-            const gZ = (gegnerRadarPos.z / WAND_GROESSE + 0.5);
+    for (const [id, eintrag] of sichtbare) {
+        const radarPos = eintrag.radarPos;
+        // Radar-Punkt zeichnen (nur wenn bereits ein Ping vorliegt und der Mitspieler auf unserer Etage war)
+        if (!radarPos || radarPos.etage !== etage) continue;
 
-            ctx.fillStyle = '#ff4444';
-            ctx.beginPath();
-            ctx.arc(gX * z, gZ * z, 3, 0, Math.PI * 2);
-            ctx.fill();
+        const gX = (radarPos.x / WAND_GROESSE + 0.5);
+        const gZ = (radarPos.z / WAND_GROESSE + 0.5);
+        const farbe = SPIELER_FARBEN[Math.max(0, netzwerk.platzVon(id)) % SPIELER_FARBEN.length];
+        const rgb = `${farbe >> 16}, ${(farbe >> 8) & 0xff}, ${farbe & 0xff}`;
 
-            // Visueller Ping-Effekt (Aufleuchten direkt nach Update)
-            const zeitSeitPing = aktuelleZeit - letzterRadarPingZeit;
-            const PING_EFFEKT_DAUER = 1.5; // Wie lange es leuchtet
+        ctx.fillStyle = `rgb(${rgb})`;
+        ctx.beginPath();
+        ctx.arc(gX * z, gZ * z, 3, 0, Math.PI * 2);
+        ctx.fill();
 
-            if (zeitSeitPing < PING_EFFEKT_DAUER) {
-                const fortschritt = zeitSeitPing / PING_EFFEKT_DAUER;
-                const radius = 3 + fortschritt * 12; // Ring wird größer
-                const opacity = 1.0 - fortschritt;    // Ring verblasst
+        // Visueller Ping-Effekt (Aufleuchten direkt nach Update)
+        const zeitSeitPing = aktuelleZeit - letzterRadarPingZeit;
+        const PING_EFFEKT_DAUER = 1.5; // Wie lange es leuchtet
 
-                ctx.strokeStyle = `rgba(255, 68, 68, ${opacity})`;
-                ctx.lineWidth = 2;
-                ctx.beginPath();
-                ctx.arc(gX * z, gZ * z, radius, 0, Math.PI * 2);
-                ctx.stroke();
+        if (zeitSeitPing < PING_EFFEKT_DAUER) {
+            const fortschritt = zeitSeitPing / PING_EFFEKT_DAUER;
+            const radius = 3 + fortschritt * 12; // Ring wird größer
+            const opacity = 1.0 - fortschritt;    // Ring verblasst
 
-                // Zusätzlicher Blitz/Leuchten des Kerns
-                ctx.fillStyle = `rgba(255, 200, 200, ${opacity * 0.5})`;
-                ctx.beginPath();
-                ctx.arc(gX * z, gZ * z, 5, 0, Math.PI * 2);
-                ctx.fill();
-            } else {
-                // Normaler feiner Ring im statischen Zustand
-                ctx.strokeStyle = 'rgba(255, 68, 68, 0.3)';
-                ctx.lineWidth = 1;
-                ctx.beginPath();
-                ctx.arc(gX * z, gZ * z, 5, 0, Math.PI * 2);
-                ctx.stroke();
-            }
+            ctx.strokeStyle = `rgba(${rgb}, ${opacity})`;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(gX * z, gZ * z, radius, 0, Math.PI * 2);
+            ctx.stroke();
+
+            // Zusätzlicher Blitz/Leuchten des Kerns
+            ctx.fillStyle = `rgba(255, 255, 255, ${opacity * 0.3})`;
+            ctx.beginPath();
+            ctx.arc(gX * z, gZ * z, 5, 0, Math.PI * 2);
+            ctx.fill();
+        } else {
+            // Normaler feiner Ring im statischen Zustand
+            ctx.strokeStyle = `rgba(${rgb}, 0.3)`;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.arc(gX * z, gZ * z, 5, 0, Math.PI * 2);
+            ctx.stroke();
         }
     }
     // --- Minen-Radar: Zeige Minen-Pickups auf der Map ---
     if (minenRadarTimer > 0) {
         pickups.forEach(p => {
-            if (p.typ === 'MINE') {
+            if (p.typ === 'MINE' && etageBei(p.pos.y || 0) === etage) {
                 const pX = (p.pos.x / WAND_GROESSE + 0.5);
                 const pZ = (p.pos.z / WAND_GROESSE + 0.5);
 
@@ -1238,6 +2861,99 @@ function zeichneMinimap(kamera) {
     }
 }
 
+/**
+ * Teleporter auf der Minimap: Pads der angezeigten Etage als Ring,
+ * Partner auf derselben Etage gestrichelt verbunden (Einweg-Portale
+ * mit Pfeil zum Ausgang), Partner auf anderen Etagen mit Etagennummer.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} etage - Angezeigte Etage
+ */
+function zeichneMinimapTeleporter(ctx, etage) {
+    const teleporter = aktiveKarte?.teleporter;
+    if (!teleporter?.length) return;
+    const z = MINIMAP_ZELLGROESSE;
+    const mitte = (pad) => [(pad.x + 0.5) * z, (pad.y + 0.5) * z];
+
+    ctx.lineWidth = 1;
+    ctx.font = '8px monospace';
+    teleporter.forEach(t => {
+        const farbe = t.einweg ? '#ff44ff' : '#00ffff';
+        ctx.strokeStyle = farbe;
+        ctx.fillStyle = farbe;
+
+        const [vx, vy] = mitte(t.von);
+        const [nx, ny] = mitte(t.nach);
+        if (t.von.etage === etage && t.nach.etage === etage) {
+            ctx.globalAlpha = 0.5;
+            ctx.setLineDash([2, 2]);
+            ctx.beginPath();
+            ctx.moveTo(vx, vy);
+            ctx.lineTo(nx, ny);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.globalAlpha = 1;
+            if (t.einweg) {
+                const winkel = Math.atan2(ny - vy, nx - vx);
+                ctx.beginPath();
+                ctx.moveTo(nx - Math.cos(winkel) * 3, ny - Math.sin(winkel) * 3);
+                ctx.lineTo(nx - Math.cos(winkel - 0.5) * 8, ny - Math.sin(winkel - 0.5) * 8);
+                ctx.lineTo(nx - Math.cos(winkel + 0.5) * 8, ny - Math.sin(winkel + 0.5) * 8);
+                ctx.fill();
+            }
+        }
+
+        [[t.von, t.nach, vx, vy], [t.nach, t.von, nx, ny]].forEach(([pad, partner, px, py]) => {
+            if (pad.etage !== etage) return;
+            ctx.beginPath();
+            ctx.arc(px, py, 2.5, 0, Math.PI * 2);
+            ctx.stroke();
+            if (partner.etage !== etage) ctx.fillText(`E${partner.etage + 1}`, px + 3, py - 2);
+        });
+    });
+}
+
+/**
+ * Übersicht der Zuschauer: alle Spieler mit ihrer aktuellen Position
+ * in ihrer Farbe und mit Nummer, auf der angezeigten Etage als Punkt,
+ * auf anderen Etagen als blasser Ring mit Etagennummer.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} etage - Angezeigte Etage
+ */
+function zeichneUebersichtSpieler(ctx, etage) {
+    const z = MINIMAP_ZELLGROESSE;
+    ctx.font = '8px monospace';
+    for (const [id, eintrag] of mitspieler) {
+        if (!eintrag.lebt || !eintrag.mesh.visible) continue;
+        const { x, y, z: tiefe } = eintrag.mesh.position;
+        const px = (x / WAND_GROESSE + 0.5) * z;
+        const py = (tiefe / WAND_GROESSE + 0.5) * z;
+        const platz = Math.max(0, netzwerk.platzVon(id));
+        const farbe = SPIELER_FARBEN[platz % SPIELER_FARBEN.length];
+        const rgb = `rgb(${farbe >> 16}, ${(farbe >> 8) & 0xff}, ${farbe & 0xff})`;
+        const spielerEtage = etageBei(y);
+
+        ctx.fillStyle = rgb;
+        ctx.strokeStyle = rgb;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.arc(px, py, 3, 0, Math.PI * 2);
+        if (spielerEtage === etage) {
+            ctx.fill();
+            ctx.fillText(`${platz + 1}`, px + 4, py - 3);
+        } else {
+            ctx.globalAlpha = 0.5;
+            ctx.stroke();
+            ctx.fillText(`${platz + 1} E${spielerEtage + 1}`, px + 4, py - 3);
+            ctx.globalAlpha = 1;
+        }
+        if (id === zuschauerZiel) {
+            ctx.beginPath();
+            ctx.arc(px, py, 6, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+    }
+}
+
 /**
  * Erkennt ob das Gerät ein Mobilgerät ist.
  * @returns {boolean}
@@ -0,0 +1,736 @@
+/**
+ * ============================================================
+ * KARTEN-FORMAT (map-format.js)
+ * ============================================================
+ * Beschreibt eine spielbare Karte vollständig, unabhängig vom
+ * Generator: Raster, Generator-Einstellungen, Spawns, Start-Pickups,
+ * Fackeln und minenfreie Zonen (optional, aus dem Editor). Damit
+ * lassen sich gute Karten speichern, teilen und später exakt so
+ * wieder laden.
+ *
+ * Zwei Darstellungen:
+ *   JSON        – lesbar, zum Speichern als Datei
+ *   Karten-Code – kompakt (Base64url, Raster als Bits), zum Teilen
+ *
+ * Alle Positionen sind Rasterkoordinaten (x = Spalte, y = Zeile).
+ * Rasterzeichen entsprechen FELD aus maze-core.js ('0' Gang, '1' Wand,
+ * '2' Tür, '3' Fenster, '4' Grube, '5' Risswand, '7' Treppe, '8' Loch).
+ * Mehrstöckige Karten (maze-floors.js) tragen zusätzlich "etagen"
+ * (Raster ab Etage 1, Etage 0 bleibt "raster") und "treppen";
+ * Türen, Fenster, Gruben und Risswände gibt es nur im Erdgeschoss.
+ * "teleporter" (maze-teleporter.js) ist optional, ältere Karten
+ * haben keine.
+ * DOM-frei, läuft im Browser und unter Node.
+ * ============================================================
+ */
+
+import {
+    WAND_GROESSE,
+    MAZE_ALGORITHMEN,
+    RAUM_GROESSEN,
+    SYMMETRIE_MODI,
+    FELD,
+    generateMaze,
+    berechneSpawnPunkte,
+    berechneInitialPickups,
+    berechneFackelPlaetze
+} from './maze-core.js';
+import { generiereEtagen, einstoeckigeWelt, MAX_ETAGEN, TREPPEN_RICHTUNGEN } from './maze-floors.js';
+import { berechneTeleporter } from './maze-teleporter.js';
+
+export const KARTEN_FORMAT = 'retro-labyrinth-karte';
+export const KARTEN_VERSION = 1;
+
+const CODE_PRAEFIX = 'LAB-';
+const PICKUP_TYPEN = ['AMMO', 'HEALTH', 'MINE'];
+const FACKEL_RICHTUNGEN = [
+    { dx: 0, dz: -1 }, { dx: 0, dz: 1 },
+    { dx: -1, dz: 0 }, { dx: 1, dz: 0 }
+];
+const MAX_RASTER = 255;  // Seitenlänge, passt in ein Byte des Karten-Codes
+const MAX_PUNKTE = 255;  // Pickups bzw. Fackeln pro Karte
+const MODUS_WANDERWAENDE = 1; // Bit im Modus-Abschnitt des Karten-Codes
+// Feldtypen, die in einer Karte stehen dürfen (offene Türen nur zur Laufzeit)
+const KARTEN_FELDER = [FELD.GANG, FELD.WAND, FELD.TUER, FELD.FENSTER, FELD.GRUBE, FELD.RISSWAND, FELD.TREPPE, FELD.LOCH];
+const RASTER_ZEICHEN = new RegExp(`[^${KARTEN_FELDER.join('')}]`);
+// Sonderfelder baut und schaltet maze-tiles.js nur im Erdgeschoss
+const NUR_ERDGESCHOSS = new Set([FELD.TUER, FELD.FENSTER, FELD.GRUBE, FELD.RISSWAND].map(String));
+
+/**
+ * Erzeugt eine Karte aus Seed und Generator-Einstellungen.
+ *
+ * @param {number} breite - Zellen in X-Richtung
+ * @param {number} hoehe - Zellen in Y-Richtung
+ * @param {number} seed - Labyrinth-Seed
+ * @param {object} [einstellungen] - Generator-Einstellungen (wie generateMaze, plus etagen, teleporter und wanderwaende)
+ * @returns {object} Karten-Beschreibung
+ */
+export function erzeugeKarte(breite, hoehe, seed, einstellungen = {}) {
+    if (einstellungen.etagen > 1) {
+        const welt = generiereEtagen(breite, hoehe, seed, einstellungen);
+        return beschreibeKarte(welt.etagen[0], { seed, einstellungen, welt });
+    }
+    const labyrinth = generateMaze(breite, hoehe, seed, einstellungen);
+    return beschreibeKarte(labyrinth, { seed, einstellungen });
+}
+
+/**
+ * Erstellt die Beschreibung zu einem fertigen Raster. Spawns, Pickups,
+ * Fackeln und Teleporter werden wie im Spiel aus Seed und Raster
+ * berechnet (Teleporter nur, solange einstellungen.teleporter nicht false ist).
+ *
+ * @param {number[][]} labyrinth - Das Labyrinth-Array
+ * @param {object} info
+ * @param {number} info.seed - Labyrinth-Seed
+ * @param {object} [info.einstellungen] - Generator-Einstellungen
+ * @param {string} [info.name] - Anzeigename
+ * @param {{etagen: number[][][], treppen: object[]}} [info.welt] - Mehrere Etagen (labyrinth = Etage 0)
+ * @returns {object} Karten-Beschreibung
+ */
+export function beschreibeKarte(labyrinth, { seed, einstellungen = {}, name, welt }) {
+    const spawns = berechneSpawnPunkte(labyrinth, seed, einstellungen.symmetrie);
+    const pickups = berechneInitialPickups(labyrinth, seed, einstellungen.symmetrie);
+    const karte = {
+        format: KARTEN_FORMAT,
+        version: KARTEN_VERSION,
+        name: name || `Seed ${seed}`,
+        seed,
+        einstellungen,
+        raster: labyrinth.map(zeile => zeile.join('')),
+        spawns: {
+            host: weltZuFeld(spawns.host),
+            gast: weltZuFeld(spawns.gast)
+        },
+        pickups: pickups.map(p => ({ typ: p.typ, ...weltZuFeld(p.pos) })),
+        fackeln: berechneFackelPlaetze(labyrinth),
+        minenfreieZonen: []
+    };
+    const belegt = [karte.spawns.host, karte.spawns.gast, ...karte.pickups];
+    karte.teleporter = einstellungen.teleporter === false ? [] :
+        berechneTeleporter(welt || einstoeckigeWelt(labyrinth), seed, einstellungen.symmetrie, belegt);
+    if (welt && welt.etagen.length > 1) {
+        karte.etagen = welt.etagen.slice(1).map(raster => raster.map(zeile => zeile.join('')));
+        karte.treppen = welt.treppen.map(t => ({ ...t }));
+    }
+    return karte;
+}
+
+/**
+ * Prüft eine (importierte oder empfangene) Beschreibung auf Gültigkeit.
+ * @param {object} karte
+ * @returns {object} Die Karte, falls gültig
+ * @throws {Error} Mit Grund, falls ungültig
+ */
+export function pruefeKarte(karte) {
+    const fehler = (grund) => { throw new Error(`Ungültige Karte: ${grund}`); };
+
+    if (!karte || typeof karte !== 'object') fehler('keine Beschreibung');
+    if (karte.format !== KARTEN_FORMAT) fehler('unbekanntes Format');
+    if (karte.version !== KARTEN_VERSION) fehler(`Version ${karte.version} wird nicht unterstützt`);
+    if (!Number.isInteger(karte.seed)) fehler('Seed fehlt');
+    pruefeEinstellungen(karte.einstellungen, fehler);
+
+    const raster = karte.raster;
+    if (!Array.isArray(raster) || raster.length < 3 || raster.length > MAX_RASTER) fehler('Raster fehlt');
+    const breite = raster[0].length;
+    if (breite < 3 || breite > MAX_RASTER || raster.length % 2 === 0 || breite % 2 === 0) {
+        fehler('Rastergröße muss ungerade sein');
+    }
+    pruefeRaster(raster, breite, raster.length, '', fehler);
+    const istGang = (p) => p && Number.isInteger(p.x) && Number.isInteger(p.y) && raster[p.y]?.[p.x] === '0';
+
+    if (!istGang(karte.spawns?.host) || !istGang(karte.spawns?.gast)) fehler('Spawn liegt nicht in einem Gang');
+
+    if (!Array.isArray(karte.pickups) || karte.pickups.length > MAX_PUNKTE) fehler('Pickups fehlen');
+    karte.pickups.forEach((p, i) => {
+        if (!PICKUP_TYPEN.includes(p.typ) || !istGang(p)) fehler(`Pickup ${i} ist ungültig`);
+    });
+
+    if (!Array.isArray(karte.fackeln) || karte.fackeln.length > MAX_PUNKTE) fehler('Fackeln fehlen');
+    karte.fackeln.forEach((f, i) => {
+        const richtung = FACKEL_RICHTUNGEN.some(r => r.dx === f.dx && r.dz === f.dz);
+        if (!istGang(f) || !richtung || raster[f.y + f.dz][f.x + f.dx] !== '1') fehler(`Fackel ${i} hängt an keiner Wand`);
+    });
+
+    // Minenfreie Zonen sind optional (ältere Karten haben keine)
+    if (karte.minenfreieZonen !== undefined) {
+        if (!Array.isArray(karte.minenfreieZonen) || karte.minenfreieZonen.length > MAX_RASTER * MAX_RASTER) fehler('Minenfreie Zonen sind beschädigt');
+        karte.minenfreieZonen.forEach((z, i) => {
+            if (!istGang(z)) fehler(`Minenfreie Zone ${i} liegt nicht in einem Gang`);
+        });
+    }
+
+    pruefeEtagen(karte, breite, fehler);
+    pruefeTeleporter(karte, fehler);
+
+    return karte;
+}
+
+/**
+ * Prüft die Generator-Einstellungen (optional). Sie gehen unverändert
+ * an erzeugeKarte, sobald jemand mit dieser Karte eine neue Runde
+ * startet – auch ein Gast, der den Raum übernommen hat. Schlüssel nur
+ * aus den eigenen Tabellen, nicht aus Object.prototype.
+ * @param {object} [einstellungen]
+ * @param {function} fehler
+ */
+function pruefeEinstellungen(einstellungen, fehler) {
+    if (einstellungen === undefined) return;
+    if (typeof einstellungen !== 'object' || einstellungen === null) fehler('Einstellungen sind beschädigt');
+    const optionalAus = (tabelle, wert) => wert === undefined || Object.hasOwn(tabelle, wert);
+    const optionalBool = (wert) => wert === undefined || typeof wert === 'boolean';
+
+    if (!optionalAus(MAZE_ALGORITHMEN, einstellungen.algorithmus)) fehler(`Unbekannter Algorithmus "${einstellungen.algorithmus}"`);
+    if (!optionalAus(SYMMETRIE_MODI, einstellungen.symmetrie)) fehler(`Unbekannte Symmetrie "${einstellungen.symmetrie}"`);
+    const raeume = einstellungen.raeume;
+    if (raeume !== undefined && (typeof raeume !== 'object' || raeume === null ||
+        !Number.isInteger(raeume.anzahl) || raeume.anzahl < 0 || raeume.anzahl > MAX_PUNKTE ||
+        !optionalAus(RAUM_GROESSEN, raeume.groesse))) {
+        fehler('Raum-Einstellungen sind beschädigt');
+    }
+    const etagen = einstellungen.etagen;
+    if (etagen !== undefined && (!Number.isInteger(etagen) || etagen < 1 || etagen > MAX_ETAGEN)) {
+        fehler(`Etagenzahl ${etagen} wird nicht unterstützt`);
+    }
+    const rate = einstellungen.durchbruchRate;
+    if (rate !== undefined && (!Number.isFinite(rate) || rate < 0 || rate > 1)) fehler('Durchbruchrate ist beschädigt');
+    if (!optionalBool(einstellungen.teleporter) || !optionalBool(einstellungen.wanderwaende)) {
+        fehler('Einstellungen sind beschädigt');
+    }
+}
+
+/**
+ * Prüft Maße, Zeichen und Außenwand eines Rasters.
+ * @param {string[]} raster
+ * @param {number} breite
+ * @param {number} hoehe
+ * @param {string} bezeichnung - Präfix für Fehlermeldungen ('' oder 'Etage n: ')
+ * @param {function} fehler
+ */
+function pruefeRaster(raster, breite, hoehe, bezeichnung, fehler) {
+    if (!Array.isArray(raster) || raster.length !== hoehe) fehler(`${bezeichnung}Raster fehlt`);
+    raster.forEach((zeile, y) => {
+        if (typeof zeile !== 'string' || zeile.length !== breite || RASTER_ZEICHEN.test(zeile)) {
+            fehler(`${bezeichnung}Rasterzeile ${y} ist beschädigt`);
+        }
+    });
+    for (let y = 0; y < hoehe; y++) {
+        for (let x = 0; x < breite; x++) {
+            const amRand = x === 0 || y === 0 || x === breite - 1 || y === hoehe - 1;
+            if (amRand && raster[y][x] !== '1') fehler(`${bezeichnung}Außenwand ist offen`);
+        }
+    }
+}
+
+/**
+ * Prüft die zusätzlichen Etagen und Treppen (beide optional).
+ * Jede Treppe steht auf ihrer Etage und der darüber als '7', mit
+ * Gang davor (unten) und dahinter (oben). Löcher gibt es nur ab
+ * Etage 1 und nur über einem Gang, Sonderfelder nur auf Etage 0.
+ */
+function pruefeEtagen(karte, breite, fehler) {
+    if (karte.etagen === undefined && karte.treppen === undefined) {
+        if (karte.raster.some(zeile => /[78]/.test(zeile))) fehler('Treppe oder Loch ohne Etagen');
+        return;
+    }
+    if (!Array.isArray(karte.etagen) || karte.etagen.length < 1 || karte.etagen.length > MAX_ETAGEN - 1) {
+        fehler('Etagen sind beschädigt');
+    }
+    const etagen = [karte.raster, ...karte.etagen];
+    const hoehe = karte.raster.length;
+    karte.etagen.forEach((raster, i) => pruefeRaster(raster, breite, hoehe, `Etage ${i + 1}: `, fehler));
+
+    if (!Array.isArray(karte.treppen) || karte.treppen.length < 1 || karte.treppen.length > MAX_PUNKTE) {
+        fehler('Treppen fehlen');
+    }
+    const treppenFelder = new Set();
+    karte.treppen.forEach((t, i) => {
+        const richtung = TREPPEN_RICHTUNGEN.some(r => r.dx === t.dx && r.dz === t.dz);
+        const gueltig = richtung && Number.isInteger(t.x) && Number.isInteger(t.y) &&
+            Number.isInteger(t.etage) && t.etage >= 0 && t.etage < etagen.length - 1 &&
+            etagen[t.etage][t.y]?.[t.x] === '7' && etagen[t.etage + 1][t.y][t.x] === '7' &&
+            etagen[t.etage][t.y - t.dz]?.[t.x - t.dx] === '0' &&
+            etagen[t.etage + 1][t.y + t.dz]?.[t.x + t.dx] === '0';
+        if (!gueltig) fehler(`Treppe ${i} ist beschädigt`);
+        treppenFelder.add(`${t.etage},${t.x},${t.y}`).add(`${t.etage + 1},${t.x},${t.y}`);
+    });
+
+    etagen.forEach((raster, e) => {
+        for (let y = 0; y < hoehe; y++) {
+            for (let x = 0; x < breite; x++) {
+                if (raster[y][x] === '7' && !treppenFelder.has(`${e},${x},${y}`)) {
+                    fehler(`Etage ${e}: Treppenfeld (${x}, ${y}) gehört zu keiner Treppe`);
+                }
+                if (raster[y][x] === '8' && (e === 0 || etagen[e - 1][y][x] !== '0')) {
+                    fehler(`Etage ${e}: Loch (${x}, ${y}) ohne Gang darunter`);
+                }
+                if (e > 0 && NUR_ERDGESCHOSS.has(raster[y][x])) {
+                    fehler(`Etage ${e}: Sonderfeld (${x}, ${y}) gibt es nur im Erdgeschoss`);
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Prüft die Teleporter (optional). Jedes Pad liegt auf einem Gang
+ * seiner Etage, kein Feld trägt zwei Pads.
+ */
+function pruefeTeleporter(karte, fehler) {
+    if (karte.teleporter === undefined) return;
+    if (!Array.isArray(karte.teleporter) || karte.teleporter.length > MAX_PUNKTE) fehler('Teleporter sind beschädigt');
+    const etagen = [karte.raster, ...(karte.etagen || [])];
+    const padFelder = new Set();
+    const istPad = (p) => p && Number.isInteger(p.x) && Number.isInteger(p.y) && Number.isInteger(p.etage) &&
+        etagen[p.etage]?.[p.y]?.[p.x] === '0';
+    karte.teleporter.forEach((t, i) => {
+        if (!istPad(t?.von) || !istPad(t?.nach) || typeof t.einweg !== 'boolean') fehler(`Teleporter ${i} ist ungültig`);
+        [t.von, t.nach].forEach(p => {
+            const schluessel = `${p.etage},${p.x},${p.y}`;
+            if (padFelder.has(schluessel)) fehler(`Teleporter ${i}: Feld (${p.x}, ${p.y}) ist doppelt belegt`);
+            padFelder.add(schluessel);
+        });
+    });
+}
+
+/**
+ * Raster der Beschreibung als Labyrinth-Array (Werte aus FELD).
+ * @param {object} karte
+ * @returns {number[][]}
+ */
+export function karteZuRaster(karte) {
+    return karte.raster.map(zeile => Array.from(zeile, feld => Number(feld)));
+}
+
+/**
+ * Alle Etagen der Beschreibung als Welt (siehe maze-floors.js).
+ * etagen[0] entspricht karteZuRaster; wer die Welt nutzt, ändert
+ * Sonderfelder direkt in diesem Raster.
+ * @param {object} karte
+ * @returns {{etagen: number[][][], treppen: {x: number, y: number, dx: number, dz: number, etage: number}[]}}
+ */
+export function karteZuWelt(karte) {
+    const obere = (karte.etagen || []).map(raster => raster.map(zeile => Array.from(zeile, feld => Number(feld))));
+    return {
+        etagen: [karteZuRaster(karte), ...obere],
+        treppen: (karte.treppen || []).map(t => ({ ...t }))
+    };
+}
+
+/**
+ * Spawns der Beschreibung in Weltkoordinaten.
+ * @param {object} karte
+ * @returns {{host: {x: number, z: number}, gast: {x: number, z: number}}}
+ */
+export function kartenSpawns(karte) {
+    return {
+        host: feldZuWelt(karte.spawns.host),
+        gast: feldZuWelt(karte.spawns.gast)
+    };
+}
+
+/**
+ * Spawn eines Startplatzes in Weltkoordinaten. Platz 0 und 1 sind die
+ * Spawns der Beschreibung (Host und erster Gast), jeder weitere Platz
+ * ist die Zellmitte im Erdgeschoss, die am weitesten von allen
+ * vorherigen Plätzen entfernt liegt (ohne Teleporter-Pads).
+ * @param {object} karte
+ * @param {number} platz - 0 bis MAX_SPIELER-1
+ * @returns {{x: number, z: number}}
+ */
+export function kartenSpawnFuerPlatz(karte, platz) {
+    const plaetze = [karte.spawns.host, karte.spawns.gast];
+    if (platz < plaetze.length) return feldZuWelt(plaetze[Math.max(0, platz)]);
+
+    const raster = karteZuRaster(karte);
+    const pads = new Set((karte.teleporter || []).flatMap(t => [t.von, t.nach])
+        .filter(p => p.etage === 0).map(p => `${p.x},${p.y}`));
+    const zellen = [];
+    for (let y = 1; y < raster.length - 1; y += 2) {
+        for (let x = 1; x < raster[y].length - 1; x += 2) {
+            if (raster[y][x] === FELD.GANG && !pads.has(`${x},${y}`)) zellen.push({ x, y });
+        }
+    }
+
+    while (plaetze.length <= platz) {
+        let bester = plaetze[plaetze.length % 2];
+        let besterAbstand = -1;
+        for (const zelle of zellen) {
+            const abstand = Math.min(...plaetze.map(p => Math.abs(p.x - zelle.x) + Math.abs(p.y - zelle.y)));
+            if (abstand > besterAbstand) {
+                bester = zelle;
+                besterAbstand = abstand;
+            }
+        }
+        plaetze.push(bester);
+    }
+    return feldZuWelt(plaetze[platz]);
+}
+
+/**
+ * Start-Pickups der Beschreibung (gleiches Format wie berechneInitialPickups).
+ * @param {object} karte
+ * @returns {{id: string, typ: string, pos: {x: number, z: number}}[]}
+ */
+export function kartenPickups(karte) {
+    return karte.pickups.map((p, i) => ({ id: `pickup_init_${i}`, typ: p.typ, pos: feldZuWelt(p) }));
+}
+
+/**
+ * Prüft ob eine Weltposition in einer minenfreien Zone der Karte liegt.
+ * @param {object} karte - Karten-Beschreibung
+ * @param {number} weltX
+ * @param {number} weltZ
+ * @returns {boolean}
+ */
+export function istMinenfreieZone(karte, weltX, weltZ) {
+    if (!karte?.minenfreieZonen?.length) return false;
+    const x = Math.floor(weltX / WAND_GROESSE + 0.5);
+    const y = Math.floor(weltZ / WAND_GROESSE + 0.5);
+    return karte.minenfreieZonen.some(z => z.x === x && z.y === y);
+}
+
+/**
+ * Beschreibung als formatiertes JSON (für den Datei-Export).
+ * @param {object} karte
+ * @returns {string}
+ */
+export function karteZuJSON(karte) {
+    return JSON.stringify(karte, null, 2);
+}
+
+/**
+ * Liest eine Karte aus JSON-Text oder einem Karten-Code.
+ * @param {string} text
+ * @returns {object} Geprüfte Karten-Beschreibung
+ * @throws {Error} Bei ungültigem Inhalt
+ */
+export function leseKarte(text) {
+    const eingabe = String(text).trim();
+    if (eingabe.startsWith(CODE_PRAEFIX)) {
+        return dekodiereKartenCode(eingabe);
+    }
+    let karte;
+    try {
+        karte = JSON.parse(eingabe);
+    } catch (err) {
+        throw new Error('Ungültige Karte: weder JSON noch Karten-Code');
+    }
+    return pruefeKarte(karte);
+}
+
+// ── Karten-Code (kompakt) ───────────────────────────────────
+// Aufbau (Bytes): Version, Breite, Höhe, Seed (4), Algorithmus,
+// Raumanzahl, Raumgröße, Symmetrie, Raster-Bits, Spawns (4),
+// Pickups (Anzahl + je Typ/x/y), Fackeln (Anzahl + je x/y/Richtung),
+// minenfreie Zonen (Anzahl (2) + je x/y), Sonderfelder (Anzahl (2) +
+// je x/y/Typ), weitere Etagen (Anzahl + je Raster-Bits/Sonderfelder),
+// Treppen (Anzahl + je x/y/Richtung/Etage), Teleporter (Anzahl + je
+// x/y/Etage von, x/y/Etage nach, Einweg), Spielmodi (Bits: 1 =
+// wandernde Wände), Prüfsumme. Die optionalen
+// Abschnitte entfallen von hinten, solange sie leer sind;
+// Sonderfelder stehen in den Raster-Bits als Gang (0).
+// Der Name wird nicht mitkodiert.
+
+/**
+ * Kodiert eine Beschreibung als kompakten Karten-Code.
+ * @param {object} karte - Geprüfte Karten-Beschreibung
+ * @returns {string} z.B. "LAB-ARER..."
+ */
+export function kodiereKartenCode(karte) {
+    const bytes = [];
+    const breite = karte.raster[0].length;
+    const hoehe = karte.raster.length;
+    const einstellungen = karte.einstellungen || {};
+
+    bytes.push(KARTEN_VERSION, breite, hoehe);
+    const seed = karte.seed >>> 0;
+    bytes.push((seed >>> 24) & 0xff, (seed >>> 16) & 0xff, (seed >>> 8) & 0xff, seed & 0xff);
+    bytes.push(
+        schluesselIndex(MAZE_ALGORITHMEN, einstellungen.algorithmus),
+        einstellungen.raeume?.anzahl || 0,
+        schluesselIndex(RAUM_GROESSEN, einstellungen.raeume?.groesse),
+        schluesselIndex(SYMMETRIE_MODI, einstellungen.symmetrie)
+    );
+
+    schreibeRasterBits(bytes, karte.raster);
+
+    bytes.push(karte.spawns.host.x, karte.spawns.host.y, karte.spawns.gast.x, karte.spawns.gast.y);
+
+    bytes.push(karte.pickups.length);
+    karte.pickups.forEach(p => bytes.push(PICKUP_TYPEN.indexOf(p.typ), p.x, p.y));
+
+    bytes.push(karte.fackeln.length);
+    karte.fackeln.forEach(f => bytes.push(f.x, f.y, FACKEL_RICHTUNGEN.findIndex(r => r.dx === f.dx && r.dz === f.dz)));
+
+    // Optionale Abschnitte nur bis zum letzten belegten anhängen, damit einfache Codes kurz bleiben
+    const zonen = karte.minenfreieZonen || [];
+    const sonderfelder = sammleSonderfelder(karte.raster);
+    const etagen = karte.etagen || [];
+    const teleporter = karte.teleporter || [];
+    const modi = einstellungen.wanderwaende ? [MODUS_WANDERWAENDE] : [];
+    const abschnitte = [zonen, sonderfelder, etagen, teleporter, modi].reduce((anzahl, liste, i) => liste.length > 0 ? i + 1 : anzahl, 0);
+    if (abschnitte > 0) {
+        bytes.push((zonen.length >>> 8) & 0xff, zonen.length & 0xff);
+        zonen.forEach(z => bytes.push(z.x, z.y));
+    }
+    if (abschnitte > 1) {
+        schreibeSonderfelder(bytes, sonderfelder);
+    }
+    if (abschnitte > 2) {
+        bytes.push(etagen.length);
+        etagen.forEach(raster => {
+            schreibeRasterBits(bytes, raster);
+            schreibeSonderfelder(bytes, sammleSonderfelder(raster));
+        });
+        const treppen = karte.treppen || [];
+        bytes.push(treppen.length);
+        treppen.forEach(t => bytes.push(t.x, t.y, TREPPEN_RICHTUNGEN.findIndex(r => r.dx === t.dx && r.dz === t.dz), t.etage));
+    }
+    if (abschnitte > 3) {
+        bytes.push(teleporter.length);
+        teleporter.forEach(t => bytes.push(t.von.x, t.von.y, t.von.etage, t.nach.x, t.nach.y, t.nach.etage, t.einweg ? 1 : 0));
+    }
+    if (abschnitte > 4) {
+        bytes.push(modi.reduce((bits, modus) => bits | modus, 0));
+    }
+
+    bytes.push(pruefbyte(bytes));
+
+    const binaer = String.fromCharCode(...bytes);
+    return CODE_PRAEFIX + btoa(binaer).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Dekodiert einen Karten-Code zurück in eine Beschreibung.
+ * @param {string} code
+ * @returns {object} Geprüfte Karten-Beschreibung
+ * @throws {Error} Bei beschädigtem Code
+ */
+export function dekodiereKartenCode(code) {
+    const fehler = (grund) => { throw new Error(`Ungültiger Karten-Code: ${grund}`); };
+
+    let binaer;
+    try {
+        const basis64 = code.trim().slice(CODE_PRAEFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+        binaer = atob(basis64);
+    } catch (err) {
+        fehler('keine gültige Zeichenfolge');
+    }
+    const bytes = Array.from(binaer, z => z.charCodeAt(0));
+    if (bytes.length < 12 || pruefbyte(bytes.slice(0, -1)) !== bytes[bytes.length - 1]) {
+        fehler('Prüfsumme stimmt nicht (unvollständig kopiert?)');
+    }
+
+    let pos = 0;
+    const lies = () => {
+        if (pos >= bytes.length - 1) fehler('zu kurz');
+        return bytes[pos++];
+    };
+
+    const version = lies();
+    if (version !== KARTEN_VERSION) fehler(`Version ${version} wird nicht unterstützt`);
+    const breite = lies();
+    const hoehe = lies();
+    const seed = ((lies() << 24) | (lies() << 16) | (lies() << 8) | lies()) >>> 0;
+    const algorithmus = schluesselAusIndex(MAZE_ALGORITHMEN, lies());
+    const raumAnzahl = lies();
+    const raumGroesse = schluesselAusIndex(RAUM_GROESSEN, lies());
+    const symmetrie = schluesselAusIndex(SYMMETRIE_MODI, lies());
+
+    const raster = leseRasterBits(lies, breite, hoehe);
+
+    const spawns = {
+        host: { x: lies(), y: lies() },
+        gast: { x: lies(), y: lies() }
+    };
+
+    const pickups = [];
+    const pickupAnzahl = lies();
+    for (let i = 0; i < pickupAnzahl; i++) {
+        pickups.push({ typ: PICKUP_TYPEN[lies()], x: lies(), y: lies() });
+    }
+
+    const fackeln = [];
+    const fackelAnzahl = lies();
+    for (let i = 0; i < fackelAnzahl; i++) {
+        const x = lies();
+        const y = lies();
+        const richtung = FACKEL_RICHTUNGEN[lies()] || {};
+        fackeln.push({ x, y, dx: richtung.dx, dz: richtung.dz });
+    }
+
+    const minenfreieZonen = [];
+    if (pos < bytes.length - 1) {
+        const zonenAnzahl = (lies() << 8) | lies();
+        for (let i = 0; i < zonenAnzahl; i++) {
+            minenfreieZonen.push({ x: lies(), y: lies() });
+        }
+    }
+    if (pos < bytes.length - 1) {
+        leseSonderfelder(lies, raster, fehler);
+    }
+    const etagen = [];
+    const treppen = [];
+    if (pos < bytes.length - 1) {
+        const etagenAnzahl = lies();
+        for (let e = 0; e < etagenAnzahl; e++) {
+            const etage = leseRasterBits(lies, breite, hoehe);
+            leseSonderfelder(lies, etage, fehler);
+            etagen.push(etage);
+        }
+        const treppenAnzahl = lies();
+        for (let i = 0; i < treppenAnzahl; i++) {
+            const x = lies();
+            const y = lies();
+            const richtung = TREPPEN_RICHTUNGEN[lies()] || {};
+            treppen.push({ x, y, dx: richtung.dx, dz: richtung.dz, etage: lies() });
+        }
+    }
+    const teleporter = [];
+    if (pos < bytes.length - 1) {
+        const teleporterAnzahl = lies();
+        for (let i = 0; i < teleporterAnzahl; i++) {
+            const von = { x: lies(), y: lies(), etage: lies() };
+            const nach = { x: lies(), y: lies(), etage: lies() };
+            teleporter.push({ von, nach, einweg: lies() === 1 });
+        }
+    }
+    const modi = pos < bytes.length - 1 ? lies() : 0;
+    if (pos !== bytes.length - 1) fehler('unerwartete Zusatzdaten');
+
+    const einstellungen = { raeume: { anzahl: raumAnzahl, groesse: raumGroesse || 'mittel' } };
+    if (algorithmus) einstellungen.algorithmus = algorithmus;
+    if (symmetrie) einstellungen.symmetrie = symmetrie;
+    if (etagen.length > 0) einstellungen.etagen = etagen.length + 1;
+    if (modi & MODUS_WANDERWAENDE) einstellungen.wanderwaende = true;
+
+    const zusatz = etagen.length > 0 ? { etagen, treppen } : {};
+    return pruefeKarte({
+        format: KARTEN_FORMAT,
+        version,
+        name: `Code ${seed}`,
+        seed,
+        einstellungen,
+        raster,
+        spawns,
+        pickups,
+        fackeln,
+        minenfreieZonen,
+        teleporter,
+        ...zusatz
+    });
+}
+
+/**
+ * Hängt ein Raster als Bits an (zeilenweise, höchstes Bit zuerst).
+ * Nur Wände sind 1, alles andere steht als Sonderfeld daneben.
+ */
+function schreibeRasterBits(bytes, raster) {
+    let aktuell = 0;
+    let bits = 0;
+    for (const zeile of raster) {
+        for (const feld of zeile) {
+            aktuell = (aktuell << 1) | (feld === '1' ? 1 : 0);
+            if (++bits === 8) {
+                bytes.push(aktuell);
+                aktuell = 0;
+                bits = 0;
+            }
+        }
+    }
+    if (bits > 0) bytes.push(aktuell << (8 - bits));
+}
+
+/**
+ * Liest ein Raster aus Bits (Gegenstück zu schreibeRasterBits).
+ */
+function leseRasterBits(lies, breite, hoehe) {
+    const raster = [];
+    let aktuell = 0;
+    let bits = 0;
+    for (let y = 0; y < hoehe; y++) {
+        let zeile = '';
+        for (let x = 0; x < breite; x++) {
+            if (bits === 0) {
+                aktuell = lies();
+                bits = 8;
+            }
+            bits--;
+            zeile += (aktuell >> bits) & 1 ? '1' : '0';
+        }
+        raster.push(zeile);
+    }
+    return raster;
+}
+
+/**
+ * Alle Felder außer Gang und Wand.
+ */
+function sammleSonderfelder(raster) {
+    const sonderfelder = [];
+    raster.forEach((zeile, y) => Array.from(zeile).forEach((feld, x) => {
+        if (feld !== '0' && feld !== '1') sonderfelder.push({ x, y, typ: Number(feld) });
+    }));
+    return sonderfelder;
+}
+
+/**
+ * Hängt Sonderfelder an (Anzahl (2) + je x/y/Typ).
+ */
+function schreibeSonderfelder(bytes, sonderfelder) {
+    bytes.push((sonderfelder.length >>> 8) & 0xff, sonderfelder.length & 0xff);
+    sonderfelder.forEach(f => bytes.push(f.x, f.y, f.typ));
+}
+
+/**
+ * Liest Sonderfelder und trägt sie in das Raster ein (Zeilen werden ersetzt).
+ */
+function leseSonderfelder(lies, raster, fehler) {
+    const sonderAnzahl = (lies() << 8) | lies();
+    for (let i = 0; i < sonderAnzahl; i++) {
+        const x = lies();
+        const y = lies();
+        const typ = lies();
+        if (!raster[y] || x >= raster[y].length || !KARTEN_FELDER.includes(typ)) fehler(`Sonderfeld ${i} ist beschädigt`);
+        raster[y] = raster[y].slice(0, x) + typ + raster[y].slice(x + 1);
+    }
+}
+
+/**
+ * Weltposition → Rasterfeld.
+ */
+function weltZuFeld(pos) {
+    return { x: Math.round(pos.x / WAND_GROESSE), y: Math.round(pos.z / WAND_GROESSE) };
+}
+
+/**
+ * Rasterfeld → Weltposition.
+ */
+function feldZuWelt(feld) {
+    return { x: feld.x * WAND_GROESSE, z: feld.y * WAND_GROESSE };
+}
+
+/**
+ * Index eines Registry-Schlüssels (255 = nicht gesetzt/unbekannt).
+ */
+function schluesselIndex(registry, schluessel) {
+    const index = Object.keys(registry).indexOf(schluessel);
+    return index >= 0 ? index : 0xff;
+}
+
+/**
+ * Registry-Schlüssel zu einem Index (undefined wenn nicht gesetzt).
+ */
+function schluesselAusIndex(registry, index) {
+    return Object.keys(registry)[index];
+}
+
+/**
+ * Einfache Prüfsumme über alle Bytes, erkennt abgeschnittene Codes.
+ */
+function pruefbyte(bytes) {
+    let summe = 0;
+    for (const b of bytes) summe = (summe * 31 + b) & 0xff;
+    return summe;
+}
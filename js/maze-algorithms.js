@@ -0,0 +1,338 @@
+/**
+ * ============================================================
+ * LABYRINTH-ALGORITHMEN (maze-algorithms.js)
+ * ============================================================
+ * Registry der auswählbaren Erzeugungs-Algorithmen.
+ *
+ * Jeder Algorithmus gräbt einen perfekten Irrgarten in ein
+ * vorbereitetes Raster (alles 1 = Wand) im bekannten Format
+ * (2*breite+1) x (2*hoehe+1). Zufall kommt ausschließlich über
+ * die übergebene Funktion `zufall` (Seeded PRNG), damit Host und
+ * Gast mit gleichem Seed das gleiche Labyrinth erhalten.
+ * ============================================================
+ */
+
+// Richtungen: oben, rechts, unten, links
+const RICHTUNGEN = [
+    { dx: 0, dy: -1 }, // oben
+    { dx: 1, dy: 0 },  // rechts
+    { dx: 0, dy: 1 },  // unten
+    { dx: -1, dy: 0 }  // links
+];
+
+// Growing Tree: Anteil "neueste Zelle" (Rest = zufällige aktive Zelle)
+const WACHSTUM_NEUESTE_ANTEIL = 0.5;
+
+/**
+ * Mischt ein Array mit der übergebenen Zufallsfunktion (Fisher-Yates).
+ * @param {Array} arr - Wird in-place gemischt
+ * @param {function} zufall - Liefert Zahlen in [0, 1)
+ * @returns {Array}
+ */
+function mischen(arr, zufall) {
+    for (let i = arr.length - 1; i > 0; i--) {
+        const j = Math.floor(zufall() * (i + 1));
+        [arr[i], arr[j]] = [arr[j], arr[i]];
+    }
+    return arr;
+}
+
+/**
+ * Räumt eine Zelle im Raster frei.
+ */
+function oeffneZelle(labyrinth, zx, zy) {
+    labyrinth[2 * zy + 1][2 * zx + 1] = 0;
+}
+
+/**
+ * Entfernt die Wand zwischen einer Zelle und ihrem Nachbarn in Richtung (dx, dy).
+ */
+function oeffneWand(labyrinth, zx, zy, dx, dy) {
+    labyrinth[2 * zy + 1 + dy][2 * zx + 1 + dx] = 0;
+}
+
+/**
+ * Erzeugt ein 2D-Array [hoehe][breite] mit Startwert.
+ */
+function erzeugeZellRaster(breite, hoehe, wert) {
+    const raster = [];
+    for (let y = 0; y < hoehe; y++) {
+        raster[y] = new Array(breite).fill(wert);
+    }
+    return raster;
+}
+
+/**
+ * Recursive Backtracking (lange, verwinkelte Gänge).
+ * Entspricht exakt dem ursprünglichen Verfahren, gleiche Seeds
+ * ergeben daher weiterhin die gleichen Labyrinthe.
+ */
+function backtracking(labyrinth, breite, hoehe, zufall) {
+    const besucht = erzeugeZellRaster(breite, hoehe, false);
+
+    function graben(zx, zy) {
+        besucht[zy][zx] = true;
+        oeffneZelle(labyrinth, zx, zy);
+
+        // Nachbarn in zufälliger Reihenfolge besuchen
+        const gemischt = mischen([...RICHTUNGEN], zufall);
+        for (const richtung of gemischt) {
+            const nx = zx + richtung.dx;
+            const ny = zy + richtung.dy;
+
+            if (nx >= 0 && nx < breite && ny >= 0 && ny < hoehe && !besucht[ny][nx]) {
+                oeffneWand(labyrinth, zx, zy, richtung.dx, richtung.dy);
+                graben(nx, ny);
+            }
+        }
+    }
+
+    // Starte in der oberen linken Ecke
+    graben(0, 0);
+}
+
+/**
+ * Randomisierter Prim (viele kurze Sackgassen, "buschig").
+ */
+function prim(labyrinth, breite, hoehe, zufall) {
+    const imLabyrinth = erzeugeZellRaster(breite, hoehe, false);
+    const istGrenze = erzeugeZellRaster(breite, hoehe, false);
+    const grenze = [];
+
+    const aufnehmen = (zx, zy) => {
+        imLabyrinth[zy][zx] = true;
+        oeffneZelle(labyrinth, zx, zy);
+        for (const r of RICHTUNGEN) {
+            const nx = zx + r.dx;
+            const ny = zy + r.dy;
+            if (nx >= 0 && nx < breite && ny >= 0 && ny < hoehe &&
+                !imLabyrinth[ny][nx] && !istGrenze[ny][nx]) {
+                istGrenze[ny][nx] = true;
+                grenze.push({ x: nx, y: ny });
+            }
+        }
+    };
+
+    aufnehmen(Math.floor(zufall() * breite), Math.floor(zufall() * hoehe));
+
+    while (grenze.length > 0) {
+        // Zufällige Grenzzelle entnehmen (Swap-Remove)
+        const idx = Math.floor(zufall() * grenze.length);
+        const zelle = grenze[idx];
+        grenze[idx] = grenze[grenze.length - 1];
+        grenze.pop();
+
+        // Mit einem zufälligen, bereits verbundenen Nachbarn verknüpfen
+        const verbundene = RICHTUNGEN.filter(r => {
+            const nx = zelle.x + r.dx;
+            const ny = zelle.y + r.dy;
+            return nx >= 0 && nx < breite && ny >= 0 && ny < hoehe && imLabyrinth[ny][nx];
+        });
+        const r = verbundene[Math.floor(zufall() * verbundene.length)];
+        oeffneWand(labyrinth, zelle.x, zelle.y, r.dx, r.dy);
+        aufnehmen(zelle.x, zelle.y);
+    }
+}
+
+/**
+ * Randomisierter Kruskal (gleichmäßig verteilte, kurze Gänge).
+ */
+function kruskal(labyrinth, breite, hoehe, zufall) {
+    // Union-Find über alle Zellen
+    const eltern = [];
+    for (let i = 0; i < breite * hoehe; i++) eltern[i] = i;
+    const finde = (i) => {
+        while (eltern[i] !== i) {
+            eltern[i] = eltern[eltern[i]];
+            i = eltern[i];
+        }
+        return i;
+    };
+
+    // Alle inneren Wände (nach rechts und nach unten) sammeln
+    const kanten = [];
+    for (let zy = 0; zy < hoehe; zy++) {
+        for (let zx = 0; zx < breite; zx++) {
+            oeffneZelle(labyrinth, zx, zy);
+            if (zx < breite - 1) kanten.push({ x: zx, y: zy, dx: 1, dy: 0 });
+            if (zy < hoehe - 1) kanten.push({ x: zx, y: zy, dx: 0, dy: 1 });
+        }
+    }
+    mischen(kanten, zufall);
+
+    for (const k of kanten) {
+        const a = finde(k.y * breite + k.x);
+        const b = finde((k.y + k.dy) * breite + (k.x + k.dx));
+        if (a !== b) {
+            eltern[a] = b;
+            oeffneWand(labyrinth, k.x, k.y, k.dx, k.dy);
+        }
+    }
+}
+
+/**
+ * Wilson (Loop-Erased Random Walk, unverzerrter Spannbaum).
+ */
+function wilson(labyrinth, breite, hoehe, zufall) {
+    const imLabyrinth = erzeugeZellRaster(breite, hoehe, false);
+    // Merkt sich pro Zelle die zuletzt gewählte Laufrichtung (löscht Schleifen implizit)
+    const laufRichtung = erzeugeZellRaster(breite, hoehe, null);
+
+    const startX = Math.floor(zufall() * breite);
+    const startY = Math.floor(zufall() * hoehe);
+    imLabyrinth[startY][startX] = true;
+    oeffneZelle(labyrinth, startX, startY);
+
+    for (let zy = 0; zy < hoehe; zy++) {
+        for (let zx = 0; zx < breite; zx++) {
+            if (imLabyrinth[zy][zx]) continue;
+
+            // 1. Zufallslauf bis zum bestehenden Labyrinth
+            let x = zx, y = zy;
+            while (!imLabyrinth[y][x]) {
+                let r;
+                do {
+                    r = RICHTUNGEN[Math.floor(zufall() * RICHTUNGEN.length)];
+                } while (x + r.dx < 0 || x + r.dx >= breite || y + r.dy < 0 || y + r.dy >= hoehe);
+                laufRichtung[y][x] = r;
+                x += r.dx;
+                y += r.dy;
+            }
+
+            // 2. Schleifenfreien Pfad ins Labyrinth übernehmen
+            x = zx;
+            y = zy;
+            while (!imLabyrinth[y][x]) {
+                const r = laufRichtung[y][x];
+                imLabyrinth[y][x] = true;
+                oeffneZelle(labyrinth, x, y);
+                oeffneWand(labyrinth, x, y, r.dx, r.dy);
+                x += r.dx;
+                y += r.dy;
+            }
+        }
+    }
+}
+
+/**
+ * Eller (zeilenweise, horizontal betonte Gänge).
+ */
+function eller(labyrinth, breite, hoehe, zufall) {
+    let naechsteMenge = 1;
+    let zeile = new Array(breite).fill(0); // 0 = noch keiner Menge zugeordnet
+
+    for (let zy = 0; zy < hoehe; zy++) {
+        const letzteZeile = zy === hoehe - 1;
+
+        // Freie Zellen bekommen eine eigene Menge
+        for (let zx = 0; zx < breite; zx++) {
+            oeffneZelle(labyrinth, zx, zy);
+            if (zeile[zx] === 0) zeile[zx] = naechsteMenge++;
+        }
+
+        // Horizontal verbinden (in der letzten Zeile zwingend alle Mengen)
+        for (let zx = 0; zx < breite - 1; zx++) {
+            const a = zeile[zx];
+            const b = zeile[zx + 1];
+            if (a !== b && (letzteZeile || zufall() < 0.5)) {
+                oeffneWand(labyrinth, zx, zy, 1, 0);
+                for (let i = 0; i < breite; i++) {
+                    if (zeile[i] === b) zeile[i] = a;
+                }
+            }
+        }
+
+        if (letzteZeile) break;
+
+        // Vertikal verbinden: jede Menge mindestens einmal nach unten
+        const mengen = new Map();
+        for (let zx = 0; zx < breite; zx++) {
+            if (!mengen.has(zeile[zx])) mengen.set(zeile[zx], []);
+            mengen.get(zeile[zx]).push(zx);
+        }
+
+        const neueZeile = new Array(breite).fill(0);
+        for (const [menge, spalten] of mengen) {
+            mischen(spalten, zufall);
+            spalten.forEach((zx, i) => {
+                if (i === 0 || zufall() < 0.3) {
+                    oeffneWand(labyrinth, zx, zy, 0, 1);
+                    neueZeile[zx] = menge;
+                }
+            });
+        }
+        zeile = neueZeile;
+    }
+}
+
+/**
+ * Growing Tree (Mischform aus Backtracking und Prim).
+ */
+function growingTree(labyrinth, breite, hoehe, zufall) {
+    const besucht = erzeugeZellRaster(breite, hoehe, false);
+    const aktiv = [];
+
+    const startX = Math.floor(zufall() * breite);
+    const startY = Math.floor(zufall() * hoehe);
+    besucht[startY][startX] = true;
+    oeffneZelle(labyrinth, startX, startY);
+    aktiv.push({ x: startX, y: startY });
+
+    while (aktiv.length > 0) {
+        const idx = zufall() < WACHSTUM_NEUESTE_ANTEIL
+            ? aktiv.length - 1
+            : Math.floor(zufall() * aktiv.length);
+        const zelle = aktiv[idx];
+
+        let erweitert = false;
+        for (const r of mischen([...RICHTUNGEN], zufall)) {
+            const nx = zelle.x + r.dx;
+            const ny = zelle.y + r.dy;
+            if (nx >= 0 && nx < breite && ny >= 0 && ny < hoehe && !besucht[ny][nx]) {
+                besucht[ny][nx] = true;
+                oeffneWand(labyrinth, zelle.x, zelle.y, r.dx, r.dy);
+                oeffneZelle(labyrinth, nx, ny);
+                aktiv.push({ x: nx, y: ny });
+                erweitert = true;
+                break;
+            }
+        }
+
+        if (!erweitert) aktiv.splice(idx, 1);
+    }
+}
+
+/**
+ * Binary Tree (sehr schnell, deutliche Diagonal-Tendenz nach Nordost).
+ */
+function binaryTree(labyrinth, breite, hoehe, zufall) {
+    for (let zy = 0; zy < hoehe; zy++) {
+        for (let zx = 0; zx < breite; zx++) {
+            oeffneZelle(labyrinth, zx, zy);
+
+            const kandidaten = [];
+            if (zy > 0) kandidaten.push(RICHTUNGEN[0]);          // oben
+            if (zx < breite - 1) kandidaten.push(RICHTUNGEN[1]); // rechts
+            if (kandidaten.length === 0) continue;               // Nordost-Ecke
+
+            const r = kandidaten[Math.floor(zufall() * kandidaten.length)];
+            oeffneWand(labyrinth, zx, zy, r.dx, r.dy);
+        }
+    }
+}
+
+/**
+ * Registry aller verfügbaren Algorithmen.
+ * Schlüssel = ID (wird per Netzwerk übertragen), name = Anzeige in der Lobby.
+ */
+export const MAZE_ALGORITHMEN = {
+    backtracking: { name: 'Recursive Backtracking', erzeuge: backtracking },
+    prim: { name: 'Prim', erzeuge: prim },
+    kruskal: { name: 'Kruskal', erzeuge: kruskal },
+    wilson: { name: 'Wilson', erzeuge: wilson },
+    eller: { name: 'Eller', erzeuge: eller },
+    growingTree: { name: 'Growing Tree', erzeuge: growingTree },
+    binaryTree: { name: 'Binary Tree', erzeuge: binaryTree }
+};
+
+export const STANDARD_ALGORITHMUS = 'backtracking';
@@ -0,0 +1,200 @@
+/**
+ * ============================================================
+ * LABYRINTH-ANALYSE (maze-analysis.js)
+ * ============================================================
+ * Prüft ein erzeugtes Raster auf Spielbarkeit und Fairness:
+ *   - Zusammenhang (alle Gänge erreichbar?)
+ *   - Sackgassen und Schleifen
+ *   - Kürzester Weg zwischen den Spawns
+ *   - Abstand jedes Spawns zum nächsten Pickup
+ *
+ * DOM-frei, läuft im Browser und unter Node.
+ * Alle Distanzen sind Schritte im Raster (ein Feld = WAND_GROESSE).
+ * ============================================================
+ */
+
+import { WAND_GROESSE, generateMaze, berechneSpawnPunkte, berechneInitialPickups, istPassierbar } from './maze-core.js';
+
+// ── Fairness-Grenzwerte ─────────────────────────────────────
+const MIN_SPAWN_ABSTAND = 10;     // Mindest-Weglänge zwischen den Spawns (Felder)
+const MAX_PICKUP_DIFFERENZ = 6;   // Max. Unterschied der Wege zum nächsten Pickup (Felder)
+
+const NACHBARN = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+
+/**
+ * Rechnet eine Weltposition in Rasterkoordinaten um.
+ * @param {{x: number, z: number}} pos
+ * @returns {{x: number, y: number}}
+ */
+export function weltZuRaster(pos) {
+    return {
+        x: Math.floor(pos.x / WAND_GROESSE + 0.5),
+        y: Math.floor(pos.z / WAND_GROESSE + 0.5)
+    };
+}
+
+/**
+ * Breitensuche ab einem Rasterfeld über alle Gänge (inkl. Türen
+ * und Risswänden, siehe istPassierbar).
+ * @param {number[][]} labyrinth
+ * @param {{x: number, y: number}} start
+ * @returns {number[][]} Distanz pro Feld (-1 = unerreichbar oder Wand)
+ */
+export function berechneDistanzen(labyrinth, start) {
+    const distanz = labyrinth.map(zeile => zeile.map(() => -1));
+    if (!istPassierbar(labyrinth[start.y]?.[start.x])) return distanz;
+
+    const warteschlange = [start];
+    distanz[start.y][start.x] = 0;
+    for (let i = 0; i < warteschlange.length; i++) {
+        const { x, y } = warteschlange[i];
+        for (const [dx, dy] of NACHBARN) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (istPassierbar(labyrinth[ny]?.[nx]) && distanz[ny][nx] === -1) {
+                distanz[ny][nx] = distanz[y][x] + 1;
+                warteschlange.push({ x: nx, y: ny });
+            }
+        }
+    }
+    return distanz;
+}
+
+/**
+ * Analysiert Struktur und (optional) Spawn-Fairness eines Labyrinths.
+ *
+ * @param {number[][]} labyrinth - Das Labyrinth-Array
+ * @param {object} [punkte]
+ * @param {{x: number, z: number}[]} [punkte.spawns] - Spawn-Positionen (Weltkoordinaten)
+ * @param {{x: number, z: number}[]} [punkte.pickups] - Pickup-Positionen (Weltkoordinaten)
+ * @returns {object} Analyse-Bericht
+ */
+export function analysiereLabyrinth(labyrinth, punkte = {}) {
+    let gangFelder = 0;
+    let kanten = 0;
+    let sackgassen = 0;
+
+    for (let y = 0; y < labyrinth.length; y++) {
+        for (let x = 0; x < labyrinth[y].length; x++) {
+            if (!istPassierbar(labyrinth[y][x])) continue;
+            gangFelder++;
+
+            let offeneNachbarn = 0;
+            for (const [dx, dy] of NACHBARN) {
+                if (istPassierbar(labyrinth[y + dy]?.[x + dx])) offeneNachbarn++;
+            }
+            if (offeneNachbarn === 1) sackgassen++;
+            // Nur rechts/unten zählen, damit jede Kante einmal vorkommt
+            if (istPassierbar(labyrinth[y][x + 1])) kanten++;
+            if (istPassierbar(labyrinth[y + 1]?.[x])) kanten++;
+        }
+    }
+
+    // Zusammenhangskomponenten zählen
+    const besucht = labyrinth.map(zeile => zeile.map(() => false));
+    let komponenten = 0;
+    for (let y = 0; y < labyrinth.length; y++) {
+        for (let x = 0; x < labyrinth[y].length; x++) {
+            if (!istPassierbar(labyrinth[y][x]) || besucht[y][x]) continue;
+            komponenten++;
+            const stapel = [{ x, y }];
+            besucht[y][x] = true;
+            while (stapel.length > 0) {
+                const f = stapel.pop();
+                for (const [dx, dy] of NACHBARN) {
+                    const nx = f.x + dx;
+                    const ny = f.y + dy;
+                    if (istPassierbar(labyrinth[ny]?.[nx]) && !besucht[ny][nx]) {
+                        besucht[ny][nx] = true;
+                        stapel.push({ x: nx, y: ny });
+                    }
+                }
+            }
+        }
+    }
+
+    const bericht = {
+        gangFelder,
+        komponenten,
+        zusammenhaengend: komponenten === 1,
+        sackgassen,
+        // Zyklomatische Zahl: unabhängige Schleifen im Gang-Graphen
+        schleifen: kanten - gangFelder + komponenten,
+        spawnAbstand: null,
+        pickupAbstaende: []
+    };
+
+    const spawns = (punkte.spawns || []).map(weltZuRaster);
+    const pickups = (punkte.pickups || []).map(weltZuRaster);
+
+    if (spawns.length >= 2) {
+        const vomErsten = berechneDistanzen(labyrinth, spawns[0]);
+        bericht.spawnAbstand = vomErsten[spawns[1].y]?.[spawns[1].x] ?? -1;
+    }
+
+    bericht.pickupAbstaende = spawns.map(spawn => {
+        const distanzen = berechneDistanzen(labyrinth, spawn);
+        let naechster = -1;
+        for (const p of pickups) {
+            const d = distanzen[p.y]?.[p.x] ?? -1;
+            if (d >= 0 && (naechster === -1 || d < naechster)) naechster = d;
+        }
+        return naechster;
+    });
+
+    return bericht;
+}
+
+/**
+ * Bewertet einen Analyse-Bericht nach den Fairness-Regeln.
+ * @param {object} bericht - Ergebnis von analysiereLabyrinth (mit Spawns)
+ * @returns {{fair: boolean, gruende: string[]}}
+ */
+export function bewerteFairness(bericht) {
+    const gruende = [];
+
+    if (!bericht.zusammenhaengend) {
+        gruende.push(`${bericht.komponenten} getrennte Bereiche`);
+    }
+    if (bericht.spawnAbstand !== null) {
+        if (bericht.spawnAbstand < 0) {
+            gruende.push('Spawns nicht verbunden');
+        } else if (bericht.spawnAbstand < MIN_SPAWN_ABSTAND) {
+            gruende.push(`Spawns nur ${bericht.spawnAbstand} Felder voneinander entfernt`);
+        }
+    }
+    if (bericht.pickupAbstaende.length >= 2) {
+        if (bericht.pickupAbstaende.some(d => d < 0)) {
+            gruende.push('Spawn ohne erreichbares Pickup');
+        } else {
+            const differenz = Math.max(...bericht.pickupAbstaende) - Math.min(...bericht.pickupAbstaende);
+            if (differenz > MAX_PICKUP_DIFFERENZ) {
+                gruende.push(`Pickup-Wege ungleich (${bericht.pickupAbstaende.join(' vs ')} Felder)`);
+            }
+        }
+    }
+
+    return { fair: gruende.length === 0, gruende };
+}
+
+/**
+ * Erzeugt das Labyrinth zu einem Seed und analysiert es inklusive
+ * der daraus folgenden Spawns und Start-Pickups.
+ *
+ * @param {number} breite - Zellen in X-Richtung
+ * @param {number} hoehe - Zellen in Y-Richtung
+ * @param {number} seed - Labyrinth-Seed
+ * @param {object} [einstellungen] - Generator-Einstellungen (wie generateMaze)
+ * @returns {{labyrinth: number[][], bericht: object, bewertung: {fair: boolean, gruende: string[]}}}
+ */
+export function analysiereSeed(breite, hoehe, seed, einstellungen = {}) {
+    const labyrinth = generateMaze(breite, hoehe, seed, einstellungen);
+    const spawn = berechneSpawnPunkte(labyrinth, seed, einstellungen.symmetrie);
+    const bericht = analysiereLabyrinth(labyrinth, {
+        spawns: [spawn.host, spawn.gast],
+        pickups: berechneInitialPickups(labyrinth, seed, einstellungen.symmetrie).map(p => p.pos)
+    });
+    return { labyrinth, bericht, bewertung: bewerteFairness(bericht) };
+}
+
+export { MIN_SPAWN_ABSTAND, MAX_PICKUP_DIFFERENZ };
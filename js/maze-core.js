@@ -0,0 +1,423 @@
+/**
+ * ============================================================
+ * LABYRINTH-KERN (maze-core.js)
+ * ============================================================
+ * Reine Raster-Logik ohne THREE.js und ohne DOM – lauffähig im
+ * Browser und unter Node (Tests, Kommandozeilen-Analyse).
+ *
+ * Stabile API:
+ *   setSeed / seededRandom   – Mulberry32 PRNG (geteilter Zustand)
+ *   generiereZufallsSeed     – neuer zufälliger Seed
+ *   generateMaze             – Raster erzeugen
+ *   findeFreiePosition       – Gang-Position in Weltkoordinaten
+ *   istWand                  – Kollisionsabfrage in Weltkoordinaten
+ *   feldAnPosition           – Feldtyp unter einer Weltposition
+ *   istPassierbar            – Feld für Wegsuche/Analyse durchquerbar?
+ *   istBlockierend           – Feld hält Spieler auf?
+ *   berechneFackelPlaetze    – Fackeln an den Wänden (Rasterkoordinaten)
+ *   berechneSpawnPunkte      – Host-/Gast-Spawn aus dem Seed
+ *   berechneInitialPickups   – Start-Pickups aus dem Seed
+ *
+ * Symmetrische Karten (maze-symmetry.js) erzeugen nur ein Teilstück
+ * und spiegeln es; Spawns und Start-Pickups liegen dann paarweise
+ * auf Gegenstücken.
+ *
+ * Das Labyrinth wird als 2D-Array dargestellt (siehe FELD):
+ *   1 = Wand
+ *   0 = begehbarer Gang
+ *   2 = Tür, 3 = Fenster, 4 = Grube, 5 = Risswand (Sonderfelder)
+ *   7 = Treppe, 8 = Loch (nur mit mehreren Etagen, siehe maze-floors.js)
+ * Der Generator erzeugt nur 0/1, Sonderfelder kommen aus dem Editor.
+ * ============================================================
+ */
+
+import { MAZE_ALGORITHMEN, STANDARD_ALGORITHMUS } from './maze-algorithms.js';
+import { platziereRaeume, RAUM_GROESSEN } from './maze-rooms.js';
+import { SYMMETRIE_MODI, STANDARD_SYMMETRIE, wirksameSymmetrie, teilGroesse, setzeSymmetrischZusammen, gegenstueck, liegtInErsterHaelfte } from './maze-symmetry.js';
+
+// ── Konstanten ──────────────────────────────────────────────
+const WAND_HOEHE = 3.0;       // Höhe der Wände in Einheiten
+const WAND_GROESSE = 2.0;     // Breite/Tiefe einer Zelle
+const FENSTER_BRUESTUNG = 1.0; // Hüfthoch, darunter hält das Fenster Schüsse auf
+const FENSTER_STURZ = 2.2;     // Unterkante des Sturzes, darüber ebenso
+
+/**
+ * Feldtypen im Raster. TUER_OFFEN gibt es nur zur Laufzeit –
+ * in Karten stehen Türen immer geschlossen.
+ */
+export const FELD = {
+    GANG: 0,
+    WAND: 1,
+    TUER: 2,        // Öffnet sich, wenn ein Spieler davor steht
+    FENSTER: 3,     // Nicht begehbar, zwischen Brüstung und Sturz durchschießbar
+    GRUBE: 4,       // Begehbar, aber tödlich
+    RISSWAND: 5,    // Wand, die nach einigen Treffern zerbricht
+    TUER_OFFEN: 6,
+    TREPPE: 7,      // Rampe zur nächsten Etage (auf beiden Etagen eingetragen)
+    LOCH: 8         // Offener Boden, man fällt eine Etage tiefer
+};
+
+// Felder, durch die man nicht laufen kann
+const BLOCKIERENDE_FELDER = new Set([FELD.WAND, FELD.TUER, FELD.FENSTER, FELD.RISSWAND]);
+// Felder, die ein Spieler (irgendwann) durchqueren kann
+const PASSIERBARE_FELDER = new Set([FELD.GANG, FELD.TUER, FELD.TUER_OFFEN, FELD.RISSWAND]);
+
+// ── Seed-basierter Zufallsgenerator (Mulberry32) ────────────
+// Ermöglicht deterministische Labyrinth-Erzeugung:
+// gleicher Seed = gleiches Labyrinth bei allen Spielern.
+let _seedState = 0;
+
+/**
+ * Mulberry32 PRNG – erzeugt reproduzierbare Zufallszahlen.
+ * @returns {number} Pseudozufallszahl zwischen 0 und 1
+ */
+export function seededRandom() {
+    _seedState |= 0;
+    _seedState = (_seedState + 0x6D2B79F5) | 0;
+    let t = Math.imul(_seedState ^ (_seedState >>> 15), 1 | _seedState);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Setzt den Seed für den Zufallsgenerator.
+ * @param {number} seed - Der Seed-Wert
+ */
+export function setSeed(seed) {
+    _seedState = seed;
+}
+
+/**
+ * Generiert einen zufälligen Seed.
+ * @returns {number}
+ */
+export function generiereZufallsSeed() {
+    return Math.floor(Math.random() * 2147483647);
+}
+
+/**
+ * Generiert ein Labyrinth mit dem gewählten Algorithmus.
+ * Das resultierende Array hat die Dimensionen (2*breite+1) x (2*hoehe+1),
+ * da zwischen jeder Zelle Wände liegen.
+ * 
+ * @param {number} breite - Anzahl der Zellen in X-Richtung
+ * @param {number} hoehe - Anzahl der Zellen in Y-Richtung
+ * @param {number} seed - Seed für reproduzierbares Labyrinth
+ * @param {object} [optionen]
+ * @param {string} [optionen.algorithmus] - Schlüssel aus MAZE_ALGORITHMEN
+ * @param {number} [optionen.durchbruchRate] - Anteil zusätzlich entfernter Innenwände
+ * @param {{anzahl: number, groesse: string}} [optionen.raeume] - Räume & Arenen (anzahl 0 = aus)
+ * @param {string} [optionen.symmetrie] - Schlüssel aus SYMMETRIE_MODI (Standard: keine)
+ * @returns {number[][]} 2D-Array: 1 = Wand, 0 = Gang
+ */
+export function generateMaze(breite = 20, hoehe = 20, seed = 12345, optionen = {}) {
+    // Seed setzen für deterministische Erzeugung
+    setSeed(seed);
+
+    let algorithmus = optionen.algorithmus || STANDARD_ALGORITHMUS;
+    if (!Object.hasOwn(MAZE_ALGORITHMEN, algorithmus)) {
+        console.warn(`[Labyrinth] Unbekannter Algorithmus "${algorithmus}", nutze ${STANDARD_ALGORITHMUS}`);
+        algorithmus = STANDARD_ALGORITHMUS;
+    }
+    const durchbruchRate = optionen.durchbruchRate ?? 0.2;
+    const symmetrie = wirksameSymmetrie(optionen.symmetrie, breite, hoehe);
+    console.log(`[Labyrinth] Verwende Seed: ${seed} (Algorithmus: ${algorithmus}, Symmetrie: ${symmetrie})`);
+
+    if (symmetrie === 'keine') {
+        const labyrinth = erzeugeRaster(breite, hoehe, algorithmus, durchbruchRate, optionen.raeume);
+        console.log(`[Labyrinth] Generiert: ${2 * breite + 1}x${2 * hoehe + 1} Raster (${breite}x${hoehe} Zellen) + Durchbrüche`);
+        return labyrinth;
+    }
+
+    // Nur das Teilstück erzeugen, Räume anteilig darauf verteilen
+    const teil = teilGroesse(symmetrie, breite, hoehe);
+    let raeume = optionen.raeume;
+    if (raeume && raeume.anzahl > 0) {
+        raeume = { ...raeume, anzahl: Math.max(1, Math.round(raeume.anzahl / teil.teile)) };
+    }
+    const teilRaster = erzeugeRaster(teil.breite, teil.hoehe, algorithmus, durchbruchRate, raeume);
+    return setzeSymmetrischZusammen(teilRaster, symmetrie, breite, hoehe, seededRandom);
+}
+
+/**
+ * Erzeugt ein vollständiges Raster: Algorithmus, Durchbrüche, Räume.
+ * Zieht alle Zufallszahlen aus dem aktuellen Seeded-PRNG-Zustand.
+ */
+function erzeugeRaster(breite, hoehe, algorithmus, durchbruchRate, raeume) {
+    // Gesamtgröße des Arrays (mit Wänden zwischen Zellen)
+    const rasterBreite = 2 * breite + 1;
+    const rasterHoehe = 2 * hoehe + 1;
+
+    // Alles mit Wänden füllen
+    const labyrinth = [];
+    for (let y = 0; y < rasterHoehe; y++) {
+        labyrinth[y] = [];
+        for (let x = 0; x < rasterBreite; x++) {
+            labyrinth[y][x] = 1;
+        }
+    }
+
+    // Gänge graben (alle Algorithmen teilen sich den Seeded PRNG)
+    MAZE_ALGORITHMEN[algorithmus].erzeuge(labyrinth, breite, hoehe, seededRandom);
+
+    // ── Extra-Durchbrüche für offeneres Labyrinth ──────────
+    // Entfernt zufällig einen Anteil der inneren Wände für Abkürzungen
+    for (let y = 1; y < rasterHoehe - 1; y++) {
+        for (let x = 1; x < rasterBreite - 1; x++) {
+            if (labyrinth[y][x] === 1 && seededRandom() < durchbruchRate) {
+                // Nur entfernen wenn mindestens 2 angrenzende Gänge existieren
+                let nachbarGaenge = 0;
+                if (y > 0 && labyrinth[y - 1][x] === 0) nachbarGaenge++;
+                if (y < rasterHoehe - 1 && labyrinth[y + 1][x] === 0) nachbarGaenge++;
+                if (x > 0 && labyrinth[y][x - 1] === 0) nachbarGaenge++;
+                if (x < rasterBreite - 1 && labyrinth[y][x + 1] === 0) nachbarGaenge++;
+                if (nachbarGaenge >= 2) {
+                    labyrinth[y][x] = 0;
+                }
+            }
+        }
+    }
+
+    // ── Räume & Arenen (optional) ─────────────────────────
+    // Erst nach den Durchbrüchen, damit Pfeiler nicht wieder entfernt werden
+    if (raeume && raeume.anzahl > 0) {
+        platziereRaeume(labyrinth, breite, hoehe, seededRandom, raeume);
+    }
+
+    return labyrinth;
+}
+
+/**
+ * Findet eine zufällige freie Position (Gang) im Labyrinth.
+ * @param {number[][]} labyrinth - Das Labyrinth-Array
+ * @returns {{x: number, z: number}} Weltkoordinaten der freien Position
+ */
+export function findeFreiePosition(labyrinth, index = -1) {
+    const freiePositionen = [];
+    for (let y = 0; y < labyrinth.length; y++) {
+        for (let x = 0; x < labyrinth[y].length; x++) {
+            if (labyrinth[y][x] === 0) {
+                freiePositionen.push({
+                    x: x * WAND_GROESSE,
+                    z: y * WAND_GROESSE
+                });
+            }
+        }
+    }
+    // Index-basiert oder zufällig auswählen
+    if (index >= 0) {
+        return freiePositionen[index % freiePositionen.length];
+    }
+    return freiePositionen[Math.floor(Math.random() * freiePositionen.length)];
+}
+
+/**
+ * Prüft ob eine Weltposition eine Wand im Labyrinth ist.
+ * Wird für Kollisionserkennung verwendet. Geschlossene Türen,
+ * Fenster und Risswände blockieren wie Wände, Gruben nicht.
+ * 
+ * @param {number[][]} labyrinth - Das Labyrinth-Array
+ * @param {number} weltX - X-Position in der Welt
+ * @param {number} weltZ - Z-Position in der Welt
+ * @returns {boolean} true wenn Position eine Wand ist
+ */
+export function istWand(labyrinth, weltX, weltZ) {
+    return BLOCKIERENDE_FELDER.has(feldAnPosition(labyrinth, weltX, weltZ));
+}
+
+/**
+ * Liefert den Feldtyp unter einer Weltposition.
+ * Außerhalb des Labyrinths gilt alles als Wand.
+ *
+ * @param {number[][]} labyrinth - Das Labyrinth-Array
+ * @param {number} weltX - X-Position in der Welt
+ * @param {number} weltZ - Z-Position in der Welt
+ * @returns {number} Wert aus FELD
+ */
+export function feldAnPosition(labyrinth, weltX, weltZ) {
+    const rasterX = Math.floor(weltX / WAND_GROESSE + 0.5);
+    const rasterZ = Math.floor(weltZ / WAND_GROESSE + 0.5);
+
+    if (rasterZ < 0 || rasterZ >= labyrinth.length ||
+        rasterX < 0 || rasterX >= labyrinth[0].length) {
+        return FELD.WAND;
+    }
+    return labyrinth[rasterZ][rasterX];
+}
+
+/**
+ * Ob ein Feld für Wegsuche und Analyse als Verbindung zählt.
+ * Türen gehen auf und Risswände lassen sich zerschießen;
+ * Fenster und Gruben trennen dagegen.
+ *
+ * @param {number|undefined} feld - Wert aus FELD (undefined = außerhalb)
+ * @returns {boolean}
+ */
+export function istPassierbar(feld) {
+    return PASSIERBARE_FELDER.has(feld);
+}
+
+/**
+ * Ob ein Feld Spieler aufhält (Wand, geschlossene Tür, Fenster, Risswand).
+ * @param {number|undefined} feld - Wert aus FELD
+ * @returns {boolean}
+ */
+export function istBlockierend(feld) {
+    return BLOCKIERENDE_FELDER.has(feld);
+}
+
+/**
+ * Berechnet die Fackelplätze: Gang-Felder an einer Wand mit
+ * Mindestabstand zueinander. Die Richtung zeigt zur Wand.
+ * @param {number[][]} labyrinth - Das Labyrinth-Array
+ * @returns {{x: number, y: number, dx: number, dz: number}[]} Rasterkoordinaten
+ */
+export function berechneFackelPlaetze(labyrinth) {
+    const fackeln = [];
+    const minDist = 3; // Reduziert von 5 auf 3 für doppelt so viele Fackeln
+
+    // Mögliche Wand-Nachbarn (Norden, Süden, Westen, Osten)
+    const nachbarn = [
+        { dx: 0, dz: -1 }, { dx: 0, dz: 1 },
+        { dx: -1, dz: 0 }, { dx: 1, dz: 0 }
+    ];
+
+    for (let y = 1; y < labyrinth.length - 1; y++) {
+        for (let x = 1; x < labyrinth[y].length - 1; x++) {
+            if (labyrinth[y][x] !== 0) continue;
+
+            // Prüfen, ob eine Fackel in der Nähe ist
+            const zuNah = fackeln.some(f => Math.hypot(f.x - x, f.y - y) < minDist);
+            if (zuNah) continue;
+
+            // Nur eine Fackel pro Zelle, an der ersten angrenzenden Wand
+            const wand = nachbarn.find(n => labyrinth[y + n.dz][x + n.dx] === 1);
+            if (wand) {
+                fackeln.push({ x, y, dx: wand.dx, dz: wand.dz });
+            }
+        }
+    }
+    return fackeln;
+}
+
+/**
+ * Anzahl der Zellen (nicht Rasterfelder) eines Labyrinths.
+ * @param {number[][]} labyrinth
+ * @returns {number}
+ */
+function zellAnzahl(labyrinth) {
+    return ((labyrinth[0].length - 1) / 2) * ((labyrinth.length - 1) / 2);
+}
+
+/**
+ * Wirksamer Symmetrie-Modus für ein bestehendes Raster.
+ * @param {number[][]} labyrinth
+ * @param {string} symmetrie - Gewünschter Modus
+ * @returns {string}
+ */
+function symmetrieFuer(labyrinth, symmetrie) {
+    return wirksameSymmetrie(symmetrie, (labyrinth[0].length - 1) / 2, (labyrinth.length - 1) / 2);
+}
+
+/**
+ * Alle Gang-Felder auf der Seite des ersten Spielers (Rasterkoordinaten).
+ * @param {number[][]} labyrinth
+ * @param {string} modus - Wirksamer Symmetrie-Modus
+ * @returns {{x: number, y: number}[]}
+ */
+function freieFelderErsteHaelfte(labyrinth, modus) {
+    const felder = [];
+    for (let y = 0; y < labyrinth.length; y++) {
+        for (let x = 0; x < labyrinth[y].length; x++) {
+            if (labyrinth[y][x] === 0 && liegtInErsterHaelfte(modus, labyrinth, x, y)) {
+                felder.push({ x, y });
+            }
+        }
+    }
+    return felder;
+}
+
+/**
+ * Rasterfeld in Weltkoordinaten.
+ * @param {{x: number, y: number}} feld
+ * @returns {{x: number, z: number}}
+ */
+function rasterZuWelt(feld) {
+    return { x: feld.x * WAND_GROESSE, z: feld.y * WAND_GROESSE };
+}
+
+/**
+ * Berechnet die Spawn-Positionen von Host und Gast aus dem Seed.
+ * Auf symmetrischen Karten spawnt der Gast auf dem Gegenstück des Hosts.
+ * @param {number[][]} labyrinth - Das Labyrinth-Array
+ * @param {number} seed - Labyrinth-Seed
+ * @param {string} [symmetrie] - Symmetrie-Modus, mit dem das Labyrinth erzeugt wurde
+ * @returns {{host: {x: number, z: number}, gast: {x: number, z: number}}} Weltkoordinaten
+ */
+export function berechneSpawnPunkte(labyrinth, seed, symmetrie = STANDARD_SYMMETRIE) {
+    const startShift = seed % 1000;
+
+    const modus = symmetrieFuer(labyrinth, symmetrie);
+    if (modus !== 'keine') {
+        const felder = freieFelderErsteHaelfte(labyrinth, modus);
+        const host = felder[startShift % felder.length];
+        return {
+            host: rasterZuWelt(host),
+            gast: rasterZuWelt(gegenstueck(modus, labyrinth, host.x, host.y))
+        };
+    }
+
+    const hostIndex = startShift;
+    const gastIndex = startShift + Math.floor(zellAnzahl(labyrinth) * 0.4);
+    return {
+        host: findeFreiePosition(labyrinth, hostIndex),
+        gast: findeFreiePosition(labyrinth, gastIndex)
+    };
+}
+
+/**
+ * Berechnet die Start-Pickups (Typ + Position) aus dem Seed.
+ * Mix für den Start: 5x Ammo, 2x Health, 1x Mine.
+ * Symmetrische Karten bekommen paarweise gespiegelte Pickups:
+ * je Seite 2x Ammo, 1x Health, 1x Mine.
+ * @param {number[][]} labyrinth - Das Labyrinth-Array
+ * @param {number} seed - Labyrinth-Seed
+ * @param {string} [symmetrie] - Symmetrie-Modus, mit dem das Labyrinth erzeugt wurde
+ * @returns {{id: string, typ: string, pos: {x: number, z: number}}[]}
+ */
+export function berechneInitialPickups(labyrinth, seed, symmetrie = STANDARD_SYMMETRIE) {
+    // Einfacher Zufallsgenerator basierend auf Seed (unabhängig vom Mulberry32-Zustand)
+    let random = seed;
+    const pickupRandom = () => {
+        random = (random * 16807) % 2147483647;
+        return (random - 1) / 2147483646;
+    };
+
+    const modus = symmetrieFuer(labyrinth, symmetrie);
+    if (modus !== 'keine') {
+        const felder = freieFelderErsteHaelfte(labyrinth, modus);
+        const typen = ['AMMO', 'AMMO', 'HEALTH', 'MINE'];
+        const liste = [];
+        typen.forEach((typ, i) => {
+            const feld = felder[Math.floor(pickupRandom() * felder.length)];
+            const partner = gegenstueck(modus, labyrinth, feld.x, feld.y);
+            liste[i] = { id: `pickup_init_${i}`, typ, pos: rasterZuWelt(feld) };
+            liste[i + typen.length] = { id: `pickup_init_${i + typen.length}`, typ, pos: rasterZuWelt(partner) };
+        });
+        return liste;
+    }
+
+    const anzahl = 8;
+    const liste = [];
+    for (let i = 0; i < anzahl; i++) {
+        let typ = 'AMMO';
+        if (i === 5 || i === 6) typ = 'HEALTH';
+        if (i === 7) typ = 'MINE';
+
+        const randIdx = Math.floor(pickupRandom() * zellAnzahl(labyrinth));
+        liste.push({ id: `pickup_init_${i}`, typ, pos: findeFreiePosition(labyrinth, randIdx) });
+    }
+    return liste;
+}
+
+export { WAND_GROESSE, WAND_HOEHE, FENSTER_BRUESTUNG, FENSTER_STURZ, MAZE_ALGORITHMEN, STANDARD_ALGORITHMUS, RAUM_GROESSEN, SYMMETRIE_MODI, STANDARD_SYMMETRIE };
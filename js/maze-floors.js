@@ -0,0 +1,322 @@
+/**
+ * ============================================================
+ * ETAGEN (maze-floors.js)
+ * ============================================================
+ * Mehrstöckige Labyrinthe: 2–3 übereinanderliegende Raster, die
+ * über Treppen und offene Löcher verbunden sind.
+ *
+ * Eine "Welt" besteht aus:
+ *   etagen  – ein Raster je Etage (etagen[0] = Erdgeschoss)
+ *   treppen – {x, y, dx, dz, etage}: Rampe auf dem Trennfeld (x, y),
+ *             steigt in Richtung (dx, dz) von etage auf etage + 1
+ *
+ * Eine Treppe steht auf beiden Etagen als FELD.TREPPE im Raster:
+ * unten ist es die Rampe, oben der offene Schacht darüber. Durch
+ * ein Loch (FELD.LOCH, nur ab Etage 1) fällt man eine Etage tiefer.
+ *
+ * Etage 0 ist das einstöckige Labyrinth desselben Seeds, nur die
+ * Treppenfelder unterscheiden sich: dort wird aus einem Trennfeld
+ * (Wand) FELD.TREPPE. Spawns und Start-Pickups liegen auf Gängen und
+ * damit auf unveränderten Feldern; die Fairness-Analyse bewertet
+ * Etage 0 ohne Treppen.
+ * Höhen sind Fußhöhen in Welteinheiten (Etage e beginnt bei
+ * e * ETAGEN_HOEHE). DOM-frei wie maze-core.js.
+ * ============================================================
+ */
+
+import {
+    FELD,
+    WAND_GROESSE,
+    WAND_HOEHE,
+    generateMaze,
+    seededRandom,
+    feldAnPosition,
+    istBlockierend,
+    istPassierbar
+} from './maze-core.js';
+import { wirksameSymmetrie, gegenstueck, liegtInErsterHaelfte } from './maze-symmetry.js';
+
+// ── Konstanten ──────────────────────────────────────────────
+export const ETAGEN_HOEHE = WAND_HOEHE + WAND_GROESSE / 2; // Wand + Gewölbe = 4.0
+export const MAX_ETAGEN = 3;
+export const STUFEN_HOEHE = 1.0;     // Höchster Absatz, den man ohne Sprung nimmt
+const KOERPER_HOEHE = 1.8;           // Kopf über dem Fuß (Kollision nach oben)
+const TREPPEN_PRO_ETAGE = 2;         // Treppen zwischen zwei Etagen (ohne Gegenstücke)
+const TREPPEN_ABSTAND = 6;           // Mindestabstand zweier Treppen derselben Etage (Rasterfelder)
+const LOCH_ANTEIL = 0.3;             // Anteil der geeigneten Sackgassen mit Loch
+const ETAGEN_SEED_VERSATZ = 7919;
+
+export const TREPPEN_RICHTUNGEN = [
+    { dx: 0, dz: -1 }, { dx: 0, dz: 1 },
+    { dx: -1, dz: 0 }, { dx: 1, dz: 0 }
+];
+
+/**
+ * Erzeugt eine Welt mit einer oder mehreren Etagen.
+ * Jede Etage ist ein eigenes Labyrinth (gleiche Größe und Einstellungen,
+ * abgeleiteter Seed); danach werden Treppen und Löcher aus dem
+ * Seeded-PRNG gesetzt. Auf symmetrischen Karten bekommen Treppen
+ * und Löcher ein Gegenstück.
+ *
+ * @param {number} breite - Zellen in X-Richtung
+ * @param {number} hoehe - Zellen in Y-Richtung
+ * @param {number} seed - Labyrinth-Seed
+ * @param {object} [optionen] - Wie generateMaze, plus etagen (1–MAX_ETAGEN)
+ * @returns {{etagen: number[][][], treppen: {x: number, y: number, dx: number, dz: number, etage: number}[]}}
+ */
+export function generiereEtagen(breite, hoehe, seed, optionen = {}) {
+    const anzahl = Math.max(1, Math.min(MAX_ETAGEN, Math.floor(optionen.etagen) || 1));
+    const etagen = [generateMaze(breite, hoehe, seed, optionen)];
+    for (let e = 1; e < anzahl; e++) {
+        etagen.push(generateMaze(breite, hoehe, (seed + e * ETAGEN_SEED_VERSATZ) % 2147483647, optionen));
+    }
+    const welt = { etagen, treppen: [] };
+    if (anzahl === 1) return welt;
+
+    const modus = wirksameSymmetrie(optionen.symmetrie, breite, hoehe);
+    for (let e = 0; e < etagen.length - 1; e++) {
+        if (!setzeTreppen(welt, e, modus)) {
+            // Ohne Treppe wäre alles darüber unerreichbar
+            console.warn(`[Labyrinth] Keine Treppe von Etage ${e} möglich, nur ${e + 1} Etage(n)`);
+            etagen.length = e + 1;
+            break;
+        }
+    }
+    for (let e = 1; e < etagen.length; e++) {
+        setzeLoecher(welt, e, modus);
+    }
+
+    const loecher = etagen.reduce((summe, raster) => summe + raster.flat().filter(f => f === FELD.LOCH).length, 0);
+    console.log(`[Labyrinth] ${etagen.length} Etagen, ${welt.treppen.length} Treppen, ${loecher} Löcher`);
+    return welt;
+}
+
+/**
+ * Welt aus einem einzelnen Raster (einstöckige Karten).
+ * @param {number[][]} labyrinth
+ * @returns {{etagen: number[][][], treppen: object[]}}
+ */
+export function einstoeckigeWelt(labyrinth) {
+    return { etagen: [labyrinth], treppen: [] };
+}
+
+/**
+ * Setzt die Treppen zwischen Etage e und e + 1.
+ * Eine Treppe braucht ein Trennfeld, das auf beiden Etagen Wand ist,
+ * unten davor einen Gang und oben dahinter einen Gang.
+ * @returns {boolean} false wenn keine Treppe möglich war
+ */
+function setzeTreppen(welt, e, modus) {
+    const unten = welt.etagen[e];
+    const oben = welt.etagen[e + 1];
+    const kandidaten = [];
+
+    for (let y = 1; y < unten.length - 1; y++) {
+        for (let x = 1; x < unten[0].length - 1; x++) {
+            // Trennfelder haben genau eine gerade Koordinate
+            if ((x % 2 === 0) === (y % 2 === 0)) continue;
+            if (unten[y][x] !== FELD.WAND || oben[y][x] !== FELD.WAND) continue;
+            const achse = x % 2 === 0 ? [{ dx: -1, dz: 0 }, { dx: 1, dz: 0 }] : [{ dx: 0, dz: -1 }, { dx: 0, dz: 1 }];
+            for (const r of achse) {
+                const treppe = { x, y, dx: r.dx, dz: r.dz, etage: e };
+                if (unten[y - r.dz][x - r.dx] !== FELD.GANG || oben[y + r.dz][x + r.dx] !== FELD.GANG) continue;
+                if (modus !== 'keine' && !treppeInErsterHaelfte(modus, unten, treppe)) continue;
+                kandidaten.push(treppe);
+            }
+        }
+    }
+
+    let gesetzt = 0;
+    while (gesetzt < TREPPEN_PRO_ETAGE && kandidaten.length > 0) {
+        const treppe = kandidaten.splice(Math.floor(seededRandom() * kandidaten.length), 1)[0];
+        const paar = modus !== 'keine' ? [treppe, gespiegelteTreppe(modus, unten, treppe)] : [treppe];
+        const zuNah = welt.treppen.some(t => t.etage === e &&
+            paar.some(p => Math.abs(t.x - p.x) + Math.abs(t.y - p.y) < TREPPEN_ABSTAND));
+        if (zuNah) continue;
+        for (const t of paar) {
+            unten[t.y][t.x] = FELD.TREPPE;
+            oben[t.y][t.x] = FELD.TREPPE;
+            welt.treppen.push(t);
+        }
+        gesetzt++;
+    }
+    return gesetzt > 0;
+}
+
+/**
+ * Liegt eine Treppe (Antritt, Rampe, Austritt) komplett auf der
+ * Seite des ersten Spielers?
+ */
+function treppeInErsterHaelfte(modus, raster, t) {
+    return liegtInErsterHaelfte(modus, raster, t.x - t.dx, t.y - t.dz) &&
+        liegtInErsterHaelfte(modus, raster, t.x, t.y) &&
+        liegtInErsterHaelfte(modus, raster, t.x + t.dx, t.y + t.dz);
+}
+
+/**
+ * Gegenstück einer Treppe: Rampe auf dem Gegenstück, Richtung vom
+ * gespiegelten Antritt zur gespiegelten Rampe.
+ */
+function gespiegelteTreppe(modus, raster, t) {
+    const rampe = gegenstueck(modus, raster, t.x, t.y);
+    const antritt = gegenstueck(modus, raster, t.x - t.dx, t.y - t.dz);
+    return { x: rampe.x, y: rampe.y, dx: rampe.x - antritt.x, dz: rampe.y - antritt.y, etage: t.etage };
+}
+
+/**
+ * Setzt Löcher in Sackgassen der Etage e (≥ 1), unter denen ein Gang
+ * liegt. Felder an Treppen bleiben frei, damit Antritt und Austritt
+ * immer begehbar sind.
+ */
+function setzeLoecher(welt, e, modus) {
+    const raster = welt.etagen[e];
+    const darunter = welt.etagen[e - 1];
+    const anTreppe = (x, y) => welt.treppen.some(t =>
+        Math.abs(t.x - x) + Math.abs(t.y - y) <= 1);
+
+    for (let y = 1; y < raster.length - 1; y += 2) {
+        for (let x = 1; x < raster[0].length - 1; x += 2) {
+            if (raster[y][x] !== FELD.GANG || darunter[y][x] !== FELD.GANG || anTreppe(x, y)) continue;
+            const ausgaenge = TREPPEN_RICHTUNGEN.filter(r => istPassierbar(raster[y + r.dz][x + r.dx])).length;
+            if (ausgaenge !== 1) continue;
+            if (modus !== 'keine' && !liegtInErsterHaelfte(modus, raster, x, y)) continue;
+            if (seededRandom() >= LOCH_ANTEIL) continue;
+
+            raster[y][x] = FELD.LOCH;
+            if (modus !== 'keine') {
+                const partner = gegenstueck(modus, raster, x, y);
+                raster[partner.y][partner.x] = FELD.LOCH;
+            }
+        }
+    }
+}
+
+/**
+ * Etage zu einer Fußhöhe (kleine Toleranz gegen Rundungsfehler).
+ * @param {number} fussHoehe
+ * @returns {number}
+ */
+export function etageBei(fussHoehe) {
+    return Math.max(0, Math.floor((fussHoehe + 0.01) / ETAGEN_HOEHE));
+}
+
+/**
+ * Treppe, deren Rampe auf Etage e im Rasterfeld (x, y) steht.
+ * @returns {object|undefined}
+ */
+export function treppeAn(welt, x, y, e) {
+    return welt.treppen.find(t => t.x === x && t.y === y && t.etage === e);
+}
+
+/**
+ * Höhe der Rampenoberfläche an einer Weltposition: steigt über das
+ * Feld hinweg linear um eine Etagenhöhe.
+ * @param {{x: number, y: number, dx: number, dz: number, etage: number}} treppe
+ * @param {number} weltX
+ * @param {number} weltZ
+ * @returns {number}
+ */
+export function treppenHoehe(treppe, weltX, weltZ) {
+    const entlang = (weltX - treppe.x * WAND_GROESSE) * treppe.dx + (weltZ - treppe.y * WAND_GROESSE) * treppe.dz;
+    const anteil = Math.max(0, Math.min(1, entlang / WAND_GROESSE + 0.5));
+    return (treppe.etage + anteil) * ETAGEN_HOEHE;
+}
+
+/**
+ * Bodenhöhe unter einer Weltposition: die höchste Oberfläche, die
+ * von der aktuellen Fußhöhe aus erreichbar ist (höchstens eine Stufe
+ * darüber). Liegt sie tiefer als der Fuß, fällt der Spieler.
+ *
+ * @param {{etagen: number[][][], treppen: object[]}} welt
+ * @param {number} weltX
+ * @param {number} weltZ
+ * @param {number} fussHoehe
+ * @returns {number}
+ */
+export function bodenHoehe(welt, weltX, weltZ, fussHoehe) {
+    const x = Math.floor(weltX / WAND_GROESSE + 0.5);
+    const y = Math.floor(weltZ / WAND_GROESSE + 0.5);
+    let boden = 0;
+    for (let e = 0; e < welt.etagen.length; e++) {
+        const feld = welt.etagen[e][y]?.[x];
+        let flaeche = null;
+        if (feld === FELD.TREPPE) {
+            const treppe = treppeAn(welt, x, y, e);
+            if (treppe) flaeche = treppenHoehe(treppe, weltX, weltZ);   // sonst: Schacht von unten
+        } else if (feld !== undefined && feld !== FELD.LOCH && !istBlockierend(feld)) {
+            flaeche = e * ETAGEN_HOEHE;
+        }
+        if (flaeche !== null && flaeche <= fussHoehe + STUFEN_HOEHE) {
+            boden = Math.max(boden, flaeche);
+        }
+    }
+    return boden;
+}
+
+/**
+ * Kollisionsabfrage mit Höhe: blockiert, wenn an der Position etwas
+ * Festes zwischen Stufenhöhe und Kopf des Spielers steht. Wände
+ * reichen über ihre ganze Etage, Rampen bis zu ihrer Oberfläche.
+ *
+ * @param {{etagen: number[][][], treppen: object[]}} welt
+ * @param {number} weltX
+ * @param {number} weltZ
+ * @param {number} fussHoehe
+ * @returns {boolean}
+ */
+export function istBlockiert(welt, weltX, weltZ, fussHoehe) {
+    const x = Math.floor(weltX / WAND_GROESSE + 0.5);
+    const y = Math.floor(weltZ / WAND_GROESSE + 0.5);
+    const erdgeschoss = welt.etagen[0];
+    if (y < 0 || y >= erdgeschoss.length || x < 0 || x >= erdgeschoss[0].length) return true;
+
+    const unten = fussHoehe + STUFEN_HOEHE;
+    const oben = fussHoehe + KOERPER_HOEHE;
+    for (let e = 0; e < welt.etagen.length; e++) {
+        const feld = welt.etagen[e][y][x];
+        const basis = e * ETAGEN_HOEHE;
+        if (istBlockierend(feld) && basis < oben && basis + ETAGEN_HOEHE > unten) return true;
+        if (feld === FELD.TREPPE) {
+            const treppe = treppeAn(welt, x, y, e);
+            if (treppe && basis < oben && treppenHoehe(treppe, weltX, weltZ) > unten) return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Feldtyp auf der Etage, auf der ein Spieler gerade steht.
+ * @param {{etagen: number[][][]}} welt
+ * @param {number} weltX
+ * @param {number} weltZ
+ * @param {number} fussHoehe
+ * @returns {number} Wert aus FELD
+ */
+export function feldInWelt(welt, weltX, weltZ, fussHoehe) {
+    const e = Math.min(etageBei(fussHoehe), welt.etagen.length - 1);
+    return feldAnPosition(welt.etagen[e], weltX, weltZ);
+}
+
+/**
+ * Freie Gang-Position auf irgendeiner Etage (Weltkoordinaten mit Fußhöhe).
+ * Bei einer Etage gleiche Reihenfolge wie findeFreiePosition.
+ * @param {{etagen: number[][][]}} welt
+ * @param {number} [index] - Index-basiert statt zufällig
+ * @returns {{x: number, y: number, z: number}}
+ */
+export function findeFreiePositionInWelt(welt, index = -1) {
+    const freiePositionen = [];
+    welt.etagen.forEach((raster, e) => {
+        for (let y = 0; y < raster.length; y++) {
+            for (let x = 0; x < raster[y].length; x++) {
+                if (raster[y][x] === FELD.GANG) {
+                    freiePositionen.push({ x: x * WAND_GROESSE, y: e * ETAGEN_HOEHE, z: y * WAND_GROESSE });
+                }
+            }
+        }
+    });
+    if (index >= 0) {
+        return freiePositionen[index % freiePositionen.length];
+    }
+    return freiePositionen[Math.floor(Math.random() * freiePositionen.length)];
+}
@@ -2,55 +2,42 @@
  * ============================================================
  * LABYRINTH-GENERATOR (maze-generator.js)
  * ============================================================
- * Erzeugt ein prozedurales Labyrinth mittels Recursive Backtracking
- * und baut die 3D-Geometrie für Three.js auf.
- * 
- * Das Labyrinth wird als 2D-Array dargestellt:
- *   1 = Wand
- *   0 = begehbarer Gang
+ * Baut die 3D-Geometrie für Three.js aus einem Labyrinth-Raster auf
+ * (Texturen, Wände, Gewölbe, Fackeln). Die Erzeugung des Rasters
+ * selbst liegt DOM-frei in maze-core.js, mehrere Etagen in
+ * maze-floors.js. Jede Etage bekommt eine eigene Gruppe, damit
+ * Schüsse nur gegen die Nachbar-Etagen geprüft werden.
  * ============================================================
  */
 
+import {
+    seededRandom,
+    berechneFackelPlaetze,
+    FELD,
+    WAND_GROESSE,
+    WAND_HOEHE,
+    MAZE_ALGORITHMEN,
+    STANDARD_ALGORITHMUS,
+    RAUM_GROESSEN,
+    SYMMETRIE_MODI,
+    STANDARD_SYMMETRIE
+} from './maze-core.js';
+import { baueSonderfelder, baueWanderwaende } from './maze-tiles.js';
+import { ETAGEN_HOEHE } from './maze-floors.js';
+
+// Reine Raster-Logik (ohne THREE/DOM) lebt in maze-core.js und wird
+// hier für bestehende Importe weitergereicht.
+export { generateMaze, findeFreiePosition, istWand, feldAnPosition, generiereZufallsSeed, FELD } from './maze-core.js';
+
 // ── Konstanten ──────────────────────────────────────────────
-const WAND_HOEHE = 3.0;       // Höhe der Wände in Einheiten
-const WAND_GROESSE = 2.0;     // Breite/Tiefe einer Zelle
 const WAND_FARBE = 0x8B7355;  // Braun-grau (Retro-Stein)
 const BODEN_FARBE = 0x4a4a4a; // Dunkelgrau
 const DECKEN_FARBE = 0x3a3a3a;// Etwas dunkler
 
-// ── Seed-basierter Zufallsgenerator (Mulberry32) ────────────
-// Ermöglicht deterministische Labyrinth-Erzeugung:
-// gleicher Seed = gleiches Labyrinth bei allen Spielern.
-let _seedState = 0;
-export let wallGroup = null; // Enthält alle Wände für optimiertes Raycasting
+const TREPPEN_STUFEN = 8;     // Stufen je Rampe (rein optisch, Kollision ist linear)
 
-/**
- * Mulberry32 PRNG – erzeugt reproduzierbare Zufallszahlen.
- * @returns {number} Pseudozufallszahl zwischen 0 und 1
- */
-function seededRandom() {
-    _seedState |= 0;
-    _seedState = (_seedState + 0x6D2B79F5) | 0;
-    let t = Math.imul(_seedState ^ (_seedState >>> 15), 1 | _seedState);
-    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-}
-
-/**
- * Setzt den Seed für den Zufallsgenerator.
- * @param {number} seed - Der Seed-Wert
- */
-function setSeed(seed) {
-    _seedState = seed;
-}
-
-/**
- * Generiert einen zufälligen Seed.
- * @returns {number}
- */
-export function generiereZufallsSeed() {
-    return Math.floor(Math.random() * 2147483647);
-}
+export let wallGroup = null; // Enthält alle Wände für optimiertes Raycasting (Etage 0)
+export let etagenGruppen = []; // Eine Gruppe je Etage, etagenGruppen[0] === wallGroup
 
 /**
  * Erzeugt einen Pool von verschiedenen Wand-Materialien für mehr Varianz.
@@ -322,165 +309,22 @@ function generiereDeckenMaterialPool(anzahl = 4, useLambert = false) {
 }
 
 
-/**
- * Generiert ein Labyrinth mit Recursive Backtracking.
- * Das resultierende Array hat die Dimensionen (2*breite+1) x (2*hoehe+1),
- * da zwischen jeder Zelle Wände liegen.
- * 
- * @param {number} breite - Anzahl der Zellen in X-Richtung
- * @param {number} hoehe - Anzahl der Zellen in Y-Richtung
- * @param {number} seed - Seed für reproduzierbares Labyrinth
- * @returns {number[][]} 2D-Array: 1 = Wand, 0 = Gang
- */
-export function generateMaze(breite = 20, hoehe = 20, seed = 12345) {
-    // Seed setzen für deterministische Erzeugung
-    setSeed(seed);
-    console.log(`[Labyrinth] Verwende Seed: ${seed}`);
-
-    // Gesamtgröße des Arrays (mit Wänden zwischen Zellen)
-    const rasterBreite = 2 * breite + 1;
-    const rasterHoehe = 2 * hoehe + 1;
-
-    // Alles mit Wänden füllen
-    const labyrinth = [];
-    for (let y = 0; y < rasterHoehe; y++) {
-        labyrinth[y] = [];
-        for (let x = 0; x < rasterBreite; x++) {
-            labyrinth[y][x] = 1;
-        }
-    }
-
-    // Besuchte Zellen tracken
-    const besucht = [];
-    for (let y = 0; y < hoehe; y++) {
-        besucht[y] = [];
-        for (let x = 0; x < breite; x++) {
-            besucht[y][x] = false;
-        }
-    }
-
-    // Richtungen: oben, rechts, unten, links
-    const richtungen = [
-        { dx: 0, dy: -1 }, // oben
-        { dx: 1, dy: 0 },  // rechts
-        { dx: 0, dy: 1 },  // unten
-        { dx: -1, dy: 0 }  // links
-    ];
-
-    /**
-     * Hilfsfunktion: Mischt ein Array mit dem seeded PRNG (Fisher-Yates).
-     */
-    function mischen(arr) {
-        for (let i = arr.length - 1; i > 0; i--) {
-            const j = Math.floor(seededRandom() * (i + 1));
-            [arr[i], arr[j]] = [arr[j], arr[i]];
-        }
-        return arr;
-    }
-
-    /**
-     * Recursive Backtracking: Besucht Zellen und entfernt Wände.
-     */
-    function graben(zx, zy) {
-        besucht[zy][zx] = true;
-        // Zelle im Raster freiräumen
-        labyrinth[2 * zy + 1][2 * zx + 1] = 0;
-
-        // Nachbarn in zufälliger Reihenfolge besuchen
-        const gemischt = mischen([...richtungen]);
-        for (const richtung of gemischt) {
-            const nx = zx + richtung.dx;
-            const ny = zy + richtung.dy;
-
-            // Prüfe ob Nachbar innerhalb der Grenzen und unbesucht
-            if (nx >= 0 && nx < breite && ny >= 0 && ny < hoehe && !besucht[ny][nx]) {
-                // Wand zwischen aktueller Zelle und Nachbar entfernen
-                labyrinth[2 * zy + 1 + richtung.dy][2 * zx + 1 + richtung.dx] = 0;
-                graben(nx, ny);
-            }
-        }
-    }
-
-    // Starte in der oberen linken Ecke
-    graben(0, 0);
-
-    // ── Extra-Durchbrüche für offeneres Labyrinth ──────────
-    // Entfernt zufällig ~20% der inneren Wände für Abkürzungen
-    const durchbruchRate = 0.2;
-    for (let y = 1; y < rasterHoehe - 1; y++) {
-        for (let x = 1; x < rasterBreite - 1; x++) {
-            if (labyrinth[y][x] === 1 && seededRandom() < durchbruchRate) {
-                // Nur entfernen wenn mindestens 2 angrenzende Gänge existieren
-                let nachbarGaenge = 0;
-                if (y > 0 && labyrinth[y - 1][x] === 0) nachbarGaenge++;
-                if (y < rasterHoehe - 1 && labyrinth[y + 1][x] === 0) nachbarGaenge++;
-                if (x > 0 && labyrinth[y][x - 1] === 0) nachbarGaenge++;
-                if (x < rasterBreite - 1 && labyrinth[y][x + 1] === 0) nachbarGaenge++;
-                if (nachbarGaenge >= 2) {
-                    labyrinth[y][x] = 0;
-                }
-            }
-        }
-    }
-
-    console.log(`[Labyrinth] Generiert: ${rasterBreite}x${rasterHoehe} Raster (${breite}x${hoehe} Zellen) + Durchbrüche`);
-    return labyrinth;
-}
-
-/**
- * Findet eine zufällige freie Position (Gang) im Labyrinth.
- * @param {number[][]} labyrinth - Das Labyrinth-Array
- * @returns {{x: number, z: number}} Weltkoordinaten der freien Position
- */
-export function findeFreiePosition(labyrinth, index = -1) {
-    const freiePositionen = [];
-    for (let y = 0; y < labyrinth.length; y++) {
-        for (let x = 0; x < labyrinth[y].length; x++) {
-            if (labyrinth[y][x] === 0) {
-                freiePositionen.push({
-                    x: x * WAND_GROESSE,
-                    z: y * WAND_GROESSE
-                });
-            }
-        }
-    }
-    // Index-basiert oder zufällig auswählen
-    if (index >= 0) {
-        return freiePositionen[index % freiePositionen.length];
-    }
-    return freiePositionen[Math.floor(Math.random() * freiePositionen.length)];
-}
-
-/**
- * Prüft ob eine Weltposition eine Wand im Labyrinth ist.
- * Wird für Kollisionserkennung verwendet.
- * 
- * @param {number[][]} labyrinth - Das Labyrinth-Array
- * @param {number} weltX - X-Position in der Welt
- * @param {number} weltZ - Z-Position in der Welt
- * @returns {boolean} true wenn Position eine Wand ist
- */
-export function istWand(labyrinth, weltX, weltZ) {
-    const rasterX = Math.floor(weltX / WAND_GROESSE + 0.5);
-    const rasterZ = Math.floor(weltZ / WAND_GROESSE + 0.5);
-
-    // Außerhalb des Labyrinths = Wand
-    if (rasterZ < 0 || rasterZ >= labyrinth.length ||
-        rasterX < 0 || rasterX >= labyrinth[0].length) {
-        return true;
-    }
-
-    return labyrinth[rasterZ][rasterX] === 1;
-}
-
 /**
  * Baut die 3D-Geometrie des Labyrinths in die Scene.
  * Verwendet InstancedMesh für Performance bei vielen Wänden.
+ * Sonderfelder (Türen, Fenster, Gruben, Risswände) kommen aus
+ * maze-tiles.js als einzelne Meshes dazu, da sie sich ändern können.
+ * Mit einer Welt aus maze-floors.js wird jede Etage um ETAGEN_HOEHE
+ * versetzt darübergebaut, dazu die Treppen. Plätze von Wanderwänden
+ * (maze-shifting.js) bekommen keine feste Wand und ein flaches Gewölbe.
  * 
  * @param {THREE.Scene} scene - Die Three.js Scene
- * @param {number[][]} labyrinth - Das Labyrinth-Array
+ * @param {number[][]} labyrinth - Das Labyrinth-Array (Etage 0)
+ * @param {boolean} [useLambert]
+ * @param {{etagen: number[][][], treppen: object[]}} [welt] - Mehrere Etagen (optional)
+ * @param {object[]} [wanderwaende] - Wanderwände im Erdgeschoss (optional)
  */
-export function buildMazeGeometry(scene, labyrinth, useLambert = false) {
+export function buildMazeGeometry(scene, labyrinth, useLambert = false, welt = null, wanderwaende = []) {
     const wandPool = generiereWandMaterialPool(4, useLambert);
     const bodenPool = generiereBodenMaterialPool(4, useLambert);
 
@@ -491,13 +335,58 @@ export function buildMazeGeometry(scene, labyrinth, useLambert = false) {
         return m;
     });
 
-    // Alte wallGroup entfernen falls vorhanden
-    if (wallGroup) {
-        scene.remove(wallGroup);
+    // Alte Etagen-Gruppen entfernen falls vorhanden
+    etagenGruppen.forEach(gruppe => scene.remove(gruppe));
+
+    const etagen = welt ? welt.etagen : [labyrinth];
+    const wanderPlaetze = new Set(wanderwaende.flatMap(w => w.plaetze.map(p => `${p.x},${p.y}`)));
+    etagenGruppen = etagen.map((raster, e) => {
+        const gruppe = new THREE.Group();
+        gruppe.name = e === 0 ? "wallGroup" : `wallGroup_${e}`;
+        gruppe.position.y = e * ETAGEN_HOEHE;
+        scene.add(gruppe);
+        const beweglich = e === 0 ? wanderPlaetze : new Set();
+        baueEtage(gruppe, raster, etagen[e + 1] || null, e, beweglich, { wandPool, bodenPool, gewoelbePool });
+        return gruppe;
+    });
+    wallGroup = etagenGruppen[0];
+
+    if (welt) {
+        welt.treppen.forEach(t => baueTreppe(etagenGruppen[t.etage], t, wandPool[0]));
     }
-    wallGroup = new THREE.Group();
-    wallGroup.name = "wallGroup";
-    scene.add(wallGroup);
+
+    // Sonderfelder und Wanderwände gibt es nur im Erdgeschoss
+    baueSonderfelder(wallGroup, labyrinth, wandPool[0], useLambert);
+    baueWanderwaende(wallGroup, labyrinth, wanderwaende, wandPool[0]);
+}
+
+/**
+ * Gruppen der Etage e und ihrer direkten Nachbarn – mehr kann ein
+ * Schuss durch Decken und Löcher nicht erreichen.
+ * @param {number} etage
+ * @returns {THREE.Group[]}
+ */
+export function etagenGruppenUm(etage) {
+    return etagenGruppen.slice(Math.max(0, etage - 1), etage + 2);
+}
+
+/**
+ * Baut Wände, Boden und Gewölbe einer Etage in ihre Gruppe
+ * (lokale Koordinaten, die Gruppe trägt den Höhenversatz).
+ * Über Löchern und Treppenschächten der Etage darüber bleibt das
+ * Gewölbe offen. Bewegliche Felder (Plätze von Wanderwänden) zählen
+ * für Wände und Gewölbe als Gang.
+ *
+ * @param {THREE.Group} gruppe
+ * @param {number[][]} labyrinth - Raster dieser Etage
+ * @param {number[][]|null} oben - Raster der Etage darüber
+ * @param {number} etage
+ * @param {Set<string>} beweglich - Schlüssel "x,y" der beweglichen Felder
+ * @param {{wandPool: THREE.Material[], bodenPool: THREE.Material[], gewoelbePool: THREE.Material[]}} pools
+ */
+function baueEtage(gruppe, labyrinth, oben, etage, beweglich, { wandPool, bodenPool, gewoelbePool }) {
+    const offenNachOben = (x, y) => oben !== null && (oben[y][x] === FELD.LOCH || oben[y][x] === FELD.TREPPE);
+    const festeWand = (x, y) => labyrinth[y][x] === FELD.WAND && !beweglich.has(`${x},${y}`);
 
     // ── 1. Wand-Positionen nach Material gruppieren ──
     const wandGruppen = Array.from({ length: wandPool.length }, () => []);
@@ -507,6 +396,7 @@ export function buildMazeGeometry(scene, labyrinth, useLambert = false) {
             if (labyrinth[y][x] === 1) {
                 const matIdx = Math.floor(seededRandom() * wandPool.length);
                 const rotation = Math.floor(seededRandom() * 4) * (Math.PI / 2);
+                if (!festeWand(x, y)) continue; // Wanderwand, Zufallszahlen trotzdem verbrauchen (gleiche Texturen)
                 wandGruppen[matIdx].push({
                     x: x * WAND_GROESSE,
                     y: WAND_HOEHE / 2,
@@ -536,27 +426,32 @@ export function buildMazeGeometry(scene, labyrinth, useLambert = false) {
         });
 
         instMesh.instanceMatrix.needsUpdate = true;
-        wallGroup.add(instMesh);
+        gruppe.add(instMesh);
         gesamtWandAnzahl += posListe.length;
     });
 
     // ── 3. BODEN (Große Steinplatten) ──
-    const segmentGroesse = 4;
-    const bodenGeometrie = new THREE.PlaneGeometry(WAND_GROESSE * segmentGroesse, WAND_GROESSE * segmentGroesse);
-    // Boden-Loop bleibt (aber ohne Decke!)
-    for (let y = 0; y < labyrinth.length; y += segmentGroesse) {
-        for (let x = 0; x < labyrinth[0].length; x += segmentGroesse) {
-            const bodenIdx = Math.floor(seededRandom() * bodenPool.length);
-            const bodenTeil = new THREE.Mesh(bodenGeometrie, bodenPool[bodenIdx]);
-            bodenTeil.rotation.x = -Math.PI / 2;
-            bodenTeil.rotation.z = Math.floor(seededRandom() * 4) * (Math.PI / 2);
-            bodenTeil.position.set(
-                (x + segmentGroesse / 2 - 0.5) * WAND_GROESSE,
-                0,
-                (y + segmentGroesse / 2 - 0.5) * WAND_GROESSE
-            );
-            bodenTeil.updateMatrix();
-            wallGroup.add(bodenTeil);
+    // Obere Etagen brauchen Aussparungen für Löcher und Treppen
+    if (etage > 0) {
+        baueEtagenBoden(gruppe, labyrinth, bodenPool);
+    } else {
+        const segmentGroesse = 4;
+        const bodenGeometrie = new THREE.PlaneGeometry(WAND_GROESSE * segmentGroesse, WAND_GROESSE * segmentGroesse);
+        // Boden-Loop bleibt (aber ohne Decke!)
+        for (let y = 0; y < labyrinth.length; y += segmentGroesse) {
+            for (let x = 0; x < labyrinth[0].length; x += segmentGroesse) {
+                const bodenIdx = Math.floor(seededRandom() * bodenPool.length);
+                const bodenTeil = new THREE.Mesh(bodenGeometrie, bodenPool[bodenIdx]);
+                bodenTeil.rotation.x = -Math.PI / 2;
+                bodenTeil.rotation.z = Math.floor(seededRandom() * 4) * (Math.PI / 2);
+                bodenTeil.position.set(
+                    (x + segmentGroesse / 2 - 0.5) * WAND_GROESSE,
+                    0,
+                    (y + segmentGroesse / 2 - 0.5) * WAND_GROESSE
+                );
+                bodenTeil.updateMatrix();
+                gruppe.add(bodenTeil);
+            }
         }
     }
 
@@ -577,23 +472,24 @@ export function buildMazeGeometry(scene, labyrinth, useLambert = false) {
     const outerCornerGeo = createOuterCornerGeometry(r);
     for (let y = 0; y < labyrinth.length; y++) {
         for (let x = 0; x < labyrinth[y].length; x++) {
-            if (labyrinth[y][x] === 0) {
+            // Gewölbe über allen Nicht-Wänden (auch Risswände, die später aufbrechen)
+            if (!festeWand(x, y) && !offenNachOben(x, y)) {
                 const matIdx = Math.floor(seededRandom() * gewoelbePool.length);
                 const wx = x * WAND_GROESSE;
                 const wz = y * WAND_GROESSE;
                 const offset = qG / 2; // 0.5m
 
                 // Nachbarn (Array-Index: y=z, x=x)
-                const nN = (y === 0 || labyrinth[y - 1][x] === 1);
-                const nS = (y === labyrinth.length - 1 || labyrinth[y + 1][x] === 1);
-                const nW = (x === 0 || labyrinth[y][x - 1] === 1);
-                const nO = (x === labyrinth[0].length - 1 || labyrinth[y][x + 1] === 1);
+                const nN = (y === 0 || festeWand(x, y - 1));
+                const nS = (y === labyrinth.length - 1 || festeWand(x, y + 1));
+                const nW = (x === 0 || festeWand(x - 1, y));
+                const nO = (x === labyrinth[0].length - 1 || festeWand(x + 1, y));
 
                 // Diagonal-Check für Außenecken (Pfeiler)
-                const nNW = (y > 0 && x > 0 && labyrinth[y - 1][x - 1] === 1);
-                const nNO = (y > 0 && x < labyrinth[0].length - 1 && labyrinth[y - 1][x + 1] === 1);
-                const nSW = (y < labyrinth.length - 1 && x > 0 && labyrinth[y + 1][x - 1] === 1);
-                const nSO = (y < labyrinth.length - 1 && x < labyrinth[0].length - 1 && labyrinth[y + 1][x + 1] === 1);
+                const nNW = (y > 0 && x > 0 && festeWand(x - 1, y - 1));
+                const nNO = (y > 0 && x < labyrinth[0].length - 1 && festeWand(x + 1, y - 1));
+                const nSW = (y < labyrinth.length - 1 && x > 0 && festeWand(x - 1, y + 1));
+                const nSO = (y < labyrinth.length - 1 && x < labyrinth[0].length - 1 && festeWand(x + 1, y + 1));
 
                 // Quadranten-Logik [NW, NO, SW, SO]
                 const quadrants = [
@@ -658,7 +554,7 @@ export function buildMazeGeometry(scene, labyrinth, useLambert = false) {
             mesh.setMatrixAt(i, dummy.matrix);
         });
         mesh.instanceMatrix.needsUpdate = true;
-        wallGroup.add(mesh);
+        gruppe.add(mesh);
     });
 
     // Instancing Wölbungen
@@ -673,7 +569,7 @@ export function buildMazeGeometry(scene, labyrinth, useLambert = false) {
             mesh.setMatrixAt(i, dummy.matrix);
         });
         mesh.instanceMatrix.needsUpdate = true;
-        wallGroup.add(mesh);
+        gruppe.add(mesh);
     });
 
     // Instancing Ecken (NEU Schritt 4)
@@ -688,7 +584,7 @@ export function buildMazeGeometry(scene, labyrinth, useLambert = false) {
             mesh.setMatrixAt(i, dummy.matrix);
         });
         mesh.instanceMatrix.needsUpdate = true;
-        wallGroup.add(mesh);
+        gruppe.add(mesh);
     });
 
     // Instancing Außenecken (NEU Schritt 5)
@@ -703,12 +599,64 @@ export function buildMazeGeometry(scene, labyrinth, useLambert = false) {
             mesh.setMatrixAt(i, dummy.matrix);
         });
         mesh.instanceMatrix.needsUpdate = true;
-        wallGroup.add(mesh);
+        gruppe.add(mesh);
     });
 
     console.log(`[Labyrinth] Quadranten-Deckensystem mit Außenecken (Schritt 5) installiert.`);
 }
 
+/**
+ * Boden einer oberen Etage: eine Platte je Feld statt großer Segmente,
+ * damit Löcher und Treppenschächte ausgespart bleiben.
+ */
+function baueEtagenBoden(gruppe, labyrinth, bodenPool) {
+    const plattenGeo = new THREE.PlaneGeometry(WAND_GROESSE, WAND_GROESSE);
+    const plattenGruppen = Array.from({ length: bodenPool.length }, () => []);
+    for (let y = 0; y < labyrinth.length; y++) {
+        for (let x = 0; x < labyrinth[y].length; x++) {
+            const feld = labyrinth[y][x];
+            if (feld === FELD.WAND || feld === FELD.LOCH || feld === FELD.TREPPE) continue;
+            const bodenIdx = Math.floor(seededRandom() * bodenPool.length);
+            const drehung = Math.floor(seededRandom() * 4) * (Math.PI / 2);
+            plattenGruppen[bodenIdx].push({ x: x * WAND_GROESSE, z: y * WAND_GROESSE, rz: drehung });
+        }
+    }
+
+    plattenGruppen.forEach((liste, idx) => {
+        if (liste.length === 0) return;
+        const mesh = new THREE.InstancedMesh(plattenGeo, bodenPool[idx], liste.length);
+        const dummy = new THREE.Object3D();
+        liste.forEach((p, i) => {
+            dummy.position.set(p.x, 0, p.z);
+            dummy.rotation.set(-Math.PI / 2, 0, p.rz);
+            dummy.updateMatrix();
+            mesh.setMatrixAt(i, dummy.matrix);
+        });
+        mesh.instanceMatrix.needsUpdate = true;
+        gruppe.add(mesh);
+    });
+}
+
+/**
+ * Baut eine Treppe als Stufenblock auf ihr Trennfeld (in die Gruppe
+ * der unteren Etage). Die Stufen steigen in Richtung (dx, dz).
+ */
+function baueTreppe(gruppe, treppe, material) {
+    const tiefe = WAND_GROESSE / TREPPEN_STUFEN;
+    for (let i = 0; i < TREPPEN_STUFEN; i++) {
+        const hoehe = (i + 1) * ETAGEN_HOEHE / TREPPEN_STUFEN;
+        const entlang = -WAND_GROESSE / 2 + (i + 0.5) * tiefe;
+        const stufe = new THREE.Mesh(new THREE.BoxGeometry(WAND_GROESSE, hoehe, tiefe), material);
+        stufe.position.set(
+            treppe.x * WAND_GROESSE + treppe.dx * entlang,
+            hoehe / 2,
+            treppe.y * WAND_GROESSE + treppe.dz * entlang
+        );
+        stufe.rotation.y = treppe.dx !== 0 ? Math.PI / 2 : 0;
+        gruppe.add(stufe);
+    }
+}
+
 /**
  * Erstellt einen Viertel-Zylinder (90° Bogen) für die Deckenkanten.
  * radius: Wölbungsradius (WAND_GROESSE / 2 = 1.0m)
@@ -903,49 +851,25 @@ const BASIS_INTENSITAET = 2.0;
 
 /**
  * Platziert statische Lichtquellen (Fackeln) an den Wänden des Labyrinths.
+ * Obere Etagen bekommen nur jede zweite berechnete Fackel, damit die
+ * Zahl der Lichter (und damit die Shader-Kosten) im Rahmen bleibt.
  * @param {THREE.Scene} scene - Die Spielszene
  * @param {number[][]} labyrinth - Das Labyrinth-Array
+ * @param {{x: number, y: number, dx: number, dz: number}[]} [fackeln] - Fackelplätze (Standard: aus dem Raster berechnet)
+ * @param {{etagen: number[][][]}} [welt] - Mehrere Etagen (optional)
  */
-export function addWallLights(scene, labyrinth) {
+export function addWallLights(scene, labyrinth, fackeln = berechneFackelPlaetze(labyrinth), welt = null) {
     aktiveFackeln.length = 0;
-    const fackelPositionen = []; // Speichert {x, y} für Distanzcheck
-    const minDist = 3; // Reduziert von 5 auf 3 für doppelt so viele Fackeln
-
-    for (let y = 1; y < labyrinth.length - 1; y++) {
-        for (let x = 1; x < labyrinth[y].length - 1; x++) {
-            if (labyrinth[y][x] === 0) {
-                // Prüfen, ob eine Fackel in der Nähe ist
-                let zuNah = false;
-                for (const pos of fackelPositionen) {
-                    const dx = pos.x - x;
-                    const dy = pos.y - y;
-                    const dist = Math.sqrt(dx * dx + dy * dy);
-                    if (dist < minDist) {
-                        zuNah = true;
-                        break;
-                    }
-                }
-
-                if (!zuNah) {
-                    // Mögliche Wand-Nachbarn (Norden, Süden, Westen, Osten)
-                    const nachbarn = [
-                        { dx: 0, dz: -1 }, { dx: 0, dz: 1 },
-                        { dx: -1, dz: 0 }, { dx: 1, dz: 0 }
-                    ];
-
-                    // Prüfen, ob wir an einer Wand stehen
-                    for (const n of nachbarn) {
-                        if (labyrinth[y + n.dz][x + n.dx] === 1) {
-                            platziereFackel(scene, x, y, n);
-                            fackelPositionen.push({ x, y });
-                            break; // Nur eine Fackel pro Zelle
-                        }
-                    }
-                }
-            }
-        }
+    for (const f of fackeln) {
+        platziereFackel(scene, f.x, f.y, f, 0);
     }
-    console.log(`[Labyrinth] ${fackelPositionen.length} Fackeln erfolgreich platziert (minDist: ${minDist})`);
+    let anzahl = fackeln.length;
+    welt?.etagen.slice(1).forEach((raster, i) => {
+        const obereFackeln = berechneFackelPlaetze(raster).filter((_, j) => j % 2 === 0);
+        obereFackeln.forEach(f => platziereFackel(scene, f.x, f.y, f, (i + 1) * ETAGEN_HOEHE));
+        anzahl += obereFackeln.length;
+    });
+    console.log(`[Labyrinth] ${anzahl} Fackeln erfolgreich platziert`);
 }
 
 // Shared Resources für Fackeln (Vermeidet Hitches beim Laden)
@@ -957,10 +881,10 @@ const kernMat = new THREE.MeshBasicMaterial({ color: 0xffaa44 });
 /**
  * Hilfsfunktion zum Platzieren einer einzelnen Fackel.
  */
-function platziereFackel(scene, rx, ry, nachbar) {
+function platziereFackel(scene, rx, ry, nachbar, basisHoehe) {
     const x = rx * WAND_GROESSE;
     const z = ry * WAND_GROESSE;
-    const h = WAND_HOEHE * 0.6; // Auf Augenhöhe
+    const h = basisHoehe + WAND_HOEHE * 0.6; // Auf Augenhöhe
 
     // 1. Fackel-Halterung
     const halter = new THREE.Mesh(halterGeo, halterMat);
@@ -1018,4 +942,4 @@ export function updateFackeln(zeit) {
 }
 
 // Exportiere Konstanten für andere Module
-export { WAND_GROESSE, WAND_HOEHE };
+export { WAND_GROESSE, WAND_HOEHE, MAZE_ALGORITHMEN, STANDARD_ALGORITHMUS, RAUM_GROESSEN, SYMMETRIE_MODI, STANDARD_SYMMETRIE };
@@ -0,0 +1,116 @@
+/**
+ * ============================================================
+ * RÄUME & ARENEN (maze-rooms.js)
+ * ============================================================
+ * Nachbearbeitung eines fertigen Labyrinths: setzt rechteckige
+ * Räume ins Raster, große Räume werden zu Arenen mit Pfeilern.
+ *
+ * Da das Labyrinth darunter bereits zusammenhängend ist, entfernt
+ * ein Raum nur Wände – die Verbindung zu den Gängen bleibt über
+ * die ursprünglichen Öffnungen plus zusätzliche Türen erhalten.
+ * ============================================================
+ */
+
+// Größen-Voreinstellungen (in Zellen, nicht Rasterfeldern)
+export const RAUM_GROESSEN = {
+    klein: { name: 'Klein', min: 2, max: 3 },
+    mittel: { name: 'Mittel', min: 3, max: 4 },
+    gross: { name: 'Groß', min: 4, max: 5 }
+};
+
+const MAX_VERSUCHE_PRO_RAUM = 20; // Platzierungsversuche bevor ein Raum verworfen wird
+const ARENA_MIN_SEITE = 3;        // Ab dieser Seitenlänge (beide Seiten) gibt es Pfeiler
+const PFEILER_CHANCE = 0.6;       // Anteil der möglichen Pfeiler-Punkte, die besetzt werden
+const EXTRA_TUEREN = 2;           // Zusätzliche Durchgänge pro Raum
+
+/**
+ * Prüft ob sich zwei Räume (Zell-Rechtecke) überschneiden.
+ */
+function ueberschneiden(a, b) {
+    return a.x < b.x + b.b && b.x < a.x + a.b &&
+        a.y < b.y + b.h && b.y < a.y + a.h;
+}
+
+/**
+ * Platziert Räume und Arenen in ein bestehendes Labyrinth-Raster.
+ *
+ * @param {number[][]} labyrinth - Raster (2*breite+1) x (2*hoehe+1), wird in-place verändert
+ * @param {number} breite - Zellen in X-Richtung
+ * @param {number} hoehe - Zellen in Y-Richtung
+ * @param {function} zufall - Seeded PRNG, liefert Zahlen in [0, 1)
+ * @param {object} optionen
+ * @param {number} optionen.anzahl - Gewünschte Anzahl Räume
+ * @param {string} [optionen.groesse] - Schlüssel aus RAUM_GROESSEN
+ * @returns {{x: number, y: number, b: number, h: number, arena: boolean}[]} Platzierte Räume (Zellkoordinaten)
+ */
+export function platziereRaeume(labyrinth, breite, hoehe, zufall, optionen) {
+    const groesse = Object.hasOwn(RAUM_GROESSEN, optionen.groesse) ? RAUM_GROESSEN[optionen.groesse] : RAUM_GROESSEN.mittel;
+    const raeume = [];
+
+    for (let n = 0; n < optionen.anzahl; n++) {
+        for (let versuch = 0; versuch < MAX_VERSUCHE_PRO_RAUM; versuch++) {
+            const b = Math.min(breite, groesse.min + Math.floor(zufall() * (groesse.max - groesse.min + 1)));
+            const h = Math.min(hoehe, groesse.min + Math.floor(zufall() * (groesse.max - groesse.min + 1)));
+            const raum = {
+                x: Math.floor(zufall() * (breite - b + 1)),
+                y: Math.floor(zufall() * (hoehe - h + 1)),
+                b, h,
+                arena: b >= ARENA_MIN_SEITE && h >= ARENA_MIN_SEITE
+            };
+
+            if (raeume.some(r => ueberschneiden(r, raum))) continue;
+
+            grabeRaum(labyrinth, raum, zufall);
+            raeume.push(raum);
+            break;
+        }
+    }
+
+    console.log(`[Labyrinth] ${raeume.length}/${optionen.anzahl} Räume platziert (${raeume.filter(r => r.arena).length} Arenen)`);
+    return raeume;
+}
+
+/**
+ * Räumt die Fläche eines Raums frei, setzt Pfeiler (Arena) und zusätzliche Türen.
+ */
+function grabeRaum(labyrinth, raum, zufall) {
+    // Rasterbereich des Raums (innere Felder, ohne umgebende Wand)
+    const x0 = 2 * raum.x + 1;
+    const y0 = 2 * raum.y + 1;
+    const x1 = 2 * (raum.x + raum.b) - 1;
+    const y1 = 2 * (raum.y + raum.h) - 1;
+
+    for (let y = y0; y <= y1; y++) {
+        for (let x = x0; x <= x1; x++) {
+            labyrinth[y][x] = 0;
+        }
+    }
+
+    // Pfeiler nur auf den (gerade, gerade)-Punkten im Inneren: alle 4 Nachbarn
+    // sind Raumfläche, der Raum bleibt dadurch immer zusammenhängend.
+    if (raum.arena) {
+        for (let y = y0 + 1; y < y1; y += 2) {
+            for (let x = x0 + 1; x < x1; x += 2) {
+                if (zufall() < PFEILER_CHANCE) {
+                    labyrinth[y][x] = 1;
+                }
+            }
+        }
+    }
+
+    // Zusätzliche Türen in der Außenwand (nur Richtung Spielfeld, nie Außenrand)
+    const kandidaten = [];
+    for (let x = x0; x <= x1; x += 2) {
+        if (y0 - 2 > 0) kandidaten.push({ x, y: y0 - 1 });
+        if (y1 + 2 < labyrinth.length - 1) kandidaten.push({ x, y: y1 + 1 });
+    }
+    for (let y = y0; y <= y1; y += 2) {
+        if (x0 - 2 > 0) kandidaten.push({ x: x0 - 1, y });
+        if (x1 + 2 < labyrinth[0].length - 1) kandidaten.push({ x: x1 + 1, y });
+    }
+    for (let i = 0; i < EXTRA_TUEREN && kandidaten.length > 0; i++) {
+        const idx = Math.floor(zufall() * kandidaten.length);
+        const tuer = kandidaten.splice(idx, 1)[0];
+        labyrinth[tuer.y][tuer.x] = 0;
+    }
+}
@@ -0,0 +1,240 @@
+/**
+ * ============================================================
+ * WANDERNDE WÄNDE (maze-shifting.js)
+ * ============================================================
+ * Modus "wanderndes Labyrinth": einzelne Wandsegmente im
+ * Erdgeschoss wechseln während der Runde ihren Platz und öffnen
+ * bzw. schließen dabei Wege.
+ *
+ * Eine Wanderwand hängt an einem Pfeiler (Rasterfeld mit zwei
+ * geraden Koordinaten) und hat zwei Plätze auf dessen Armen:
+ *   drehen   – zwei benachbarte Arme, die Wand schwenkt um 90°
+ *   schieben – zwei gegenüberliegende Arme, die Wand gleitet durch
+ *              den Pfeiler auf die andere Seite
+ * Genau einer der beiden Plätze ist Wand, der andere Gang.
+ *
+ * Welche Wände wandern, hängt nur von Raster und Seed ab (eigener
+ * Zufallsgenerator). Den Takt gibt der Host vor: er wählt mit
+ * waehleWanderSchritt eine Wand, deren Wechsel keinen Teil des
+ * Labyrinths abschneidet, und verteilt nur deren Index.
+ * DOM-frei wie maze-core.js.
+ * ============================================================
+ */
+
+import { FELD, WAND_GROESSE } from './maze-core.js';
+import { wirksameSymmetrie, gegenstueck, liegtInErsterHaelfte } from './maze-symmetry.js';
+import { analysiereLabyrinth } from './maze-analysis.js';
+
+// ── Konstanten ──────────────────────────────────────────────
+export const WANDER_INTERVALL = 10;  // Sekunden zwischen zwei Wandwechseln (Mittelwert)
+export const WANDER_STREUUNG = 4;    // ± Sekunden, damit der Takt nicht vorhersehbar ist
+export const WANDER_DAUER = 1.5;     // Sekunden, die eine Wand für ihren Weg braucht
+const ZELLEN_JE_WAND = 8;            // 8x8 Zellen → 8 Wanderwände (ohne Gegenstücke)
+const MAX_WANDERWAENDE = 12;
+const WANDER_SEED_VERSATZ = 1237;
+
+const ARME = [
+    { dx: 0, dz: -1 }, { dx: 1, dz: 0 },
+    { dx: 0, dz: 1 }, { dx: -1, dz: 0 }
+];
+
+/**
+ * Eigener Park-Miller-Generator für Plan und Takt der Wanderwände
+ * (unabhängig vom Mulberry32-Zustand und von den Pickups).
+ * @param {number} seed - Labyrinth-Seed
+ * @returns {function(): number} Zahlen in [0, 1)
+ */
+export function erzeugeWanderZufall(seed) {
+    let random = (seed + WANDER_SEED_VERSATZ) % 2147483647 || 1;
+    return () => {
+        random = (random * 16807) % 2147483647;
+        return (random - 1) / 2147483646;
+    };
+}
+
+/**
+ * Wählt die Wanderwände eines Labyrinths.
+ * Plätze sind nur normale Wand- und Gangfelder, die nicht belegt sind
+ * (Spawns, Pickups, Fackeln samt ihrer Wand). Auf symmetrischen Karten
+ * bekommt jede Wand ein gespiegeltes Gegenstück, das mit ihr wandert.
+ *
+ * @param {number[][]} labyrinth - Raster des Erdgeschosses
+ * @param {number} seed - Labyrinth-Seed
+ * @param {string} [symmetrie] - Symmetrie-Modus, mit dem das Labyrinth erzeugt wurde
+ * @param {{x: number, y: number}[]} [belegt] - Freizuhaltende Felder
+ * @returns {{drehpunkt: {x: number, y: number}, plaetze: {x: number, y: number}[], partner: number}[]}
+ */
+export function berechneWanderwaende(labyrinth, seed, symmetrie, belegt = []) {
+    const breite = (labyrinth[0].length - 1) / 2;
+    const hoehe = (labyrinth.length - 1) / 2;
+    const anzahl = Math.min(MAX_WANDERWAENDE, Math.floor(breite * hoehe / ZELLEN_JE_WAND));
+    const modus = wirksameSymmetrie(symmetrie, breite, hoehe);
+    const zufall = erzeugeWanderZufall(seed);
+
+    const vergeben = new Set(belegt.map(feldSchluessel));
+    const kandidaten = wanderKandidaten(labyrinth, modus).filter(w => !w.plaetze.some(p => vergeben.has(feldSchluessel(p))));
+
+    // Fisher-Yates mit dem eigenen Generator
+    for (let i = kandidaten.length - 1; i > 0; i--) {
+        const j = Math.floor(zufall() * (i + 1));
+        [kandidaten[i], kandidaten[j]] = [kandidaten[j], kandidaten[i]];
+    }
+
+    const liste = [];
+    let gesetzt = 0;
+    for (const wand of kandidaten) {
+        if (gesetzt >= anzahl) break;
+        const gruppe = modus === 'keine' ? [wand] : [wand, gespiegelteWand(modus, labyrinth, wand)];
+        const felder = gruppe.flatMap(w => [w.drehpunkt, ...w.plaetze]).map(feldSchluessel);
+        if (new Set(felder).size !== felder.length || felder.some(f => vergeben.has(f))) continue;
+
+        felder.forEach(f => vergeben.add(f));
+        gesetzt++;
+        if (gruppe.length === 1) {
+            liste.push({ ...wand, partner: -1 });
+        } else {
+            liste.push({ ...gruppe[0], partner: liste.length + 1 });
+            liste.push({ ...gruppe[1], partner: liste.length - 1 });
+        }
+    }
+
+    if (liste.length > 0) {
+        console.log(`[Labyrinth] ${liste.length} Wanderwände gewählt`);
+    }
+    return liste;
+}
+
+/**
+ * Wählt die nächste Wand, die wandern soll (nur Host).
+ * Übersprungen werden Wände, die gerade unterwegs sind, und Wechsel,
+ * die das Labyrinth in mehr Teile zerfallen ließen als vorher.
+ * Wände unterwegs stehen im Raster noch auf ihrem alten Platz und
+ * werden für den Vergleich schon als angekommen gerechnet.
+ *
+ * @param {number[][]} labyrinth - Aktuelles Raster des Erdgeschosses
+ * @param {object[]} waende - Liste aus berechneWanderwaende
+ * @param {function(): number} zufall - Aus erzeugeWanderZufall
+ * @param {Set<number>} [unterwegs] - Indizes der Wände in Bewegung
+ * @returns {number} Index der Wand (Gegenstück wandert mit) oder -1
+ */
+export function waehleWanderSchritt(labyrinth, waende, zufall, unterwegs = new Set()) {
+    const stand = labyrinth.map(zeile => zeile.slice());
+    unterwegs.forEach(i => setzeUm(stand, waende[i]));
+    const vorher = analysiereLabyrinth(stand).komponenten;
+    const start = Math.floor(zufall() * waende.length);
+
+    for (let n = 0; n < waende.length; n++) {
+        const index = (start + n) % waende.length;
+        const wand = waende[index];
+        if (wand.partner !== -1 && wand.partner < index) continue; // Gegenstück wird über das Original gewählt
+        const gruppe = wanderGruppe(waende, index);
+        if (gruppe.some(i => unterwegs.has(i))) continue;
+
+        const probe = stand.map(zeile => zeile.slice());
+        gruppe.forEach(i => setzeUm(probe, waende[i]));
+        if (analysiereLabyrinth(probe).komponenten <= vorher) return index;
+    }
+    return -1;
+}
+
+/** Setzt eine Wanderwand im Raster auf ihren anderen Platz. */
+function setzeUm(raster, wand) {
+    const { von, nach } = wanderRichtung(raster, wand);
+    raster[von.y][von.x] = FELD.GANG;
+    raster[nach.y][nach.x] = FELD.WAND;
+}
+
+/**
+ * Indizes, die bei einem Wechsel von index gemeinsam wandern.
+ * @param {object[]} waende
+ * @param {number} index
+ * @returns {number[]}
+ */
+export function wanderGruppe(waende, index) {
+    const partner = waende[index].partner;
+    return partner === -1 ? [index] : [index, partner];
+}
+
+/**
+ * Aktueller Platz (Wand) und Zielplatz (Gang) einer Wanderwand.
+ * @param {number[][]} labyrinth
+ * @param {object} wand
+ * @returns {{von: {x: number, y: number}, nach: {x: number, y: number}}}
+ */
+export function wanderRichtung(labyrinth, wand) {
+    const [a, b] = wand.plaetze;
+    return labyrinth[a.y][a.x] === FELD.WAND ? { von: a, nach: b } : { von: b, nach: a };
+}
+
+/**
+ * Lage einer Wanderwand unterwegs (Weltkoordinaten, Mitte der Wand).
+ * Drehende Wände schwenken um den Pfeiler, schiebende gleiten geradeaus.
+ *
+ * @param {object} wand
+ * @param {{x: number, y: number}} von - Startplatz
+ * @param {{x: number, y: number}} nach - Zielplatz
+ * @param {number} fortschritt - 0 (Start) bis 1 (Ziel)
+ * @returns {{x: number, z: number, drehung: number}}
+ */
+export function wanderPose(wand, von, nach, fortschritt) {
+    const t = fortschritt * fortschritt * (3 - 2 * fortschritt); // Sanft anfahren und bremsen
+    const p = wand.drehpunkt;
+    const startWinkel = Math.atan2(von.y - p.y, von.x - p.x);
+    let zielWinkel = Math.atan2(nach.y - p.y, nach.x - p.x);
+
+    if (Math.abs(Math.abs(zielWinkel - startWinkel) - Math.PI) < 1e-6) {
+        // Schieben: geradeaus durch den Pfeiler
+        return {
+            x: (von.x + (nach.x - von.x) * t) * WAND_GROESSE,
+            z: (von.y + (nach.y - von.y) * t) * WAND_GROESSE,
+            drehung: 0
+        };
+    }
+
+    // Drehen: kürzester Weg um den Pfeiler (90°)
+    if (zielWinkel - startWinkel > Math.PI) zielWinkel -= 2 * Math.PI;
+    if (zielWinkel - startWinkel < -Math.PI) zielWinkel += 2 * Math.PI;
+    const winkel = startWinkel + (zielWinkel - startWinkel) * t;
+    return {
+        x: (p.x + Math.cos(winkel)) * WAND_GROESSE,
+        z: (p.y + Math.sin(winkel)) * WAND_GROESSE,
+        drehung: -(winkel - startWinkel)
+    };
+}
+
+/**
+ * Alle möglichen Wanderwände: je Pfeiler im Inneren die Armpaare,
+ * von denen genau einer Wand und einer Gang ist. Auf symmetrischen
+ * Karten nur Pfeiler der ersten Hälfte, deren Arme nicht auf der Naht liegen.
+ */
+function wanderKandidaten(labyrinth, modus) {
+    const kandidaten = [];
+    for (let y = 2; y < labyrinth.length - 2; y += 2) {
+        for (let x = 2; x < labyrinth[y].length - 2; x += 2) {
+            if (labyrinth[y][x] !== FELD.WAND) continue;
+            if (modus !== 'keine' && !liegtInErsterHaelfte(modus, labyrinth, x, y)) continue;
+
+            const arme = ARME.map(r => ({ x: x + r.dx, y: y + r.dz }));
+            for (let i = 0; i < arme.length; i++) {
+                for (let j = i + 1; j < arme.length; j++) {
+                    const a = labyrinth[arme[i].y][arme[i].x];
+                    const b = labyrinth[arme[j].y][arme[j].x];
+                    const einWechsel = (a === FELD.WAND && b === FELD.GANG) || (a === FELD.GANG && b === FELD.WAND);
+                    if (einWechsel) kandidaten.push({ drehpunkt: { x, y }, plaetze: [arme[i], arme[j]] });
+                }
+            }
+        }
+    }
+    return kandidaten;
+}
+
+function gespiegelteWand(modus, labyrinth, wand) {
+    return {
+        drehpunkt: gegenstueck(modus, labyrinth, wand.drehpunkt.x, wand.drehpunkt.y),
+        plaetze: wand.plaetze.map(p => gegenstueck(modus, labyrinth, p.x, p.y))
+    };
+}
+
+function feldSchluessel(p) {
+    return `${p.x},${p.y}`;
+}
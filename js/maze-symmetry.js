@@ -0,0 +1,184 @@
+/**
+ * ============================================================
+ * SYMMETRISCHE KARTEN (maze-symmetry.js)
+ * ============================================================
+ * Für faire 1v1-Karten wird nur ein Teil des Rasters erzeugt
+ * (Hälfte oder Viertel) und anschließend gespiegelt bzw. gedreht.
+ *
+ *   spiegel  – linke Hälfte, an der senkrechten Mittelachse gespiegelt
+ *   rotation – obere Hälfte, um 180° um den Mittelpunkt gedreht
+ *   viertel  – oberes linkes Viertel, an beiden Achsen gespiegelt
+ *
+ * Die Nahtstellen (Mittelspalte/-zeile) sind zunächst Wand und
+ * bekommen symmetrisch verteilte Durchgänge, damit alle Teile
+ * verbunden sind. Jeder Punkt hat ein Gegenstück, an das der
+ * Gegner-Spawn bzw. das Partner-Pickup gesetzt wird.
+ * ============================================================
+ */
+
+export const SYMMETRIE_MODI = {
+    keine: { name: 'Keine (frei)' },
+    spiegel: { name: 'Gespiegelt (links/rechts)' },
+    rotation: { name: 'Gedreht (180°)' },
+    viertel: { name: 'Viertel (doppelt gespiegelt)' }
+};
+
+export const STANDARD_SYMMETRIE = 'keine';
+
+const NAHT_ANTEIL = 1 / 3; // Anteil der möglichen Naht-Durchgänge, die geöffnet werden
+
+/**
+ * Liefert den tatsächlich nutzbaren Modus für eine Labyrinthgröße.
+ * Gespiegelt wird immer an einer Zellgrenze, die geteilte Achse
+ * braucht deshalb eine gerade Zellanzahl – sonst keine Symmetrie.
+ *
+ * @param {string} modus - Schlüssel aus SYMMETRIE_MODI
+ * @param {number} breite - Zellen in X-Richtung
+ * @param {number} hoehe - Zellen in Y-Richtung
+ * @returns {string}
+ */
+export function wirksameSymmetrie(modus, breite, hoehe) {
+    if (!modus || modus === 'keine') return 'keine';
+    if (!Object.hasOwn(SYMMETRIE_MODI, modus)) {
+        console.warn(`[Labyrinth] Unbekannte Symmetrie "${modus}", erzeuge ohne`);
+        return 'keine';
+    }
+    const xGeteilt = modus === 'spiegel' || modus === 'viertel';
+    const yGeteilt = modus === 'rotation' || modus === 'viertel';
+    if ((xGeteilt && breite % 2 !== 0) || (yGeteilt && hoehe % 2 !== 0)) {
+        console.warn(`[Labyrinth] Symmetrie "${modus}" braucht gerade Zellanzahl (${breite}x${hoehe}), erzeuge ohne`);
+        return 'keine';
+    }
+    return modus;
+}
+
+/**
+ * Größe des Teilstücks (in Zellen), das der Algorithmus erzeugen muss.
+ * @param {string} modus - Wirksamer Modus
+ * @param {number} breite
+ * @param {number} hoehe
+ * @returns {{breite: number, hoehe: number, teile: number}}
+ */
+export function teilGroesse(modus, breite, hoehe) {
+    switch (modus) {
+        case 'spiegel': return { breite: breite / 2, hoehe, teile: 2 };
+        case 'rotation': return { breite, hoehe: hoehe / 2, teile: 2 };
+        case 'viertel': return { breite: breite / 2, hoehe: hoehe / 2, teile: 4 };
+        default: return { breite, hoehe, teile: 1 };
+    }
+}
+
+/**
+ * Setzt das volle Raster aus einem Teilstück zusammen und öffnet die Nähte.
+ *
+ * @param {number[][]} teil - Raster des Teilstücks (mit eigenem Außenrand)
+ * @param {string} modus - Wirksamer Modus
+ * @param {number} breite - Zellen des vollen Labyrinths in X-Richtung
+ * @param {number} hoehe - Zellen des vollen Labyrinths in Y-Richtung
+ * @param {function} zufall - Seeded PRNG, liefert Zahlen in [0, 1)
+ * @returns {number[][]} Volles Raster (2*breite+1) x (2*hoehe+1)
+ */
+export function setzeSymmetrischZusammen(teil, modus, breite, hoehe, zufall) {
+    const rasterBreite = 2 * breite + 1;
+    const rasterHoehe = 2 * hoehe + 1;
+    const labyrinth = [];
+    for (let y = 0; y < rasterHoehe; y++) {
+        labyrinth[y] = new Array(rasterBreite).fill(1);
+    }
+
+    // Teilstück samt aller Spiegelbilder eintragen (Gänge überschreiben Wände)
+    for (let y = 0; y < teil.length; y++) {
+        for (let x = 0; x < teil[y].length; x++) {
+            if (teil[y][x] !== 0) continue;
+            for (const p of bilder(modus, x, y, rasterBreite, rasterHoehe)) {
+                labyrinth[p.y][p.x] = 0;
+            }
+        }
+    }
+
+    // Nähte öffnen – jeder Durchgang wird mit seinen Bildern gesetzt,
+    // damit die Symmetrie erhalten bleibt. Durchgänge nur auf Zellzeilen
+    // bzw. -spalten (ungerade), dort liegen auf beiden Seiten Gänge.
+    const mitteX = breite;
+    const mitteY = hoehe;
+    if (modus === 'spiegel' || modus === 'viertel') {
+        const grenzeY = modus === 'viertel' ? mitteY : rasterHoehe - 1;
+        oeffneNaht(labyrinth, modus, ungeradeBis(grenzeY).map(y => ({ x: mitteX, y })), zufall);
+    }
+    if (modus === 'rotation' || modus === 'viertel') {
+        const grenzeX = modus === 'viertel' ? mitteX : rasterBreite - 1;
+        oeffneNaht(labyrinth, modus, ungeradeBis(grenzeX).map(x => ({ x, y: mitteY })), zufall);
+    }
+
+    console.log(`[Labyrinth] Symmetrie "${modus}": ${teil[0].length}x${teil.length} Teilraster zusammengesetzt`);
+    return labyrinth;
+}
+
+/**
+ * Gegenstück eines Rasterfelds für den zweiten Spieler.
+ * Bei "viertel" ist das die Punktspiegelung (gegenüberliegendes Viertel).
+ *
+ * @param {string} modus - Wirksamer Modus
+ * @param {number[][]} labyrinth
+ * @param {number} x
+ * @param {number} y
+ * @returns {{x: number, y: number}}
+ */
+export function gegenstueck(modus, labyrinth, x, y) {
+    const maxX = labyrinth[0].length - 1;
+    const maxY = labyrinth.length - 1;
+    if (modus === 'spiegel') return { x: maxX - x, y };
+    return { x: maxX - x, y: maxY - y };
+}
+
+/**
+ * Liegt ein Rasterfeld echt auf der Seite des ersten Spielers
+ * (also nicht auf der Achse)? Bei "viertel" zählt die linke Hälfte,
+ * deren Punktspiegelung die rechte Hälfte vollständig abdeckt.
+ *
+ * @param {string} modus - Wirksamer Modus
+ * @param {number[][]} labyrinth
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean}
+ */
+export function liegtInErsterHaelfte(modus, labyrinth, x, y) {
+    if (modus === 'rotation') return y < (labyrinth.length - 1) / 2;
+    return x < (labyrinth[0].length - 1) / 2;
+}
+
+/**
+ * Alle Bilder eines Punkts unter der Symmetrie (inklusive des Punkts selbst).
+ */
+function bilder(modus, x, y, rasterBreite, rasterHoehe) {
+    const sx = rasterBreite - 1 - x;
+    const sy = rasterHoehe - 1 - y;
+    switch (modus) {
+        case 'spiegel': return [{ x, y }, { x: sx, y }];
+        case 'rotation': return [{ x, y }, { x: sx, y: sy }];
+        case 'viertel': return [{ x, y }, { x: sx, y }, { x, y: sy }, { x: sx, y: sy }];
+        default: return [{ x, y }];
+    }
+}
+
+/**
+ * Ungerade Koordinaten von 1 bis (exklusive) grenze.
+ */
+function ungeradeBis(grenze) {
+    const werte = [];
+    for (let i = 1; i < grenze; i += 2) werte.push(i);
+    return werte;
+}
+
+/**
+ * Öffnet einen Anteil der Kandidaten (mindestens einen) samt Bildern.
+ */
+function oeffneNaht(labyrinth, modus, kandidaten, zufall) {
+    const anzahl = Math.max(1, Math.round(kandidaten.length * NAHT_ANTEIL));
+    for (let i = 0; i < anzahl && kandidaten.length > 0; i++) {
+        const tuer = kandidaten.splice(Math.floor(zufall() * kandidaten.length), 1)[0];
+        for (const p of bilder(modus, tuer.x, tuer.y, labyrinth[0].length, labyrinth.length)) {
+            labyrinth[p.y][p.x] = 0;
+        }
+    }
+}
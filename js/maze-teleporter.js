@@ -0,0 +1,130 @@
+/**
+ * ============================================================
+ * TELEPORTER (maze-teleporter.js)
+ * ============================================================
+ * Verbundene Teleporter-Pads für schnelle Wege durch große Karten.
+ *
+ * Ein Teleporter ist ein Paar {von, nach, einweg}: Pads liegen auf
+ * Gang-Feldern ({x, y, etage} in Rasterkoordinaten). Zweiweg-Pads
+ * bringen in beide Richtungen, ein Einweg-Portal nur von "von" nach
+ * "nach" – das Ziel-Pad ist dann nur Ausgang.
+ *
+ * Die Platzierung hängt nur von Welt und Seed ab und nutzt einen
+ * eigenen Zufallsgenerator, Labyrinth, Spawns und Pickups desselben
+ * Seeds bleiben also unverändert. Auf symmetrischen Karten bekommt
+ * jedes Paar ein gespiegeltes Gegenstück. DOM-frei wie maze-core.js.
+ * ============================================================
+ */
+
+import { FELD } from './maze-core.js';
+import { wirksameSymmetrie, gegenstueck, liegtInErsterHaelfte } from './maze-symmetry.js';
+
+// ── Konstanten ──────────────────────────────────────────────
+const MAX_PAARE = 4;                 // Obergrenze je Karte (ohne Gegenstücke)
+const MIN_ABSTAND = 8;               // Mindestabstand der Partner auf derselben Etage (Rasterfelder)
+const EINWEG_ANTEIL = 0.3;           // Anteil der Paare, die nur in eine Richtung führen
+const VERSUCHE_JE_PAAR = 30;
+const TELEPORTER_SEED_VERSATZ = 4711;
+
+/**
+ * Platziert die Teleporter-Paare einer Welt.
+ * Pads liegen nur auf Gängen in Zellmitten, nicht auf belegten Feldern
+ * (Spawns, Pickups) und nicht direkt neben Treppen oder Löchern.
+ *
+ * @param {{etagen: number[][][]}} welt - Welt aus maze-floors.js
+ * @param {number} seed - Labyrinth-Seed
+ * @param {string} [symmetrie] - Symmetrie-Modus, mit dem die Welt erzeugt wurde
+ * @param {{x: number, y: number}[]} [belegt] - Freizuhaltende Felder auf Etage 0
+ * @returns {{von: {x: number, y: number, etage: number}, nach: {x: number, y: number, etage: number}, einweg: boolean}[]}
+ */
+export function berechneTeleporter(welt, seed, symmetrie, belegt = []) {
+    const erdgeschoss = welt.etagen[0];
+    const breite = (erdgeschoss[0].length - 1) / 2;
+    const hoehe = (erdgeschoss.length - 1) / 2;
+    // 8x8 Zellen → 2 Paare, ab 16x16 das Maximum
+    const paare = Math.min(MAX_PAARE, Math.floor(Math.sqrt(breite * hoehe) / 4));
+    if (paare === 0) return [];
+
+    // Park-Miller wie bei den Start-Pickups, aber mit eigenem Versatz
+    let random = (seed + TELEPORTER_SEED_VERSATZ) % 2147483647 || 1;
+    const zufall = () => {
+        random = (random * 16807) % 2147483647;
+        return (random - 1) / 2147483646;
+    };
+
+    const modus = wirksameSymmetrie(symmetrie, breite, hoehe);
+    const vergeben = new Set(belegt.map(p => padSchluessel({ ...p, etage: 0 })));
+    const kandidaten = padKandidaten(welt).filter(p =>
+        !vergeben.has(padSchluessel(p)) &&
+        (modus === 'keine' || liegtInErsterHaelfte(modus, welt.etagen[p.etage], p.x, p.y))
+    );
+    const gespiegelt = (p) => ({ ...gegenstueck(modus, welt.etagen[p.etage], p.x, p.y), etage: p.etage });
+
+    const liste = [];
+    let gesetzt = 0;
+    for (let versuch = 0; versuch < paare * VERSUCHE_JE_PAAR && gesetzt < paare; versuch++) {
+        const von = kandidaten[Math.floor(zufall() * kandidaten.length)];
+        const nach = kandidaten[Math.floor(zufall() * kandidaten.length)];
+        const einweg = zufall() < EINWEG_ANTEIL;
+        if (!von || !nach) break;
+
+        const pads = modus === 'keine' ? [von, nach] : [von, nach, gespiegelt(von), gespiegelt(nach)];
+        const schluessel = pads.map(padSchluessel);
+        if (new Set(schluessel).size !== pads.length || schluessel.some(s => vergeben.has(s))) continue;
+        if (von.etage === nach.etage && Math.abs(von.x - nach.x) + Math.abs(von.y - nach.y) < MIN_ABSTAND) continue;
+
+        schluessel.forEach(s => vergeben.add(s));
+        gesetzt++;
+        liste.push({ von, nach, einweg });
+        if (modus !== 'keine') liste.push({ von: pads[2], nach: pads[3], einweg });
+    }
+
+    if (gesetzt < paare) {
+        console.warn(`[Labyrinth] Nur ${gesetzt} Teleporter platziert (gewünscht: ${paare})`);
+    }
+    return liste;
+}
+
+/**
+ * Ziel-Pad eines Teleporters, falls (x, y, etage) ein Eingang ist.
+ * Der Ausgang eines Einweg-Portals führt nirgendwohin.
+ *
+ * @param {object[]} teleporter - Liste aus berechneTeleporter bzw. der Karte
+ * @param {number} x - Rasterspalte
+ * @param {number} y - Rasterzeile
+ * @param {number} etage
+ * @returns {{x: number, y: number, etage: number}|null}
+ */
+export function teleporterZiel(teleporter, x, y, etage) {
+    const trifft = (p) => p.x === x && p.y === y && p.etage === etage;
+    for (const t of teleporter || []) {
+        if (trifft(t.von)) return t.nach;
+        if (!t.einweg && trifft(t.nach)) return t.von;
+    }
+    return null;
+}
+
+/**
+ * Gang-Felder in Zellmitten, deren Nachbarn weder Treppe noch Loch sind
+ * (dort würde man beim Ankommen sofort weiterfallen oder -laufen).
+ * @param {{etagen: number[][][]}} welt
+ * @returns {{x: number, y: number, etage: number}[]}
+ */
+function padKandidaten(welt) {
+    const felder = [];
+    welt.etagen.forEach((raster, etage) => {
+        for (let y = 1; y < raster.length - 1; y += 2) {
+            for (let x = 1; x < raster[y].length - 1; x += 2) {
+                if (raster[y][x] !== FELD.GANG) continue;
+                const nachbarn = [raster[y - 1][x], raster[y + 1][x], raster[y][x - 1], raster[y][x + 1]];
+                if (nachbarn.some(f => f === FELD.TREPPE || f === FELD.LOCH)) continue;
+                felder.push({ x, y, etage });
+            }
+        }
+    });
+    return felder;
+}
+
+function padSchluessel(p) {
+    return `${p.etage},${p.x},${p.y}`;
+}
@@ -0,0 +1,391 @@
+/**
+ * ============================================================
+ * SONDERFELDER (maze-tiles.js)
+ * ============================================================
+ * 3D-Darstellung und Laufzeit-Zustand der Sonderfelder aus FELD:
+ *
+ *   Tür      – Türblatt, das beim Öffnen in die Decke fährt
+ *   Fenster  – hüfthohe Brüstung mit Sturz, Schüsse gehen durch
+ *   Grube    – schwarzes Loch im Boden (Tod beim Betreten)
+ *   Risswand – Wand mit Rissen, zerbricht nach RISSWAND_TREFFER
+ *
+ * Die Meshes liegen in der wallGroup, damit der Schuss-Raycast
+ * sie trifft. Durchlässige Teile (Grube, offene Tür) sind mit
+ * userData.schussDurchlaessig markiert; Brüstung und Sturz eines
+ * Fensters halten Schüsse auf, die Öffnung dazwischen nicht.
+ *
+ * Zustandsänderungen (Tür auf/zu, Risswand zerbrochen) entscheidet
+ * der Host und verteilt sie als 'feld'-Nachricht; setzeFeld wendet
+ * sie auf Raster und Geometrie an.
+ *
+ * Wanderwände (maze-shifting.js) sind ein InstancedMesh in der
+ * wallGroup, eine Instanz je Wand. Im Raster bleibt die Wand auf
+ * ihrem alten Platz, bis sie angekommen ist; erst dann tauschen
+ * alter Platz und Zielplatz (wer dort steht, wird herausgeschoben).
+ * ============================================================
+ */
+
+import { FELD, WAND_GROESSE, WAND_HOEHE, FENSTER_BRUESTUNG, FENSTER_STURZ } from './maze-core.js';
+import { WANDER_DAUER, wanderGruppe, wanderRichtung, wanderPose } from './maze-shifting.js';
+
+// ── Einstellungen ───────────────────────────────────────────
+export const RISSWAND_TREFFER = 3;   // Treffer bis eine Risswand zerbricht
+const TUER_DICKE = 0.2;
+const TUER_OFFEN_HOEHE = WAND_HOEHE - 0.15; // So weit fährt das Türblatt hoch
+const TUER_GESCHWINDIGKEIT = 4.0;    // Einheiten pro Sekunde
+const FENSTER_TIEFE = 0.4;
+const WANDER_HOEHE = WAND_HOEHE + WAND_GROESSE / 2; // Bis unter das (flache) Gewölbe
+
+/** Farben der Feldtypen für 2D-Ansichten (Minimap, Editor). */
+export const FELD_FARBEN = {
+    [FELD.GANG]: '#222',
+    [FELD.WAND]: '#555',
+    [FELD.TUER]: '#8b5a2b',
+    [FELD.TUER_OFFEN]: '#4a3018',
+    [FELD.FENSTER]: '#4aa3c7',
+    [FELD.GRUBE]: '#000',
+    [FELD.RISSWAND]: '#7a5a4a',
+    [FELD.TREPPE]: '#b8a060',
+    [FELD.LOCH]: '#0a0a2a'
+};
+
+// ── Zustand ─────────────────────────────────────────────────
+// Schlüssel "x,y" → {typ, x, y, mesh, treffer, hoehe}
+const sonderfelder = new Map();
+
+const schluessel = (x, y) => `${x},${y}`;
+
+// Wanderwände: InstancedMesh + je Wand {von, nach, fortschritt} (null = steht)
+let wanderMesh = null;
+const wanderInstanzTemp = new THREE.Object3D(); // Für setMatrixAt, nicht je Frame neu
+let wanderwaende = [];
+let wanderBewegung = [];
+
+/**
+ * Baut die Meshes aller Sonderfelder in die Gruppe (wallGroup).
+ * Setzt den Laufzeit-Zustand zurück.
+ *
+ * @param {THREE.Group} gruppe - Die wallGroup
+ * @param {number[][]} labyrinth - Das Labyrinth-Array
+ * @param {THREE.Material} wandMaterial - Stein-Material für Brüstung und Risswand
+ * @param {boolean} useLambert - Performance-Modus
+ */
+export function baueSonderfelder(gruppe, labyrinth, wandMaterial, useLambert = false) {
+    sonderfelder.clear();
+
+    const MaterialClass = useLambert ? THREE.MeshLambertMaterial : THREE.MeshPhongMaterial;
+    const tuerMaterial = new MaterialClass({ map: erzeugeTuerTextur() });
+    const rissMaterial = new MaterialClass({ map: erzeugeRissTextur(wandMaterial.map) });
+    const grubeMaterial = new THREE.MeshBasicMaterial({ color: 0x000000 });
+
+    const tuerGeo = new THREE.BoxGeometry(WAND_GROESSE, WAND_HOEHE, TUER_DICKE);
+    const bruestungGeo = new THREE.BoxGeometry(WAND_GROESSE, FENSTER_BRUESTUNG, FENSTER_TIEFE);
+    const sturzGeo = new THREE.BoxGeometry(WAND_GROESSE, WAND_HOEHE - FENSTER_STURZ, FENSTER_TIEFE);
+    const rissGeo = new THREE.BoxGeometry(WAND_GROESSE, WAND_HOEHE, WAND_GROESSE);
+    const grubeGeo = new THREE.PlaneGeometry(WAND_GROESSE * 0.96, WAND_GROESSE * 0.96);
+
+    for (let y = 0; y < labyrinth.length; y++) {
+        for (let x = 0; x < labyrinth[y].length; x++) {
+            const typ = labyrinth[y][x];
+            const wx = x * WAND_GROESSE;
+            const wz = y * WAND_GROESSE;
+            let mesh = null;
+
+            switch (typ) {
+                case FELD.TUER:
+                case FELD.TUER_OFFEN:
+                    mesh = new THREE.Mesh(tuerGeo, tuerMaterial);
+                    mesh.position.set(wx, WAND_HOEHE / 2, wz);
+                    mesh.rotation.y = querRotation(labyrinth, x, y);
+                    break;
+                case FELD.FENSTER: {
+                    mesh = new THREE.Group();
+                    mesh.rotation.y = querRotation(labyrinth, x, y);
+                    mesh.position.set(wx, 0, wz);
+                    const bruestung = new THREE.Mesh(bruestungGeo, wandMaterial);
+                    bruestung.position.y = FENSTER_BRUESTUNG / 2;
+                    const sturz = new THREE.Mesh(sturzGeo, wandMaterial);
+                    sturz.position.y = (FENSTER_STURZ + WAND_HOEHE) / 2;
+                    mesh.add(bruestung, sturz);
+                    break;
+                }
+                case FELD.GRUBE:
+                    mesh = new THREE.Mesh(grubeGeo, grubeMaterial);
+                    mesh.rotation.x = -Math.PI / 2;
+                    mesh.position.set(wx, 0.02, wz); // Knapp über dem Boden gegen Z-Fighting
+                    mesh.userData.schussDurchlaessig = true;
+                    break;
+                case FELD.RISSWAND:
+                    mesh = new THREE.Mesh(rissGeo, rissMaterial);
+                    mesh.position.set(wx, WAND_HOEHE / 2, wz);
+                    mesh.userData.risswand = { x, y };
+                    break;
+                default:
+                    continue;
+            }
+
+            gruppe.add(mesh);
+            const feld = { typ, x, y, mesh, treffer: 0, hoehe: 0 };
+            sonderfelder.set(schluessel(x, y), feld);
+            if (typ === FELD.TUER_OFFEN) oeffneTuer(feld, true, true);
+        }
+    }
+
+    if (sonderfelder.size > 0) {
+        console.log(`[Labyrinth] ${sonderfelder.size} Sonderfelder gebaut`);
+    }
+}
+
+/**
+ * Ändert ein Sonderfeld zur Laufzeit (Raster + Darstellung).
+ * Erlaubt: Tür ↔ offene Tür, Risswand → Gang.
+ *
+ * @param {number[][]} labyrinth - Das Labyrinth-Array
+ * @param {number} x - Rasterspalte
+ * @param {number} y - Rasterzeile
+ * @param {number} typ - Neuer Wert aus FELD
+ * @returns {boolean} true wenn sich etwas geändert hat
+ */
+export function setzeFeld(labyrinth, x, y, typ) {
+    const feld = sonderfelder.get(schluessel(x, y));
+    if (!feld || feld.typ === typ) return false;
+
+    const istTuer = (t) => t === FELD.TUER || t === FELD.TUER_OFFEN;
+    if (istTuer(feld.typ) && istTuer(typ)) {
+        oeffneTuer(feld, typ === FELD.TUER_OFFEN);
+    } else if (feld.typ === FELD.RISSWAND && typ === FELD.GANG) {
+        feld.mesh.parent?.remove(feld.mesh);
+        sonderfelder.delete(schluessel(x, y));
+        console.log(`[Labyrinth] Risswand (${x}, ${y}) zerbrochen`);
+    } else {
+        console.warn(`[Labyrinth] Ungültiger Feldwechsel (${x}, ${y}): ${feld.typ} → ${typ}`);
+        return false;
+    }
+
+    feld.typ = typ;
+    labyrinth[y][x] = typ;
+    return true;
+}
+
+/**
+ * Zählt einen Treffer auf eine Risswand (nur Host).
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean} true wenn die Wand damit zerbricht
+ */
+export function zaehleRisswandTreffer(x, y) {
+    const feld = sonderfelder.get(schluessel(x, y));
+    if (!feld || feld.typ !== FELD.RISSWAND) return false;
+    feld.treffer++;
+    return feld.treffer >= RISSWAND_TREFFER;
+}
+
+/**
+ * Alle Türen mit ihrem aktuellen Zustand (für die Näherungs-Logik des Hosts).
+ * @returns {{x: number, y: number, offen: boolean}[]}
+ */
+export function tuerFelder() {
+    const tueren = [];
+    for (const feld of sonderfelder.values()) {
+        if (feld.typ === FELD.TUER || feld.typ === FELD.TUER_OFFEN) {
+            tueren.push({ x: feld.x, y: feld.y, offen: feld.typ === FELD.TUER_OFFEN });
+        }
+    }
+    return tueren;
+}
+
+/**
+ * Baut die Wanderwände als ein InstancedMesh in die Gruppe (wallGroup).
+ * Die Plätze selbst baut buildMazeGeometry weder als Wand noch mit
+ * Gewölbekante, damit die Wände frei wandern können.
+ *
+ * @param {THREE.Group} gruppe - Die wallGroup
+ * @param {number[][]} labyrinth - Das Labyrinth-Array
+ * @param {object[]} waende - Liste aus berechneWanderwaende
+ * @param {THREE.Material} wandMaterial
+ */
+export function baueWanderwaende(gruppe, labyrinth, waende, wandMaterial) {
+    wanderwaende = waende;
+    wanderBewegung = waende.map(() => null);
+    wanderMesh = null;
+    if (waende.length === 0) return;
+
+    const geo = new THREE.BoxGeometry(WAND_GROESSE, WANDER_HOEHE, WAND_GROESSE);
+    wanderMesh = new THREE.InstancedMesh(geo, wandMaterial, waende.length);
+    wanderMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    waende.forEach((wand, i) => {
+        const { von } = wanderRichtung(labyrinth, wand);
+        setzeWanderInstanz(i, wanderPose(wand, von, von, 0));
+    });
+    wanderMesh.instanceMatrix.needsUpdate = true;
+    gruppe.add(wanderMesh);
+}
+
+/**
+ * Schickt eine Wanderwand (samt Gegenstück) auf den Weg. Das Raster
+ * ändert sich erst, wenn updateSonderfelder die Ankunft meldet.
+ *
+ * @param {number[][]} labyrinth - Das Labyrinth-Array
+ * @param {number} index - Index in der Wanderwand-Liste
+ * @returns {{x: number, y: number}[]} Zielplätze der losgeschickten Wände
+ */
+export function starteWandwechsel(labyrinth, index) {
+    if (!wanderwaende[index]) {
+        console.warn(`[Labyrinth] Unbekannte Wanderwand ${index}`);
+        return [];
+    }
+    const unterwegs = [];
+    wanderGruppe(wanderwaende, index).forEach(i => {
+        if (wanderBewegung[i]) return; // Schon unterwegs
+        const { von, nach } = wanderRichtung(labyrinth, wanderwaende[i]);
+        wanderBewegung[i] = { von, nach, fortschritt: 0 };
+        unterwegs.push(nach);
+    });
+    return unterwegs;
+}
+
+/**
+ * Indizes der Wanderwände, die gerade unterwegs sind.
+ * @returns {Set<number>}
+ */
+export function wanderwaendeUnterwegs() {
+    const unterwegs = new Set();
+    wanderBewegung.forEach((bewegung, i) => { if (bewegung) unterwegs.add(i); });
+    return unterwegs;
+}
+
+/**
+ * Animiert Türblätter und Wanderwände. Jeden Frame aufrufen.
+ * @param {number} deltaZeit - Sekunden seit dem letzten Frame
+ * @param {number[][]} labyrinth - Das Labyrinth-Array (ankommende Wanderwände tauschen ihre Plätze)
+ * @returns {{x: number, y: number}[]} Felder, die sich in diesem Frame geändert haben
+ */
+export function updateSonderfelder(deltaZeit, labyrinth) {
+    for (const feld of sonderfelder.values()) {
+        if (feld.typ !== FELD.TUER && feld.typ !== FELD.TUER_OFFEN) continue;
+        const ziel = feld.typ === FELD.TUER_OFFEN ? TUER_OFFEN_HOEHE : 0;
+        if (feld.hoehe === ziel) continue;
+        const schritt = TUER_GESCHWINDIGKEIT * deltaZeit;
+        feld.hoehe = feld.hoehe < ziel ? Math.min(ziel, feld.hoehe + schritt) : Math.max(ziel, feld.hoehe - schritt);
+        feld.mesh.position.y = WAND_HOEHE / 2 + feld.hoehe;
+    }
+
+    const geaendert = [];
+    wanderBewegung.forEach((bewegung, i) => {
+        if (!bewegung) return;
+        bewegung.fortschritt = Math.min(1, bewegung.fortschritt + deltaZeit / WANDER_DAUER);
+        setzeWanderInstanz(i, wanderPose(wanderwaende[i], bewegung.von, bewegung.nach, bewegung.fortschritt));
+        wanderMesh.instanceMatrix.needsUpdate = true;
+        if (bewegung.fortschritt < 1) return;
+
+        labyrinth[bewegung.von.y][bewegung.von.x] = FELD.GANG;
+        labyrinth[bewegung.nach.y][bewegung.nach.x] = FELD.WAND;
+        geaendert.push(bewegung.von, bewegung.nach);
+        wanderBewegung[i] = null;
+    });
+    return geaendert;
+}
+
+/**
+ * Setzt Lage und Drehung einer Wanderwand-Instanz.
+ */
+function setzeWanderInstanz(index, pose) {
+    wanderInstanzTemp.position.set(pose.x, WANDER_HOEHE / 2, pose.z);
+    wanderInstanzTemp.rotation.y = pose.drehung;
+    wanderInstanzTemp.updateMatrix();
+    wanderMesh.setMatrixAt(index, wanderInstanzTemp.matrix);
+}
+
+/**
+ * Öffnet oder schließt ein Türblatt. Der Schuss-Raycast ignoriert
+ * die Tür sofort, die Bewegung selbst läuft in updateSonderfelder.
+ */
+function oeffneTuer(feld, offen, sofort = false) {
+    feld.mesh.userData.schussDurchlaessig = offen;
+    if (sofort) {
+        feld.hoehe = offen ? TUER_OFFEN_HOEHE : 0;
+        feld.mesh.position.y = WAND_HOEHE / 2 + feld.hoehe;
+    }
+}
+
+/**
+ * Drehung für Türblatt/Fenster: quer zum Durchgang. Liegen links und
+ * rechts Wände, verläuft der Gang in Z-Richtung und das Blatt in X.
+ */
+function querRotation(labyrinth, x, y) {
+    const wandLinks = labyrinth[y][x - 1] === FELD.WAND;
+    const wandRechts = labyrinth[y][x + 1] === FELD.WAND;
+    return wandLinks && wandRechts ? 0 : Math.PI / 2;
+}
+
+/**
+ * Holzbretter für die Türen.
+ */
+function erzeugeTuerTextur() {
+    const res = 128;
+    const canvas = document.createElement('canvas');
+    canvas.width = res;
+    canvas.height = res;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = '#5a3a1b';
+    ctx.fillRect(0, 0, res, res);
+    ctx.strokeStyle = '#2a1a0a';
+    ctx.lineWidth = 2;
+    const bretter = 6;
+    for (let i = 0; i <= bretter; i++) {
+        const x = i * res / bretter;
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, res);
+        ctx.stroke();
+    }
+    // Eisenbeschläge oben und unten
+    ctx.fillStyle = '#333';
+    ctx.fillRect(0, res * 0.12, res, res * 0.06);
+    ctx.fillRect(0, res * 0.82, res, res * 0.06);
+
+    const textur = new THREE.CanvasTexture(canvas);
+    textur.magFilter = THREE.NearestFilter;
+    textur.minFilter = THREE.NearestFilter;
+    return textur;
+}
+
+/**
+ * Wandtextur mit deutlichen, hellen Rissen, damit zerstörbare Wände
+ * auf den ersten Blick erkennbar sind.
+ */
+function erzeugeRissTextur(wandTextur) {
+    const res = 256;
+    const canvas = document.createElement('canvas');
+    canvas.width = res;
+    canvas.height = res;
+    const ctx = canvas.getContext('2d');
+
+    if (wandTextur?.image) {
+        ctx.drawImage(wandTextur.image, 0, 0, res, res);
+    } else {
+        ctx.fillStyle = '#4a1a1a';
+        ctx.fillRect(0, 0, res, res);
+    }
+
+    ctx.strokeStyle = 'rgba(230, 200, 160, 0.7)';
+    ctx.lineWidth = 3;
+    for (let i = 0; i < 4; i++) {
+        let lx = res / 2;
+        let ly = res / 2;
+        ctx.beginPath();
+        ctx.moveTo(lx, ly);
+        for (let j = 0; j < 6; j++) {
+            lx += Math.cos(i * Math.PI / 2 + 0.6) * 20 + (Math.random() - 0.5) * 30;
+            ly += Math.sin(i * Math.PI / 2 + 0.6) * 20 + (Math.random() - 0.5) * 30;
+            ctx.lineTo(lx, ly);
+        }
+        ctx.stroke();
+    }
+
+    const textur = new THREE.CanvasTexture(canvas);
+    textur.magFilter = THREE.NearestFilter;
+    textur.minFilter = THREE.NearestFilter;
+    return textur;
+}
@@ -0,0 +1,152 @@
+/**
+ * ============================================================
+ * NETZWERK-BINÄRFORMAT (net-codec.js)
+ * ============================================================
+ * Kompakte Binärpakete für die häufigen Nachrichten 'position' und
+ * 'schuss'. Alles andere bleibt JSON – seltene Ereignisse lohnen
+ * den Aufwand nicht.
+ *
+ * Aufbau (little endian), gemeinsamer Kopf:
+ *   u8 Typ-Code, u8 Startplatz des Absenders
+ *
+ * Position (22 bzw. 26 Bytes statt ~170 Zeichen JSON):
+ *   u8 Flags (Bit 0: zeit vorhanden), u8 sprung, u32 seq, u32 gesendet,
+ *   i16 x/y/z (1/64 Einheit, ±512), u16 rotY (volle Drehung),
+ *   i16 rotX (1/10000 rad), [u32 zeit (ms, 0 bis ~49 Tage)]
+ *
+ * Schuss (67 Bytes):
+ *   u8 hitType, f32 start/ende/ursprung/richtung (je x, y, z),
+ *   f64 zeit, f64 sichtZeit
+ *   Der Host spielt den Strahl nach, daher Float32 statt Raster.
+ *
+ * Statt der Peer-ID trägt jedes Paket den Startplatz des Absenders;
+ * der Host überschreibt ihn beim Weiterleiten, der Empfänger schlägt
+ * die ID in der Spielerliste nach. Die Werte sind nach dem Dekodieren
+ * gewöhnliche Nachrichten und laufen durch pruefeNachricht.
+ * Ändert sich ein Aufbau, PROTOKOLL_VERSION erhöhen (net-protocol.js).
+ * DOM-frei wie maze-core.js.
+ * ============================================================
+ */
+
+// ── Konstanten ──────────────────────────────────────────────
+const CODES = { position: 1, schuss: 2 };
+const TYPEN = Object.fromEntries(Object.entries(CODES).map(([typ, code]) => [code, typ]));
+const POS_RASTER = 64;                 // Schritte je Einheit (Raster bis 255 × 2.0 = 510)
+const DREH_SCHRITTE = 65536 / (2 * Math.PI);
+const NICK_RASTER = 10000;             // Schritte je Radiant
+const MAX_ZEIT = 0xffffffff;           // ms Host-Zeit (u32, ~49 Tage), außerhalb begrenzt
+const TREFFER_ARTEN = ['SPARKS', 'BLOOD'];
+const KOPF = 2;
+const POSITION_GROESSE = KOPF + 2 + 8 + 6 + 4;
+const SCHUSS_GROESSE = KOPF + 1 + 4 * 3 * 4 + 2 * 8;
+const FLAG_ZEIT = 1;
+
+/**
+ * Hat dieser Typ ein Binärformat?
+ * @param {string} typ
+ * @returns {boolean}
+ */
+export function istBinaerTyp(typ) {
+    return typ in CODES;
+}
+
+/**
+ * Packt eine Nachricht ins Binärformat.
+ * @param {string} typ - 'position' oder 'schuss'
+ * @param {object} daten - Wie im JSON-Schema (net-protocol.js)
+ * @param {number} platz - Startplatz des Absenders
+ * @returns {ArrayBuffer}
+ */
+export function kodiere(typ, daten, platz) {
+    const mitZeit = typ === 'position' && Number.isFinite(daten.zeit);
+    const groesse = typ === 'position' ? POSITION_GROESSE + (mitZeit ? 4 : 0) : SCHUSS_GROESSE;
+    const puffer = new ArrayBuffer(groesse);
+    const v = new DataView(puffer);
+    v.setUint8(0, CODES[typ]);
+    v.setUint8(1, platz);
+
+    if (typ === 'position') {
+        v.setUint8(2, mitZeit ? FLAG_ZEIT : 0);
+        v.setUint8(3, daten.sprung);
+        v.setUint32(4, daten.seq, true);
+        v.setUint32(8, daten.gesendet, true);
+        v.setInt16(12, raster(daten.x, POS_RASTER, 32767), true);
+        v.setInt16(14, raster(daten.y, POS_RASTER, 32767), true);
+        v.setInt16(16, raster(daten.z, POS_RASTER, 32767), true);
+        v.setUint16(18, Math.round(normiereWinkel(daten.rotY) * DREH_SCHRITTE) & 0xffff, true);
+        v.setInt16(20, raster(daten.rotX, NICK_RASTER, 32767), true);
+        if (mitZeit) v.setUint32(22, Math.max(0, Math.min(MAX_ZEIT, Math.round(daten.zeit))), true);
+    } else {
+        v.setUint8(2, Math.max(0, TREFFER_ARTEN.indexOf(daten.hitType)));
+        let o = 3;
+        for (const vektor of [daten.start, daten.ende, daten.ursprung, daten.richtung]) {
+            for (const achse of ['x', 'y', 'z']) {
+                v.setFloat32(o, vektor[achse], true);
+                o += 4;
+            }
+        }
+        v.setFloat64(o, daten.zeit, true);
+        v.setFloat64(o + 8, daten.sichtZeit, true);
+    }
+    return puffer;
+}
+
+/**
+ * Entpackt ein Binärpaket.
+ * @param {ArrayBuffer|ArrayBufferView} paket
+ * @returns {{typ: string, daten: object, platz: number}|string} Nachricht oder Grund der Ablehnung
+ */
+export function dekodiere(paket) {
+    const v = ArrayBuffer.isView(paket)
+        ? new DataView(paket.buffer, paket.byteOffset, paket.byteLength)
+        : new DataView(paket);
+    if (v.byteLength < KOPF) return 'Binärpaket zu kurz';
+
+    const typ = TYPEN[v.getUint8(0)];
+    if (!typ) return `unbekannter Binärtyp ${v.getUint8(0)}`;
+    const platz = v.getUint8(1);
+
+    if (typ === 'position') {
+        const mitZeit = (v.getUint8(2) & FLAG_ZEIT) !== 0;
+        if (v.byteLength !== POSITION_GROESSE + (mitZeit ? 4 : 0)) return `'position' mit ${v.byteLength} Bytes`;
+        const daten = {
+            x: v.getInt16(12, true) / POS_RASTER,
+            y: v.getInt16(14, true) / POS_RASTER,
+            z: v.getInt16(16, true) / POS_RASTER,
+            rotY: normiereWinkel(v.getUint16(18, true) / DREH_SCHRITTE),
+            rotX: v.getInt16(20, true) / NICK_RASTER,
+            sprung: v.getUint8(3),
+            seq: v.getUint32(4, true),
+            gesendet: v.getUint32(8, true)
+        };
+        if (mitZeit) daten.zeit = v.getUint32(22, true);
+        return { typ, daten, platz };
+    }
+
+    if (v.byteLength !== SCHUSS_GROESSE) return `'schuss' mit ${v.byteLength} Bytes`;
+    const vektoren = [];
+    let o = 3;
+    for (let i = 0; i < 4; i++) {
+        vektoren.push({ x: v.getFloat32(o, true), y: v.getFloat32(o + 4, true), z: v.getFloat32(o + 8, true) });
+        o += 12;
+    }
+    const [start, ende, ursprung, richtung] = vektoren;
+    const daten = {
+        start, ende,
+        hitType: TREFFER_ARTEN[v.getUint8(2)] || TREFFER_ARTEN[0],
+        ursprung, richtung,
+        zeit: v.getFloat64(o, true),
+        sichtZeit: v.getFloat64(o + 8, true)
+    };
+    return { typ, daten, platz };
+}
+
+/** Rundet auf das Raster und begrenzt auf den Wertebereich. */
+function raster(wert, schritte, grenze) {
+    return Math.max(-grenze, Math.min(grenze, Math.round(wert * schritte)));
+}
+
+/** Winkel nach [-π, π). */
+function normiereWinkel(w) {
+    return w - 2 * Math.PI * Math.floor((w + Math.PI) / (2 * Math.PI));
+}
@@ -0,0 +1,233 @@
+/**
+ * ============================================================
+ * NETZWERK-PROTOKOLL (net-protocol.js)
+ * ============================================================
+ * Version und Aufbau aller Nachrichten zwischen den Peers.
+ *
+ * Jede Nachricht ist {typ, daten, von, an?}. Für jeden Typ steht
+ * hier, welche Felder "daten" hat; der NetworkManager prüft jede
+ * empfangene Nachricht dagegen und verwirft, was nicht passt oder
+ * zu groß ist, bevor irgendein Callback sie zu sehen bekommt.
+ *
+ * Beim Verbindungsaufbau tauschen beide Seiten 'hallo' mit
+ * Protokoll- und Spielversion aus. Passt eines nicht, lehnt der Host
+ * mit 'abgelehnt' ab – verschieden gecachte Stände (Service Worker)
+ * spielen sonst still aneinander vorbei. Hat der Raum ein Passwort,
+ * nennt der Gast es in seinem 'hallo'; passt es nicht, kommt
+ * 'abgelehnt' mit passwort: true.
+ *
+ * Ist der Raum voll, kommen weitere als Zuschauer hinein; sie stehen
+ * in 'spieler_liste' unter zuschauer, ohne Startplatz.
+ *
+ * Öffentliche Räume hängen beim Relais (tools/relay-server.mjs) einen
+ * Aushang für die Raumliste aus, geprüft mit pruefeAushang. Name und
+ * Karte davon reisen in 'spieler_liste' mit, damit ein Nachfolger den
+ * Raum nach einer Übernahme gelistet lässt. Ebenso die Regeln des
+ * Raums (Deckel für den Lag-Ausgleich), mit denen er weiterprüft.
+ *
+ * 'position' und 'schuss' reisen als Binärpakete (net-codec.js) und
+ * werden nach dem Entpacken genauso geprüft.
+ *
+ * Neue Nachricht: Schema in SCHEMAS eintragen. Ändert sich der
+ * Aufbau einer bestehenden, PROTOKOLL_VERSION erhöhen.
+ * DOM-frei wie maze-core.js.
+ * ============================================================
+ */
+
+export const PROTOKOLL_VERSION = 6;
+export const MAX_SPIELER = 8;          // Host eingeschlossen
+export const MAX_ZUSCHAUER = 8;        // Zusätzlich zu den Spielern
+const MAX_NACHRICHT = 4 * 1024;        // Zeichen (als JSON) für gewöhnliche Nachrichten
+const MAX_GROSSE_NACHRICHT = 512 * 1024; // Karte und Spielstand (Raster bis 255×255 je Etage)
+const MAX_ID = 64;                     // Peer-IDs, Pickup- und Minen-IDs
+const MAX_LISTE = 4096;                // Einträge in Listen des Spielstands
+export const MAX_PASSWORT = 32;        // Zeichen eines Raum-Passworts
+export const MAX_NAME = 16;            // Zeichen eines Spielernamens
+
+// ── Bausteine ───────────────────────────────────────────────
+// Jeder Prüfer gibt null zurück, wenn der Wert passt, sonst den Grund.
+
+const ZAHL = (w) => (Number.isFinite(w) ? null : 'keine Zahl');
+const GANZZAHL = (w) => (Number.isInteger(w) ? null : 'keine Ganzzahl');
+const WAHRHEITSWERT = (w) => (typeof w === 'boolean' ? null : 'kein Wahrheitswert');
+const ID = text(MAX_ID);
+const BELIEBIGES_OBJEKT = (w) => (istObjekt(w) ? null : 'kein Objekt');
+
+function text(max) {
+    return (w) => (typeof w === 'string' && w.length <= max ? null : `kein Text bis ${max} Zeichen`);
+}
+
+function eines(...erlaubt) {
+    return (w) => (erlaubt.includes(w) ? null : `nicht in ${erlaubt.join('/')}`);
+}
+
+function optional(pruefer) {
+    return (w) => (w === undefined ? null : pruefer(w));
+}
+
+function liste(pruefer, max = MAX_LISTE) {
+    return (w) => {
+        if (!Array.isArray(w) || w.length > max) return `keine Liste bis ${max} Einträge`;
+        for (let i = 0; i < w.length; i++) {
+            const grund = pruefer(w[i]);
+            if (grund) return `[${i}] ${grund}`;
+        }
+        return null;
+    };
+}
+
+/** Objekt mit genau diesen Feldern (fehlende optionale erlaubt, fremde nicht). */
+function objekt(felder) {
+    return (w) => {
+        if (!istObjekt(w)) return 'kein Objekt';
+        for (const schluessel of Object.keys(w)) {
+            if (!(schluessel in felder)) return `unbekanntes Feld ${schluessel}`;
+        }
+        for (const [schluessel, pruefer] of Object.entries(felder)) {
+            const grund = pruefer(w[schluessel]);
+            if (grund) return `${schluessel}: ${grund}`;
+        }
+        return null;
+    };
+}
+
+/** Objekt mit beliebigen IDs als Schlüssel und gleich aufgebauten Werten. */
+function verzeichnis(pruefer, max = MAX_SPIELER) {
+    return (w) => {
+        if (!istObjekt(w)) return 'kein Objekt';
+        const eintraege = Object.entries(w);
+        if (eintraege.length > max) return `mehr als ${max} Einträge`;
+        for (const [schluessel, wert] of eintraege) {
+            const grund = ID(schluessel) || pruefer(wert);
+            if (grund) return `${schluessel}: ${grund}`;
+        }
+        return null;
+    };
+}
+
+const VEKTOR = objekt({ x: ZAHL, y: ZAHL, z: ZAHL });
+const PICKUP_POS = objekt({ x: ZAHL, y: optional(ZAHL), z: ZAHL }); // y = Fußhöhe, fehlt bei Start-Pickups
+const PICKUP_TYP = eines('AMMO', 'HEALTH', 'MINE');
+const FELD_AENDERUNG = objekt({ x: GANZZAHL, y: GANZZAHL, typ: GANZZAHL });
+const VERSIONEN = { protokoll: GANZZAHL, spiel: text(32) };
+
+// ── Nachrichten ─────────────────────────────────────────────
+
+const SCHEMAS = {
+    // Verbindung
+    hallo: objekt({ ...VERSIONEN, passwort: optional(text(MAX_PASSWORT)) }), // Passwort nur vom Gast
+    abgelehnt: objekt({ grund: text(64), ...VERSIONEN, passwort: optional(WAHRHEITSWERT) }),
+    voll: objekt({}),
+    ping: objekt({ nr: GANZZAHL, gesendet: ZAHL }),
+    pong: objekt({ nr: GANZZAHL, gesendet: ZAHL, antwort: ZAHL }),
+    spieler_liste: objekt({
+        spieler: liste(objekt({ id: ID, platz: GANZZAHL }), MAX_SPIELER),
+        zuschauer: liste(ID, MAX_ZUSCHAUER),
+        max: GANZZAHL, // Plätze im Raum, die übrigen schauen zu
+        aushang: optional(objekt({ name: text(MAX_NAME), karte: text(64) })), // Fehlt bei nicht gelisteten Räumen
+        regeln: optional(objekt({ rueckspulen: GANZZAHL })) // ms, 0 = kein Lag-Ausgleich
+    }),
+
+    // Runde
+    karte: BELIEBIGES_OBJEKT, // Inhalt prüft pruefeKarte (map-format.js)
+    start: objekt({}),
+    state_snapshot: objekt({
+        seed: GANZZAHL,
+        runde: GANZZAHL,
+        rundeAktiv: WAHRHEITSWERT,
+        felder: liste(FELD_AENDERUNG),
+        waende: liste(GANZZAHL),
+        pickups: liste(objekt({ id: ID, pos: PICKUP_POS, typ: PICKUP_TYP })),
+        minen: liste(objekt({ id: ID, pos: VEKTOR, ownerId: ID })),
+        spieler: verzeichnis(objekt({ punkte: GANZZAHL, leben: ZAHL, munition: GANZZAHL, minenInventar: GANZZAHL }))
+    }),
+    snapshot_request: objekt({ grund: text(64), mitKarte: WAHRHEITSWERT }),
+
+    // Spieler
+    position: objekt({
+        x: ZAHL, y: ZAHL, z: ZAHL, rotY: ZAHL, rotX: ZAHL,
+        sprung: GANZZAHL, seq: GANZZAHL, gesendet: ZAHL,
+        zeit: optional(ZAHL) // Setzt der Host
+    }),
+    schuss: objekt({
+        start: VEKTOR, ende: VEKTOR, hitType: text(16),
+        ursprung: VEKTOR, richtung: VEKTOR, zeit: ZAHL, sichtZeit: ZAHL
+    }),
+    leben: objekt({
+        ziel: ID, leben: ZAHL, schaden: ZAHL, ursache: text(16),
+        schuetze: optional(ID), kopf: optional(WAHRHEITSWERT)
+    }),
+    besiegt: objekt({ ziel: ID }),
+    sturz: objekt({}),
+
+    // Gegenstände
+    new_pickup: objekt({ id: ID, pos: PICKUP_POS, typ: PICKUP_TYP }),
+    pickup_collected: objekt({ id: ID }),
+    mine_placed: objekt({ id: ID, pos: VEKTOR }),
+    mine_exploded: objekt({ id: ID }),
+
+    // Labyrinth
+    feld: FELD_AENDERUNG,
+    risswand_treffer: objekt({ x: GANZZAHL, y: GANZZAHL }),
+    wand: objekt({ index: GANZZAHL })
+};
+
+/** Alle bekannten Nachrichtentypen (z.B. für den Netzwerk-Simulator). */
+export const NACHRICHTEN_TYPEN = Object.keys(SCHEMAS);
+
+// Dürfen größer werden als MAX_NACHRICHT
+const GROSSE_NACHRICHTEN = new Set(['karte', 'state_snapshot']);
+
+// Eintrag in der Raumliste des Relais (nicht zwischen Peers)
+const AUSHANG = objekt({
+    code: text(8), name: text(MAX_NAME), karte: text(64),
+    spieler: GANZZAHL, max: GANZZAHL, passwort: WAHRHEITSWERT
+});
+
+const HUELLE = objekt({ typ: text(32), daten: () => null, von: ID, an: optional(ID) });
+
+/**
+ * Prüft eine empfangene Nachricht gegen Hülle, Größe und das Schema
+ * ihres Typs.
+ * @param {object} nachricht - {typ, daten, von, an?}
+ * @returns {string|null} Grund der Ablehnung oder null
+ */
+export function pruefeNachricht(nachricht) {
+    const grund = HUELLE(nachricht);
+    if (grund) return `Hülle: ${grund}`;
+
+    const schema = SCHEMAS[nachricht.typ];
+    if (!schema) return `unbekannter Typ '${nachricht.typ}'`;
+
+    const grenze = GROSSE_NACHRICHTEN.has(nachricht.typ) ? MAX_GROSSE_NACHRICHT : MAX_NACHRICHT;
+    const groesse = JSON.stringify(nachricht).length;
+    if (groesse > grenze) return `zu groß (${groesse} > ${grenze} Zeichen)`;
+
+    const datenGrund = schema(nachricht.daten);
+    return datenGrund ? `'${nachricht.typ}' ${datenGrund}` : null;
+}
+
+/**
+ * Vergleicht die 'hallo'-Daten der Gegenseite mit den eigenen.
+ * @param {{protokoll: number, spiel: string}} eigen
+ * @param {{protokoll: number, spiel: string}} fremd
+ * @returns {string|null} Grund der Ablehnung oder null
+ */
+export function pruefeVersion(eigen, fremd) {
+    if (fremd.protokoll !== eigen.protokoll) return `Protokoll ${fremd.protokoll} statt ${eigen.protokoll}`;
+    if (fremd.spiel !== eigen.spiel) return `Spielversion ${fremd.spiel} statt ${eigen.spiel}`;
+    return null;
+}
+
+/**
+ * Prüft einen Aushang für die Raumliste (im Relais).
+ * @param {object} aushang - {code, name, karte, spieler, max, passwort}
+ * @returns {string|null} Grund der Ablehnung oder null
+ */
+export function pruefeAushang(aushang) {
+    return AUSHANG(aushang);
+}
+
+function istObjekt(w) {
+    return typeof w === 'object' && w !== null && !Array.isArray(w);
+}
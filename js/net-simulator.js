@@ -0,0 +1,176 @@
+/**
+ * ============================================================
+ * NETZWERK-SIMULATOR (net-simulator.js)
+ * ============================================================
+ * Schlechte Leitungen zum Testen: Der NetworkManager schickt jede
+ * ausgehende und jede empfangene Nachricht durch simuliere(), das
+ * sie verzögert, verwirft, doppelt zustellt oder von späteren
+ * überholen lässt – je Nachrichtentyp einstellbar. So lassen sich
+ * Interpolation, Pickup- und Minen-Abgleich lokal unter Bedingungen
+ * prüfen, wie sie entfernte Mitspieler melden.
+ *
+ * Werte gelten je Richtung (Latenz 100 → RTT 200):
+ *   latenz      ms Grundverzögerung
+ *   jitter      ms Schwankung (gleichverteilt ±)
+ *   verlust     % verworfene Nachrichten
+ *   doppelt     % doppelt zugestellte Nachrichten
+ *   vertauschen % Nachrichten, die von späteren überholt werden
+ * Alles andere bleibt in Reihenfolge wie auf dem echten,
+ * geordneten Kanal (eine langsame Nachricht hält die folgenden auf).
+ *
+ * Einstellbar über das Debug-Panel der Lobby oder die URL:
+ *   ?netzsim=latenz:120,jitter:40,verlust:5
+ *   &netzsim.position=verlust:20,vertauschen:10
+ * DOM-frei wie maze-core.js.
+ * ============================================================
+ */
+
+// ── Konstanten ──────────────────────────────────────────────
+export const SIM_FELDER = ['latenz', 'jitter', 'verlust', 'doppelt', 'vertauschen'];
+const URL_PARAMETER = 'netzsim';
+const UEBERHOL_VERZUG = 80;            // ms, die eine vertauschte Nachricht zusätzlich wartet
+const MAX_WERTE = { latenz: 5000, jitter: 2000, verlust: 100, doppelt: 100, vertauschen: 100 };
+
+/**
+ * Erzeugt einen Simulator.
+ * @param {{standard?: object, typen?: Object<string, object>}} [einstellungen] - Werte für alle bzw. je Typ
+ * @returns {{standard: object, typen: Object<string, object>, faellig: Map<string, number>, zaehler: object}}
+ */
+export function erzeugeSimulator(einstellungen = {}) {
+    const sim = {
+        standard: leereWerte(),
+        typen: {},
+        faellig: new Map(), // Leitung → Zustellzeit der letzten geordneten Nachricht
+        zaehler: { verloren: 0, doppelt: 0, vertauscht: 0 }
+    };
+    Object.assign(sim.standard, einstellungen.standard);
+    for (const [typ, werte] of Object.entries(einstellungen.typen || {})) {
+        sim.typen[typ] = { ...sim.standard, ...werte };
+    }
+    return sim;
+}
+
+/**
+ * Liest die Einstellungen aus den URL-Parametern.
+ * @param {string} suche - location.search
+ * @returns {{standard: object, typen: Object<string, object>}|null} null ohne netzsim-Parameter
+ */
+export function leseSimulatorParameter(suche) {
+    const parameter = new URLSearchParams(suche);
+    let gefunden = false;
+    const einstellungen = { standard: {}, typen: {} };
+    for (const [schluessel, wert] of parameter) {
+        if (schluessel === URL_PARAMETER) {
+            einstellungen.standard = leseWerte(wert);
+            gefunden = true;
+        } else if (schluessel.startsWith(URL_PARAMETER + '.')) {
+            einstellungen.typen[schluessel.slice(URL_PARAMETER.length + 1)] = leseWerte(wert);
+            gefunden = true;
+        }
+    }
+    return gefunden ? einstellungen : null;
+}
+
+/**
+ * Aktuelle Werte für einen Nachrichtentyp (eigene oder die für alle).
+ * @param {object} sim
+ * @param {string|null} typ - null = für alle
+ * @returns {object}
+ */
+export function simulatorWerte(sim, typ) {
+    return typ && Object.hasOwn(sim.typen, typ) ? sim.typen[typ] : sim.standard;
+}
+
+/**
+ * Ändert einen Wert, für alle Nachrichten oder nur einen Typ. Ein Typ
+ * bekommt beim ersten Ändern eine Kopie der Werte für alle.
+ * @param {object} sim
+ * @param {string|null} typ - null = für alle
+ * @param {string} feld - Aus SIM_FELDER
+ * @param {number} wert
+ */
+export function setzeSimulatorWert(sim, typ, feld, wert) {
+    if (!SIM_FELDER.includes(feld)) return;
+    if (typ && !Object.hasOwn(sim.typen, typ)) sim.typen[typ] = { ...sim.standard };
+    simulatorWerte(sim, typ)[feld] = begrenze(feld, wert);
+}
+
+/**
+ * Verändert überhaupt etwas?
+ * @param {object} sim
+ * @returns {boolean}
+ */
+export function simulatorAktiv(sim) {
+    return !!sim && [sim.standard, ...Object.values(sim.typen)].some(istWirksam);
+}
+
+/**
+ * Schickt eine Nachricht durch die simulierte Leitung. Ohne
+ * wirksame Werte für ihren Typ wird sofort zugestellt.
+ * @param {object} sim - Aus erzeugeSimulator, wird verändert (Zähler)
+ * @param {string} leitung - Schlüssel der Richtung, z.B. 'aus:<Peer-ID>'
+ * @param {string} typ - Nachrichtentyp
+ * @param {function} zustellen - Liefert die Nachricht aus
+ */
+export function simuliere(sim, leitung, typ, zustellen) {
+    const w = simulatorWerte(sim, typ);
+    if (!istWirksam(w)) {
+        zustellen();
+        return;
+    }
+    if (Math.random() * 100 < w.verlust) {
+        sim.zaehler.verloren++;
+        return;
+    }
+    const kopien = Math.random() * 100 < w.doppelt ? 2 : 1;
+    if (kopien > 1) sim.zaehler.doppelt++;
+
+    const jetzt = performance.now();
+    for (let i = 0; i < kopien; i++) {
+        let zeitpunkt = jetzt + Math.max(0, w.latenz + (Math.random() * 2 - 1) * w.jitter);
+        if (Math.random() * 100 < w.vertauschen) {
+            // Außer der Reihe: hält niemanden auf, wird selbst überholt
+            zeitpunkt += UEBERHOL_VERZUG + w.jitter;
+            sim.zaehler.vertauscht++;
+        } else {
+            zeitpunkt = Math.max(zeitpunkt, sim.faellig.get(leitung) || 0);
+            sim.faellig.set(leitung, zeitpunkt);
+        }
+        setTimeout(zustellen, zeitpunkt - jetzt);
+    }
+}
+
+/**
+ * Kurzbeschreibung für die Debug-Anzeige, z.B. "120±40 ms · 5% weg".
+ * @param {object} w - Werte (simulatorWerte)
+ * @returns {string}
+ */
+export function beschreibeWerte(w) {
+    const teile = [`${w.latenz}±${w.jitter} ms`];
+    if (w.verlust > 0) teile.push(`${w.verlust}% weg`);
+    if (w.doppelt > 0) teile.push(`${w.doppelt}% doppelt`);
+    if (w.vertauschen > 0) teile.push(`${w.vertauschen}% vertauscht`);
+    return teile.join(' · ');
+}
+
+function leereWerte() {
+    return Object.fromEntries(SIM_FELDER.map(feld => [feld, 0]));
+}
+
+/** "latenz:120,jitter:40" → {latenz: 120, jitter: 40} (Unbekanntes fällt weg) */
+function leseWerte(text) {
+    const werte = {};
+    for (const teil of text.split(',')) {
+        const [feld, zahl] = teil.split(':');
+        if (SIM_FELDER.includes(feld)) werte[feld] = begrenze(feld, Number(zahl));
+    }
+    return werte;
+}
+
+function begrenze(feld, wert) {
+    return Number.isFinite(wert) ? Math.max(0, Math.min(MAX_WERTE[feld], wert)) : 0;
+}
+
+function istWirksam(w) {
+    return SIM_FELDER.some(feld => w[feld] > 0);
+}
@@ -0,0 +1,488 @@
+/**
+ * ============================================================
+ * NETZWERK-TRANSPORTE (net-transport.js)
+ * ============================================================
+ * Über welchen Weg die Peers sich finden und Nachrichten tauschen.
+ * Der NetworkManager kennt nur die Schnittstelle, die PeerJS
+ * vorgibt, und merkt nichts vom Weg darunter:
+ *
+ *   Peer:       id, open, disconnected, destroyed,
+ *               on('open' | 'connection' | 'disconnected' | 'error'),
+ *               connect(zielId) → Verbindung, reconnect(), destroy(),
+ *               haengeAus(aushang) (nur mit Raumliste, sonst fehlt es)
+ *   Verbindung: peer (ID der Gegenseite), open,
+ *               on('open' | 'data' | 'close' | 'error'), send(daten), close()
+ *
+ * Fehler tragen wie bei PeerJS einen "type": 'unavailable-id'
+ * (ID vergeben), 'peer-unavailable' (Ziel unbekannt), 'network'.
+ *
+ * Transporte:
+ *   peerjs    – WebRTC über den öffentlichen PeerJS-Vermittler (Internet)
+ *   websocket – Relais-Server im eigenen Netz (tools/relay-server.mjs),
+ *               alle Daten laufen über den Server – LAN ohne Internet
+ *   kanal     – BroadcastChannel zwischen Tabs desselben Browsers,
+ *               z.B. zum Testen mit zwei Fenstern
+ *
+ * websocket und kanal teilen sich VermittelterPeer: Verbindungen
+ * sind nur Kanal-Nummern, die Leitung stellt jede Meldung
+ * {art, von, ziel, kanal, daten?} dem Ziel zu.
+ *
+ * Das Relais führt zusätzlich die Liste der öffentlichen Räume: Der
+ * Host hängt über seine Leitung einen Aushang aus, die Lobby holt die
+ * Liste per HTTP (ladeRaumListe).
+ * ============================================================
+ */
+
+// ── Konstanten ──────────────────────────────────────────────
+export const RELAY_PORT = 3334;        // Standard-Port von tools/relay-server.mjs
+const KANAL_NAME = 'retrolabyrinth';   // BroadcastChannel aller Tabs
+const ID_RUECKFRAGE = 150;             // ms, in denen ein anderer Tab eine ID als belegt melden kann
+const VERBINDEN_TIMEOUT = 5000;        // ms bis 'peer-unavailable', wenn das Ziel nicht antwortet
+const NEUANMELDUNG_PAUSE = 2000;       // ms bis zum nächsten Versuch, wenn die Leitung nach einem Abbruch nicht zurückkommt
+const RAUMLISTE_TIMEOUT = 5000;        // ms, die die Lobby auf die Raumliste wartet
+
+/**
+ * Registry der Transporte (id → Name und Peer-Fabrik).
+ * @type {Object<string, {name: string, erzeugePeer: function(string|undefined, object): object}>}
+ */
+export const TRANSPORTE = {
+    peerjs: {
+        name: 'Internet (PeerJS)',
+        erzeugePeer: (id) => new Peer(id, { debug: 1 }) // Nur Fehler loggen
+    },
+    websocket: {
+        name: 'LAN-Server (WebSocket)',
+        erzeugePeer: (id, optionen) => new VermittelterPeer(id, new WebSocketLeitung(optionen.server || standardServer()))
+    },
+    kanal: {
+        name: 'Dieser Browser (Tabs)',
+        erzeugePeer: (id) => new VermittelterPeer(id, new KanalLeitung())
+    }
+};
+
+export const STANDARD_TRANSPORT = 'peerjs';
+
+/**
+ * Wählt einen Transport aus.
+ * @param {string} [art] - Schlüssel aus TRANSPORTE, unbekannt → STANDARD_TRANSPORT
+ * @param {{server?: string}} [optionen] - websocket: Adresse des Relais (ws://…)
+ * @returns {{art: string, name: string, erzeugePeer: function(string=): object}}
+ */
+export function erzeugeTransport(art = STANDARD_TRANSPORT, optionen = {}) {
+    if (!Object.hasOwn(TRANSPORTE, art)) art = STANDARD_TRANSPORT;
+    const { name, erzeugePeer } = TRANSPORTE[art];
+    return { art, name, erzeugePeer: (id) => erzeugePeer(id, optionen) };
+}
+
+/**
+ * Holt die öffentlichen Räume vom Relais (tools/relay-server.mjs).
+ * Der Ping ist die Laufzeit Host ↔ Relais plus die dieser Anfrage –
+ * derselbe Weg, den später die Spieldaten nehmen.
+ * @param {string} [server] - Adresse wie beim Transport (ws://…), ohne Angabe das Relais der Seite
+ * @returns {Promise<{code: string, name: string, karte: string, spieler: number, max: number, passwort: boolean, ping: number}[]>}
+ */
+export async function ladeRaumListe(server = standardServer()) {
+    const url = new URL('/raeume', server.replace(/^ws/, 'http'));
+    const start = performance.now();
+    const antwort = await fetch(url, { signal: AbortSignal.timeout(RAUMLISTE_TIMEOUT) });
+    if (!antwort.ok) throw new Error(`Relais antwortet mit ${antwort.status}`);
+    const raeume = await antwort.json();
+    const anfrage = performance.now() - start;
+    return raeume.map(raum => ({ ...raum, ping: Math.round((raum.ping ?? 0) + anfrage) }));
+}
+
+/** Relais auf dem Rechner, von dem die Seite kommt. */
+function standardServer() {
+    const host = globalThis.location?.hostname || 'localhost';
+    const schema = globalThis.location?.protocol === 'https:' ? 'wss' : 'ws';
+    return `${schema}://${host}:${RELAY_PORT}`;
+}
+
+function fehler(type, text) {
+    const err = new Error(text);
+    err.type = type;
+    return err;
+}
+
+function zufallsId() {
+    return 'p' + Math.random().toString(36).slice(2, 10) + Date.now().toString(36);
+}
+
+/** Minimaler Ereignis-Verteiler wie bei PeerJS (on). */
+class Ereignisse {
+    constructor() {
+        this._handler = {};
+    }
+
+    on(ereignis, callback) {
+        (this._handler[ereignis] ||= []).push(callback);
+    }
+
+    _melde(ereignis, ...args) {
+        for (const callback of this._handler[ereignis] || []) callback(...args);
+    }
+}
+
+// ── Peer über eine Leitung (Relais oder Tabs) ───────────────
+
+/**
+ * Peer, dessen Verbindungen über eine gemeinsame Leitung laufen.
+ * Die Leitung meldet die eigene ID an und stellt Meldungen zu.
+ */
+class VermittelterPeer extends Ereignisse {
+    /**
+     * @param {string|undefined} id - Gewünschte ID, ohne Angabe zufällig
+     * @param {object} leitung - WebSocketLeitung oder KanalLeitung
+     */
+    constructor(id, leitung) {
+        super();
+        this.id = id || null;
+        this.open = false;
+        this.disconnected = false;
+        this.destroyed = false;
+        this._leitung = leitung;
+        this._kanaele = new Map(); // Kanal-Nummer → Verbindung
+        this._naechsterKanal = 0;
+        this._meldet = false;
+        this._warOffen = false;
+
+        leitung.onNachricht = (n) => this._empfange(n);
+        leitung.onGetrennt = () => this._getrennt();
+        setTimeout(() => this._melden(), 0); // Handler erst anhängen lassen
+    }
+
+    connect(zielId) {
+        const kanal = `${this.id}#${++this._naechsterKanal}`;
+        const conn = new VermittelteVerbindung(this, zielId, kanal);
+        if (!this.open) {
+            setTimeout(() => conn._scheitere(fehler('disconnected', 'Nicht beim Vermittler angemeldet')), 0);
+            return conn;
+        }
+        this._kanaele.set(kanal, conn);
+        this._leitung.schicke({ art: 'verbinden', ziel: zielId, kanal });
+        conn._timer = setTimeout(() => this._unerreichbar(conn), VERBINDEN_TIMEOUT);
+        return conn;
+    }
+
+    reconnect() {
+        if (this.destroyed || !this.disconnected) return;
+        this._melden();
+    }
+
+    /**
+     * Eintrag in der Raumliste (nur Relais), null nimmt ihn heraus.
+     * @param {object|null} aushang - {code, name, karte, spieler, max, passwort}
+     */
+    haengeAus(aushang) {
+        this._leitung.haengeAus?.(aushang);
+    }
+
+    destroy() {
+        if (this.destroyed) return;
+        for (const conn of [...this._kanaele.values()]) conn.close();
+        this.destroyed = true;
+        this.open = false;
+        this.disconnected = true;
+        this._leitung.schliesse();
+    }
+
+    /** Meldet die (bisherige) ID bei der Leitung an. */
+    _melden() {
+        if (this._meldet || this.destroyed) return;
+        this._meldet = true;
+        this._leitung.oeffne(this.id).then((id) => {
+            this._meldet = false;
+            if (this.destroyed) return;
+            this.id = id;
+            this.open = true;
+            this.disconnected = false;
+            this._warOffen = true;
+            this._melde('open', id);
+        }, (err) => {
+            this._meldet = false;
+            if (this.destroyed) return;
+            this.disconnected = true;
+            if (this._warOffen && err.type === 'network') {
+                // Relais noch nicht wieder da: später erneut melden lassen
+                setTimeout(() => {
+                    if (this.disconnected && !this.destroyed) this._melde('disconnected', this.id);
+                }, NEUANMELDUNG_PAUSE);
+                return;
+            }
+            this._melde('error', err);
+        });
+    }
+
+    /** Leitung weg: Über sie liefen alle Verbindungen, die sind mit ihr weg. */
+    _getrennt() {
+        if (this.destroyed || this.disconnected) return;
+        this.open = false;
+        this.disconnected = true;
+        for (const conn of [...this._kanaele.values()]) conn._schliesse();
+        this._melde('disconnected', this.id);
+    }
+
+    _unerreichbar(conn) {
+        if (conn.open || !this._kanaele.has(conn.kanal)) return;
+        this._kanaele.delete(conn.kanal);
+        const err = fehler('peer-unavailable', `Peer ${conn.peer} nicht erreichbar`);
+        conn._scheitere(err);
+        this._melde('error', err);
+    }
+
+    _empfange(n) {
+        const conn = this._kanaele.get(n.kanal);
+        switch (n.art) {
+            case 'verbinden': {
+                // Erst zusagen, dann gilt die Verbindung als offen: Die Gegenseite
+                // sendet gleich nach 'angenommen', das darf nicht verloren gehen
+                const neu = new VermittelteVerbindung(this, n.von, n.kanal);
+                this._kanaele.set(n.kanal, neu);
+                this._leitung.schicke({ art: 'angenommen', ziel: n.von, kanal: n.kanal });
+                neu.open = true;
+                this._melde('connection', neu);
+                setTimeout(() => {
+                    if (neu.open) neu._melde('open');
+                }, 0);
+                break;
+            }
+            case 'angenommen':
+                if (conn) conn._oeffne();
+                break;
+            case 'daten':
+                if (conn && conn.open && conn.peer === n.von) conn._melde('data', n.daten);
+                break;
+            case 'trennen':
+                if (conn && conn.peer === n.von) conn._schliesse();
+                break;
+            case 'unbekannt':
+                if (conn) this._unerreichbar(conn);
+                break;
+            case 'weg':
+                for (const c of [...this._kanaele.values()]) {
+                    if (c.peer === n.von) c._schliesse();
+                }
+                break;
+        }
+    }
+}
+
+/** Eine Verbindung zwischen zwei VermittelterPeer (nur eine Kanal-Nummer). */
+class VermittelteVerbindung extends Ereignisse {
+    constructor(lokal, gegenId, kanal) {
+        super();
+        this.peer = gegenId;
+        this.kanal = kanal;
+        this.open = false;
+        this._lokal = lokal;
+        this._zu = false;
+        this._timer = null;
+    }
+
+    send(daten) {
+        if (!this.open) return;
+        this._lokal._leitung.schicke({ art: 'daten', ziel: this.peer, kanal: this.kanal, daten });
+    }
+
+    close() {
+        if (this.open) this._lokal._leitung.schicke({ art: 'trennen', ziel: this.peer, kanal: this.kanal });
+        this._schliesse();
+    }
+
+    _oeffne() {
+        if (this.open || this._zu) return;
+        clearTimeout(this._timer);
+        this.open = true;
+        this._melde('open');
+    }
+
+    _scheitere(err) {
+        if (this._zu) return;
+        this._melde('error', err);
+        this._schliesse();
+    }
+
+    _schliesse() {
+        if (this._zu) return;
+        clearTimeout(this._timer);
+        this._zu = true;
+        this.open = false;
+        this._lokal._kanaele.delete(this.kanal);
+        this._melde('close');
+    }
+}
+
+// ── Leitungen ───────────────────────────────────────────────
+
+/**
+ * WebSocket zum Relais-Server. Der Server vergibt bzw. prüft die ID,
+ * setzt "von" selbst und meldet 'weg', wenn ein Peer die Leitung
+ * verliert. Mit dem Schlüssel aus 'angemeldet' darf eine neue Leitung
+ * die ID übernehmen, auch wenn der Server die alte noch für lebendig
+ * hält.
+ *
+ * JSON geht als Text, Binärdaten als Binärrahmen mit vorangestelltem
+ * Kopf (u32 Länge, Kopf als JSON, Nutzdaten).
+ */
+class WebSocketLeitung {
+    constructor(url) {
+        this.url = url;
+        this.onNachricht = null;
+        this.onGetrennt = null;
+        this._ws = null;
+        this._schluessel = null;
+        this._aushang = null;
+    }
+
+    oeffne(id) {
+        return new Promise((resolve, reject) => {
+            let ws;
+            try {
+                ws = new WebSocket(this.url);
+            } catch (err) {
+                reject(fehler('network', `Relais ${this.url}: ${err.message}`));
+                return;
+            }
+            ws.binaryType = 'arraybuffer';
+            this._ws = ws;
+            let angemeldet = false;
+
+            ws.onopen = () => ws.send(JSON.stringify({ art: 'anmelden', id, schluessel: this._schluessel }));
+            ws.onmessage = (e) => {
+                const n = leseRahmen(e.data);
+                if (!n) return;
+                if (!angemeldet) {
+                    if (n.art === 'angemeldet') {
+                        angemeldet = true;
+                        this._schluessel = n.schluessel;
+                        if (this._aushang) this.schicke({ art: 'aushang', daten: this._aushang }); // Neue Leitung, Relais neu gestartet
+                        resolve(n.id);
+                    } else if (n.art === 'belegt') {
+                        reject(fehler('unavailable-id', `ID ${id} ist vergeben`));
+                        ws.close();
+                    }
+                    return;
+                }
+                this.onNachricht?.(n);
+            };
+            ws.onclose = () => {
+                if (this._ws !== ws) return;
+                if (!angemeldet) {
+                    reject(fehler('network', `Relais ${this.url} nicht erreichbar`));
+                    return;
+                }
+                this.onGetrennt?.();
+            };
+        });
+    }
+
+    schicke(n) {
+        if (this._ws?.readyState !== 1) return;
+        this._ws.send(schreibeRahmen(n));
+    }
+
+    /** Raumliste: der Server merkt sich den Aushang, bis die Leitung endet. */
+    haengeAus(aushang) {
+        this._aushang = aushang;
+        this.schicke({ art: 'aushang', daten: aushang });
+    }
+
+    schliesse() {
+        const ws = this._ws;
+        this._ws = null;
+        ws?.close();
+    }
+}
+
+/**
+ * Meldung als WebSocket-Rahmen: Text (JSON) oder mit Binärdaten
+ * als u32-Kopflänge + Kopf + Nutzdaten. Gleiches Format im Server.
+ * @param {object} n - {art, von?, ziel, kanal, daten?}
+ * @returns {string|ArrayBuffer}
+ */
+export function schreibeRahmen(n) {
+    if (!(n.daten instanceof ArrayBuffer)) return JSON.stringify(n);
+    const { daten, ...kopf } = n;
+    const kopfBytes = new TextEncoder().encode(JSON.stringify(kopf));
+    const rahmen = new Uint8Array(4 + kopfBytes.length + daten.byteLength);
+    new DataView(rahmen.buffer).setUint32(0, kopfBytes.length, true);
+    rahmen.set(kopfBytes, 4);
+    rahmen.set(new Uint8Array(daten), 4 + kopfBytes.length);
+    return rahmen.buffer;
+}
+
+/**
+ * Gegenstück zu schreibeRahmen.
+ * @param {string|ArrayBuffer} rahmen
+ * @returns {object|null} null bei kaputtem Rahmen
+ */
+export function leseRahmen(rahmen) {
+    try {
+        if (typeof rahmen === 'string') return JSON.parse(rahmen);
+        const laenge = new DataView(rahmen).getUint32(0, true);
+        const kopf = JSON.parse(new TextDecoder().decode(new Uint8Array(rahmen, 4, laenge)));
+        return { ...kopf, daten: rahmen.slice(4 + laenge) };
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * BroadcastChannel zwischen Tabs. Ohne Server: vor dem Anmelden wird
+ * kurz gefragt, ob ein anderer Tab die ID schon hat. Schließt ein Tab,
+ * meldet er sich mit 'weg' ab.
+ */
+class KanalLeitung {
+    constructor() {
+        this.onNachricht = null;
+        this.onGetrennt = null;
+        this._kanal = null;
+        this._id = null;
+        this._abmelden = () => this.schliesse();
+    }
+
+    oeffne(id) {
+        return new Promise((resolve, reject) => {
+            const wunsch = id || zufallsId();
+            const kanal = new BroadcastChannel(KANAL_NAME);
+            let belegt = false;
+
+            kanal.onmessage = (e) => {
+                const n = e.data;
+                if (n.art === 'frage' && n.id === this._id) {
+                    kanal.postMessage({ art: 'belegt', id: n.id });
+                } else if (n.art === 'belegt' && n.id === wunsch && this._id === null) {
+                    belegt = true;
+                } else if (this._id && (n.ziel === this._id || n.art === 'weg')) {
+                    this.onNachricht?.(n);
+                }
+            };
+            kanal.postMessage({ art: 'frage', id: wunsch });
+
+            setTimeout(() => {
+                if (belegt) {
+                    kanal.close();
+                    reject(fehler('unavailable-id', `ID ${wunsch} ist vergeben`));
+                    return;
+                }
+                this._kanal = kanal;
+                this._id = wunsch;
+                globalThis.addEventListener?.('pagehide', this._abmelden);
+                resolve(wunsch);
+            }, ID_RUECKFRAGE);
+        });
+    }
+
+    schicke(n) {
+        this._kanal?.postMessage({ ...n, von: this._id });
+    }
+
+    schliesse() {
+        if (!this._kanal) return;
+        this._kanal.postMessage({ art: 'weg', von: this._id });
+        this._kanal.close();
+        this._kanal = null;
+        this._id = null;
+        globalThis.removeEventListener?.('pagehide', this._abmelden);
+    }
+}
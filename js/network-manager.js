@@ -2,30 +2,142 @@
  * ============================================================
  * NETZWERK-MANAGER (network-manager.js)
  * ============================================================
- * PeerJS-basierte P2P-Verbindung für Multiplayer.
- * Kein Server nötig – Spieler verbinden sich direkt via WebRTC.
+ * Verbindung für Multiplayer. Standard ist PeerJS: kein eigener
+ * Server nötig, Spieler verbinden sich direkt via WebRTC. Alternativ
+ * ein Relais im LAN oder Tabs im selben Browser (net-transport.js).
  * 
  * Ablauf:
  *   1. Host erstellt Raum → bekommt 4-Buchstaben-Code
- *   2. Guest gibt Code ein → verbindet sich direkt
+ *   2. Gäste geben den Code ein → verbinden sich mit dem Host
  *   3. Datenkanal für Positionen, Treffer etc.
+ *
+ * Topologie: Stern mit dem Host in der Mitte. Jeder Gast hat nur
+ * eine Verbindung zum Host, der Host leitet Nachrichten an die
+ * übrigen Gäste weiter. Jede Nachricht trägt den Absender ("von"),
+ * gezielte Nachrichten zusätzlich den Empfänger ("an").
+ * Die Spielerliste (Peer-ID → Startplatz) führt der Host und
+ * verteilt sie bei jedem Beitritt und Abgang.
+ *
+ * Sind alle Plätze (maxSpieler) belegt, kommen weitere als Zuschauer
+ * hinein: sie bekommen alles, was die Spieler bekommen, dürfen selbst
+ * aber nur den Spielstand anfordern. Zwischen den Runden kann der
+ * Host einem Zuschauer einen frei gewordenen Platz geben
+ * (machZumSpieler).
+ *
+ * Den vollständigen Spielstand fasst der Host in 'state_snapshot'
+ * zusammen: für Beitritte in eine laufende Runde, nach einer
+ * Neuverbindung und wenn ein Gast eine Abweichung bemerkt und ihn
+ * mit 'snapshot_request' anfordert.
+ *
+ * Jede Verbindung beginnt mit 'hallo' (Protokoll- und Spielversion,
+ * net-protocol.js, vom Gast dazu das Raum-Passwort); erst danach
+ * zählt sie. Öffentliche Räume stehen mit einem Aushang in der
+ * Raumliste des Relais (nur Transport websocket). Jede empfangene Nachricht
+ * wird gegen ihr Schema geprüft, fehlerhafte und zu große werden
+ * verworfen und gezählt (verworfen).
+ *
+ * Lebenspunkte verwaltet der Host: Gäste melden nur ihre Schüsse
+ * (Ursprung, Richtung, Zeit), der Host prüft sie nach und verteilt
+ * Schaden ('leben') und Niederlagen ('besiegt') verbindlich.
+ *
+ * Positionen tragen eine Sequenznummer ("seq") und die Sendezeit des
+ * Absenders ("gesendet") für den Snapshot-Puffer der Mitspieler, dazu
+ * einen Zeitstempel in Host-Zeit ("zeit"), den der Host beim Senden
+ * bzw. Weiterleiten setzt.
+ *
+ * Jede Verbindung misst sich selbst: 'ping'/'pong' laufen nur über
+ * die eigene Leitung (nie weitergeleitet) und liefern Laufzeit (RTT),
+ * Jitter und Uhrversatz. Verlorene Pakete zählen die Lücken in den
+ * Sequenznummern der Positionen. Gäste rechnen mit dem Uhrversatz in
+ * Host-Zeit um (hostZeit), z.B. für den Lag-Ausgleich der Treffer.
+ *
+ * Positionen und Schüsse gehen als Binärpakete über die Leitung
+ * (net-codec.js), alles Seltene als JSON. Gesendete und empfangene
+ * Bytes je Sekunde zeigt die Debug-Anzeige (F3).
+ *
+ * Zum Testen kann jede gesendete und empfangene Nachricht durch einen
+ * Netzwerk-Simulator laufen (simulator, net-simulator.js).
+ *
+ * Bricht eine Verbindung ab, hält der Host den Platz des Gasts eine
+ * Gnadenfrist lang frei. Der Gast wählt sich mit derselben Peer-ID
+ * und wachsender Wartezeit neu ein und bekommt danach den kompletten
+ * Spielstand (onSpielerWiederVerbunden). Erst nach Ablauf der Frist
+ * gilt er als gegangen.
+ *
+ * Fällt der Host selbst weg, übernimmt ein Gast: Nachfolger ist der
+ * verbliebene Gast mit dem kleinsten Startplatz, die übrigen kommen
+ * je NACHFOLGE_STAFFEL später an die Reihe, falls er auch fehlt
+ * (jeder in seinem eigenen Zeitfenster, nie zwei gleichzeitig).
+ * Er meldet sich mit der Peer-ID des Raums an (die der Vermittler nur
+ * vergibt, wenn der alte Host sie nicht mehr hält), behält die
+ * Spielerliste und hält den anderen ihre Plätze frei. Die übrigen
+ * Gäste merken davon nichts Besonderes: ihre Neuverbindung zum Raum
+ * landet beim neuen Host (onHostUebernommen).
  * ============================================================
  */
 
+import { PROTOKOLL_VERSION, MAX_SPIELER, MAX_ZUSCHAUER, pruefeNachricht, pruefeVersion } from './net-protocol.js';
+import { istBinaerTyp, kodiere, dekodiere } from './net-codec.js';
+import { erzeugeTransport } from './net-transport.js';
+import { simuliere, simulatorAktiv, simulatorWerte, beschreibeWerte } from './net-simulator.js';
+
+export { MAX_SPIELER };
+
 // ── Konstanten ──────────────────────────────────────────────
 const CODE_LAENGE = 4;          // Länge des Raum-Codes
-const POSITIONS_INTERVALL = 66; // ms zwischen Positions-Updates (~15/s)
+export const POSITIONS_INTERVALL = 33; // ms zwischen Positions-Updates (~30/s, binär je 22–26 Bytes)
+const HALLO_TIMEOUT = 5000;      // ms, in denen die Gegenseite ihre Version nennen muss
+const PING_INTERVALL = 1000;    // ms zwischen zwei Messungen je Verbindung
+const RTT_GLAETTUNG = 1 / 8;    // Gleitender Mittelwert der Laufzeit (wie TCP)
+const JITTER_GLAETTUNG = 1 / 16; // Gleitender Mittelwert der Laufzeit-Schwankung (wie RTP)
+const VERSATZ_PROBEN = 10;      // Uhrversatz aus der schnellsten der letzten Messungen
+const GNADENFRIST = 20000;      // ms, so lange hält der Host den Platz eines abgebrochenen Gasts frei
+const NEUVERBINDUNG_START = 500; // ms bis zum ersten neuen Versuch, danach jeweils doppelt so lange
+const NEUVERBINDUNG_MAX = 5000; // ms höchstens zwischen zwei Versuchen
+const VERSUCH_TIMEOUT = 5000;   // ms, nach denen ein einzelner Versuch als gescheitert gilt
+const NACHFOLGE_STAFFEL = 1500; // ms Vorsprung je Rang in der Nachfolge, bevor der nächste den Raum beansprucht
+const UEBERNAHME_KARENZ = 3000; // ms nach dem Abbruch, die der alte Host hat, um sich beim Vermittler zurückzumelden
+
+// Nachrichten von Gästen, die nur der Host auswertet (nicht weiterleiten)
+const NUR_FUER_HOST = new Set(['risswand_treffer', 'sturz', 'snapshot_request']);
+
+// Nachrichten, die Zuschauer verschicken dürfen (alles andere verwerfen)
+const VON_ZUSCHAUERN = new Set(['snapshot_request']);
+
+// Nachrichten, die nur der Host verschicken darf (von Gästen verwerfen)
+const NUR_VOM_HOST = new Set([
+    'spieler_liste', 'voll', 'karte', 'state_snapshot', 'start',
+    'leben', 'besiegt', 'new_pickup', 'feld', 'wand'
+]);
 
 /**
- * NetworkManager – Verwaltet die P2P-Multiplayer-Kommunikation via PeerJS.
+ * NetworkManager – Verwaltet die Multiplayer-Kommunikation (PeerJS oder anderer Transport).
  */
 export class NetworkManager {
-    constructor() {
-        /** @type {Peer|null} PeerJS Peer-Instanz */
+    /**
+     * @param {object} [transport] - Aus erzeugeTransport (net-transport.js), Standard PeerJS
+     */
+    constructor(transport = erzeugeTransport()) {
+        /** @type {{art: string, name: string, erzeugePeer: function}} Weg zu den Mitspielern, vor erstelleRaum/treteRaumBei austauschbar */
+        this.transport = transport;
+
+        /** @type {Peer|null} Peer-Instanz (PeerJS oder gleich aufgebaut, siehe net-transport.js) */
         this.peer = null;
 
-        /** @type {DataConnection|null} Aktive Datenverbindung zum anderen Spieler */
-        this.verbindung = null;
+        /** @type {Map<string, DataConnection>} Host: alle Gäste, Gast: nur der Host */
+        this.verbindungen = new Map();
+
+        /** @type {Map<string, number>} Spielerliste: Peer-ID → Startplatz (Raum-Ersteller = 0) */
+        this.plaetze = new Map();
+
+        /** @type {Set<string>} Zuschauer ohne Startplatz (der Host führt sie, Gäste spiegeln sie) */
+        this.zuschauer = new Set();
+
+        /** @type {number} Plätze im Raum (Host legt sie fest, Gäste übernehmen sie), wer danach kommt, schaut zu */
+        this.maxSpieler = MAX_SPIELER;
+
+        /** @type {string} Peer-ID des Hosts als Spieler (nach einem Hostwechsel nicht mehr die des Raums) */
+        this.hostId = '';
 
         /** @type {boolean} Verbindungsstatus */
         this.verbunden = false;
@@ -39,46 +151,129 @@ export class NetworkManager {
         /** @type {string} Eigene Spieler-ID */
         this.spielerId = '';
 
+        /** @type {string} Raum-Passwort: der Host verlangt es, der Gast nennt es ('' = offen) */
+        this.passwort = '';
+
+        /** @type {{name: string, karte: string}|null} Eintrag in der Raumliste des Relais (null = nicht gelistet), Gäste kennen ihn aus der Spielerliste */
+        this.aushang = null;
+
+        /** @type {{rueckspulen: number}|null} Regeln des Raums vom Host, Gäste kennen sie aus der Spielerliste */
+        this.regeln = null;
+
+        /** @type {string} Spielversion (Meta-Tag), muss bei allen gleich sein */
+        this.spielVersion = document.querySelector('meta[name="version"]')?.content || '';
+
+        /** @type {number} Verworfene Nachrichten (fehlerhaft, zu groß, unerlaubt) */
+        this.verworfen = 0;
+
+        /** @type {object|null} Netzwerk-Simulator (erzeugeSimulator) für Tests unter schlechten Bedingungen */
+        this.simulator = null;
+
         // ── Callbacks ───────────────────────────────────────
+        // Alle Nachrichten-Callbacks bekommen als letztes Argument die Peer-ID des Absenders
+
         /** @type {function|null} Callback für Gegner-Positions-Updates */
         this.onGegnerUpdate = null;
 
-        /** @type {function|null} Callback für eingehende Treffer */
-        this.onTrefferEmpfangen = null;
+        /** @type {function|null} Callback für verbindliche Lebenspunkte eines Spielers (vom Host) */
+        this.onLebenEmpfangen = null;
 
-        /** @type {function|null} Callback wenn Gegner verbunden */
+        /** @type {function|null} Callback wenn ein Mitspieler dazukommt (Peer-ID) */
         this.onSpielerVerbunden = null;
 
-        /** @type {function|null} Callback wenn Gegner getrennt */
+        /** @type {function|null} Callback wenn ein Mitspieler geht (Peer-ID) */
         this.onSpielerGetrennt = null;
 
-        /** @type {function|null} Callback wenn Seed empfangen (Guest) */
-        this.onSeedEmpfangen = null;
+        /** @type {function|null} Callback wenn ein abgebrochener Gast innerhalb der Gnadenfrist zurück ist (Host, Peer-ID) */
+        this.onSpielerWiederVerbunden = null;
+
+        /** @type {function|null} Callback wenn dieser Gast den Raum des weggefallenen Hosts übernommen hat (Peer-ID des alten Hosts) */
+        this.onHostUebernommen = null;
+
+        /** @type {function|null} Callback wenn ein Zuschauer dazukommt (Host, Peer-ID) */
+        this.onZuschauerVerbunden = null;
+
+        /** @type {function|null} Callback wenn sich die Zuschauer geändert haben (Peer-IDs) */
+        this.onZuschauerAenderung = null;
+
+        /** @type {function|null} Callback wenn dieser Gast Zuschauer bzw. vom Zuschauer zum Spieler wird (Gast, istZuschauer) */
+        this.onRolleGeaendert = null;
+
+        /** @type {function|null} Callback wenn der Host weder Spieler- noch Zuschauerplatz frei hat (Gast) */
+        this.onRaumVoll = null;
+
+        /** @type {function|null} Callback wenn die Versionen nicht zusammenpassen (Gast, {grund, protokoll, spiel} des Hosts) */
+        this.onVersionAbgelehnt = null;
+
+        /** @type {function|null} Callback wenn der Host das Passwort nicht annimmt (Gast, {grund}) */
+        this.onPasswortAbgelehnt = null;
+
+        /** @type {function|null} Callback wenn Karte empfangen (Guest) */
+        this.onKarteEmpfangen = null;
+
+        /** @type {function|null} Callback für den vollständigen Spielstand (Gast) */
+        this.onSnapshotEmpfangen = null;
+
+        /** @type {function|null} Callback wenn ein Gast den Spielstand anfordert (Host) */
+        this.onSnapshotAngefordert = null;
 
         /** @type {function|null} Callback für Statusänderungen */
         this.onStatusAenderung = null;
 
-        /** @type {function|null} Callback wenn Gegner besiegt wurde */
+        /** @type {function|null} Callback wenn ein Spieler besiegt wurde (vom Host) */
         this.onBesiegtEmpfangen = null;
 
+        /** @type {function|null} Callback wenn ein Gast in eine Grube gefallen ist (Host) */
+        this.onSturzGemeldet = null;
+
         /** @type {function|null} Callback wenn ein Pickup eingesammelt wurde */
         this.onPickupCollected = null;
 
         /** @type {function|null} Callback für neue Pickups (Gast) */
         this.onNewPickup = null;
 
-        /** @type {function|null} Callback für gegnerische Schüsse */
+        /** @type {function|null} Callback für gegnerische Schüsse (Host prüft sie auf Treffer) */
         this.onSchussEmpfangen = null;
 
         // Minen-Callbacks
         this.onMinenAktion = null; // {typ: 'placed'|'exploded', daten}
 
+        /** @type {function|null} Host: (typ, daten, von) → Grund einer Ablehnung oder null, vor dem Weiterleiten */
+        this.pruefeNachricht = null;
+
+        /** @type {function|null} Callback für geänderte Sonderfelder (Gast) */
+        this.onFeldEmpfangen = null;
+
+        /** @type {function|null} Callback für Risswand-Treffer des Gasts (Host) */
+        this.onRisswandTreffer = null;
+
+        /** @type {function|null} Callback für wandernde Wände (Gast) */
+        this.onWandwechsel = null;
+
         // Timer für regelmäßige Positions-Updates
         this._positionsTimer = null;
         this._letztePosition = null;
         this._gesendetePosition = null; // Zuletzt tatsächlich gesendete Daten
 
-        console.log('[Netzwerk] PeerJS NetworkManager erstellt');
+        /** @type {Map<string, {rtt: number|null, jitter: number, versatz: number, verlust: number}>} Messwerte je Verbindung */
+        this.netzWerte = new Map();
+        this._pingTimer = null;
+        this._pingNummer = 0;
+        this._paketZaehler = new Map(); // Absender → {hoechste, erhalten, erwartet} der Positionen
+        this._bytes = { gesendet: 0, empfangen: 0, seit: 0 }; // Zählfenster für verkehr()
+        this._verkehr = { hoch: 0, runter: 0 };
+        this._sprungZaehler = 0;        // Zählt Sprünge (Spawn, Teleporter), reist mit jeder Position
+        this._positionsSeq = 0;         // Laufende Nummer der gesendeten Positionen
+        this._ruheGemeldet = false;     // Stillstand schon einmal bestätigt?
+
+        // Abgebrochene Verbindungen
+        this._freigehalten = new Map(); // Host: Peer-ID → Timer bis zur endgültigen Freigabe des Platzes
+        this._hostPeerId = '';          // Gast: Peer-ID des Hosts für neue Versuche
+        this._neuverbindung = null;     // Gast: {versuch, seit, timer, uebernahme, raumPeer} während neu verbunden wird
+        this._beendet = false;          // disconnect() aufgerufen, Abbrüche nicht mehr auffangen
+        this._begruesst = new WeakSet(); // Verbindungen mit erfolgreichem Versionsabgleich
+
+        console.log(`[Netzwerk] NetworkManager erstellt (${this.transport.name})`);
     }
 
     /**
@@ -116,44 +311,133 @@ export class NetworkManager {
     }
 
     /**
-     * Richtet die Datenverbindung ein (Event-Handler).
-     * Wird sowohl von Host als auch Guest aufgerufen.
+     * Richtet eine Datenverbindung ein (Event-Handler).
+     * Wird sowohl von Host (je Gast) als auch Guest (zum Host) aufgerufen.
      * 
      * @param {DataConnection} conn - PeerJS Datenverbindung
      * @private
      */
     _richteVerbindungEin(conn) {
-        this.verbindung = conn;
-
         const initialisiereVerbindung = () => {
-            if (this.verbunden) return; // Doppelte Initialisierung verhindern
+            const alte = this.verbindungen.get(conn.peer);
+            if (alte === conn) return; // Doppelte Initialisierung verhindern
+            this.verbindungen.set(conn.peer, conn);
+            if (alte) alte.close(); // Halb tote Leitung eines zurückgekehrten Gasts
             this.verbunden = true;
-            this._setzeStatus('VERBUNDEN', true);
-            console.log('[Netzwerk] ✅ P2P-Verbindung hergestellt!');
+            console.log(`[Netzwerk] ✅ P2P-Verbindung hergestellt: ${conn.peer}`);
+            this._startePing();
+
+            if (this.istHost) {
+                const zurueck = this.plaetze.has(conn.peer) || this.zuschauer.has(conn.peer);
+                if (zurueck) {
+                    clearTimeout(this._freigehalten.get(conn.peer));
+                    this._freigehalten.delete(conn.peer);
+                    const rolle = this.zuschauer.has(conn.peer) ? 'Zuschauer' : `Platz ${this.plaetze.get(conn.peer)}`;
+                    console.log(`[Netzwerk] ${conn.peer} ist zurück (${rolle})`);
+                } else if (this.plaetze.size < this.maxSpieler) {
+                    this.plaetze.set(conn.peer, this._freierPlatz());
+                } else {
+                    this.zuschauer.add(conn.peer);
+                    console.log(`[Netzwerk] Alle Plätze belegt, ${conn.peer} schaut zu`);
+                }
+                this._verteileSpielerListe();
+                this._setzeStatus(`VERBUNDEN (${this.plaetze.size}/${this.maxSpieler})`, true);
+                if (zurueck) {
+                    if (this.onSpielerWiederVerbunden) {
+                        this.onSpielerWiederVerbunden(conn.peer);
+                    }
+                } else if (this.zuschauer.has(conn.peer)) {
+                    if (this.onZuschauerVerbunden) {
+                        this.onZuschauerVerbunden(conn.peer);
+                    }
+                    this._meldeZuschauer();
+                } else if (this.onSpielerVerbunden) {
+                    this.onSpielerVerbunden(conn.peer);
+                }
+            } else {
+                if (this._neuverbindung) {
+                    clearTimeout(this._neuverbindung.timer);
+                    console.log(`[Netzwerk] Wieder verbunden nach ${this._neuverbindung.versuch} Versuch(en)`);
+                    this._neuverbindung = null;
+                }
+                // Mitspieler (auch den Host) meldet erst die Spielerliste
+                this._setzeStatus('VERBUNDEN', true);
+            }
+        };
 
-            if (this.onSpielerVerbunden) {
-                this.onSpielerVerbunden(conn.peer);
+        // Erst die Versionen (und das Passwort) abgleichen, dann zählt die
+        // Verbindung. Der Gast beginnt, der Host antwortet erst, wenn alles passt.
+        let halloTimer = null;
+        const begruesse = () => {
+            if (!this.istHost) {
+                const daten = this.passwort ? { ...this._eigeneVersion(), passwort: this.passwort } : this._eigeneVersion();
+                this._schicke(conn, { typ: 'hallo', daten, von: this.spielerId });
+                return;
             }
+            halloTimer = setTimeout(() => {
+                if (this._begruesst.has(conn)) return;
+                console.warn(`[Netzwerk] ${conn.peer} nennt keine Version, trenne`);
+                this._lehneAb(conn, 'keine Version genannt');
+            }, HALLO_TIMEOUT);
         };
 
         // Falls Verbindung bereits offen (Race Condition Fix)
         if (conn.open) {
-            initialisiereVerbindung();
+            begruesse();
         } else {
-            conn.on('open', initialisiereVerbindung);
+            conn.on('open', begruesse);
         }
 
-        conn.on('data', (nachricht) => {
-            this._verarbeiteNachricht(nachricht);
+        // Prüfen, Versionsabgleich, Messung, dann weiterleiten bzw. auswerten
+        const verarbeite = (nachricht) => {
+            const grund = pruefeNachricht(nachricht);
+            if (grund) {
+                this._verwirf(conn.peer, grund);
+                return;
+            }
+            if (!this._begruesst.has(conn) || nachricht.typ === 'hallo') {
+                if (this._pruefeHallo(conn, nachricht)) {
+                    clearTimeout(halloTimer);
+                    initialisiereVerbindung();
+                }
+                return;
+            }
+            if (this._verarbeiteMessung(conn, nachricht)) return;
+            if (this.istHost) {
+                this._leiteWeiter(nachricht, conn.peer);
+            } else {
+                this._verarbeiteNachricht(nachricht, nachricht.von);
+            }
+        };
+
+        conn.on('data', (eingang) => {
+            const nachricht = this._entpacke(conn, eingang);
+            if (!nachricht) return;
+            if (this.simulator) {
+                simuliere(this.simulator, 'ein:' + conn.peer, nachricht.typ, () => {
+                    if (conn.open) verarbeite(nachricht);
+                });
+            } else {
+                verarbeite(nachricht);
+            }
         });
 
         conn.on('close', () => {
-            this.verbunden = false;
-            this._setzeStatus('GETRENNT', false);
-            console.log('[Netzwerk] ❌ Verbindung getrennt');
-
-            if (this.onSpielerGetrennt) {
-                this.onSpielerGetrennt();
+            if (this.verbindungen.get(conn.peer) !== conn) return; // Schon ersetzt oder aufgeräumt
+            this.verbindungen.delete(conn.peer);
+            this.verbunden = this.verbindungen.size > 0;
+            this.netzWerte.delete(conn.peer);
+            this._paketZaehler.delete(conn.peer);
+            this._zeigeNetzWerte();
+            console.log(`[Netzwerk] ❌ Verbindung getrennt: ${conn.peer}`);
+            if (this._beendet) return;
+
+            if (this.istHost) {
+                // Platz freihalten, der Gast versucht es gleich wieder
+                this._freigehalten.set(conn.peer, setTimeout(() => this._gibPlatzFrei(conn.peer), GNADENFRIST));
+                this._setzeStatus(this.verbunden ? `VERBUNDEN (${this.plaetze.size}/${this.maxSpieler})` : 'WARTE AUF SPIELER...', this.verbunden);
+            } else {
+                this._planeNeuverbindung();
             }
         });
 
@@ -163,31 +447,394 @@ export class NetworkManager {
         });
     }
 
+    /**
+     * Eigene Versionen für 'hallo' und 'abgelehnt'.
+     * @returns {{protokoll: number, spiel: string}}
+     * @private
+     */
+    _eigeneVersion() {
+        return { protokoll: PROTOKOLL_VERSION, spiel: this.spielVersion };
+    }
+
+    /**
+     * Wertet Nachrichten vor dem abgeschlossenen Versionsabgleich aus.
+     * Der Host lehnt fremde Versionen und falsche Passwörter mit
+     * 'abgelehnt' ab und antwortet sonst mit seinem 'hallo', der Gast
+     * trennt selbst, wenn der Host eine andere Version nennt oder gar
+     * keine (ältere Version ohne 'hallo').
+     * @param {DataConnection} conn
+     * @param {object} nachricht - Bereits gegen das Schema geprüft
+     * @returns {boolean} true, wenn die Verbindung jetzt begrüßt ist
+     * @private
+     */
+    _pruefeHallo(conn, nachricht) {
+        if (this._begruesst.has(conn)) return false; // Doppeltes 'hallo'
+        const { typ, daten } = nachricht;
+
+        if (this.istHost) {
+            if (typ !== 'hallo') {
+                this._verwirf(conn.peer, `'${typ}' vor dem Versionsabgleich`);
+                return false;
+            }
+            const grund = pruefeVersion(this._eigeneVersion(), daten);
+            if (grund) {
+                console.warn(`[Netzwerk] ${conn.peer} abgelehnt: ${grund}`);
+                this._lehneAb(conn, grund);
+                return false;
+            }
+            if (this.passwort && daten.passwort !== this.passwort) {
+                console.warn(`[Netzwerk] ${conn.peer} abgelehnt: ${daten.passwort ? 'falsches' : 'kein'} Passwort`);
+                this._lehneAb(conn, daten.passwort ? 'Falsches Passwort' : 'Passwort nötig', true);
+                return false;
+            }
+            this._schicke(conn, { typ: 'hallo', daten: this._eigeneVersion(), von: this.spielerId });
+        } else {
+            if (typ === 'voll') {
+                this._verarbeiteNachricht(nachricht, nachricht.von);
+                return false;
+            }
+            if (typ === 'abgelehnt') {
+                if (daten.passwort) {
+                    console.warn(`[Netzwerk] Host lehnt ab: ${daten.grund}`);
+                    this._abgewiesen(conn, 'FALSCHES PASSWORT', this.onPasswortAbgelehnt, daten);
+                } else {
+                    this._versionAbgelehnt(conn, daten);
+                }
+                return false;
+            }
+            if (typ !== 'hallo') {
+                this._versionAbgelehnt(conn, { grund: 'Host ohne Versionsabgleich (ältere Version)', protokoll: 0, spiel: '?' });
+                return false;
+            }
+            const grund = pruefeVersion(this._eigeneVersion(), daten);
+            if (grund) {
+                this._versionAbgelehnt(conn, { grund, ...daten });
+                return false;
+            }
+            this.hostId = nachricht.von;
+        }
+
+        this._begruesst.add(conn);
+        return true;
+    }
+
+    /**
+     * Host: schickt 'abgelehnt' mit den eigenen Versionen und trennt.
+     * @param {DataConnection} conn
+     * @param {string} grund
+     * @param {boolean} [passwort] - Abgelehnt wegen des Passworts
+     * @private
+     */
+    _lehneAb(conn, grund, passwort = false) {
+        if (!conn.open) return;
+        const daten = { grund, ...this._eigeneVersion() };
+        if (passwort) daten.passwort = true;
+        this._schicke(conn, { typ: 'abgelehnt', daten, von: this.spielerId });
+        setTimeout(() => conn.close(), 500); // Nachricht erst zustellen lassen
+    }
+
+    /**
+     * Gast: Host und Gast passen nicht zusammen. Neu verbinden hilft
+     * nicht, erst ein Neuladen auf denselben Stand.
+     * @param {DataConnection} conn - Leitung zum Host
+     * @param {{grund: string, protokoll: number, spiel: string}} daten - Versionen des Hosts
+     * @private
+     */
+    _versionAbgelehnt(conn, daten) {
+        console.warn(`[Netzwerk] Version passt nicht zum Host: ${daten.grund}`);
+        this._abgewiesen(conn, 'FALSCHE VERSION', this.onVersionAbgelehnt, daten);
+    }
+
+    /**
+     * Gast: der Host lässt uns nicht hinein (Version, Passwort). Trennt
+     * und versucht es nicht wieder.
+     * @param {DataConnection} conn - Leitung zum Host
+     * @param {string} status - Für die Status-Anzeige
+     * @param {function|null} callback - Bekommt die Daten aus 'abgelehnt'
+     * @param {object} daten
+     * @private
+     */
+    _abgewiesen(conn, status, callback, daten) {
+        this._beendet = true;
+        this._beendeNeuverbindung();
+        conn.close();
+        this.verbindungen.clear();
+        this.verbunden = false;
+        this._setzeStatus(status, false);
+        if (callback) {
+            callback(daten);
+        }
+    }
+
+    /**
+     * Zählt eine verworfene Nachricht.
+     * @param {string} von - Peer-ID der Leitung
+     * @param {string} grund
+     * @private
+     */
+    _verwirf(von, grund) {
+        this.verworfen++;
+        console.warn(`[Netzwerk] Nachricht von ${von} verworfen (${this.verworfen}): ${grund}`);
+    }
+
+    /**
+     * Schickt eine Nachricht über eine Leitung: Positionen und Schüsse
+     * als Binärpaket, alles andere als Objekt. Zählt die Bytes und
+     * läuft durch den Simulator, falls einer gesetzt ist.
+     * @param {DataConnection} conn
+     * @param {object} nachricht - {typ, daten, von, an?}
+     * @private
+     */
+    _schicke(conn, nachricht) {
+        const paket = istBinaerTyp(nachricht.typ) && !nachricht.an
+            ? kodiere(nachricht.typ, nachricht.daten, this.platzVon(nachricht.von))
+            : nachricht;
+        const raus = () => {
+            if (!conn.open) return;
+            conn.send(paket);
+            this._bytes.gesendet += groesseVon(paket);
+        };
+        if (this.simulator) {
+            simuliere(this.simulator, 'aus:' + conn.peer, nachricht.typ, raus);
+        } else {
+            raus();
+        }
+    }
+
+    /**
+     * Zählt die Bytes einer empfangenen Nachricht und packt Binärpakete
+     * aus. Den Absender liefert beim Host die Leitung, beim Gast der
+     * Startplatz im Paket.
+     * @param {DataConnection} conn
+     * @param {*} eingang - Objekt oder ArrayBuffer
+     * @returns {object|null} {typ, daten, von} oder null, wenn verworfen
+     * @private
+     */
+    _entpacke(conn, eingang) {
+        this._bytes.empfangen += groesseVon(eingang);
+        if (!(eingang instanceof ArrayBuffer) && !ArrayBuffer.isView(eingang)) return eingang;
+
+        const paket = dekodiere(eingang);
+        if (typeof paket === 'string') {
+            this._verwirf(conn.peer, paket);
+            return null;
+        }
+        const von = this.istHost ? conn.peer : this._idVonPlatz(paket.platz);
+        if (!von) {
+            this._verwirf(conn.peer, `'${paket.typ}' von unbekanntem Platz ${paket.platz}`);
+            return null;
+        }
+        return { typ: paket.typ, daten: paket.daten, von };
+    }
+
+    /**
+     * Peer-ID zu einem Startplatz aus der Spielerliste.
+     * @param {number} platz
+     * @returns {string|null}
+     * @private
+     */
+    _idVonPlatz(platz) {
+        for (const [id, p] of this.plaetze) {
+            if (p === platz) return id;
+        }
+        return null;
+    }
+
+    /**
+     * Host: wertet eine Nachricht eines Gasts aus und leitet sie im
+     * Stern weiter. Den Absender setzt der Host selbst aus der
+     * Verbindung, ein mitgeschicktes "von" zählt nicht. Nachrichten,
+     * die nur der Host verschicken darf, werden verworfen, von
+     * Zuschauern alles außer der Bitte um den Spielstand.
+     * @param {object} nachricht - {typ, daten, an?}
+     * @param {string} von - Peer-ID des Gasts
+     * @private
+     */
+    _leiteWeiter(nachricht, von) {
+        const { typ, daten, an } = nachricht;
+        const weiter = { typ, daten, von };
+
+        if (typ === 'position') {
+            weiter.daten = { ...daten, zeit: this.hostZeit() };
+        }
+        if (NUR_VOM_HOST.has(typ)) {
+            this._verwirf(von, `'${typ}' darf nur der Host senden`);
+            return;
+        }
+        if (this.zuschauer.has(von) && !VON_ZUSCHAUERN.has(typ)) {
+            this._verwirf(von, `'${typ}' von einem Zuschauer`);
+            return;
+        }
+        // Spielregeln (z.B. Mine ohne Inventar): gar nicht erst verteilen
+        const abgelehnt = this.pruefeNachricht ? this.pruefeNachricht(typ, daten, von) : null;
+        if (abgelehnt) {
+            this._verwirf(von, `'${typ}': ${abgelehnt}`);
+            return;
+        }
+        if (an && an !== this.spielerId) {
+            const ziel = this.verbindungen.get(an);
+            if (ziel && ziel.open) this._schicke(ziel, { ...weiter, an });
+            return;
+        }
+        if (!an && !NUR_FUER_HOST.has(typ)) {
+            for (const [id, conn] of this.verbindungen) {
+                if (id !== von && conn.open) this._schicke(conn, weiter);
+            }
+        }
+        this._verarbeiteNachricht(weiter, von);
+    }
+
+    /**
+     * Kleinster freier Startplatz für einen neuen Gast (der Host steht
+     * schon in der Liste; nach einem Hostwechsel ist auch 0 wieder frei).
+     * @returns {number}
+     * @private
+     */
+    _freierPlatz() {
+        const belegt = new Set(this.plaetze.values());
+        let platz = 0;
+        while (belegt.has(platz)) platz++;
+        return platz;
+    }
+
+    /**
+     * Host: schickt die aktuelle Spielerliste samt Zuschauern an alle Gäste.
+     * @private
+     */
+    _verteileSpielerListe() {
+        const spieler = [...this.plaetze].map(([id, platz]) => ({ id, platz }));
+        const liste = { spieler, zuschauer: [...this.zuschauer], max: this.maxSpieler };
+        if (this.aushang) liste.aushang = this.aushang;
+        if (this.regeln) liste.regeln = this.regeln;
+        this.sende('spieler_liste', liste);
+        this._aktualisiereAushang();
+    }
+
+    /**
+     * Meldet die aktuellen Zuschauer (onZuschauerAenderung).
+     * @private
+     */
+    _meldeZuschauer() {
+        if (this.onZuschauerAenderung) {
+            this.onZuschauerAenderung([...this.zuschauer]);
+        }
+    }
+
+    /**
+     * Host: hängt den Raum mit aktueller Spielerzahl in die Raumliste
+     * des Relais bzw. nimmt ihn heraus (aushang = null). Transporte
+     * ohne Raumliste haben kein haengeAus.
+     * @private
+     */
+    _aktualisiereAushang() {
+        if (!this.istHost || !this.peer?.haengeAus) return;
+        this.peer.haengeAus(this.aushang && {
+            ...this.aushang,
+            code: this.raumCode,
+            spieler: this.plaetze.size,
+            max: this.maxSpieler,
+            passwort: !!this.passwort
+        });
+    }
+
+    /**
+     * Gast: übernimmt die Spielerliste des Hosts und meldet, wer neu
+     * dazugekommen bzw. gegangen ist. Ein Zuschauer, der einen Platz
+     * bekommen hat, ist für die anderen neu dazugekommen.
+     * @param {{id: string, platz: number}[]} liste
+     * @param {string[]} [zuschauer]
+     * @param {number} [max] - Plätze im Raum
+     * @private
+     */
+    _uebernehmeSpielerListe(liste, zuschauer = [], max = this.maxSpieler) {
+        const vorher = this.plaetze;
+        const vorherZuschauer = this.zuschauer;
+        this.plaetze = new Map(liste.map(s => [s.id, s.platz]));
+        this.zuschauer = new Set(zuschauer);
+        this.maxSpieler = max;
+
+        for (const id of vorher.keys()) {
+            if (id !== this.spielerId && !this.plaetze.has(id) && this.onSpielerGetrennt) {
+                this.onSpielerGetrennt(id);
+            }
+        }
+        for (const id of this.plaetze.keys()) {
+            if (id !== this.spielerId && !vorher.has(id) && this.onSpielerVerbunden) {
+                this.onSpielerVerbunden(id);
+            }
+        }
+
+        if (vorherZuschauer.size !== this.zuschauer.size || [...this.zuschauer].some(id => !vorherZuschauer.has(id))) {
+            this._meldeZuschauer();
+        }
+        // Eigene Rolle: erst Zuschauer, später vielleicht Spieler (nicht beim Aufgeben)
+        const warZuschauer = vorherZuschauer.has(this.spielerId);
+        if (warZuschauer !== this.istZuschauer() && (this.istZuschauer() || this.plaetze.has(this.spielerId))) {
+            console.log(`[Netzwerk] ${this.istZuschauer() ? 'Alle Plätze belegt, schaue zu' : 'Vom Zuschauer zum Spieler'}`);
+            if (this.onRolleGeaendert) {
+                this.onRolleGeaendert(this.istZuschauer());
+            }
+        }
+    }
+
     /**
      * Verarbeitet eingehende Nachrichten vom Peer.
      * @param {object} nachricht - {typ: string, daten: object}
+     * @param {string} von - Peer-ID des Absenders
      * @private
      */
-    _verarbeiteNachricht(nachricht) {
+    _verarbeiteNachricht(nachricht, von) {
         switch (nachricht.typ) {
+            case 'spieler_liste':
+                if (!this.istHost) {
+                    const { spieler, zuschauer, max, aushang, regeln } = nachricht.daten;
+                    this.aushang = aushang || null; // Für eine Übernahme
+                    this.regeln = regeln || null;
+                    this._uebernehmeSpielerListe(spieler, zuschauer, max);
+                }
+                break;
+
+            case 'voll':
+                console.warn(`[Netzwerk] Raum ist voll (auch kein Zuschauerplatz frei)`);
+                this._setzeStatus('RAUM VOLL', false);
+                if (this.onRaumVoll) {
+                    this.onRaumVoll();
+                }
+                break;
+
             case 'position':
+                this._zaehlePaket(von, nachricht.daten?.seq);
                 if (this.onGegnerUpdate) {
-                    this.onGegnerUpdate(nachricht.daten);
+                    this.onGegnerUpdate(nachricht.daten, von);
+                }
+                break;
+
+            case 'leben':
+                // Host bucht Schaden und Heilung, alle übernehmen den Stand
+                if (this.onLebenEmpfangen) {
+                    this.onLebenEmpfangen(nachricht.daten, von);
+                }
+                break;
+
+            case 'karte':
+                // Guest empfängt die komplette Karten-Beschreibung vom Host
+                if (this.onKarteEmpfangen) {
+                    this.onKarteEmpfangen(nachricht.daten, von);
                 }
+                console.log(`[Netzwerk] Karte empfangen: ${nachricht.daten?.name}`);
                 break;
 
-            case 'treffer':
-                if (this.onTrefferEmpfangen) {
-                    this.onTrefferEmpfangen(nachricht.daten);
+            case 'state_snapshot':
+                // Beitritt, Neuverbindung oder Abgleich: der komplette Spielstand
+                if (this.onSnapshotEmpfangen) {
+                    this.onSnapshotEmpfangen(nachricht.daten, von);
                 }
                 break;
 
-            case 'seed':
-                // Guest empfängt den Labyrinth-Seed vom Host
-                if (this.onSeedEmpfangen) {
-                    this.onSeedEmpfangen(nachricht.daten.seed);
+            case 'snapshot_request':
+                if (this.onSnapshotAngefordert) {
+                    this.onSnapshotAngefordert(nachricht.daten, von);
                 }
-                console.log(`[Netzwerk] Seed empfangen: ${nachricht.daten.seed}`);
                 break;
 
             case 'start':
@@ -195,39 +842,65 @@ export class NetworkManager {
                 break;
 
             case 'besiegt':
-                console.log('[Netzwerk] Gegner wurde besiegt!');
+                console.log(`[Netzwerk] Spieler ${nachricht.daten?.ziel} wurde besiegt!`);
                 if (this.onBesiegtEmpfangen) {
-                    this.onBesiegtEmpfangen();
+                    this.onBesiegtEmpfangen(nachricht.daten, von);
                 }
                 break;
 
             case 'pickup_collected':
                 if (this.onPickupCollected) {
-                    this.onPickupCollected(nachricht.daten.id);
+                    this.onPickupCollected(nachricht.daten.id, von);
                 }
                 break;
 
             case 'new_pickup':
                 if (this.onNewPickup) {
-                    this.onNewPickup(nachricht.daten.id, nachricht.daten.pos, nachricht.daten.typ);
+                    this.onNewPickup(nachricht.daten.id, nachricht.daten.pos, nachricht.daten.typ, von);
                 }
                 break;
 
             case 'schuss':
                 if (this.onSchussEmpfangen) {
-                    this.onSchussEmpfangen(nachricht.daten.start, nachricht.daten.ende, nachricht.daten.hitType);
+                    this.onSchussEmpfangen(nachricht.daten, von);
+                }
+                break;
+
+            case 'sturz':
+                if (this.onSturzGemeldet) {
+                    this.onSturzGemeldet(nachricht.daten, von);
                 }
                 break;
 
             case 'mine_placed':
                 if (this.onMinenAktion) {
-                    this.onMinenAktion('mine_placed', nachricht.daten);
+                    this.onMinenAktion('mine_placed', nachricht.daten, von);
                 }
                 break;
 
             case 'mine_exploded':
                 if (this.onMinenAktion) {
-                    this.onMinenAktion('mine_exploded', nachricht.daten);
+                    this.onMinenAktion('mine_exploded', nachricht.daten, von);
+                }
+                break;
+
+            case 'feld':
+                // Host entscheidet über Türen und Risswände
+                if (this.onFeldEmpfangen) {
+                    this.onFeldEmpfangen(nachricht.daten, von);
+                }
+                break;
+
+            case 'risswand_treffer':
+                if (this.onRisswandTreffer) {
+                    this.onRisswandTreffer(nachricht.daten, von);
+                }
+                break;
+
+            case 'wand':
+                // Host gibt den Takt der Wanderwände vor
+                if (this.onWandwechsel) {
+                    this.onWandwechsel(nachricht.daten, von);
                 }
                 break;
 
@@ -238,34 +911,35 @@ export class NetworkManager {
 
     /**
      * ERSTELLT EINEN RAUM (Host-Modus).
-     * Erzeugt einen PeerJS Peer mit einem Code als ID und wartet auf Verbindungen.
+     * Erzeugt einen Peer mit einem Code als ID und wartet auf Verbindungen.
      * 
      * @returns {Promise<string>} Der generierte Raum-Code
      */
     erstelleRaum() {
         return new Promise((resolve, reject) => {
             this.istHost = true;
+            this._beendet = false;
             this.raumCode = this._generiereCode();
             const peerId = 'retrolabyrinth_' + this.raumCode;
 
             this._setzeStatus('ERSTELLE RAUM...', false);
 
-            this.peer = new Peer(peerId, {
-                debug: 1 // Nur Fehler loggen
-            });
+            this.peer = this.transport.erzeugePeer(peerId);
 
             this.peer.on('open', (id) => {
                 this.spielerId = id;
+                this.hostId = id;
+                this.plaetze = new Map([[id, 0]]);
+                this._aktualisiereAushang();
                 this._setzeStatus('WARTE AUF SPIELER...', false);
-                console.log(`[Netzwerk] Raum erstellt: ${this.raumCode} (Peer-ID: ${id})`);
+                console.log(`[Netzwerk] Raum erstellt: ${this.raumCode} (Peer-ID: ${id}, ${this.transport.name})`);
                 resolve(this.raumCode);
             });
 
-            // Warte auf eingehende Verbindung
-            this.peer.on('connection', (conn) => {
-                console.log('[Netzwerk] Spieler verbindet sich...');
-                this._richteVerbindungEin(conn);
-            });
+            // Warte auf eingehende Verbindungen (bis der Raum voll ist)
+            this.peer.on('connection', (conn) => this._nimmVerbindungAn(conn));
+
+            this._haltePeerErreichbar();
 
             this.peer.on('error', (err) => {
                 console.error('[Netzwerk] Peer-Fehler:', err);
@@ -283,6 +957,26 @@ export class NetworkManager {
         });
     }
 
+    /**
+     * Host: nimmt eine eingehende Verbindung an, solange ein Spieler-
+     * oder Zuschauerplatz frei ist (freigehaltene Plätze zählen mit).
+     * @param {DataConnection} conn
+     * @private
+     */
+    _nimmVerbindungAn(conn) {
+        const bekannt = this.plaetze.has(conn.peer) || this.zuschauer.has(conn.peer);
+        if (this.plaetze.size >= this.maxSpieler && this.zuschauer.size >= MAX_ZUSCHAUER && !bekannt) {
+            console.warn(`[Netzwerk] Raum voll, lehne ${conn.peer} ab`);
+            conn.on('open', () => {
+                this._schicke(conn, { typ: 'voll', daten: {}, von: this.spielerId });
+                setTimeout(() => conn.close(), 500); // Nachricht erst zustellen lassen
+            });
+            return;
+        }
+        console.log('[Netzwerk] Spieler verbindet sich...');
+        this._richteVerbindungEin(conn);
+    }
+
     /**
      * TRITT EINEM RAUM BEI (Guest-Modus).
      * Verbindet sich mit dem Host über den Raum-Code.
@@ -295,17 +989,17 @@ export class NetworkManager {
             if (this.verbunden) this.disconnect();
 
             this.istHost = false;
+            this._beendet = false;
             this.raumCode = code.toUpperCase();
             const zielPeerId = 'retrolabyrinth_' + this.raumCode;
+            this._hostPeerId = zielPeerId;
 
             this._setzeStatus('VERBINDE...', false);
 
             // Eigene Peer-ID erstellen (zufällig)
-            this.peer = new Peer(undefined, {
-                debug: 1
-            });
+            this.peer = this.transport.erzeugePeer();
 
-            // Timer für Timeout hinzufügen (falls PeerJS ewig braucht)
+            // Timer für Timeout hinzufügen (falls der Vermittler ewig braucht)
             const timeout = setTimeout(() => {
                 if (!this.verbunden) {
                     this._setzeStatus('TIMEOUT', false);
@@ -342,8 +1036,11 @@ export class NetworkManager {
                 }
             });
 
+            this._haltePeerErreichbar();
+
             this.peer.on('error', (err) => {
                 clearTimeout(timeout);
+                if (this._neuverbindung) return; // Gescheiterter Versuch, der nächste ist geplant
                 console.error('[Netzwerk] Peer-Fehler:', err);
                 if (err.type === 'peer-unavailable') {
                     this._setzeStatus('RAUM NICHT GEFUNDEN', false);
@@ -356,26 +1053,113 @@ export class NetworkManager {
     }
 
     /**
-     * Sendet den Labyrinth-Seed an den Guest (nur Host).
-     * @param {number} seed - Der Labyrinth-Seed
+     * Sendet die komplette Karte an die Gäste (nur Host).
+     * Ersetzt die frühere reine Seed-Nachricht, damit auch geladene
+     * Karten ohne Generator beim Guest ankommen.
+     * @param {object} karte - Karten-Beschreibung (map-format.js)
+     * @param {string|null} [an] - Nur an diesen Gast (Beitritt in laufende Runde)
+     */
+    sendeKarte(karte, an = null) {
+        if (an) {
+            this.sendeAn(an, 'karte', karte);
+        } else {
+            this.sende('karte', karte);
+        }
+    }
+
+    /**
+     * Sendet den vollständigen Spielstand (nur Host).
+     * @param {object} snapshot - Spielstand der laufenden Runde
+     * @param {string|null} [an] - Nur an diesen Gast
+     */
+    sendeSnapshot(snapshot, an = null) {
+        if (an) {
+            this.sendeAn(an, 'state_snapshot', snapshot);
+        } else {
+            this.sende('state_snapshot', snapshot);
+        }
+    }
+
+    /**
+     * Gast: bittet den Host um den vollständigen Spielstand.
+     * @param {string} grund - Was nicht zusammenpasste (fürs Log des Hosts)
+     * @param {boolean} [mitKarte] - Auch die Karte neu schicken (andere Runde)
      */
-    sendeSeed(seed) {
-        this.sende('seed', { seed: seed });
+    fordereSnapshotAn(grund, mitKarte = false) {
+        if (this.istHost) return;
+        this.sende('snapshot_request', { grund, mitKarte });
     }
 
     /**
-     * Sendet eine Nachricht an den verbundenen Peer.
+     * Sendet eine Nachricht an alle Mitspieler.
+     * Gäste schicken sie zum Host, der sie an die übrigen weiterleitet.
      * @param {string} typ - Nachrichtentyp
      * @param {object} daten - Nachrichtendaten
      */
     sende(typ, daten) {
-        if (this.verbindung && this.verbindung.open) {
-            this.verbindung.send({ typ, daten });
+        const nachricht = { typ, daten, von: this.spielerId };
+        for (const conn of this.verbindungen.values()) {
+            if (conn.open) this._schicke(conn, nachricht);
+        }
+    }
+
+    /**
+     * Sendet eine Nachricht an genau einen Mitspieler.
+     * Vom Gast aus läuft sie über den Host, der sie nur zustellt.
+     * @param {string} ziel - Peer-ID des Empfängers
+     * @param {string} typ - Nachrichtentyp
+     * @param {object} daten - Nachrichtendaten
+     */
+    sendeAn(ziel, typ, daten) {
+        const conn = this.istHost ? this.verbindungen.get(ziel) : this.verbindungen.values().next().value;
+        if (conn && conn.open) {
+            this._schicke(conn, { typ, daten, von: this.spielerId, an: ziel });
         }
     }
 
     /**
-     * Sendet die eigene Spielerposition an den Peer.
+     * Schaut dieser Teilnehmer nur zu?
+     * @param {string} [id] - Peer-ID, ohne Angabe man selbst
+     * @returns {boolean}
+     */
+    istZuschauer(id = this.spielerId) {
+        return this.zuschauer.has(id);
+    }
+
+    /**
+     * Host: gibt einem Zuschauer einen freien Startplatz. Gedacht für
+     * die Pause zwischen zwei Runden, er steigt mit der nächsten Karte
+     * ein. Alle bekommen die neue Spielerliste, die Gäste melden ihn
+     * als neuen Mitspieler (onSpielerVerbunden), er selbst bekommt
+     * onRolleGeaendert.
+     * @param {string} id - Peer-ID des Zuschauers
+     * @returns {boolean} false, wenn kein Platz frei ist oder er gerade nicht verbunden ist
+     */
+    machZumSpieler(id) {
+        if (!this.istHost || !this.zuschauer.has(id) || this._freigehalten.has(id)) return false;
+        if (this.plaetze.size >= this.maxSpieler) return false;
+        this.zuschauer.delete(id);
+        this.plaetze.set(id, this._freierPlatz());
+        this._verteileSpielerListe();
+        console.log(`[Netzwerk] Zuschauer ${id} bekommt Platz ${this.plaetze.get(id)}`);
+        this._setzeStatus(`VERBUNDEN (${this.plaetze.size}/${this.maxSpieler})`, true);
+        this._meldeZuschauer();
+        return true;
+    }
+
+    /**
+     * Startplatz eines Spielers (Raum-Ersteller = 0, Gäste nach Beitritt,
+     * ein neuer Host behält seinen).
+     * @param {string} [id] - Peer-ID, ohne Angabe der eigene Platz
+     * @returns {number} -1 wenn unbekannt
+     */
+    platzVon(id = this.spielerId) {
+        if (this.plaetze.has(id)) return this.plaetze.get(id);
+        return id === this.spielerId && this.istHost ? 0 : -1;
+    }
+
+    /**
+     * Sendet die eigene Spielerposition an die Mitspieler.
      * Wird regelmäßig aufgerufen (nicht jeden Frame, um Bandbreite zu sparen).
      * 
      * @param {THREE.Vector3} position - Aktuelle Position
@@ -384,15 +1168,35 @@ export class NetworkManager {
     sendPlayerPosition(position, rotation) {
         if (!this.verbunden) return;
 
+        // Gerundet wird beim Verpacken (net-codec.js)
         this._letztePosition = {
-            x: Math.round(position.x * 100) / 100,
-            y: Math.round(position.y * 100) / 100,
-            z: Math.round(position.z * 100) / 100,
-            rotY: Math.round(rotation.y * 1000) / 1000,
-            rotX: Math.round(rotation.x * 1000) / 1000
+            x: position.x,
+            y: position.y,
+            z: position.z,
+            rotY: rotation.y,
+            rotX: rotation.x,
+            sprung: this._sprungZaehler
         };
     }
 
+    /**
+     * Markiert die nächste Position als Sprung (Spawn, Teleporter).
+     * Die Mitspieler setzen uns dann sofort um, statt ihn über die
+     * Strecke gleiten zu lassen – unabhängig von der Sprungweite.
+     * Vor sendPlayerPosition mit der neuen Position aufrufen.
+     */
+    meldeSprung() {
+        this._sprungZaehler = (this._sprungZaehler + 1) % 256;
+    }
+
+    /**
+     * Aktueller Sprungzähler (reist mit jeder Position).
+     * @returns {number}
+     */
+    sprungZaehler() {
+        return this._sprungZaehler;
+    }
+
     /**
      * Startet den Timer für regelmäßige Positions-Updates.
      */
@@ -401,16 +1205,20 @@ export class NetworkManager {
 
         // Sofortiges erstes Update erzwingen, falls wir schon Daten haben
         if (this._letztePosition && this.verbunden) {
-            this.sende('position', this._letztePosition);
-            this._gesendetePosition = { ...this._letztePosition };
+            this._sendePosition();
         }
 
         this._positionsTimer = setInterval(() => {
             if (this._letztePosition && this.verbunden) {
-                // Nur senden, wenn sich etwas geändert hat (Delta-Check)
+                // Nur senden, wenn sich etwas geändert hat (Delta-Check).
+                // Nach dem Anhalten einmal nachsenden, damit die Mitspieler
+                // nicht mit der letzten Geschwindigkeit weiterschätzen.
                 if (this._hatSichBewegt(this._letztePosition, this._gesendetePosition)) {
-                    this.sende('position', this._letztePosition);
-                    this._gesendetePosition = { ...this._letztePosition };
+                    this._sendePosition();
+                    this._ruheGemeldet = false;
+                } else if (!this._ruheGemeldet) {
+                    this._sendePosition();
+                    this._ruheGemeldet = true;
                 }
             }
         }, POSITIONS_INTERVALL);
@@ -423,28 +1231,268 @@ export class NetworkManager {
      */
     pusheAktuellePosition() {
         if (this._letztePosition && this.verbunden) {
-            this.sende('position', this._letztePosition);
-            this._gesendetePosition = { ...this._letztePosition };
+            this._sendePosition();
             console.log('[Netzwerk] Position manuell gepusht');
         }
     }
 
+    /**
+     * Schickt die zuletzt gemeldete Position mit Sequenznummer und
+     * Sendezeit los. Der Host stempelt seine eigene gleich mit
+     * Host-Zeit, Gäste bekommen den Stempel beim Weiterleiten.
+     * @private
+     */
+    _sendePosition() {
+        const daten = {
+            ...this._letztePosition,
+            seq: ++this._positionsSeq,
+            gesendet: Math.round(performance.now())
+        };
+        if (this.istHost) daten.zeit = this.hostZeit();
+        this.sende('position', daten);
+        this._gesendetePosition = { ...this._letztePosition };
+    }
+
+    /**
+     * Uhrzeit des Hosts in ms (dessen performance.now()), für Ereignisse
+     * mit Zeitstempel. Gäste rechnen ihre Uhr mit dem gemessenen Versatz um.
+     * @returns {number}
+     */
+    hostZeit() {
+        return performance.now() + this.uhrVersatz();
+    }
+
+    /**
+     * Host-Uhr minus eigene Uhr in ms (Host: 0, Gast vor der ersten Messung: 0).
+     * @returns {number}
+     */
+    uhrVersatz() {
+        if (this.istHost) return 0;
+        return this._hostWerte()?.versatz ?? 0;
+    }
+
+    /**
+     * Zusammengefasste Verbindungsqualität für die Anzeige: beim Gast die
+     * Leitung zum Host, beim Host die schlechteste Leitung zu einem Gast.
+     * @returns {{rtt: number, jitter: number, verlust: number, verworfen: number}|null} null ohne Messung
+     */
+    netzStatistik() {
+        const werte = [...this.netzWerte.values()].filter(w => w.rtt !== null);
+        if (werte.length === 0) return null;
+        return {
+            rtt: Math.max(...werte.map(w => w.rtt)),
+            jitter: Math.max(...werte.map(w => w.jitter)),
+            verlust: Math.max(...werte.map(w => w.verlust)),
+            verworfen: this.verworfen
+        };
+    }
+
+    /**
+     * Gesendete und empfangene Bytes je Sekunde über alle Leitungen
+     * (JSON-Nachrichten als Zeichenzahl geschätzt).
+     * @returns {{hoch: number, runter: number}}
+     */
+    verkehr() {
+        return this._verkehr;
+    }
+
+    /**
+     * Gast: Messwerte der Leitung zum Host.
+     * @returns {object|undefined}
+     * @private
+     */
+    _hostWerte() {
+        const [hostId] = this.verbindungen.keys();
+        return hostId ? this.netzWerte.get(hostId) : undefined;
+    }
+
+    /**
+     * Startet die regelmäßige Messung aller Verbindungen (einmal je Peer).
+     * @private
+     */
+    _startePing() {
+        if (this._pingTimer) return;
+        this._bytes = { gesendet: 0, empfangen: 0, seit: performance.now() };
+        this._pingTimer = setInterval(() => {
+            this._werteVerlustAus();
+            this._werteVerkehrAus();
+            for (const conn of this.verbindungen.values()) {
+                if (conn.open) {
+                    this._schicke(conn, { typ: 'ping', daten: { nr: ++this._pingNummer, gesendet: performance.now() }, von: this.spielerId });
+                }
+            }
+            this._zeigeNetzWerte();
+        }, PING_INTERVALL);
+    }
+
+    /**
+     * Beantwortet Pings und wertet Pongs aus. Beides bleibt auf der
+     * eigenen Leitung und wird nie weitergeleitet.
+     * @param {DataConnection} conn
+     * @param {object} nachricht
+     * @returns {boolean} true, wenn die Nachricht eine Messung war
+     * @private
+     */
+    _verarbeiteMessung(conn, nachricht) {
+        if (nachricht?.typ === 'ping') {
+            this._schicke(conn, { typ: 'pong', daten: { ...nachricht.daten, antwort: performance.now() }, von: this.spielerId });
+            return true;
+        }
+        if (nachricht?.typ !== 'pong') return false;
+
+        const { gesendet, antwort } = nachricht.daten || {};
+        const rtt = performance.now() - gesendet;
+        if (!(rtt >= 0) || !Number.isFinite(antwort)) return true;
+
+        let werte = this.netzWerte.get(conn.peer);
+        if (!werte) {
+            werte = { rtt: null, jitter: 0, versatz: 0, verlust: 0, letzteRtt: rtt, proben: [] };
+            this.netzWerte.set(conn.peer, werte);
+        }
+        werte.jitter += (Math.abs(rtt - werte.letzteRtt) - werte.jitter) * JITTER_GLAETTUNG;
+        werte.rtt = werte.rtt === null ? rtt : werte.rtt + (rtt - werte.rtt) * RTT_GLAETTUNG;
+        werte.letzteRtt = rtt;
+
+        // Uhrversatz wie bei NTP: Antwortzeit der Gegenseite minus Mitte der Laufzeit.
+        // Die schnellste Messung ist am wenigsten verzerrt.
+        werte.proben.push({ rtt, versatz: antwort - (gesendet + rtt / 2) });
+        if (werte.proben.length > VERSATZ_PROBEN) werte.proben.shift();
+        werte.versatz = werte.proben.reduce((a, b) => (b.rtt < a.rtt ? b : a)).versatz;
+        return true;
+    }
+
+    /**
+     * Zählt eine empfangene Position eines Absenders für die Verlustrate.
+     * Lücken in den Sequenznummern sind verlorene Pakete.
+     * @param {string} von - Absender
+     * @param {number} seq - Sequenznummer der Position
+     * @private
+     */
+    _zaehlePaket(von, seq) {
+        if (!Number.isFinite(seq)) return;
+        const z = this._paketZaehler.get(von);
+        if (!z) {
+            this._paketZaehler.set(von, { hoechste: seq, erhalten: 1, erwartet: 1 });
+            return;
+        }
+        if (seq > z.hoechste) {
+            z.erwartet += seq - z.hoechste;
+            z.hoechste = seq;
+        }
+        z.erhalten = Math.min(z.erwartet, z.erhalten + 1); // Verspätete zählen nach
+    }
+
+    /**
+     * Schließt das Zählfenster ab und überträgt die Verlustrate auf die
+     * Leitungen: beim Host je Gast, beim Gast alle Absender zusammen
+     * (alles kommt über den Host).
+     * @private
+     */
+    _werteVerlustAus() {
+        let erhalten = 0;
+        let erwartet = 0;
+        for (const [von, z] of this._paketZaehler) {
+            const werte = this.netzWerte.get(von);
+            if (this.istHost && werte && z.erwartet > 0) werte.verlust = 1 - z.erhalten / z.erwartet;
+            erhalten += z.erhalten;
+            erwartet += z.erwartet;
+            z.erhalten = 0;
+            z.erwartet = 0;
+        }
+        const hostWerte = this.istHost ? null : this._hostWerte();
+        if (hostWerte && erwartet > 0) hostWerte.verlust = 1 - erhalten / erwartet;
+    }
+
+    /**
+     * Schließt das Zählfenster der Bytes ab (verkehr).
+     * @private
+     */
+    _werteVerkehrAus() {
+        const jetzt = performance.now();
+        const sekunden = (jetzt - this._bytes.seit) / 1000;
+        if (sekunden <= 0) return;
+        this._verkehr = {
+            hoch: this._bytes.gesendet / sekunden,
+            runter: this._bytes.empfangen / sekunden
+        };
+        this._bytes = { gesendet: 0, empfangen: 0, seit: jetzt };
+    }
+
+    /**
+     * Zeigt die Messwerte im HUD (kompakt) und in der Lobby (je Verbindung).
+     * @private
+     */
+    _zeigeNetzWerte() {
+        const format = (w) => `${Math.round(w.rtt)} ms ±${Math.round(w.jitter)} · ${Math.round(w.verlust * 100)}%`;
+        const schlecht = (w) => w.rtt > 150 || w.verlust > 0.05;
+
+        const hud = document.getElementById('netz-werte');
+        if (hud) {
+            const statistik = this.netzStatistik();
+            hud.textContent = statistik ? format(statistik) : '';
+            hud.classList.toggle('schlecht', !!statistik && schlecht(statistik));
+        }
+
+        const debug = document.getElementById('netz-debug');
+        if (debug) {
+            const kb = (b) => (b < 1000 ? `${Math.round(b)} B/s` : `${(b / 1000).toFixed(1)} kB/s`);
+            debug.textContent = `↑ ${kb(this._verkehr.hoch)}  ↓ ${kb(this._verkehr.runter)}  · ${Math.round(1000 / POSITIONS_INTERVALL)} Pos/s`;
+            if (simulatorAktiv(this.simulator)) {
+                const { verloren, doppelt, vertauscht } = this.simulator.zaehler;
+                debug.textContent += `\nSIM ${beschreibeWerte(simulatorWerte(this.simulator, null))}` +
+                    ` · weg ${verloren} · doppelt ${doppelt} · vertauscht ${vertauscht}`;
+            }
+        }
+
+        const lobby = document.getElementById('lobby-netz');
+        if (lobby) {
+            lobby.replaceChildren();
+            for (const [id, w] of this.netzWerte) {
+                if (w.rtt === null) continue;
+                const zeile = document.createElement('div');
+                const name = this.istHost ? `Platz ${this.platzVon(id)}` : 'Host';
+                zeile.textContent = `${name}: ${format(w)}`;
+                zeile.classList.toggle('schlecht', schlecht(w));
+                lobby.appendChild(zeile);
+            }
+            if (this.verworfen > 0) {
+                const zeile = document.createElement('div');
+                zeile.textContent = `Verworfen: ${this.verworfen}`;
+                zeile.classList.add('schlecht');
+                lobby.appendChild(zeile);
+            }
+        }
+    }
+
     /**
      * Registriert einen Callback für eingehende Gegner-Positionsupdates.
-     * @param {function} callback - Wird aufgerufen mit {x, y, z, rotY, rotX}
+     * @param {function} callback - Wird aufgerufen mit ({x, y, z, rotY, rotX, sprung, seq, gesendet, zeit}, Peer-ID)
      */
     onUpdateEnemyPosition(callback) {
         this.onGegnerUpdate = callback;
     }
 
     /**
-     * Sendet eine Treffer-Meldung an den Peer.
-     * @param {string} zielId - ID des getroffenen Spielers
-     * @param {number} schaden - Verursachter Schaden
-     * @param {string} hitType - 'SPARKS' oder 'BLOOD'
+     * Verteilt den verbindlichen Lebensstand eines Spielers. Nur Host.
+     * @param {{ziel: string, leben: number, schaden: number, ursache: string, schuetze?: string, kopf?: boolean}} daten
      */
-    sendHit(zielId, schaden, hitType = 'BLOOD', punkt = null) {
-        this.sende('treffer', { schaden: schaden, hitType: hitType, punkt: punkt });
+    sendeLeben(daten) {
+        this.sende('leben', daten);
+    }
+
+    /**
+     * Verteilt die Niederlage eines Spielers. Nur Host.
+     * @param {string} zielId - Peer-ID des besiegten Spielers
+     */
+    sendeBesiegt(zielId) {
+        this.sende('besiegt', { ziel: zielId });
+    }
+
+    /**
+     * Meldet dem Host einen Sturz in eine Grube. Nur Gast.
+     */
+    sendeSturz() {
+        this.sende('sturz', {});
     }
 
     /**
@@ -456,25 +1504,57 @@ export class NetworkManager {
     }
 
     /**
-     * Sendet Schuss-Visuals an den Peer.
+     * Sendet einen Schuss an die Mitspieler: Strahl für die Effekte,
+     * Ursprung, Richtung und Zeit für die Trefferprüfung des Hosts.
      * @param {THREE.Vector3} start - Startpunkt
      * @param {THREE.Vector3} ende - Endpunkt
      * @param {string} hitType - 'SPARKS' oder 'BLOOD'
+     * @param {THREE.Vector3} ursprung - Augenposition beim Schuss
+     * @param {THREE.Vector3} richtung - Blickrichtung beim Schuss
+     * @param {number} anzeigeVerzug - ms, um die die angezeigten Mitspieler hinter ihrem letzten Stand liegen
+     * @returns {object} Die gesendeten Schussdaten
      */
-    sendeSchuss(start, ende, hitType = 'SPARKS') {
-        this.sende('schuss', {
+    sendeSchuss(start, ende, hitType, ursprung, richtung, anzeigeVerzug = 0) {
+        const daten = {
             start: { x: start.x, y: start.y, z: start.z },
             ende: { x: ende.x, y: ende.y, z: ende.z },
-            hitType: hitType
-        });
+            hitType: hitType || 'SPARKS',
+            ursprung: { x: ursprung.x, y: ursprung.y, z: ursprung.z },
+            richtung: { x: richtung.x, y: richtung.y, z: richtung.z },
+            zeit: Date.now(),
+            // Für den Lag-Ausgleich (Host-Zeit): was der Gast sieht, hat den Host
+            // schon eine halbe Laufzeit vorher passiert
+            sichtZeit: this.hostZeit() - (this.istHost ? 0 : (this._hostWerte()?.rtt ?? 0) / 2) - anzeigeVerzug
+        };
+        this.sende('schuss', daten);
+        return daten;
+    }
+
+    /**
+     * Verteilt eine Feldänderung (Tür auf/zu, Risswand zerbrochen). Nur Host.
+     * @param {number} x - Rasterspalte
+     * @param {number} y - Rasterzeile
+     * @param {number} typ - Neuer Feldtyp (FELD)
+     */
+    sendeFeld(x, y, typ) {
+        this.sende('feld', { x, y, typ });
     }
 
     /**
-     * Registriert einen Callback für eingehende Treffer.
-     * @param {function} callback - Wird aufgerufen mit {schaden}
+     * Meldet dem Host einen Treffer auf eine Risswand. Nur Gast.
+     * @param {number} x - Rasterspalte
+     * @param {number} y - Rasterzeile
      */
-    onReceiveHit(callback) {
-        this.onTrefferEmpfangen = callback;
+    sendeRisswandTreffer(x, y) {
+        this.sende('risswand_treffer', { x, y });
+    }
+
+    /**
+     * Schickt eine Wanderwand los (samt Gegenstück). Nur Host.
+     * @param {number} index - Index in der Wanderwand-Liste der Karte
+     */
+    sendeWandwechsel(index) {
+        this.sende('wand', { index });
     }
 
     /**
@@ -484,23 +1564,269 @@ export class NetworkManager {
         this.onMinenAktion = callback;
     }
 
+    /**
+     * Host: die Gnadenfrist eines abgebrochenen Gasts ist um, sein
+     * Platz wird frei und alle erfahren, dass er gegangen ist (bzw.
+     * dass ein Zuschauer weniger da ist).
+     * @param {string} peerId
+     * @private
+     */
+    _gibPlatzFrei(peerId) {
+        if (!this._freigehalten.delete(peerId)) return;
+        if (this.zuschauer.delete(peerId)) {
+            this._verteileSpielerListe();
+            console.log(`[Netzwerk] Zuschauer ${peerId} kam nicht zurück`);
+            this._meldeZuschauer();
+            return;
+        }
+        this.plaetze.delete(peerId);
+        this._verteileSpielerListe();
+        console.log(`[Netzwerk] ${peerId} kam nicht zurück, Platz frei`);
+        this._setzeStatus(this.verbunden ? `VERBUNDEN (${this.plaetze.size}/${this.maxSpieler})` : 'WARTE AUF SPIELER...', this.verbunden);
+        if (this.onSpielerGetrennt) {
+            this.onSpielerGetrennt(peerId);
+        }
+    }
+
+    /**
+     * Meldet den Peer beim Vermittlungsserver neu an, wenn er von dort
+     * getrennt wurde – sonst findet niemand mehr den Raum (Host) bzw.
+     * kommen keine neuen Versuche durch (Gast). Die Peer-ID bleibt gleich.
+     * @private
+     */
+    _haltePeerErreichbar() {
+        const peer = this.peer;
+        peer.on('disconnected', () => {
+            if (this._beendet || peer !== this.peer || peer.destroyed) return;
+            console.warn('[Netzwerk] Vom Vermittlungsserver getrennt, melde neu an...');
+            peer.reconnect();
+        });
+    }
+
+    /**
+     * Gast: plant den nächsten Versuch, den Host wieder zu erreichen.
+     * Die Wartezeit verdoppelt sich bis NEUVERBINDUNG_MAX; nach der
+     * Gnadenfrist hat der Host den Platz ohnehin vergeben.
+     * @private
+     */
+    _planeNeuverbindung() {
+        if (!this._neuverbindung) {
+            this._neuverbindung = {
+                versuch: 0, seit: performance.now(), timer: null,
+                hostVermisst: false, uebernahme: null, raumPeer: null
+            };
+            console.log('[Netzwerk] Verbindung zum Host abgebrochen, versuche es erneut...');
+        }
+        const nv = this._neuverbindung;
+        if (performance.now() - nv.seit > GNADENFRIST || !this.peer || this.peer.destroyed) {
+            this._beendeNeuverbindung();
+            console.warn('[Netzwerk] Host nicht mehr erreichbar, gebe auf');
+            // Ohne Host ist der ganze Stern weg
+            this._setzeStatus('GETRENNT', false);
+            this._uebernehmeSpielerListe([]);
+            return;
+        }
+
+        const warten = Math.min(NEUVERBINDUNG_MAX, NEUVERBINDUNG_START * 2 ** nv.versuch);
+        nv.versuch++;
+        this._setzeStatus(`VERBINDE NEU (${nv.versuch})...`, false);
+        nv.timer = setTimeout(() => this._versucheNeuverbindung(), warten);
+    }
+
+    /**
+     * Gast: ein einzelner Versuch mit derselben Peer-ID, damit der Host
+     * den freigehaltenen Platz zuordnen kann.
+     * @private
+     */
+    _versucheNeuverbindung() {
+        const nv = this._neuverbindung;
+        if (!nv) return;
+        if (this.peer.disconnected) this.peer.reconnect();
+
+        // Der Versuch läuft bis zum Versionsabgleich (dann endet
+        // initialisiereVerbindung ihn) oder bis zum Timeout
+        let gescheitert = false;
+        const scheitern = () => {
+            if (gescheitert || this._neuverbindung !== nv) return;
+            gescheitert = true;
+            clearTimeout(nv.timer);
+            conn.close();
+            this._planeNeuverbindung();
+            // Erst jetzt ist sicher, dass der alte Host nicht antwortet
+            if (this._neuverbindung === nv && !nv.hostVermisst) {
+                nv.hostVermisst = true;
+                this._planeUebernahme(nv, true);
+            }
+        };
+
+        const conn = this.peer.connect(this._hostPeerId, { reliable: true });
+        nv.timer = setTimeout(scheitern, VERSUCH_TIMEOUT);
+        conn.on('open', () => {
+            if (this._neuverbindung === nv) this._richteVerbindungEin(conn);
+        });
+        conn.on('error', scheitern);
+        conn.on('close', scheitern);
+    }
+
+    /**
+     * Gast: Reihenfolge der Nachfolge des Hosts, die Gäste nach
+     * Startplatz. Alle kennen dieselbe Spielerliste und kommen so zum
+     * selben Ergebnis.
+     * @returns {string[]} Peer-IDs
+     * @private
+     */
+    _nachfolger() {
+        return [...this.plaetze]
+            .filter(([id]) => id !== this.hostId)
+            .sort((a, b) => a[1] - b[1])
+            .map(([id]) => id);
+    }
+
+    /**
+     * Gast: plant den nächsten Anspruch auf den Raum. Der erste kommt
+     * erst, wenn ein Versuch beim alten Host gescheitert ist, und
+     * frühestens UEBERNAHME_KARENZ nach dem Abbruch: war nur die eigene
+     * Leitung gerissen oder der Host kurz vom Vermittler getrennt
+     * (peer.reconnect), ist er bis dahin zurück und ein neuer Versuch
+     * beendet die Neuverbindung samt Anspruch. Rang n wartet danach
+     * noch n × NACHFOLGE_STAFFEL, später geht es reihum einmal je Runde
+     * über alle Nachfolger, damit nie zwei zugleich anfragen.
+     * @param {object} nv - Laufende Neuverbindung
+     * @param {boolean} erster - Erster Anspruch nach dem Abbruch
+     * @private
+     */
+    _planeUebernahme(nv, erster) {
+        const nachfolger = this._nachfolger();
+        const rang = nachfolger.indexOf(this.spielerId);
+        if (rang < 0) return;
+        const warten = erster
+            ? Math.max(0, nv.seit + UEBERNAHME_KARENZ - performance.now()) + rang * NACHFOLGE_STAFFEL
+            : nachfolger.length * NACHFOLGE_STAFFEL;
+        nv.uebernahme = setTimeout(() => {
+            if (this._neuverbindung === nv) this._beanspruchRaum(nv);
+        }, warten);
+    }
+
+    /**
+     * Gast: versucht, sich mit der Peer-ID des Raums anzumelden. Hält
+     * der alte Host sie noch, lehnt der Vermittler ab ('unavailable-id')
+     * und es geht in der nächsten Runde weiter.
+     * @param {object} nv - Laufende Neuverbindung
+     * @private
+     */
+    _beanspruchRaum(nv) {
+        const raumPeer = this.transport.erzeugePeer(this._hostPeerId);
+        nv.raumPeer = raumPeer;
+        raumPeer.on('open', () => {
+            if (this._neuverbindung === nv) this._werdeHost(raumPeer);
+        });
+        raumPeer.on('error', (err) => {
+            if (this.peer === raumPeer) {
+                console.error('[Netzwerk] Peer-Fehler:', err);
+                this._setzeStatus('FEHLER: ' + err.type, false);
+                return;
+            }
+            if (err.type !== 'unavailable-id') console.warn('[Netzwerk] Raum nicht übernommen:', err);
+            raumPeer.destroy();
+            if (nv.raumPeer !== raumPeer) return;
+            nv.raumPeer = null;
+            if (this._neuverbindung === nv) this._planeUebernahme(nv, false);
+        });
+    }
+
+    /**
+     * Gast → Host: der Raum gehört jetzt uns. Die eigene Peer-ID als
+     * Spieler bleibt, die Spielerliste ohne den alten Host gilt weiter
+     * und die anderen Gäste (auch Zuschauer) bekommen ihre Plätze wie
+     * nach einem Abbruch freigehalten.
+     * @param {Peer} raumPeer - Mit der Peer-ID des Raums angemeldet
+     * @private
+     */
+    _werdeHost(raumPeer) {
+        const alterHost = this.hostId;
+        const alterPeer = this.peer;
+        this._neuverbindung.raumPeer = null;
+        this._beendeNeuverbindung();
+
+        // Reste der Leitung zum alten Host (ihr 'close' läuft ins Leere)
+        const alte = [...this.verbindungen.values()];
+        this.verbindungen.clear();
+        alte.forEach(conn => conn.close());
+        this.netzWerte.clear();
+        this._paketZaehler.clear();
+
+        this.istHost = true;
+        this.hostId = this.spielerId;
+        this.verbunden = false;
+        this.peer = raumPeer;
+        alterPeer.destroy();
+        this.plaetze.delete(alterHost);
+        for (const id of [...this.plaetze.keys(), ...this.zuschauer]) {
+            if (id !== this.spielerId) {
+                this._freigehalten.set(id, setTimeout(() => this._gibPlatzFrei(id), GNADENFRIST));
+            }
+        }
+        raumPeer.on('connection', (conn) => this._nimmVerbindungAn(conn));
+        this._haltePeerErreichbar();
+        this._aktualisiereAushang(); // Ein öffentlicher Raum bleibt gelistet
+
+        console.log(`[Netzwerk] 👑 Host ${alterHost} ist weg, übernehme Raum ${this.raumCode} (Platz ${this.platzVon()})`);
+        this._setzeStatus('WARTE AUF SPIELER...', false);
+        if (this.onHostUebernommen) {
+            this.onHostUebernommen(alterHost);
+        }
+        if (this.onSpielerGetrennt) {
+            this.onSpielerGetrennt(alterHost);
+        }
+    }
+
+    /**
+     * Gast: bricht laufende Neuverbindungs-Versuche ab.
+     * @private
+     */
+    _beendeNeuverbindung() {
+        if (!this._neuverbindung) return;
+        clearTimeout(this._neuverbindung.timer);
+        clearTimeout(this._neuverbindung.uebernahme);
+        if (this._neuverbindung.raumPeer) this._neuverbindung.raumPeer.destroy();
+        this._neuverbindung = null;
+    }
+
     /**
      * Trennt die Verbindung und räumt auf.
      */
     disconnect() {
+        this._beendet = true;
+        this._beendeNeuverbindung();
+        for (const timer of this._freigehalten.values()) {
+            clearTimeout(timer);
+        }
+        this._freigehalten.clear();
         if (this._positionsTimer) {
             clearInterval(this._positionsTimer);
             this._positionsTimer = null;
         }
-        if (this.verbindung) {
-            this.verbindung.close();
+        if (this._pingTimer) {
+            clearInterval(this._pingTimer);
+            this._pingTimer = null;
+        }
+        for (const conn of this.verbindungen.values()) {
+            conn.close();
         }
+        this.verbindungen.clear();
+        this.plaetze.clear();
+        this.zuschauer.clear();
+        this.hostId = '';
         if (this.peer) {
             this.peer.destroy();
         }
         this.verbunden = false;
         this._setzeStatus('OFFLINE', false);
         this._gesendetePosition = null;
+        this.netzWerte.clear();
+        this._paketZaehler.clear();
+        this._verkehr = { hoch: 0, runter: 0 };
+        this._zeigeNetzWerte();
         console.log('[Netzwerk] Verbindung getrennt und aufgeräumt');
     }
 
@@ -522,7 +1848,7 @@ export class NetworkManager {
         const dRotX = Math.abs(neu.rotX - alt.rotX);
 
         return dX > posThreshold || dY > posThreshold || dZ > posThreshold ||
-            dRotY > rotThreshold || dRotX > rotThreshold;
+            dRotY > rotThreshold || dRotX > rotThreshold || neu.sprung !== alt.sprung;
     }
 
     /**
@@ -533,3 +1859,13 @@ export class NetworkManager {
         return this.verbunden;
     }
 }
+
+/**
+ * Größe einer Nachricht auf der Leitung in Bytes (JSON geschätzt).
+ * @param {*} paket
+ * @returns {number}
+ */
+function groesseVon(paket) {
+    if (paket instanceof ArrayBuffer || ArrayBuffer.isView(paket)) return paket.byteLength;
+    return JSON.stringify(paket)?.length ?? 0;
+}
@@ -0,0 +1,145 @@
+/**
+ * ============================================================
+ * POSITIONSVERLAUF (position-history.js)
+ * ============================================================
+ * Kurze, zeitgestempelte Verläufe der Spielerpositionen.
+ *
+ * Zwei Anwendungen mit eigener Zeitachse:
+ *   - Lag-Ausgleich (hit-validation.js): Stempel in Host-Zeit, der
+ *     Host spult Ziele auf die Sicht des Schützen zurück.
+ *   - Snapshot-Puffer für die Anzeige: Stempel in der Uhr des
+ *     Absenders (Sendezeit). Mitspieler werden um
+ *     INTERPOLATIONS_VERZUG in der Vergangenheit gezeigt, zwischen
+ *     zwei Snapshots gemittelt und bei Paketverlust kurz
+ *     weitergeschätzt.
+ *
+ * Gedreht wird immer auf dem kürzesten Weg (±π), über Sprünge
+ * (Spawn, Teleporter) hinweg wird nie gemittelt.
+ * DOM-frei wie maze-core.js.
+ * ============================================================
+ */
+
+// ── Konstanten ──────────────────────────────────────────────
+export const VERLAUF_DAUER = 1000;           // ms Positionsverlauf je Spieler
+export const INTERPOLATIONS_VERZUG = 100;    // ms, so weit in der Vergangenheit werden Mitspieler gezeigt
+export const MAX_EXTRAPOLATION = 150;        // ms, so lange wird bei Paketverlust weitergeschätzt
+
+/**
+ * Hängt eine Position an den Verlauf eines Spielers und wirft
+ * Einträge weg, die älter als VERLAUF_DAUER sind. Verspätete
+ * Positionen (älter als der letzte Eintrag) werden ignoriert.
+ *
+ * @param {object[]} verlauf - Wird verändert
+ * @param {number} zeit - Zeitstempel in ms (Host-Zeit bzw. Sendezeit)
+ * @param {{x: number, y: number, z: number, rotY: number, sprung?: number}} pos - Fußposition
+ */
+export function merkePosition(verlauf, zeit, pos) {
+    if (!Number.isFinite(zeit)) return;
+    const letzter = verlauf[verlauf.length - 1];
+    if (letzter && zeit < letzter.zeit) return;
+
+    verlauf.push({ zeit, x: pos.x, y: pos.y, z: pos.z, rotY: pos.rotY || 0, sprung: pos.sprung });
+    while (verlauf.length > 2 && verlauf[1].zeit < zeit - VERLAUF_DAUER) verlauf.shift();
+}
+
+/**
+ * Position eines Spielers zu einem vergangenen Zeitpunkt, linear
+ * zwischen den Nachbarn im Verlauf. Über einen Sprung (Spawn,
+ * Teleporter) hinweg wird nicht gemittelt, sondern der frühere
+ * Eintrag genommen. Außerhalb des Verlaufs gilt der Rand.
+ *
+ * @param {object[]} verlauf - Aus merkePosition
+ * @param {number} zeit - Zeitstempel in ms (Host-Zeit bzw. Sendezeit)
+ * @returns {{x: number, y: number, z: number, rotY: number}|null} null bei leerem Verlauf
+ */
+export function positionZurZeit(verlauf, zeit) {
+    if (verlauf.length === 0) return null;
+    if (zeit <= verlauf[0].zeit) return verlauf[0];
+
+    for (let i = verlauf.length - 1; i > 0; i--) {
+        const a = verlauf[i - 1];
+        const b = verlauf[i];
+        if (zeit < a.zeit) continue;
+        if (zeit >= b.zeit) return b;
+        if (a.sprung !== b.sprung) return a;
+
+        const t = (zeit - a.zeit) / (b.zeit - a.zeit);
+        return {
+            x: a.x + (b.x - a.x) * t,
+            y: a.y + (b.y - a.y) * t,
+            z: a.z + (b.z - a.z) * t,
+            rotY: a.rotY + kuerzesteDrehung(a.rotY, b.rotY) * t
+        };
+    }
+    return verlauf[verlauf.length - 1];
+}
+
+/**
+ * Leerer Snapshot-Puffer für einen Mitspieler.
+ * @returns {{verlauf: object[], letzteSeq: number|null, uhrVersatz: number|null}}
+ */
+export function erzeugeSnapshotPuffer() {
+    return { verlauf: [], letzteSeq: null, uhrVersatz: null };
+}
+
+/**
+ * Nimmt eine empfangene Position in den Puffer auf. Doppelte und
+ * überholte Pakete (Sequenznummer nicht größer als die letzte)
+ * fallen weg. Der Uhrversatz Empfänger ↔ Absender ist der kleinste
+ * beobachtete Abstand zwischen Sende- und Empfangszeit, also die
+ * schnellste Zustellung; langsamere Pakete fängt der Verzug ab.
+ *
+ * @param {object} puffer - Aus erzeugeSnapshotPuffer, wird verändert
+ * @param {{x: number, y: number, z: number, rotY: number, sprung: number, seq: number, gesendet: number}} daten
+ * @param {number} empfangen - Eigene Uhrzeit beim Empfang (ms)
+ * @returns {boolean} true, wenn der Snapshot aufgenommen wurde
+ */
+export function fuegeSnapshotEin(puffer, daten, empfangen) {
+    if (!Number.isFinite(daten.seq) || !Number.isFinite(daten.gesendet)) return false;
+    if (puffer.letzteSeq !== null && daten.seq <= puffer.letzteSeq) return false;
+    puffer.letzteSeq = daten.seq;
+
+    const versatz = empfangen - daten.gesendet;
+    if (puffer.uhrVersatz === null || versatz < puffer.uhrVersatz) puffer.uhrVersatz = versatz;
+    merkePosition(puffer.verlauf, daten.gesendet, daten);
+    return true;
+}
+
+/**
+ * Anzuzeigende Position eines Mitspielers: sein Stand von vor
+ * INTERPOLATIONS_VERZUG. Fehlt der nächste Snapshot, wird mit der
+ * letzten Geschwindigkeit höchstens MAX_EXTRAPOLATION weitergeschätzt
+ * und dann angehalten.
+ *
+ * @param {object} puffer - Aus erzeugeSnapshotPuffer
+ * @param {number} jetzt - Eigene Uhrzeit (ms)
+ * @returns {{x: number, y: number, z: number, rotY: number}|null} null bei leerem Puffer
+ */
+export function tastePufferAb(puffer, jetzt) {
+    const verlauf = puffer.verlauf;
+    if (verlauf.length === 0) return null;
+
+    const zeit = jetzt - puffer.uhrVersatz - INTERPOLATIONS_VERZUG; // In der Uhr des Absenders
+    const letzter = verlauf[verlauf.length - 1];
+    if (zeit <= letzter.zeit || verlauf.length < 2) return positionZurZeit(verlauf, zeit);
+
+    const vorletzter = verlauf[verlauf.length - 2];
+    const spanne = letzter.zeit - vorletzter.zeit;
+    if (vorletzter.sprung !== letzter.sprung || spanne <= 0) return letzter;
+
+    const f = Math.min(zeit - letzter.zeit, MAX_EXTRAPOLATION) / spanne;
+    return {
+        x: letzter.x + (letzter.x - vorletzter.x) * f,
+        y: letzter.y + (letzter.y - vorletzter.y) * f,
+        z: letzter.z + (letzter.z - vorletzter.z) * f,
+        rotY: letzter.rotY + kuerzesteDrehung(vorletzter.rotY, letzter.rotY) * f
+    };
+}
+
+/**
+ * Drehung von a nach b auf dem kürzesten Weg (−π bis π).
+ */
+function kuerzesteDrehung(a, b) {
+    const d = b - a;
+    return Math.atan2(Math.sin(d), Math.cos(d));
+}
@@ -216,6 +216,17 @@ const sharedPickupAssets = {
         matBody: new THREE.MeshLambertMaterial({ color: 0x222222 }),
         geoLight: new THREE.SphereGeometry(0.08, 6, 6),
         matLight: new THREE.MeshBasicMaterial({ color: 0xff0000 }) // Blinkt später via Code?
+    },
+    TELEPORTER: {
+        geoSockel: new THREE.CylinderGeometry(0.7, 0.8, 0.1, 16),
+        matSockel: new THREE.MeshLambertMaterial({ color: 0x333344 }),
+        geoRing: new THREE.TorusGeometry(0.55, 0.05, 6, 24),
+        geoFeld: new THREE.CircleGeometry(0.5, 16),
+        matZweiweg: new THREE.MeshBasicMaterial({ color: 0x00ffff }),
+        matEinweg: new THREE.MeshBasicMaterial({ color: 0xff44ff }),
+        // Leuchtfelder der Eingänge, alle Pads pulsieren gemeinsam (main.js)
+        matFeldZweiweg: new THREE.MeshBasicMaterial({ color: 0x00ffff, transparent: true, opacity: 0.6 }),
+        matFeldEinweg: new THREE.MeshBasicMaterial({ color: 0xff44ff, transparent: true, opacity: 0.6 })
     }
 };
 
@@ -357,3 +368,35 @@ export function erzeugeScharfeMineModel() {
 
     return group;
 }
+
+/**
+ * Erstellt ein Teleporter-Pad (Sockel mit leuchtendem Ring).
+ * Eingänge bekommen zusätzlich ein pulsierendes Feld ('teleporterFeld'),
+ * der Ausgang eines Einweg-Portals nur den Ring.
+ * (Kein Pool, die Pads stehen die ganze Runde; Geometrien und
+ * Materialien sind geteilt, beim Abbau gibt es nichts freizugeben).
+ * @param {boolean} einweg - Gehört zu einem Einweg-Portal (andere Farbe)
+ * @param {boolean} [eingang=true] - Pad teleportiert beim Betreten
+ */
+export function erzeugeTeleporterModel(einweg, eingang = true) {
+    const assets = sharedPickupAssets.TELEPORTER;
+    const leuchtMaterial = einweg ? assets.matEinweg : assets.matZweiweg;
+    const group = new THREE.Group();
+
+    group.add(new THREE.Mesh(assets.geoSockel, assets.matSockel));
+
+    const ring = new THREE.Mesh(assets.geoRing, leuchtMaterial);
+    ring.rotation.x = -Math.PI / 2;
+    ring.position.y = 0.06;
+    group.add(ring);
+
+    if (eingang) {
+        const feld = new THREE.Mesh(assets.geoFeld, einweg ? assets.matFeldEinweg : assets.matFeldZweiweg);
+        feld.rotation.x = -Math.PI / 2;
+        feld.position.y = 0.06;
+        feld.name = 'teleporterFeld'; // Für Animation
+        group.add(feld);
+    }
+
+    return group;
+}
@@ -0,0 +1,14 @@
+@echo off
+echo ============================================================
+echo   🎮 RETRO LABYRINTH - LAN-SERVER (ohne Internet)
+echo ============================================================
+echo.
+echo 1. Oeffne Spiel im Webbrowser (http://localhost:3334)...
+echo    Mitspieler im selben Netz: http://IP-DIESES-RECHNERS:3334
+start http://localhost:3334/?transport=websocket
+echo.
+echo 2. Starte Relais-Server (liefert auch das Spiel aus)...
+echo (Hinweis: Zum Beenden dieses Fenster schliessen oder Strg+C druecken)
+echo.
+node tools/relay-server.mjs
+pause
@@ -1,4 +1,4 @@
-const CACHE_NAME = 'retro-lab-v1';
+const CACHE_NAME = 'retro-lab-v2'; // Bei neuen Modulen erhöhen
 const ASSETS = [
     './',
     './index.html',
@@ -6,7 +6,26 @@ const ASSETS = [
     './js/main.js',
     './js/renderer.js',
     './js/maze-generator.js',
+    './js/maze-core.js',
+    './js/maze-algorithms.js',
+    './js/maze-rooms.js',
+    './js/maze-analysis.js',
+    './js/maze-symmetry.js',
+    './js/maze-tiles.js',
+    './js/maze-floors.js',
+    './js/maze-teleporter.js',
+    './js/maze-shifting.js',
+    './js/map-format.js',
+    './js/level-editor.js',
+    './js/hit-validation.js',
+    './js/position-history.js',
+    './js/net-protocol.js',
+    './js/net-codec.js',
+    './js/net-transport.js',
+    './js/net-simulator.js',
     './js/combat.js',
+    './js/input-handler.js',
+    './js/network-manager.js',
     './icon-192.png',
     './icon-512.png'
 ];
@@ -21,6 +40,15 @@ self.addEventListener('install', event => {
     );
 });
 
+// Activate Event (alte Caches mit fehlenden Modulen entfernen)
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys().then(namen => Promise.all(
+            namen.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))
+        ))
+    );
+});
+
 // Fetch Event (Network First mit Cache Fallback)
 self.addEventListener('fetch', event => {
     event.respondWith(
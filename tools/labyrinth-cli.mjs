@@ -0,0 +1,140 @@
+/**
+ * ============================================================
+ * LABYRINTH-CLI (tools/labyrinth-cli.mjs)
+ * ============================================================
+ * Erzeugt ein Labyrinth headless über maze-core.js und gibt es
+ * als ASCII-Raster samt Prüfsumme aus. Gleicher Seed + gleiche
+ * Einstellungen müssen immer die gleiche Prüfsumme ergeben.
+ *
+ * Mit --analyse zusätzlich der Fairness-Bericht (maze-analysis.js),
+ * mit --suche=N die Fairness-Quote über N zufällige Seeds.
+ * --pruefe testet den Determinismus aller Algorithmen und Symmetrien
+ * (Exit-Code 1 bei Abweichung).
+ *
+ * Aufruf:
+ *   node tools/labyrinth-cli.mjs [seed] [--algo=prim] [--raeume=3] [--groesse=gross]
+ *   node tools/labyrinth-cli.mjs 4711 --symmetrie=viertel --analyse
+ *   node tools/labyrinth-cli.mjs 12345 --breite=12 --hoehe=10 --analyse
+ *   node tools/labyrinth-cli.mjs --algo=kruskal --suche=200
+ *   node tools/labyrinth-cli.mjs --pruefe
+ * ============================================================
+ */
+
+import { generateMaze, generiereZufallsSeed, MAZE_ALGORITHMEN, SYMMETRIE_MODI } from '../js/maze-core.js';
+import { analysiereSeed } from '../js/maze-analysis.js';
+
+/**
+ * Liest "--name=wert" Argumente und den ersten freien Wert (Seed).
+ */
+function leseArgumente(argv) {
+    const args = { seed: 12345, breite: 8, hoehe: 8, algo: undefined, raeume: 0, groesse: 'mittel', symmetrie: 'keine', analyse: false, suche: 0, pruefe: false };
+    for (const arg of argv) {
+        const treffer = arg.match(/^--([a-z]+)=(.*)$/);
+        if (treffer) {
+            args[treffer[1]] = treffer[2];
+        } else if (arg === '--analyse') {
+            args.analyse = true;
+        } else if (arg === '--pruefe') {
+            args.pruefe = true;
+        } else if (/^\d+$/.test(arg)) {
+            args.seed = parseInt(arg, 10);
+        }
+    }
+    return args;
+}
+
+/**
+ * Einfache FNV-1a Prüfsumme über das Raster (für Determinismus-Vergleiche).
+ */
+function pruefsumme(labyrinth) {
+    let hash = 0x811c9dc5;
+    for (const zeile of labyrinth) {
+        for (const feld of zeile) {
+            hash ^= feld;
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        hash ^= 0xff;
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+}
+
+const args = leseArgumente(process.argv.slice(2));
+if (args.algo && !Object.hasOwn(MAZE_ALGORITHMEN, args.algo)) {
+    console.error(`Unbekannter Algorithmus "${args.algo}". Verfügbar: ${Object.keys(MAZE_ALGORITHMEN).join(', ')}`);
+    process.exit(1);
+}
+if (!Object.hasOwn(SYMMETRIE_MODI, args.symmetrie)) {
+    console.error(`Unbekannte Symmetrie "${args.symmetrie}". Verfügbar: ${Object.keys(SYMMETRIE_MODI).join(', ')}`);
+    process.exit(1);
+}
+
+const einstellungen = {
+    algorithmus: args.algo,
+    raeume: { anzahl: Number(args.raeume), groesse: args.groesse },
+    symmetrie: args.symmetrie
+};
+const breite = Number(args.breite);
+const hoehe = Number(args.hoehe);
+
+// Interne Logs des Generators unterdrücken, nur das Ergebnis zählt
+const originalLog = console.log;
+console.log = () => { };
+
+if (Number(args.suche) > 0) {
+    const anzahl = Number(args.suche);
+    const gruende = new Map();
+    let fair = 0;
+    for (let i = 0; i < anzahl; i++) {
+        const { bewertung } = analysiereSeed(breite, hoehe, generiereZufallsSeed(), einstellungen);
+        if (bewertung.fair) fair++;
+        bewertung.gruende.forEach(g => {
+            const art = g.replace(/\d+/g, 'N');
+            gruende.set(art, (gruende.get(art) || 0) + 1);
+        });
+    }
+    console.log = originalLog;
+    console.log(`Faire Seeds: ${fair}/${anzahl} (${Math.round(fair / anzahl * 100)}%)`);
+    gruende.forEach((n, art) => console.log(`  ${n}x ${art}`));
+    process.exit(0);
+}
+
+if (args.pruefe) {
+    // Gleicher Seed → gleiches Raster, auch wenn dazwischen ein anderer
+    // Seed erzeugt wurde (kein Zustand darf übrig bleiben)
+    const fehler = [];
+    let faelle = 0;
+    for (const algorithmus of Object.keys(MAZE_ALGORITHMEN)) {
+        for (const symmetrie of Object.keys(SYMMETRIE_MODI)) {
+            for (const raeume of [0, 3]) {
+                const optionen = { algorithmus, symmetrie, raeume: { anzahl: raeume, groesse: 'mittel' } };
+                for (const seed of [1, 4711, 123456789]) {
+                    const erstes = pruefsumme(generateMaze(breite, hoehe, seed, optionen));
+                    const anderes = pruefsumme(generateMaze(breite, hoehe, seed + 1, optionen));
+                    const zweites = pruefsumme(generateMaze(breite, hoehe, seed, optionen));
+                    faelle++;
+                    if (erstes !== zweites) fehler.push(`${algorithmus}/${symmetrie}/${raeume} Seed ${seed}: ${erstes} ≠ ${zweites}`);
+                    if (erstes === anderes) fehler.push(`${algorithmus}/${symmetrie}/${raeume} Seed ${seed} und ${seed + 1} gleich`);
+                }
+            }
+        }
+    }
+    console.log = originalLog;
+    fehler.forEach(f => console.error(`✖ ${f}`));
+    console.log(`Determinismus: ${faelle - fehler.length}/${faelle} Fälle ok`);
+    process.exit(fehler.length > 0 ? 1 : 0);
+}
+
+const labyrinth = generateMaze(breite, hoehe, args.seed, einstellungen);
+const analyse = args.analyse ? analysiereSeed(breite, hoehe, args.seed, einstellungen) : null;
+console.log = originalLog;
+
+console.log(labyrinth.map(zeile => zeile.map(feld => (feld === 1 ? '█' : ' ')).join('')).join('\n'));
+console.log(`\nSeed: ${args.seed} | Algorithmus: ${args.algo || 'standard'} | Symmetrie: ${args.symmetrie} | Prüfsumme: ${pruefsumme(labyrinth)}`);
+
+if (analyse) {
+    const b = analyse.bericht;
+    console.log(`Gänge: ${b.gangFelder} | Zusammenhängend: ${b.zusammenhaengend ? 'ja' : `nein (${b.komponenten})`} | Sackgassen: ${b.sackgassen} | Schleifen: ${b.schleifen}`);
+    console.log(`Spawn-Abstand: ${b.spawnAbstand} | Weg zum nächsten Pickup: Host ${b.pickupAbstaende[0]}, Gast ${b.pickupAbstaende[1]}`);
+    console.log(analyse.bewertung.fair ? 'Fair: ja' : `Fair: nein – ${analyse.bewertung.gruende.join(', ')}`);
+}
@@ -0,0 +1,360 @@
+/**
+ * ============================================================
+ * RELAIS-SERVER (tools/relay-server.mjs)
+ * ============================================================
+ * Vermittler für den Transport "websocket" (js/net-transport.js):
+ * Spielen im eigenen Netz ohne Internet und ohne PeerJS-Vermittler.
+ * Jeder Browser hält eine WebSocket-Verbindung hierher; der Server
+ * vergibt die Peer-IDs und stellt die Meldungen {art, ziel, kanal,
+ * daten?} dem Ziel zu. Den Absender ("von") setzt er selbst.
+ *
+ * Liefert zusätzlich die Spieldateien aus, damit ein Rechner im LAN
+ * reicht: http://<rechner>:3334 öffnen, "LAN-Server" wählen.
+ *
+ * Raumliste: Hosts öffentlicher Räume schicken {art: 'aushang', daten},
+ * GET /raeume liefert alle Aushänge samt Ping (Host ↔ Server, aus dem
+ * Herzschlag gemessen). Ein Aushang endet mit der Leitung seines Hosts.
+ *
+ * Ohne Abhängigkeiten (nur Node-Bordmittel), WebSocket nach RFC 6455.
+ *
+ * Aufruf:
+ *   node tools/relay-server.mjs [--port=3334] [--ohne-dateien]
+ * ============================================================
+ */
+
+import { createServer } from 'node:http';
+import { createHash, randomBytes } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { RELAY_PORT, schreibeRahmen, leseRahmen } from '../js/net-transport.js';
+import { pruefeAushang } from '../js/net-protocol.js';
+
+// ── Konstanten ──────────────────────────────────────────────
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_RAHMEN = 1024 * 1024;        // Bytes, Karte und Spielstand passen hinein
+const HERZSCHLAG = 5000;               // ms zwischen Pings; wer zweimal schweigt, fliegt
+const WURZEL = fileURLToPath(new URL('..', import.meta.url));
+const MIME = {
+    '.html': 'text/html; charset=utf-8', '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8', '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json', '.png': 'image/png', '.svg': 'image/svg+xml'
+};
+
+const OP = { FORTSETZUNG: 0x0, TEXT: 0x1, BINAER: 0x2, SCHLIESSEN: 0x8, PING: 0x9, PONG: 0xa };
+
+/**
+ * Liest "--name=wert" und "--schalter" Argumente.
+ */
+function leseArgumente(argv) {
+    const args = { port: RELAY_PORT, dateien: true };
+    for (const arg of argv) {
+        const treffer = arg.match(/^--([a-z]+)=(.*)$/);
+        if (treffer) args[treffer[1]] = treffer[2];
+        else if (arg === '--ohne-dateien') args.dateien = false;
+    }
+    return args;
+}
+
+const args = leseArgumente(process.argv.slice(2));
+
+/** @type {Map<string, object>} Peer-ID → Client */
+const clients = new Map();
+
+// ── WebSocket-Rahmen ────────────────────────────────────────
+
+/**
+ * Baut einen unmaskierten Rahmen (Server → Browser).
+ * @param {number} opcode
+ * @param {Buffer} nutzdaten
+ * @returns {Buffer}
+ */
+function baueRahmen(opcode, nutzdaten) {
+    const laenge = nutzdaten.length;
+    let kopf;
+    if (laenge < 126) {
+        kopf = Buffer.from([0x80 | opcode, laenge]);
+    } else if (laenge < 65536) {
+        kopf = Buffer.alloc(4);
+        kopf[0] = 0x80 | opcode;
+        kopf[1] = 126;
+        kopf.writeUInt16BE(laenge, 2);
+    } else {
+        kopf = Buffer.alloc(10);
+        kopf[0] = 0x80 | opcode;
+        kopf[1] = 127;
+        kopf.writeBigUInt64BE(BigInt(laenge), 2);
+    }
+    return Buffer.concat([kopf, nutzdaten]);
+}
+
+/**
+ * Zerlegt eingehende Bytes in Rahmen und setzt Fragmente zusammen.
+ * @param {object} client
+ * @param {Buffer} stueck
+ */
+function leseEingang(client, stueck) {
+    client.puffer = Buffer.concat([client.puffer, stueck]);
+    while (client.puffer.length >= 2) {
+        const b0 = client.puffer[0];
+        const b1 = client.puffer[1];
+        let laenge = b1 & 0x7f;
+        let pos = 2;
+        if (laenge === 126) {
+            if (client.puffer.length < 4) return;
+            laenge = client.puffer.readUInt16BE(2);
+            pos = 4;
+        } else if (laenge === 127) {
+            if (client.puffer.length < 10) return;
+            laenge = Number(client.puffer.readBigUInt64BE(2));
+            pos = 10;
+        }
+        if (laenge > MAX_RAHMEN) {
+            trenne(client, 'Rahmen zu groß');
+            return;
+        }
+        const maskiert = (b1 & 0x80) !== 0;
+        if (!maskiert) {
+            trenne(client, 'unmaskierter Rahmen');
+            return;
+        }
+        if (client.puffer.length < pos + 4 + laenge) return;
+
+        const maske = client.puffer.subarray(pos, pos + 4);
+        const nutzdaten = Buffer.from(client.puffer.subarray(pos + 4, pos + 4 + laenge));
+        for (let i = 0; i < nutzdaten.length; i++) nutzdaten[i] ^= maske[i & 3];
+        client.puffer = client.puffer.subarray(pos + 4 + laenge);
+
+        const fin = (b0 & 0x80) !== 0;
+        const opcode = b0 & 0x0f;
+        if (opcode === OP.SCHLIESSEN) {
+            trenne(client);
+            return;
+        }
+        if (opcode === OP.PING) {
+            client.socket.write(baueRahmen(OP.PONG, nutzdaten));
+            continue;
+        }
+        if (opcode === OP.PONG) {
+            client.lebt = true;
+            if (client.pingGesendet !== null) client.ping = Math.round(performance.now() - client.pingGesendet);
+            client.pingGesendet = null;
+            continue;
+        }
+        if (opcode !== OP.FORTSETZUNG) client.fragment = { opcode, teile: [] };
+        if (!client.fragment) continue;
+        client.fragment.teile.push(nutzdaten);
+        if (!fin) continue;
+
+        const daten = Buffer.concat(client.fragment.teile);
+        const text = client.fragment.opcode === OP.TEXT;
+        client.fragment = null;
+        verarbeite(client, text ? daten.toString('utf8') : daten.buffer.slice(daten.byteOffset, daten.byteOffset + daten.length));
+    }
+}
+
+function schicke(client, meldung) {
+    if (client.socket.destroyed) return;
+    const rahmen = schreibeRahmen(meldung);
+    client.socket.write(typeof rahmen === 'string'
+        ? baueRahmen(OP.TEXT, Buffer.from(rahmen, 'utf8'))
+        : baueRahmen(OP.BINAER, Buffer.from(rahmen)));
+}
+
+// ── Vermittlung ─────────────────────────────────────────────
+
+/**
+ * Wertet eine Meldung eines Browsers aus: erst Anmeldung, danach
+ * Zustellung an das Ziel.
+ * @param {object} client
+ * @param {string|ArrayBuffer} rahmen
+ */
+function verarbeite(client, rahmen) {
+    const n = leseRahmen(rahmen);
+    if (!n || typeof n.art !== 'string') return;
+
+    if (!client.id) {
+        if (n.art === 'anmelden') melde(client, n);
+        return;
+    }
+    if (n.art === 'aushang') {
+        haengeAus(client, n.daten);
+        return;
+    }
+
+    const ziel = typeof n.ziel === 'string' ? clients.get(n.ziel) : null;
+    if (!ziel) {
+        // Absender soll nicht auf eine Antwort warten, die nie kommt
+        if (n.art === 'verbinden') schicke(client, { art: 'unbekannt', von: n.ziel, kanal: n.kanal });
+        else if (n.art === 'daten') schicke(client, { art: 'trennen', von: n.ziel, kanal: n.kanal });
+        return;
+    }
+    schicke(ziel, { ...n, von: client.id });
+}
+
+/**
+ * Anmeldung mit Wunsch-ID. Eine vergebene ID bekommt nur, wer ihren
+ * Schlüssel kennt (neue Leitung desselben Browsers nach einem Abbruch).
+ */
+function melde(client, n) {
+    const id = typeof n.id === 'string' && n.id.length > 0 && n.id.length <= 64
+        ? n.id
+        : 'p' + randomBytes(6).toString('hex');
+    const alter = clients.get(id);
+    if (alter) {
+        if (!n.schluessel || n.schluessel !== alter.schluessel) {
+            schicke(client, { art: 'belegt', id });
+            return;
+        }
+        console.log(`[Relais] ${id} übernimmt seine alte Leitung`);
+        trenne(alter, 'ersetzt');
+    }
+    client.id = id;
+    client.schluessel = n.schluessel && alter ? n.schluessel : randomBytes(12).toString('hex');
+    clients.set(id, client);
+    schicke(client, { art: 'angemeldet', id, schluessel: client.schluessel });
+    pinge(client); // Ping für die Raumliste gleich messen, nicht erst beim Herzschlag
+    console.log(`[Relais] ${id} angemeldet (${clients.size} verbunden)`);
+}
+
+/**
+ * Nimmt den Aushang eines Hosts in die Raumliste auf (null = heraus).
+ * Nur für den eigenen Raum: der Code muss zur Peer-ID passen.
+ */
+function haengeAus(client, aushang) {
+    if (aushang === null) {
+        client.aushang = null;
+        return;
+    }
+    const grund = pruefeAushang(aushang) || (client.id.endsWith('_' + aushang.code) ? null : 'fremder Raum-Code');
+    if (grund) {
+        console.warn(`[Relais] Aushang von ${client.id} abgelehnt: ${grund}`);
+        return;
+    }
+    if (!client.aushang) console.log(`[Relais] Raum ${aushang.code} ist öffentlich`);
+    client.aushang = aushang;
+}
+
+/** Alle Aushänge für GET /raeume, Ping in ms (null = noch nicht gemessen). */
+function raumListe() {
+    return [...clients.values()]
+        .filter(client => client.aushang)
+        .map(client => ({ ...client.aushang, ping: client.ping }));
+}
+
+function pinge(client) {
+    client.pingGesendet = performance.now();
+    client.socket.write(baueRahmen(OP.PING, Buffer.alloc(0)));
+}
+
+/**
+ * Schließt eine Leitung und meldet allen, dass der Peer weg ist.
+ * @param {object} client
+ * @param {string} [grund]
+ */
+function trenne(client, grund) {
+    if (client.zu) return;
+    client.zu = true;
+    if (!client.socket.destroyed) {
+        client.socket.end(baueRahmen(OP.SCHLIESSEN, Buffer.alloc(0)));
+        client.socket.destroy();
+    }
+    if (!client.id || clients.get(client.id) !== client) return;
+    clients.delete(client.id);
+    console.log(`[Relais] ${client.id} getrennt${grund ? ` (${grund})` : ''} (${clients.size} verbunden)`);
+    for (const anderer of clients.values()) {
+        schicke(anderer, { art: 'weg', von: client.id });
+    }
+}
+
+// ── HTTP: Upgrade und Spieldateien ──────────────────────────
+
+/**
+ * Beantwortet eine HTTP-Anfrage: Raumliste oder Spieldatei.
+ * @param {import('node:http').IncomingMessage} req
+ * @param {import('node:http').ServerResponse} res
+ */
+async function beantworteAnfrage(req, res) {
+    if (req.url === '/raeume') {
+        res.writeHead(200, {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*', // Lobby kann auch von woanders geladen sein
+            'Cache-Control': 'no-store'
+        });
+        res.end(JSON.stringify(raumListe()));
+        return;
+    }
+    if (!args.dateien) {
+        res.writeHead(404).end();
+        return;
+    }
+    let pfad;
+    try {
+        pfad = decodeURIComponent(new URL(req.url, 'http://x').pathname);
+    } catch {
+        res.writeHead(400).end(); // kaputte %-Kodierung
+        return;
+    }
+    const datei = normalize(join(WURZEL, pfad.endsWith('/') ? pfad + 'index.html' : pfad));
+    if (!datei.startsWith(WURZEL) || datei.split(sep).includes('.git')) {
+        res.writeHead(403).end();
+        return;
+    }
+    try {
+        const inhalt = await readFile(datei);
+        res.writeHead(200, { 'Content-Type': MIME[extname(datei)] || 'application/octet-stream' });
+        res.end(inhalt);
+    } catch (err) {
+        res.writeHead(404).end();
+    }
+}
+
+const server = createServer((req, res) => {
+    beantworteAnfrage(req, res).catch(err => {
+        console.error(`[Relais] Fehler bei ${req.url}:`, err);
+        if (!res.headersSent) res.writeHead(500);
+        res.end();
+    });
+});
+
+server.on('upgrade', (req, socket) => {
+    const schluessel = req.headers['sec-websocket-key'];
+    if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !schluessel) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const antwort = createHash('sha1').update(schluessel + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${antwort}`,
+        '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    const client = {
+        socket, id: null, schluessel: null, puffer: Buffer.alloc(0), fragment: null, lebt: true, zu: false,
+        aushang: null, ping: null, pingGesendet: null
+    };
+    socket.on('data', (stueck) => leseEingang(client, stueck));
+    socket.on('close', () => trenne(client));
+    socket.on('error', () => trenne(client, 'Socket-Fehler'));
+});
+
+// Tote Leitungen (WLAN weg, Laptop zugeklappt) erkennen
+setInterval(() => {
+    for (const client of clients.values()) {
+        if (!client.lebt) {
+            trenne(client, 'keine Antwort');
+            continue;
+        }
+        client.lebt = false;
+        pinge(client);
+    }
+}, HERZSCHLAG);
+
+server.listen(Number(args.port), () => {
+    console.log(`[Relais] Läuft auf Port ${args.port}`);
+    if (args.dateien) console.log(`[Relais] Spiel: http://localhost:${args.port} (im LAN mit der IP dieses Rechners)`);
+});